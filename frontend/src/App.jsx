@@ -1,68 +1,281 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import QueryExecutor from './QueryExecutor';
 import TableEditor from './EditableTable';
+import Login from './Login';
+import UserAdmin from './UserAdmin';
+import ConnectionAdmin from './ConnectionAdmin';
+import SnapshotManager from './SnapshotManager';
+import SchemaDiff from './SchemaDiff';
+import GlobalSearch from './GlobalSearch';
+import { useLiveEvents } from './liveUpdates';
+import { AuthContext, apiFetch, authValue, getToken, setToken, onUnauthorized, useAuth } from './auth';
 import './EditableTable.css'; // Import the CSS file
 
 // Base URL for the Express backend
 const API_BASE_URL = 'http://localhost:3001/api';
 
-export default function App() {
+// The connection of the main database, served by the plain /api routes
+const MAIN_CONNECTION = 'main';
+
+// Base URL of the routes working on one database (see routeConnection in server.js)
+const connectionUrl = (connectionId) => (
+    connectionId === MAIN_CONNECTION ? API_BASE_URL : `${API_BASE_URL}/db/${encodeURIComponent(connectionId)}`
+);
+
+// The SQL console and table editor of one database, with the picker that switches it.
+// `onTablesChange(tables)` reports the tables the user may read in it.
+function DatabasePane({ connectionId, connections, onSelectConnection, onCompare, onClose, onTablesChange }) {
+    const { session, isAdmin } = useAuth();
+    const paneUrl = connectionUrl(connectionId);
     const [tables, setTables] = useState([]);
     const [selectedTable, setSelectedTable] = useState('');
     const [loadingTables, setLoadingTables] = useState(false);
+    // Filters a table was opened with, e.g. when following a foreign key:
+    // { table, filters, openRow, openedAt }
+    const [initialView, setInitialView] = useState(null);
+    const [showSnapshots, setShowSnapshots] = useState(false);
+    const [showSchemaDiff, setShowSchemaDiff] = useState(false);
 
     // Function to fetch the list of tables from the backend
     const fetchTables = useCallback(async () => {
       setLoadingTables(true);
       try {
-        const response = await fetch(`${API_BASE_URL}/tables`);
+        const response = await apiFetch(`${paneUrl}/tables`);
         if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
         const tableList = await response.json();
         setTables(tableList);
         
-        // Logic to maintain or update selected table state
-        if (!selectedTable && tableList.length > 0) {
-          setSelectedTable(tableList[0]);
-        } else if (selectedTable && !tableList.includes(selectedTable)) {
-          setSelectedTable(tableList[0] || '');
-        }
+        // Logic to maintain or update selected table state (functional update so a
+        // table selected while the list was loading is kept)
+        setSelectedTable(current => (
+          current && tableList.includes(current) ? current : (tableList[0] || '')
+        ));
       } catch (err) {
         console.error('Could not fetch table list:', err);
       } finally {
         setLoadingTables(false);
       }
-    }, [selectedTable]);
+    }, [paneUrl]);
 
     // Initial load of tables
     useEffect(() => {
       fetchTables();
     }, [fetchTables]);
 
+    useEffect(() => {
+      onTablesChange(tables);
+    }, [tables, onTablesChange]);
+
+    // Selects a table, optionally showing only the rows matching `filters`; `openRow`
+    // also opens the first of them in the row detail drawer
+    const openTable = useCallback((tableName, filters = null, { openRow = false } = {}) => {
+        setInitialView(filters ? { table: tableName, filters, openRow, openedAt: Date.now() } : null);
+        setSelectedTable(tableName);
+    }, []);
+
+    // Jumps from a search match to its row
+    const openSearchMatch = useCallback((tableName, primaryKey, key) => {
+        const filters = Object.fromEntries(primaryKey.map((field, i) => [field, { op: 'eq', value: key[i] }]));
+        openTable(tableName, filters, { openRow: true });
+    }, [openTable]);
+
     // Handler passed to QueryExecutor to force a refresh of the table list
     const handleTableListRefresh = useCallback(() => {
         fetchTables();
     }, [fetchTables]);
 
+    // Handler passed to TableEditor's schema designer: refresh the list and follow
+    // a created or renamed table
+    const handleSchemaChange = useCallback((tableName) => {
+        if (tableName) openTable(tableName);
+        fetchTables();
+    }, [fetchTables, openTable]);
+
+    // Tables created, altered or dropped by anyone show up without a reload
+    useLiveEvents(paneUrl, (event) => {
+        if (event.type === 'schema') fetchTables();
+    });
+
+    const currentView = initialView && initialView.table === selectedTable ? initialView : null;
 
     return (
-        <div className="main-container">
-          <meta name="viewport" content="width=device-width, initial-scale=1" />
-            <h1 className="app-header">DB Management <span>{loadingTables ? '(Loading Tables...)' : ''}</span></h1>
+        <div className="database-pane">
+            <div className="database-bar">
+                <label className="query-option">
+                    Database
+                    <select value={connectionId} onChange={(e) => onSelectConnection(e.target.value)}>
+                        {connections.map(connection => (
+                            <option key={connection.id} value={connection.id}>
+                                {connection.main ? `${connection.id} (main)` : `${connection.id} (${connection.file})`}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                {loadingTables && <span className="database-status">Loading tables...</span>}
+                <GlobalSearch API_BASE_URL={paneUrl} onOpenRow={openSearchMatch} />
+                {isAdmin && <button onClick={() => setShowSnapshots(true)} className="pager-btn">Snapshots</button>}
+                {isAdmin && <button onClick={() => setShowSchemaDiff(true)} className="pager-btn">Schema drift</button>}
+                {onCompare && <button onClick={onCompare} className="pager-btn">Compare side by side</button>}
+                {onClose && <button onClick={onClose} className="pager-btn">Close pane</button>}
+            </div>
+            {showSnapshots && (
+                <SnapshotManager
+                    API_BASE_URL={paneUrl}
+                    connectionId={connectionId}
+                    readOnly={session.readOnly}
+                    onClose={() => setShowSnapshots(false)}
+                />
+            )}
+            {showSchemaDiff && (
+                <SchemaDiff API_BASE_URL={paneUrl} connectionId={connectionId} onClose={() => setShowSchemaDiff(false)} />
+            )}
             <div className="content-wrapper">
                 
                 {/* 1. Query Executor Panel */}
-                <QueryExecutor onTableAction={handleTableListRefresh} API_BASE_URL={API_BASE_URL} />
+                <QueryExecutor onTableAction={handleTableListRefresh} tables={tables} API_BASE_URL={paneUrl} />
 
                 {/* 2. Table Editor Panel */}
                 <TableEditor 
+                    // Remount per table, and per jump to rows of it, so paging, sorting and
+                    // filters start fresh
+                    key={currentView ? `${selectedTable}@${currentView.openedAt}` : selectedTable}
                     tables={tables}
                     selectedTable={selectedTable}
-                    setSelectedTable={setSelectedTable}
+                    setSelectedTable={openTable}
+                    initialFilters={currentView ? currentView.filters : null}
+                    initialDetail={Boolean(currentView && currentView.openRow)}
+                    onSchemaChange={handleSchemaChange}
+                    API_BASE_URL={paneUrl}
+                    // The primary key is discovered per table by the server (see /api/data)
+                />
+            </div>
+        </div>
+    );
+}
+
+// The editors of a logged-in user: one database, or two side by side
+function Workspace() {
+    const { session, isAdmin, logout } = useAuth();
+    const [connections, setConnections] = useState([{ id: MAIN_CONNECTION, file: null, main: true }]);
+    // Database files not opened yet (admins only)
+    const [files, setFiles] = useState([]);
+    // The connection shown in each pane
+    const [panes, setPanes] = useState([MAIN_CONNECTION]);
+    // Tables of the first and the second pane, for the grants in the user admin
+    const [firstTables, setFirstTables] = useState([]);
+    const [secondTables, setSecondTables] = useState([]);
+    const [showUsers, setShowUsers] = useState(false);
+    const [showConnections, setShowConnections] = useState(false);
+
+    const fetchConnections = useCallback(async () => {
+        try {
+            const response = await apiFetch(`${API_BASE_URL}/connections`);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const body = await response.json();
+            setConnections(body.connections);
+            setFiles(body.files);
+            // Panes showing a closed connection go back to the main database
+            const ids = body.connections.map(connection => connection.id);
+            setPanes(prev => prev.map(id => (ids.includes(id) ? id : MAIN_CONNECTION)));
+        } catch (err) {
+            console.error('Could not fetch the database connections:', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchConnections();
+    }, [fetchConnections]);
+
+    const selectConnection = (index, connectionId) => {
+        setPanes(prev => prev.map((id, i) => (i === index ? connectionId : id)));
+    };
+
+    const grantTables = useMemo(() => [...new Set([...firstTables, ...secondTables])].sort(), [firstTables, secondTables]);
+
+    return (
+        <div className="main-container">
+          <meta name="viewport" content="width=device-width, initial-scale=1" />
+            <h1 className="app-header">DB Management</h1>
+            <div className="user-bar">
+                {session.readOnly && <span className="user-role read-only" title="The server refuses every change">read-only</span>}
+                <span>{session.user.username} <span className="user-role">{session.user.role}</span></span>
+                {isAdmin && <button onClick={() => setShowConnections(true)} className="pager-btn">Databases</button>}
+                {isAdmin && <button onClick={() => setShowUsers(true)} className="pager-btn">Users</button>}
+                <button onClick={logout} className="pager-btn">Log out</button>
+            </div>
+            {showUsers && <UserAdmin API_BASE_URL={API_BASE_URL} tables={grantTables} onClose={() => setShowUsers(false)} />}
+            {showConnections && (
+                <ConnectionAdmin
                     API_BASE_URL={API_BASE_URL}
-                    // pkName is defined internally in EditableTable.jsx, but it's cleaner 
-                    // to define it consistently if possible. Keeping it internal here.
+                    connections={connections}
+                    files={files}
+                    readOnly={session.readOnly}
+                    onChange={fetchConnections}
+                    onClose={() => setShowConnections(false)}
                 />
+            )}
+            <div className={`database-panes ${panes.length > 1 ? 'split' : ''}`}>
+                {panes.map((connectionId, index) => (
+                    <DatabasePane
+                        // Remount when the database changes so nothing of the other one stays around
+                        key={`${index}:${connectionId}`}
+                        connectionId={connectionId}
+                        connections={connections}
+                        onSelectConnection={(id) => selectConnection(index, id)}
+                        onCompare={panes.length === 1 ? () => setPanes(prev => [...prev, prev[0]]) : null}
+                        onClose={index > 0 ? () => { setPanes(prev => prev.slice(0, 1)); setSecondTables([]); } : null}
+                        onTablesChange={index === 0 ? setFirstTables : setSecondTables}
+                    />
+                ))}
             </div>
         </div>
     );
-}
\ No newline at end of file
+}
+
+export default function App() {
+    const [session, setSession] = useState(null);
+    // A stored token is checked with the server before anything else is shown
+    const [checking, setChecking] = useState(() => Boolean(getToken()));
+    const [notice, setNotice] = useState(null);
+
+    useEffect(() => {
+        // Any request rejected with 401 ends the session and shows the login screen
+        onUnauthorized(() => {
+            setToken(null);
+            setSession(null);
+            setNotice('Your session has expired, please log in again.');
+        });
+        if (!getToken()) return;
+        apiFetch(`${API_BASE_URL}/auth/me`)
+            .then(response => (response.ok ? response.json() : null))
+            .then(setSession)
+            .catch(() => setSession(null))
+            .finally(() => setChecking(false));
+    }, []);
+
+    const handleLogin = useCallback((newSession) => {
+        setNotice(null);
+        setSession(newSession);
+    }, []);
+
+    const logout = useCallback(async () => {
+        try {
+            await apiFetch(`${API_BASE_URL}/auth/logout`, { method: 'POST' });
+        } finally {
+            setToken(null);
+            setSession(null);
+        }
+    }, []);
+
+    const auth = useMemo(() => authValue(session, logout), [session, logout]);
+
+    if (checking) return <div className="main-container"><h1 className="app-header">DB Management</h1></div>;
+    if (!session) return <Login API_BASE_URL={API_BASE_URL} notice={notice} onLogin={handleLogin} />;
+
+    return (
+        <AuthContext.Provider value={auth}>
+            {/* Remount per user so nothing of the previous session stays around */}
+            <Workspace key={session.user.id} />
+        </AuthContext.Provider>
+    );
+}
@@ -0,0 +1,109 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatCellValue } from './cellTypes';
+import { apiFetch } from './auth';
+
+// Entries fetched per page
+const AUDIT_PAGE_SIZE = 50;
+
+const ACTION_LABELS = { insert: 'Inserted', update: 'Updated', delete: 'Deleted', statement: 'Changed' };
+
+/**
+ * Fields whose value differs between the before and after row of an entry.
+ */
+const changedFields = ({ before, after }) => {
+    const fields = Object.keys({ ...before, ...after });
+    return fields.filter(field => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null));
+};
+
+// --- Audit Log Component ---
+
+/**
+ * Lists the recorded changes of a table (or of one row when `rowKey` is given),
+ * newest first: when, who, through which route, and the values before and after.
+ */
+export default function AuditLog({ API_BASE_URL, tableName, rowKey, rowLabel, onClose }) {
+    const [entries, setEntries] = useState([]);
+    const [nextBefore, setNextBefore] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadEntries = useCallback(async (before = null) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const params = new URLSearchParams({ table: tableName, limit: AUDIT_PAGE_SIZE });
+            if (rowKey) params.set('key', JSON.stringify(rowKey));
+            if (before) params.set('before', before);
+            const response = await apiFetch(`${API_BASE_URL}/audit?${params}`);
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || 'Failed to load the audit log.');
+            setEntries(prev => (before ? [...prev, ...body.entries] : body.entries));
+            setNextBefore(body.nextBefore);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [API_BASE_URL, tableName, rowKey]);
+
+    useEffect(() => {
+        loadEntries();
+    }, [loadEntries]);
+
+    const renderChanges = (entry) => {
+        if (entry.action === 'statement') return <code className="audit-statement">{entry.statement}</code>;
+        const fields = entry.action === 'update' ? changedFields(entry) : Object.keys(entry.before || entry.after);
+        return (
+            <div className="audit-changes">
+                {fields.map(field => (
+                    <span key={field} className="pending-diff">
+                        {field}:{' '}
+                        {entry.action !== 'insert' && <del>{formatCellValue(entry.before[field])}</del>}
+                        {entry.action === 'update' && ' → '}
+                        {entry.action !== 'delete' && <ins>{formatCellValue(entry.after[field])}</ins>}
+                    </span>
+                ))}
+            </div>
+        );
+    };
+
+    return (
+        <div className="modal-backdrop" role="dialog" aria-modal="true">
+            <div className="modal audit-log">
+                <h3 className="header-title-small">
+                    History of {tableName}{rowKey ? `, row ${rowLabel}` : ''}
+                </h3>
+
+                {error && <div className="message error" role="alert">{error}</div>}
+                {!loading && !error && entries.length === 0 && <p className="schema-empty">No changes recorded yet.</p>}
+
+                <ul className="audit-list">
+                    {entries.map(entry => (
+                        <li key={entry.id} className={`audit-entry ${entry.action}`}>
+                            <div className="audit-meta">
+                                <span className="pending-tag">{ACTION_LABELS[entry.action] || entry.action}</span>
+                                {entry.key && !rowKey && <span>row {entry.key.join(', ')}</span>}
+                                <span>{new Date(entry.at).toLocaleString()}</span>
+                                <span>by {entry.actor || 'unknown'}</span>
+                                <span>via {entry.source}</span>
+                            </div>
+                            {renderChanges(entry)}
+                            {entry.source === 'query' && entry.action !== 'statement' && (
+                                <code className="audit-statement">{entry.statement}</code>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="modal-actions">
+                    {nextBefore && (
+                        <button onClick={() => loadEntries(nextBefore)} className="btn btn-discard" disabled={loading}>
+                            {loading ? 'Loading...' : 'Load older'}
+                        </button>
+                    )}
+                    <button onClick={onClose} className="btn btn-save">Close</button>
+                </div>
+            </div>
+        </div>
+    );
+}
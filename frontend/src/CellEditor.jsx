@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    columnKind, isBlob, blobBytes, hexPreview, isTruthyCell, parseCellInput,
+    toDateTimeInput, fromDateTimeInput,
+} from './cellTypes';
+
+// Characters of a JSON value shown in the grid before it is cut off
+const JSON_PREVIEW_LENGTH = 40;
+
+/**
+ * Modal editor for JSON cells: checks the syntax while typing and only saves valid JSON.
+ */
+function JsonEditorDialog({ field, value, editable, onSave, onCancel }) {
+    const [text, setText] = useState(() => {
+        try {
+            return JSON.stringify(JSON.parse(value), null, 2);
+        } catch {
+            return value ?? '';
+        }
+    });
+
+    let syntaxError = null;
+    try {
+        JSON.parse(text);
+    } catch (err) {
+        syntaxError = err.message;
+    }
+
+    return (
+        <div className="modal-backdrop" role="dialog" aria-modal="true">
+            <div className="modal">
+                <h3 className="header-title-small">{field} (JSON)</h3>
+                <textarea
+                    className="json-editor-input"
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    readOnly={!editable}
+                    rows={14}
+                    spellCheck={false}
+                />
+                <div className={`json-editor-status ${syntaxError ? 'invalid' : 'valid'}`}>
+                    {syntaxError ? `Invalid JSON: ${syntaxError}` : 'Valid JSON'}
+                </div>
+                <div className="modal-actions">
+                    {editable && (
+                        <button onClick={() => setText(JSON.stringify(JSON.parse(text), null, 2))} className="btn btn-discard" disabled={Boolean(syntaxError)}>
+                            Format
+                        </button>
+                    )}
+                    <button onClick={onCancel} className="btn btn-discard">{editable ? 'Cancel' : 'Close'}</button>
+                    {editable && (
+                        <button onClick={() => onSave(text)} className="btn btn-save" disabled={Boolean(syntaxError)}>Save</button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Read-only view of a BLOB: its size, the first bytes in hex and a download button.
+ */
+function BlobView({ field, value }) {
+    const bytes = blobBytes(value);
+
+    const download = () => {
+        const url = URL.createObjectURL(new Blob([bytes]));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${field}.bin`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div className="blob-cell" title={hexPreview(bytes, 64)}>
+            <span className="blob-size">BLOB · {bytes.length} bytes</span>
+            <code className="blob-hex">{hexPreview(bytes, 8)}</code>
+            <button onClick={download} className="cell-btn" title="Download">⇩</button>
+        </div>
+    );
+}
+
+/**
+ * Checkbox for boolean cells. NULL shows as an indeterminate checkbox.
+ */
+function BooleanEditor({ value, editable, onCommit }) {
+    const ref = useRef(null);
+    useEffect(() => {
+        if (ref.current) ref.current.indeterminate = value === null || value === undefined;
+    }, [value]);
+
+    return (
+        <input
+            ref={ref}
+            type="checkbox"
+            className="cell-checkbox"
+            checked={isTruthyCell(value)}
+            onChange={(e) => onCommit(e.target.checked)}
+            disabled={!editable}
+        />
+    );
+}
+
+/**
+ * Text input for numbers and dates. Keeps what is typed until focus leaves, then
+ * converts it with `parse` and commits it, or marks the input invalid. Leaving the
+ * input empty keeps the stored value; NULL is set with the NULL control.
+ */
+function DraftInput({ type, shown, editable, parse, onCommit, placeholder }) {
+    const [draft, setDraft] = useState(null); // null while not editing
+    const [error, setError] = useState(null);
+
+    const finish = () => {
+        if (draft === null) return;
+        if (draft === '' || draft === shown) {
+            setDraft(null);
+            setError(null);
+            return;
+        }
+        try {
+            onCommit(parse(draft));
+            setDraft(null);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <input
+            type={type}
+            step={type === 'datetime-local' ? 1 : undefined}
+            inputMode={type === 'text' ? 'decimal' : undefined}
+            className={`cell-input ${error ? 'invalid' : ''}`}
+            value={draft ?? shown}
+            placeholder={placeholder}
+            title={error || undefined}
+            readOnly={!editable}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={finish}
+            onKeyDown={(e) => {
+                if (e.key === 'Enter') e.target.blur();
+                if (e.key === 'Escape') { setDraft(null); setError(null); }
+            }}
+        />
+    );
+}
+
+// --- Cell Editor Component ---
+
+/**
+ * Editor for one grid cell, picked by the column's declared type: checkbox for
+ * booleans, validated inputs for numbers, a date/time picker, a JSON dialog, a
+ * hex/download view for BLOBs and inline text otherwise. Editable cells of nullable
+ * columns get an explicit NULL control, so NULL and the empty string stay distinct.
+ * `onCommit(value)` receives the new value, already converted for the column.
+ */
+export default function CellEditor({ column, value, editable, onCommit }) {
+    const [jsonOpen, setJsonOpen] = useState(false);
+    const kind = columnKind(column.type);
+    const isNull = value === null || value === undefined;
+    const dateInput = kind === 'datetime' ? toDateTimeInput(value) : '';
+
+    const renderEditor = () => {
+        if (isBlob(value)) return <BlobView field={column.field} value={value} />;
+
+        switch (kind) {
+            case 'boolean':
+                return <BooleanEditor value={value} editable={editable} onCommit={onCommit} />;
+            case 'integer':
+            case 'number':
+                return (
+                    <DraftInput
+                        type="text"
+                        shown={isNull ? '' : String(value)}
+                        placeholder="NULL"
+                        editable={editable}
+                        parse={(text) => parseCellInput(text, column.type)}
+                        onCommit={onCommit}
+                    />
+                );
+            case 'datetime':
+                // Stored text that isn't a date is edited as text instead
+                if (isNull || dateInput) {
+                    return (
+                        <DraftInput
+                            type="datetime-local"
+                            shown={dateInput}
+                            editable={editable}
+                            parse={(input) => fromDateTimeInput(input, value)}
+                            onCommit={onCommit}
+                        />
+                    );
+                }
+                break;
+            case 'json':
+                return (
+                    <button onClick={() => setJsonOpen(true)} className="json-preview" title="Open the JSON editor">
+                        {isNull ? <span className="null-value">NULL</span> : String(value).slice(0, JSON_PREVIEW_LENGTH) + (String(value).length > JSON_PREVIEW_LENGTH ? '…' : '')}
+                    </button>
+                );
+            default:
+                break;
+        }
+
+        return (
+            <div
+                contentEditable={editable}
+                suppressContentEditableWarning={true}
+                onBlur={(e) => {
+                    const newValue = e.target.innerText.trim();
+                    // An untouched NULL cell stays NULL instead of becoming ''
+                    if (isNull ? newValue !== '' : newValue !== String(value)) onCommit(newValue);
+                }}
+                onKeyDown={(e) => {
+                    // Drop the edit; the blur that follows then has nothing to commit
+                    if (e.key === 'Escape') e.target.innerText = isNull ? '' : String(value);
+                }}
+                className={`editable-content ${editable ? 'editable' : 'not-editable'} ${isNull ? 'is-null' : ''}`}
+                // Use value from cache/data/newRow and display it
+                dangerouslySetInnerHTML={{ __html: isNull ? '' : String(value) }}
+            />
+        );
+    };
+
+    return (
+        <div className="cell-editor">
+            {renderEditor()}
+            {editable && !isNull && !column.notNull && (
+                <button onClick={() => onCommit(null)} className="cell-btn cell-null-btn" title="Set NULL">∅</button>
+            )}
+            {jsonOpen && (
+                <JsonEditorDialog
+                    field={column.field}
+                    value={isNull ? '' : String(value)}
+                    editable={editable}
+                    onSave={(text) => { setJsonOpen(false); onCommit(text); }}
+                    onCancel={() => setJsonOpen(false)}
+                />
+            )}
+        </div>
+    );
+}
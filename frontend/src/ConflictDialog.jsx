@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+
+const formatValue = (value) => (value === null || value === undefined ? 'NULL' : String(value));
+
+// --- Conflict Dialog Component ---
+
+/**
+ * Shown when the server refuses an update because someone else changed the row first.
+ * For every conflicting column the user keeps their value, takes the stored one, or
+ * types a merged value. `onResolve` receives { [field]: { choice, value } } where
+ * `value` is the attempted value for 'mine', the stored value for 'theirs' and the
+ * typed text for 'merge'.
+ */
+export default function ConflictDialog({ conflict, onResolve, onCancel }) {
+    const [choices, setChoices] = useState(() => Object.fromEntries(
+        conflict.conflicts.map(({ field, attempted }) => [field, { choice: 'mine', mergeText: formatValue(attempted) }])
+    ));
+
+    const setChoice = (field, changes) => {
+        setChoices(prev => ({ ...prev, [field]: { ...prev[field], ...changes } }));
+    };
+
+    const handleResolve = () => {
+        const resolutions = {};
+        for (const { field, attempted, current } of conflict.conflicts) {
+            const { choice, mergeText } = choices[field];
+            const value = choice === 'mine' ? attempted : choice === 'theirs' ? current : mergeText;
+            resolutions[field] = { choice, value };
+        }
+        onResolve(resolutions);
+    };
+
+    return (
+        <div className="modal-backdrop" role="dialog" aria-modal="true">
+            <div className="modal conflict-dialog">
+                <h3 className="header-title-small">Edit conflict in row {conflict.rowLabel}</h3>
+                <p className="conflict-intro">
+                    Someone else changed this row after you loaded it. Choose which value to keep for each column.
+                </p>
+
+                {conflict.conflicts.map(({ field, expected, current, attempted }) => {
+                    const { choice, mergeText } = choices[field];
+                    return (
+                        <div key={field} className="conflict-field">
+                            <div className="conflict-field-name">{field}</div>
+                            <div className="conflict-values">
+                                <span>You loaded: <code>{formatValue(expected)}</code></span>
+                                <span>Theirs: <code>{formatValue(current)}</code></span>
+                                <span>Yours: <code>{formatValue(attempted)}</code></span>
+                            </div>
+                            <div className="conflict-choices">
+                                <label>
+                                    <input type="radio" checked={choice === 'mine'} onChange={() => setChoice(field, { choice: 'mine' })} />
+                                    Keep mine
+                                </label>
+                                <label>
+                                    <input type="radio" checked={choice === 'theirs'} onChange={() => setChoice(field, { choice: 'theirs' })} />
+                                    Take theirs
+                                </label>
+                                <label>
+                                    <input type="radio" checked={choice === 'merge'} onChange={() => setChoice(field, { choice: 'merge' })} />
+                                    Merge
+                                </label>
+                            </div>
+                            {choice === 'merge' && (
+                                <textarea
+                                    className="conflict-merge-input"
+                                    value={mergeText}
+                                    onChange={(e) => setChoice(field, { mergeText: e.target.value })}
+                                    rows="3"
+                                />
+                            )}
+                        </div>
+                    );
+                })}
+
+                <div className="modal-actions">
+                    <button onClick={onCancel} className="btn btn-discard">Cancel</button>
+                    <button onClick={handleResolve} className="btn btn-save">Resolve</button>
+                </div>
+            </div>
+        </div>
+    );
+}
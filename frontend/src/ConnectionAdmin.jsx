@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { apiFetch } from './auth';
+
+/**
+ * Sends a JSON request to the connection routes and returns the parsed body, throwing
+ * the server's error message when it fails.
+ */
+const sendJson = async (url, method, body) => {
+    const response = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (response.status === 204) return null;
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `Request failed with status ${response.status}.`);
+    return data;
+};
+
+// Suggests a connection id for a file name, e.g. "staging-copy" for "Staging copy.db"
+const idFromFile = (file) => file.replace(/\.[^.]+$/, '').replace(/[^\w-]+/g, '-').slice(0, 64);
+
+// --- Connection Admin Component ---
+
+/**
+ * Admin dialog for the database connections (see GET /api/connections): open a
+ * database file from the server's database directory, create a new empty one, or
+ * close a connection. `onChange()` is called after every change so the pickers
+ * reload the list.
+ */
+export default function ConnectionAdmin({ API_BASE_URL, connections, files, readOnly, onChange, onClose }) {
+    const [draft, setDraft] = useState({ id: '', file: '', create: false });
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+
+    // Runs a change, then shows `success` and reloads the list, or shows the error
+    const runChange = async (change, success) => {
+        setLoading(true);
+        setError(null);
+        setNotice(null);
+        try {
+            await change();
+            setNotice(success);
+            await onChange();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleOpen = () => runChange(async () => {
+        await sendJson(`${API_BASE_URL}/connections`, 'POST', draft);
+        setDraft({ id: '', file: '', create: false });
+    }, `${draft.create ? 'Created' : 'Opened'} ${draft.file} as ${draft.id}.`);
+
+    const handleClose = (connection) => {
+        if (!window.confirm(`Close the database ${connection.id}? The file ${connection.file} is kept.`)) return;
+        runChange(() => sendJson(`${API_BASE_URL}/connections/${encodeURIComponent(connection.id)}`, 'DELETE'), `Closed ${connection.id}.`);
+    };
+
+    const chooseFile = (file) => {
+        setDraft(prev => ({ ...prev, file, id: prev.id || idFromFile(file) }));
+    };
+
+    return (
+        <div className="modal-backdrop" role="dialog" aria-modal="true">
+            <div className="modal connection-admin">
+                <h3 className="header-title-small">Databases</h3>
+
+                {error && <div className="message error" role="alert">{error}</div>}
+                {notice && <div className="message success" role="status">{notice}</div>}
+
+                <table className="schema-table">
+                    <thead>
+                        <tr><th>Connection</th><th>File</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        {connections.map(connection => (
+                            <tr key={connection.id}>
+                                <td>{connection.id}</td>
+                                <td>{connection.main ? <span className="schema-empty">prisma/schema.prisma</span> : connection.file}</td>
+                                <td className="user-actions">
+                                    {!connection.main && (
+                                        <button onClick={() => handleClose(connection)} className="pager-btn" disabled={loading}>Close</button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                <div className="schema-section-title">Open a database</div>
+                <div className="schema-row">
+                    <label className="staged-toggle">
+                        <input
+                            type="checkbox"
+                            checked={draft.create}
+                            onChange={(e) => setDraft(prev => ({ ...prev, create: e.target.checked, file: '' }))}
+                            disabled={readOnly}
+                        />
+                        Create a new file
+                    </label>
+                    {draft.create ? (
+                        <input
+                            className="schema-input schema-input-small"
+                            placeholder="File name, e.g. staging.db"
+                            value={draft.file}
+                            onChange={(e) => chooseFile(e.target.value)}
+                        />
+                    ) : (
+                        <select
+                            className="schema-input schema-input-small"
+                            value={draft.file}
+                            onChange={(e) => chooseFile(e.target.value)}
+                        >
+                            <option value="">{files.length > 0 ? 'Choose a file' : 'No other database files'}</option>
+                            {files.map(file => <option key={file} value={file}>{file}</option>)}
+                        </select>
+                    )}
+                    <input
+                        className="schema-input schema-input-small"
+                        placeholder="Connection id"
+                        value={draft.id}
+                        onChange={(e) => setDraft(prev => ({ ...prev, id: e.target.value }))}
+                    />
+                    <button onClick={handleOpen} className="pager-btn" disabled={loading || !draft.file || !draft.id}>
+                        {draft.create ? 'Create' : 'Open'}
+                    </button>
+                </div>
+                <p className="schema-empty">
+                    Files are looked up in the server's database directory (DATABASE_DIR), next to the main database by default.
+                </p>
+
+                <div className="modal-actions">
+                    <button onClick={onClose} className="btn btn-save">Close</button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,519 @@
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { useGridLayout, MIN_COLUMN_WIDTH } from './gridLayout';
+import { cellText, toTsv, parseTsv, pastedValue } from './gridClipboard';
+
+// Must match .grid-table rows in EditableTable.css
+const ROW_HEIGHT = 44;
+// Rows and columns rendered beyond the visible ones, so scrolling doesn't show gaps
+const ROW_OVERSCAN = 10;
+const COLUMN_OVERSCAN = 2;
+
+/**
+ * True for the inline editors of a cell (text, numbers, dates), where keys are typed
+ * rather than used to move around the grid.
+ */
+const isInlineEditor = (target) => (
+    target.isContentEditable || (target.tagName === 'INPUT' && target.type !== 'checkbox')
+);
+
+/**
+ * Puts the cursor into a cell's editor, with its text selected so typing replaces it.
+ * Editors that open a list or dialog (foreign keys, JSON) and checkboxes are clicked
+ * instead, unless `typing` (a key that should land in a text field) started the edit.
+ */
+const editCell = (cell, typing) => {
+    const editor = cell && cell.querySelector('.editable-content.editable, .cell-input:not([readonly])');
+    if (editor) {
+        editor.focus();
+        if (editor.isContentEditable) {
+            const range = document.createRange();
+            range.selectNodeContents(editor);
+            window.getSelection().removeAllRanges();
+            window.getSelection().addRange(range);
+        } else {
+            editor.select();
+        }
+        return;
+    }
+    const control = !typing && cell && cell.querySelector('.fk-value.editable, .json-preview, .cell-checkbox:not(:disabled)');
+    if (control) control.click();
+};
+
+// --- Data Grid Component ---
+
+/**
+ * Spreadsheet-like grid for the rows of a table. Only the rows and columns in view are
+ * rendered. Cells are selected with the mouse or the keyboard (arrows, Tab, Enter; Shift
+ * extends the selection), F2 or typing edits the active cell, Ctrl+C copies the
+ * selection as TSV, Ctrl+V pastes a block (one value fills the selection, rows past the
+ * end become new rows) and Ctrl+D fills the selection down from its first row. Columns
+ * can be resized, dragged into another order and hidden; the layout is kept per table of
+ * the database at `API_BASE_URL`.
+ *
+ * The editor renders the cells (`renderCell`, `renderActions`) and applies pasted and
+ * filled values: `onChangeCells({ updates: [{ row, field, value }], inserts: [{ field:
+ * value }] }, label)` gets them converted for their columns. `getCellValue(row, col)` is
+ * the value a cell shows and `canEditCell(row, col)` tells whether it may be changed.
+ */
+export default function DataGrid({
+    API_BASE_URL, tableName, columns, rows, getRowKey, rowClassName, cellClassName, renderCell, renderActions, actionsWidth,
+    sort, onSort, sortDisabled, renderFilter, filterActions, emptyMessage,
+    getCellValue, canEditCell, canAddRows, onChangeCells, onMessage,
+}) {
+    const scrollRef = useRef(null);
+    const theadRef = useRef(null);
+    // Set while the mouse selects cells, or right after a column was resized (so the
+    // click that ends it doesn't sort)
+    const selectingRef = useRef(false);
+    const resizedRef = useRef(false);
+    const [viewport, setViewport] = useState({ top: 0, left: 0, width: 0, height: 0 });
+    // Active cell (`focus`) and the other corner of the selected range (`anchor`), as
+    // { row, col } indices into `rows` and the visible columns
+    const [selection, setSelection] = useState(null);
+    // Column being resized: { field, width }
+    const [resizing, setResizing] = useState(null);
+    // Column being dragged to another place, and where it would go: { field, before }
+    const [dragging, setDragging] = useState(null);
+    const [showColumns, setShowColumns] = useState(false);
+
+    const {
+        orderedColumns, visibleColumns, hiddenCount, widthOf, resizeColumn, moveColumn, setHidden, resetLayout,
+    } = useGridLayout(API_BASE_URL, tableName, columns);
+
+    const columnWidth = (field) => (resizing && resizing.field === field ? resizing.width : widthOf(field));
+    const widths = visibleColumns.map(col => columnWidth(col.field));
+    const offsets = [];
+    widths.reduce((left, width) => { offsets.push(left); return left + width; }, 0);
+    const totalWidth = widths.reduce((sum, width) => sum + width, 0);
+
+    // Keep track of the visible part of the grid
+    useLayoutEffect(() => {
+        const element = scrollRef.current;
+        const observer = new ResizeObserver(() => {
+            setViewport({ top: element.scrollTop, left: element.scrollLeft, width: element.clientWidth, height: element.clientHeight });
+        });
+        observer.observe(element);
+        return () => observer.disconnect();
+    }, []);
+
+    useEffect(() => {
+        const stopSelecting = () => { selectingRef.current = false; };
+        window.addEventListener('mouseup', stopSelecting);
+        return () => window.removeEventListener('mouseup', stopSelecting);
+    }, []);
+
+    const handleScroll = (e) => {
+        const { scrollTop, scrollLeft, clientWidth, clientHeight } = e.target;
+        setViewport({ top: scrollTop, left: scrollLeft, width: clientWidth, height: clientHeight });
+    };
+
+    // The rendered window of rows and columns
+    const firstRow = Math.max(0, Math.floor(viewport.top / ROW_HEIGHT) - ROW_OVERSCAN);
+    const lastRow = Math.min(rows.length, Math.ceil((viewport.top + viewport.height) / ROW_HEIGHT) + ROW_OVERSCAN);
+    let firstCol = 0;
+    while (firstCol < visibleColumns.length - 1 && offsets[firstCol] + widths[firstCol] < viewport.left) firstCol += 1;
+    firstCol = Math.max(0, firstCol - COLUMN_OVERSCAN);
+    let lastCol = firstCol;
+    while (lastCol < visibleColumns.length && offsets[lastCol] < viewport.left + viewport.width) lastCol += 1;
+    lastCol = Math.min(visibleColumns.length, lastCol + COLUMN_OVERSCAN);
+    const shownColumns = visibleColumns.slice(firstCol, lastCol);
+    const leftSpace = offsets[firstCol] || 0;
+    const rightSpace = lastCol < visibleColumns.length ? totalWidth - offsets[lastCol] : 0;
+
+    // --- Selection ---
+
+    const maxRow = rows.length - 1;
+    const maxCol = visibleColumns.length - 1;
+    const clampCell = (cell) => ({
+        row: Math.min(Math.max(cell.row, 0), maxRow),
+        col: Math.min(Math.max(cell.col, 0), maxCol),
+    });
+    // Rows and columns may have gone since the selection was made
+    const current = selection && maxRow >= 0 && maxCol >= 0
+        ? { anchor: clampCell(selection.anchor), focus: clampCell(selection.focus) }
+        : null;
+    const range = current && {
+        top: Math.min(current.anchor.row, current.focus.row),
+        bottom: Math.max(current.anchor.row, current.focus.row),
+        left: Math.min(current.anchor.col, current.focus.col),
+        right: Math.max(current.anchor.col, current.focus.col),
+    };
+    const isSelected = (row, col) => Boolean(range) && row >= range.top && row <= range.bottom && col >= range.left && col <= range.right;
+
+    const focusGrid = () => scrollRef.current.focus({ preventScroll: true });
+
+    // Scrolls so the cell is in view, below the sticky header
+    const scrollToCell = ({ row, col }) => {
+        const element = scrollRef.current;
+        const headerHeight = theadRef.current ? theadRef.current.offsetHeight : 0;
+        const top = row * ROW_HEIGHT;
+        if (top < element.scrollTop) element.scrollTop = top;
+        else if (headerHeight + top + ROW_HEIGHT > element.scrollTop + element.clientHeight) {
+            element.scrollTop = headerHeight + top + ROW_HEIGHT - element.clientHeight;
+        }
+        if (offsets[col] < element.scrollLeft) element.scrollLeft = offsets[col];
+        else if (offsets[col] + widths[col] > element.scrollLeft + element.clientWidth) {
+            element.scrollLeft = offsets[col] + widths[col] - element.clientWidth;
+        }
+    };
+
+    const moveTo = (cell, extend = false) => {
+        const next = clampCell(cell);
+        setSelection({ anchor: extend && current ? current.anchor : next, focus: next });
+        scrollToCell(next);
+    };
+
+    const cellElement = ({ row, col }) => scrollRef.current.querySelector(`[data-cell="${row}:${col}"]`);
+
+    // Tabbing into the grid starts at its first cell
+    const handleFocus = (e) => {
+        if (e.target === scrollRef.current && maxRow >= 0 && maxCol >= 0) {
+            setSelection(prev => prev || { anchor: { row: 0, col: 0 }, focus: { row: 0, col: 0 } });
+        }
+    };
+
+    const handleCellMouseDown = (e, row, col) => {
+        if (e.button !== 0) return;
+        const cell = { row, col };
+        setSelection(e.shiftKey && current ? { anchor: current.anchor, focus: cell } : { anchor: cell, focus: cell });
+        selectingRef.current = true;
+    };
+
+    const handleCellMouseEnter = (row, col) => {
+        if (selectingRef.current && current) setSelection({ anchor: current.anchor, focus: { row, col } });
+    };
+
+    // --- Changing cells ---
+
+    // Writes a block of cell texts with its top left corner at (top, left). Rows past the
+    // end become new rows; cells that can't be changed are skipped and reported.
+    const pasteBlock = (top, left, block) => {
+        const updates = [];
+        const inserts = [];
+        const problems = [];
+        let readOnly = 0;
+        block.forEach((texts, i) => {
+            const row = rows[top + i];
+            if (!row && !canAddRows) return;
+            const inserted = {};
+            texts.forEach((text, j) => {
+                const col = visibleColumns[left + j];
+                if (!col) return;
+                if (row ? !canEditCell(row, col) : col.virtual) {
+                    readOnly += 1;
+                    return;
+                }
+                try {
+                    const value = pastedValue(text, col);
+                    if (row) updates.push({ row, field: col.field, value });
+                    else inserted[col.field] = value;
+                } catch (err) {
+                    problems.push(`row ${top + i + 1}, ${col.field}: ${err.message}`);
+                }
+            });
+            if (!row) inserts.push(inserted);
+        });
+
+        if (problems.length > 0 || readOnly > 0) {
+            const skipped = [readOnly > 0 ? `${readOnly} read-only cell(s)` : null, ...problems.slice(0, 3)].filter(Boolean);
+            onMessage(`Skipped ${readOnly + problems.length} cell(s): ${skipped.join('; ')}${problems.length > 3 ? '; ...' : ''}`, 'error');
+        }
+        if (updates.length > 0 || inserts.length > 0) onChangeCells({ updates, inserts }, 'Paste');
+
+        const width = Math.max(...block.map(texts => texts.length));
+        setSelection({ anchor: clampCell({ row: top, col: left }), focus: clampCell({ row: top + block.length - 1, col: left + width - 1 }) });
+    };
+
+    // Copies the first row of the selection into the rows below it, or with only one row
+    // selected, the row above into it
+    const fillDown = () => {
+        const sourceIndex = range.top === range.bottom ? range.top - 1 : range.top;
+        if (sourceIndex < 0) return;
+        const source = rows[sourceIndex];
+        const updates = [];
+        for (let r = sourceIndex + 1; r <= range.bottom; r += 1) {
+            for (let c = range.left; c <= range.right; c += 1) {
+                const col = visibleColumns[c];
+                if (canEditCell(rows[r], col)) updates.push({ row: rows[r], field: col.field, value: getCellValue(source, col) });
+            }
+        }
+        if (updates.length > 0) onChangeCells({ updates, inserts: [] }, 'Fill down');
+    };
+
+    const handleCopy = (e) => {
+        if (e.target !== scrollRef.current || !range) return;
+        e.preventDefault();
+        const texts = rows.slice(range.top, range.bottom + 1).map(row => (
+            visibleColumns.slice(range.left, range.right + 1).map(col => cellText(getCellValue(row, col)))
+        ));
+        e.clipboardData.setData('text/plain', toTsv(texts));
+    };
+
+    const handlePaste = (e) => {
+        if (e.target !== scrollRef.current || !range) return;
+        e.preventDefault();
+        let block = parseTsv(e.clipboardData.getData('text/plain'));
+        // One value fills the whole selection, as in spreadsheets
+        if (block.length === 1 && block[0].length === 1) {
+            block = Array.from({ length: range.bottom - range.top + 1 }, () => Array(range.right - range.left + 1).fill(block[0][0]));
+        }
+        pasteBlock(range.top, range.left, block);
+    };
+
+    // --- Keyboard ---
+
+    const handleKeyDown = (e) => {
+        const { target } = e;
+        if (!current || (target !== scrollRef.current && !target.closest('.grid-cell')) || target.closest('.modal, .fk-dropdown')) return;
+        const { row, col } = current.focus;
+
+        if (isInlineEditor(target)) {
+            // Enter and Tab finish the edit and move on; Escape (which drops the edit)
+            // goes back to the grid once the editor has reset
+            if (e.key === 'Escape') {
+                setTimeout(focusGrid);
+            } else if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab') {
+                e.preventDefault();
+                target.blur();
+                const next = e.key === 'Enter' ? { row: row + 1, col } : { row, col: col + (e.shiftKey ? -1 : 1) };
+                moveTo(next);
+                focusGrid();
+            }
+            return;
+        }
+
+        const jump = e.ctrlKey || e.metaKey;
+        const pageRows = Math.max(1, Math.floor(viewport.height / ROW_HEIGHT) - 1);
+        const moves = {
+            ArrowUp: { row: jump ? 0 : row - 1, col },
+            ArrowDown: { row: jump ? maxRow : row + 1, col },
+            ArrowLeft: { row, col: jump ? 0 : col - 1 },
+            ArrowRight: { row, col: jump ? maxCol : col + 1 },
+            Home: { row: jump ? 0 : row, col: 0 },
+            End: { row: jump ? maxRow : row, col: maxCol },
+            PageUp: { row: row - pageRows, col },
+            PageDown: { row: row + pageRows, col },
+        };
+        if (moves[e.key]) {
+            e.preventDefault();
+            moveTo(moves[e.key], e.shiftKey);
+            return;
+        }
+        if (target !== scrollRef.current) return; // Enter, Space and letters belong to buttons and checkboxes
+
+        const key = e.key.toLowerCase();
+        if (e.key === 'Tab') {
+            // Moves along the row and on to the next one; leaves the grid at either end
+            const next = e.shiftKey
+                ? (col > 0 ? { row, col: col - 1 } : { row: row - 1, col: maxCol })
+                : (col < maxCol ? { row, col: col + 1 } : { row: row + 1, col: 0 });
+            if (next.row < 0 || next.row > maxRow) return;
+            e.preventDefault();
+            moveTo(next);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            moveTo({ row: row + (e.shiftKey ? -1 : 1), col });
+        } else if (e.key === 'Escape') {
+            setSelection({ anchor: current.focus, focus: current.focus });
+        } else if (e.key === 'F2') {
+            e.preventDefault();
+            editCell(cellElement(current.focus), false);
+        } else if (jump && key === 'a') {
+            e.preventDefault();
+            setSelection({ anchor: { row: 0, col: 0 }, focus: { row: maxRow, col: maxCol } });
+        } else if (jump && key === 'd') {
+            e.preventDefault();
+            fillDown();
+        } else if (e.key.length === 1 && !jump && !e.altKey) {
+            // The key goes on to the editor, replacing the selected text
+            editCell(cellElement(current.focus), true);
+        }
+    };
+
+    // --- Columns ---
+
+    const startResize = (e, field) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const startX = e.clientX;
+        const startWidth = widthOf(field);
+        let width = startWidth;
+        const handleMove = (move) => {
+            width = Math.max(MIN_COLUMN_WIDTH, startWidth + move.clientX - startX);
+            setResizing({ field, width });
+        };
+        const handleUp = () => {
+            window.removeEventListener('mousemove', handleMove);
+            window.removeEventListener('mouseup', handleUp);
+            resizedRef.current = true;
+            setTimeout(() => { resizedRef.current = false; });
+            setResizing(null);
+            resizeColumn(field, width);
+        };
+        window.addEventListener('mousemove', handleMove);
+        window.addEventListener('mouseup', handleUp);
+    };
+
+    const handleHeaderClick = (field) => {
+        if (!resizedRef.current && !sortDisabled) onSort(field);
+    };
+
+    // Dropping on the left half of a header puts the column before it, else after it
+    const handleDragOver = (e, index) => {
+        if (!dragging) return;
+        e.preventDefault();
+        const box = e.currentTarget.getBoundingClientRect();
+        const target = e.clientX < box.left + box.width / 2 ? index : index + 1;
+        const before = target < visibleColumns.length ? visibleColumns[target].field : null;
+        if (before !== dragging.before) setDragging(prev => ({ ...prev, before }));
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        if (dragging && dragging.before !== dragging.field) moveColumn(dragging.field, dragging.before);
+        setDragging(null);
+    };
+
+    const columnCount = shownColumns.length + (leftSpace > 0 ? 1 : 0) + (rightSpace > 0 ? 1 : 0) + 1;
+    const spacerRow = (key, height) => <tr key={key} aria-hidden="true" className="grid-spacer" style={{ height }} />;
+
+    return (
+        <>
+            <div className="grid-toolbar">
+                <button onClick={() => setShowColumns(shown => !shown)} className="pager-btn" aria-expanded={showColumns}>
+                    Columns{hiddenCount > 0 ? ` (${hiddenCount} hidden)` : ''}
+                </button>
+                <span className="grid-hint">
+                    Arrows, Tab and Enter move, Shift selects, F2 or typing edits, Ctrl+C/Ctrl+V copy and paste, Ctrl+D fills down.
+                </span>
+                {showColumns && (
+                    <div className="grid-columns-menu">
+                        {orderedColumns.map(col => {
+                            const shown = visibleColumns.includes(col);
+                            return (
+                                <label key={col.field} className="query-option">
+                                    <input
+                                        type="checkbox"
+                                        checked={shown}
+                                        // The grid needs at least one column
+                                        disabled={shown && visibleColumns.length === 1}
+                                        onChange={(e) => setHidden(col.field, !e.target.checked)}
+                                    />
+                                    {col.field}
+                                </label>
+                            );
+                        })}
+                        <button onClick={resetLayout} className="pager-btn">Reset widths, order and hidden columns</button>
+                    </div>
+                )}
+            </div>
+
+            <div
+                className="grid-scroll"
+                ref={scrollRef}
+                tabIndex={0}
+                onScroll={handleScroll}
+                onFocus={handleFocus}
+                onKeyDown={handleKeyDown}
+                onCopy={handleCopy}
+                onPaste={handlePaste}
+            >
+                <table className="data-table grid-table" style={{ width: totalWidth + actionsWidth }}>
+                    <colgroup>
+                        {leftSpace > 0 && <col style={{ width: leftSpace }} />}
+                        {shownColumns.map(col => <col key={col.field} style={{ width: columnWidth(col.field) }} />)}
+                        {rightSpace > 0 && <col style={{ width: rightSpace }} />}
+                        <col style={{ width: actionsWidth }} />
+                    </colgroup>
+                    <thead className="table-header" ref={theadRef}>
+                        <tr>
+                            {leftSpace > 0 && <th aria-hidden="true" />}
+                            {shownColumns.map((col, i) => {
+                                const index = firstCol + i;
+                                const dropHere = dragging && dragging.field !== col.field && dragging.before === col.field;
+                                return (
+                                    <th
+                                        key={col.field}
+                                        className={`sortable-header${dropHere ? ' drop-before' : ''}${dragging?.field === col.field ? ' dragging' : ''}`}
+                                        onClick={() => handleHeaderClick(col.field)}
+                                        title={`Sort by ${col.field}; drag to move the column`}
+                                        draggable
+                                        onDragStart={(e) => {
+                                            e.dataTransfer.effectAllowed = 'move';
+                                            e.dataTransfer.setData('text/plain', col.field);
+                                            setDragging({ field: col.field, before: col.field });
+                                        }}
+                                        onDragOver={(e) => handleDragOver(e, index)}
+                                        onDrop={handleDrop}
+                                        onDragEnd={() => setDragging(null)}
+                                    >
+                                        {col.field}
+                                        <span className="type-info">({col.type.replace('?', '')})</span>
+                                        {sort.field === col.field && (
+                                            <span className="sort-indicator">{sort.order === 'asc' ? '▲' : '▼'}</span>
+                                        )}
+                                        <span
+                                            className="column-resizer"
+                                            onMouseDown={(e) => startResize(e, col.field)}
+                                            onClick={(e) => e.stopPropagation()}
+                                            title="Drag to resize"
+                                        />
+                                    </th>
+                                );
+                            })}
+                            {rightSpace > 0 && (
+                                <th
+                                    aria-hidden="true"
+                                    className={dragging && dragging.before === null ? 'drop-before' : ''}
+                                    onDragOver={(e) => { if (dragging) { e.preventDefault(); setDragging(prev => ({ ...prev, before: null })); } }}
+                                    onDrop={handleDrop}
+                                />
+                            )}
+                            <th className="action-header">Actions</th>
+                        </tr>
+                        <tr className="filter-row">
+                            {leftSpace > 0 && <th aria-hidden="true" />}
+                            {shownColumns.map(col => <th key={col.field}>{renderFilter(col)}</th>)}
+                            {rightSpace > 0 && <th aria-hidden="true" />}
+                            <th className="action-header">{filterActions}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.length === 0 && emptyMessage && (
+                            <tr>
+                                <td colSpan={columnCount} className="empty-state">{emptyMessage}</td>
+                            </tr>
+                        )}
+                        {firstRow > 0 && spacerRow('top', firstRow * ROW_HEIGHT)}
+                        {rows.slice(firstRow, lastRow).map((row, i) => {
+                            const rowIndex = firstRow + i;
+                            return (
+                                <tr key={getRowKey(row) || rowIndex} className={rowClassName(row)} style={{ height: ROW_HEIGHT }}>
+                                    {leftSpace > 0 && <td aria-hidden="true" />}
+                                    {shownColumns.map((col, j) => {
+                                        const colIndex = firstCol + j;
+                                        const active = current && current.focus.row === rowIndex && current.focus.col === colIndex;
+                                        return (
+                                            <td
+                                                key={col.field}
+                                                data-cell={`${rowIndex}:${colIndex}`}
+                                                className={`table-cell grid-cell ${cellClassName(row, col)}${isSelected(rowIndex, colIndex) ? ' selected-cell' : ''}${active ? ' active-cell' : ''}`}
+                                                onMouseDown={(e) => handleCellMouseDown(e, rowIndex, colIndex)}
+                                                onMouseEnter={() => handleCellMouseEnter(rowIndex, colIndex)}
+                                            >
+                                                {renderCell(row, col)}
+                                            </td>
+                                        );
+                                    })}
+                                    {rightSpace > 0 && <td aria-hidden="true" />}
+                                    <td className="table-cell action-cell">{renderActions(row)}</td>
+                                </tr>
+                            );
+                        })}
+                        {lastRow < rows.length && spacerRow('bottom', (rows.length - lastRow) * ROW_HEIGHT)}
+                    </tbody>
+                </table>
+            </div>
+        </>
+    );
+}
@@ -1,69 +1,169 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import ConflictDialog from './ConflictDialog';
+import SchemaDesigner from './SchemaDesigner';
+import ExportButton from './ExportButton';
+import ImportWizard from './ImportWizard';
+import ForeignKeyCell from './ForeignKeyCell';
+import CellEditor from './CellEditor';
+import DataGrid from './DataGrid';
+import AuditLog from './AuditLog';
+import ErDiagram from './ErDiagram';
+import RowDetail from './RowDetail';
+import { columnKind, initialCellValue, parseCellInput, formatCellValue, isSameCellValue } from './cellTypes';
+import { fetchLookup } from './lookup';
+import { downloadFile } from './download';
+import { CLIENT_ID, useLiveEvents } from './liveUpdates';
+import { apiFetch, useAuth } from './auth';
 
-// Primary Key Name - Defined here for use in the component logic
-const pkName = 'id';
+// How long rows changed by other users stay highlighted
+const LIVE_HIGHLIGHT_MS = 4000;
+
+// Page sizes offered by the pager
+const PAGE_SIZES = [25, 50, 100, 250, 500, 1000];
+
+// Width of the grid's actions column (details, history, references, delete)
+const ACTIONS_WIDTH = 290;
+
+// Filter operators understood by GET /api/data/:tableName
+const FILTER_OPERATORS = [
+  { op: 'contains', label: 'contains' },
+  { op: 'eq', label: '=' },
+  { op: 'neq', label: '≠' },
+  { op: 'gt', label: '>' },
+  { op: 'gte', label: '≥' },
+  { op: 'lt', label: '<' },
+  { op: 'lte', label: '≤' },
+  { op: 'between', label: 'between' },
+  { op: 'isnull', label: 'is NULL' },
+  { op: 'notnull', label: 'not NULL' },
+];
+
+const DEFAULT_VIEW = { page: 1, limit: PAGE_SIZES[1], sort: null, order: 'asc', filters: {} };
 
 // --- Utility Functions ---
 
 /**
- * Converts a string value from a contentEditable cell into the correct JavaScript type 
- * based on the expected column type from the Prisma schema (for saving to DB).
+ * Identifies a row in the editor. New rows use their temporary id; saved rows use the
+ * JSON-encoded list of their primary key values, which is also the :id the PUT/DELETE
+ * routes expect (URL-encoded).
  */
-const safeTypeConvert = (value, columnType) => {
-  if (value === null || value === '' || String(value).toLowerCase() === 'null') {
-    return null; 
-  }
+const getRowId = (row, primaryKey) => (
+  row.isNew ? row.tempId : JSON.stringify(primaryKey.map(field => row[field]))
+);
 
-  // Boolean Conversion (handles common true/false representations)
-  if (columnType.includes('Boolean')) {
-    const lowerValue = String(value).toLowerCase();
-    if (lowerValue === 'true' || lowerValue === '1' || lowerValue === 't' || lowerValue === 'yes') {
-      return true;
-    }
-    if (lowerValue === 'false' || lowerValue === '0' || lowerValue === 'f' || lowerValue === 'no') {
-      return false;
-    }
-    return !!value; 
-  }
+/**
+ * Human-readable row label for messages, e.g. "5" or "3, 7" for composite keys.
+ */
+const getRowLabel = (row, primaryKey) => (
+  row.isNew ? 'new row' : primaryKey.map(field => row[field]).join(', ')
+);
 
-  // Numeric Conversion (Int, Float, Decimal)
-  if (columnType.includes('Int') || columnType.includes('Float') || columnType.includes('Decimal')) {
-    const parsedValue = parseFloat(value);
-    if (!isNaN(parsedValue) && isFinite(parsedValue)) {
-      return columnType.includes('Int') ? parseInt(parsedValue, 10) : parsedValue;
-    }
-    return null; 
+/**
+ * Ids of the audit entries a write created, from the X-Audit-Ids response header.
+ */
+const auditIdsOf = (response) => (
+  (response.headers.get('X-Audit-Ids') || '').split(',').filter(Boolean).map(Number)
+);
+
+/**
+ * True when a key event is meant for a text field rather than for the grid.
+ */
+const isTextTarget = (target) => (
+  target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+);
+
+/**
+ * Builds the query string for GET /api/data/:tableName from the current view.
+ * Filters without a value are skipped, except the NULL checks which take none.
+ * Exports pass `paged: false` to get every matching row.
+ */
+const buildViewQuery = (view, { paged = true } = {}) => {
+  const params = new URLSearchParams(paged ? { page: view.page, limit: view.limit } : {});
+  if (view.sort) {
+    params.set('sort', view.sort);
+    params.set('order', view.order);
   }
 
-  // Default: String
-  return String(value);
+  const filters = Object.entries(view.filters)
+    .filter(([, { op, value }]) => op === 'isnull' || op === 'notnull' || String(value ?? '').trim() !== '')
+    .map(([field, { op, value }]) => ({
+      field,
+      op,
+      // "between" is typed as "from..to" in the filter row
+      value: op === 'between' ? String(value).split('..').map(v => v.trim()) : value,
+    }));
+  if (filters.length > 0) params.set('filter', JSON.stringify(filters));
+
+  return params.toString();
 };
 
 
 // --- Table Editor Component ---
 
 // Note: API_BASE_URL is passed as a prop from App.jsx now.
-export default function TableEditor({ tables, selectedTable, setSelectedTable, API_BASE_URL }) {
+// `setSelectedTable(tableName, filters)` opens another table, optionally pre-filtered;
+// `initialFilters` are the filters this table was opened with; `initialDetail` opens the
+// first matching row in the detail drawer.
+export default function TableEditor({ tables, selectedTable, setSelectedTable, initialFilters, initialDetail, onSchemaChange, API_BASE_URL }) {
   const [data, setData] = useState([]);
   const [columns, setColumns] = useState([]);
+  const [primaryKey, setPrimaryKey] = useState([]);
   const [newRows, setNewRows] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [editCache, setEditCache] = useState({});
+  const [view, setView] = useState(() => (initialFilters ? { ...DEFAULT_VIEW, filters: initialFilters } : DEFAULT_VIEW));
+  const [filterDraft, setFilterDraft] = useState(initialFilters || {});
+  const [totalRows, setTotalRows] = useState(0);
+  // Staged mode collects edits, new rows and deletions and commits them in one batch
+  const [stagedMode, setStagedMode] = useState(false);
+  const [pendingDeletes, setPendingDeletes] = useState({});
+  // Set when the server refuses a stale update: { id, rowLabel, conflicts, current }
+  const [conflict, setConflict] = useState(null);
+  // Rows other users just inserted or updated, keyed by row id
+  const [liveChanged, setLiveChanged] = useState({});
+  // Which schema designer is open: 'new' table, 'edit' the selected one, or null
+  const [designer, setDesigner] = useState(null);
+  // Import wizard: null when closed, otherwise { createdTable } once it created a table
+  const [importer, setImporter] = useState(null);
+  // Foreign keys in other tables that point at this one: [{ table, from, to }]
+  const [referencedBy, setReferencedBy] = useState([]);
+  // Labels of referenced rows per foreign key column: { field: { value: label } }
+  const [fkLabels, setFkLabels] = useState({});
+  // Undo/redo steps made in this editor, each { ids: [audit entry id], label }
+  const [history, setHistory] = useState({ undo: [], redo: [] });
+  // Audit log dialog: null, {} for the whole table or { key, label } for one row
+  const [auditView, setAuditView] = useState(null);
+  // Whether the ER diagram of all tables is open
+  const [showDiagram, setShowDiagram] = useState(false);
+  // Row open in the detail drawer: { id }, or { edge: 'first' | 'last' } for the first
+  // or last row of a page still loading (paged to from the drawer, or the table's
+  // first page when it was opened with `initialDetail`)
+  const [detail, setDetail] = useState(initialDetail ? { edge: 'first' } : null);
+
+  // What the logged-in user may do here; the server checks it again on every request
+  const { can, canCreateTables } = useAuth();
+  const canWrite = Boolean(selectedTable) && can(selectedTable, 'write');
+  const canAlter = Boolean(selectedTable) && can(selectedTable, 'ddl');
+  const readableReferences = referencedBy.filter(reference => can(reference.table, 'read'));
 
   const showMessage = (msg, type = 'error') => {
     setError({ message: msg, type });
     setTimeout(() => setError(null), 5000);
   };
 
-  const fetchData = useCallback(async (tableName) => {
+  const fetchData = useCallback(async (tableName, view) => {
     if (!tableName) return;
     setLoading(true);
     setError(null);
     try {
-      const response = await fetch(`${API_BASE_URL}/data/${tableName}`);
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-      const { columns, data: fetchedData } = await response.json();
+      const response = await apiFetch(`${API_BASE_URL}/data/${tableName}?${buildViewQuery(view)}`);
+      if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        throw new Error(errorBody.error || `HTTP error! status: ${response.status}`);
+      }
+      const { columns, primaryKey, referencedBy, data: fetchedData } = await response.json();
+      setTotalRows(Number(response.headers.get('X-Total-Count')) || 0);
       
       const filteredColumns = columns.filter(
         (col) => col.field !== 'createdAt' && col.field !== 'updatedAt'
@@ -71,11 +171,14 @@ export default function TableEditor({ tables, selectedTable, setSelectedTable, A
       
       setData(Array.isArray(fetchedData) ? fetchedData : []);
       setColumns(filteredColumns);
+      setPrimaryKey(primaryKey || []);
+      setReferencedBy(referencedBy || []);
       setNewRows([]);
     } catch (err) {
-      showMessage(`Could not fetch data for table ${tableName}. Is the backend running?`, 'error');
+      showMessage(`Could not fetch data for table ${tableName}. ${err.message}`, 'error');
       setData([]);
       setColumns([]);
+      setPrimaryKey([]);
       console.error(err);
     } finally {
       setLoading(false);
@@ -83,32 +186,94 @@ export default function TableEditor({ tables, selectedTable, setSelectedTable, A
   }, [API_BASE_URL]); // dependency on API_BASE_URL
 
   
-  // Load Data when Table Selection Changes
+  // Reload the current page with the active sort and filters
+  const reloadData = useCallback(() => fetchData(selectedTable, view), [fetchData, selectedTable, view]);
+
+  // Load Data when the Table Selection or the view (page, sort, filters) Changes
   useEffect(() => {
     if (selectedTable) {
-      fetchData(selectedTable);
+      reloadData();
     }
-  }, [selectedTable, fetchData]);
+  }, [selectedTable, reloadData]);
+
+  const pageCount = Math.max(1, Math.ceil(totalRows / view.limit));
 
+  const goToPage = (page) => {
+    setView(prev => ({ ...prev, page: Math.min(Math.max(1, page), pageCount) }));
+  };
+
+  // Cycles a column through ascending -> descending -> unsorted
+  const handleSort = (field) => {
+    setView(prev => {
+      if (prev.sort !== field) return { ...prev, sort: field, order: 'asc', page: 1 };
+      if (prev.order === 'asc') return { ...prev, order: 'desc', page: 1 };
+      return { ...prev, sort: null, order: 'asc', page: 1 };
+    });
+  };
+
+  const handleFilterDraftChange = (field, changes) => {
+    setFilterDraft(prev => ({
+      ...prev,
+      [field]: { op: 'contains', value: '', ...(prev[field] || {}), ...changes },
+    }));
+  };
+
+  const applyFilters = () => {
+    setView(prev => ({ ...prev, filters: filterDraft, page: 1 }));
+  };
+
+  const clearFilters = () => {
+    setFilterDraft({});
+    setView(prev => ({ ...prev, filters: {}, page: 1 }));
+  };
+
+  // Shows the rows matching `filters` in a table: this one in place, others are opened
+  const navigateTo = (tableName, filters) => {
+    if (tableName === selectedTable) {
+      setFilterDraft(filters);
+      setView(prev => ({ ...prev, filters, page: 1 }));
+    } else {
+      setSelectedTable(tableName, filters);
+    }
+  };
+
+  // Follows a foreign key cell to the row it references
+  const openReferencedRow = (col, value) => {
+    navigateTo(col.references.table, { [col.references.column]: { op: 'eq', value } });
+  };
+
+  // Lists the rows of another table whose foreign key points at this row
+  const openReferencingRows = (row, reference) => {
+    navigateTo(reference.table, Object.fromEntries(
+      reference.from.map((field, i) => [field, { op: 'eq', value: row[reference.to[i]] }])
+    ));
+  };
+
+  // Download every row matching the current sort and filters (not just this page)
+  const handleExport = (format) => {
+    const query = buildViewQuery(view, { paged: false });
+    return downloadFile(`${API_BASE_URL}/export/${selectedTable}?${query}&format=${format}`, {}, `${selectedTable}.${format}`);
+  };
+
+  const blankRow = (tempId) => columns.reduce((acc, col) => {
+      if (col.pk) {
+          // Left empty so SQLite can assign integer keys; composite keys are typed in
+          acc[col.field] = null;
+      } else {
+          // Initialize based on type
+          acc[col.field] = initialCellValue(columnKind(col.type));
+      }
+      return acc;
+  }, { tempId, isNew: true });
 
   const handleAddRow = () => {
-    const tempId = `temp-${Date.now()}`;
-    const newRow = columns.reduce((acc, col) => {
-        if (col.field !== pkName) {
-            // Initialize based on type
-            acc[col.field] = col.type.includes('Int') || col.type.includes('Float') || col.type.includes('Decimal') ? null : 
-                             col.type.includes('Boolean') ? false : '';
-        }
-        return acc;
-    }, { [pkName]: tempId, isNew: true });
-    setNewRows(prev => [...prev, newRow]);
+    setNewRows(prev => [...prev, blankRow(`temp-${Date.now()}`)]);
   };
   
-  const handleCellEdit = useCallback((rowIndex, field, value) => {
-    const id = rowIndex;
+  const handleCellEdit = useCallback((id, field, value) => {
     if (String(id).startsWith('temp-')) {
         setNewRows(prev => prev.map(r => 
-            r[pkName] === id ? { ...r, [field]: value } : r
+            r.tempId === id ? { ...r, [field]: value } : r
         ));
     } else {
         setEditCache(prev => ({
@@ -121,16 +286,42 @@ export default function TableEditor({ tables, selectedTable, setSelectedTable, A
     }
   }, []);
 
+  // Remembers a successful write as one undo step (a new change clears the redo stack)
+  const recordUndoStep = (response, label) => {
+    const ids = auditIdsOf(response);
+    if (ids.length > 0) setHistory(prev => ({ undo: [...prev.undo, { ids, label }], redo: [] }));
+  };
+
+  // PUTs changes for one saved row together with the values we last saw, so the
+  // server can refuse the write if someone else changed the row in the meantime.
+  // A refused write throws an error carrying the server's `conflicts` and `current` row.
+  const saveRowChanges = async (id, changes, expected) => {
+    const response = await apiFetch(`${API_BASE_URL}/data/${selectedTable}/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
+      body: JSON.stringify({ changes, expected }),
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(`Failed to update cell: ${body.error || response.statusText}`);
+      if (response.status === 409) error.conflict = body;
+      throw error;
+    }
+    recordUndoStep(response, `update of row ${JSON.parse(id).join(', ')}`);
+    return body;
+  };
+
   const handleSaveCell = async (id, field, value) => {
     if (String(id).startsWith('temp-')) return; 
 
-    const column = columns.find(c => c.field === field);
-    if (!column) return;
-    const convertedValue = safeTypeConvert(value, column.type);
+    // Cell editors hand over values already converted for the column
+    if (!columns.some(c => c.field === field)) return;
     
     // Skip save if no change from the last committed value
-    const lastCommittedRow = data.find(r => r[pkName] === id);
-    if (lastCommittedRow && String(lastCommittedRow[field]) === String(convertedValue) && typeof convertedValue === typeof lastCommittedRow[field]) {
+    const lastCommittedRow = data.find(r => getRowId(r, primaryKey) === id);
+    const rowLabel = lastCommittedRow ? getRowLabel(lastCommittedRow, primaryKey) : id;
+    if (lastCommittedRow && isSameCellValue(lastCommittedRow[field], value)) {
         setEditCache(prev => { const newState = { ...prev }; delete newState[id]; return newState; });
         return;
     }
@@ -139,32 +330,127 @@ export default function TableEditor({ tables, selectedTable, setSelectedTable, A
     setEditCache(prev => { const newState = { ...prev }; delete newState[id]; return newState; });
 
     try {
-      const response = await fetch(`${API_BASE_URL}/data/${selectedTable}/${id}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ [field]: convertedValue }),
-      });
+      const expected = lastCommittedRow ? { [field]: lastCommittedRow[field] } : undefined;
+      const updatedRow = await saveRowChanges(id, { [field]: value }, expected);
+      setData(prevData => prevData.map(row => 
+        getRowId(row, primaryKey) === id ? { ...row, ...updatedRow } : row
+      ));
+      showMessage(`Cell ${field} in row ${rowLabel} updated.`, 'success');
 
-      if (!response.ok) {
-        const errorBody = await response.json();
-        throw new Error(`Failed to update cell: ${errorBody.error || response.statusText}`);
+    } catch (err) {
+      if (err.conflict) {
+        // Keep showing our value until the user decides how to resolve the conflict
+        setEditCache(prev => ({ ...prev, [id]: { ...(prev[id] || {}), [field]: value } }));
+        setConflict({ id, rowLabel, conflicts: err.conflict.conflicts, current: err.conflict.current });
+      } else {
+        showMessage(`Update failed for row ${rowLabel}. Reverting changes. ${err.message}`, 'error');
+        await reloadData(); 
       }
-      
-      const updatedRow = await response.json();
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Applies the choices made in the conflict dialog. Our copy of the row is replaced
+  // with the stored one, then the kept/merged values are saved (or re-staged) against it.
+  const handleResolveConflict = async (resolutions) => {
+    const { id, rowLabel, current } = conflict;
+
+    // Merged values are typed as text and converted for their column
+    const changes = {};
+    try {
+      for (const [field, { choice, value }] of Object.entries(resolutions)) {
+        if (choice === 'theirs') continue;
+        const column = columns.find(c => c.field === field);
+        changes[field] = choice === 'merge' && column ? parseCellInput(value, column.type) : value;
+      }
+    } catch (err) {
+      showMessage(`Cannot use the merged value: ${err.message}`, 'error');
+      return;
+    }
+
+    setConflict(null);
+    setData(prevData => prevData.map(row => 
+      getRowId(row, primaryKey) === id ? { ...row, ...current } : row
+    ));
+
+    setEditCache(prev => {
+      const rowEdits = { ...(prev[id] || {}) };
+      Object.keys(resolutions).forEach(field => { delete rowEdits[field]; });
+      if (stagedMode) {
+        // Re-stage the values we are keeping so the next commit checks them against the stored row
+        Object.entries(changes).forEach(([field, value]) => { rowEdits[field] = value; });
+      }
+      const newState = { ...prev };
+      if (Object.keys(rowEdits).length > 0) newState[id] = rowEdits; else delete newState[id];
+      return newState;
+    });
+
+    if (Object.keys(changes).length === 0) {
+      showMessage(`Kept the stored values for row ${rowLabel}.`, 'info');
+      return;
+    }
+    if (stagedMode) {
+      showMessage(`Conflict in row ${rowLabel} resolved. Commit again to apply your values.`, 'info');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const expected = Object.fromEntries(Object.keys(changes).map(field => [field, current[field]]));
+      const updatedRow = await saveRowChanges(id, changes, expected);
       setData(prevData => prevData.map(row => 
-        row[pkName] === id ? { ...row, ...updatedRow } : row
+        getRowId(row, primaryKey) === id ? { ...row, ...updatedRow } : row
       ));
-      showMessage(`Cell ${field} in row ${id} updated.`, 'success');
-
+      showMessage(`Conflict in row ${rowLabel} resolved.`, 'success');
     } catch (err) {
-      showMessage(`Update failed for row ${id}. Reverting changes. ${err.message}`, 'error');
-      await fetchData(selectedTable); 
+      if (err.conflict) {
+        // Changed yet again while the dialog was open
+        setConflict({ id, rowLabel, conflicts: err.conflict.conflicts, current: err.conflict.current });
+      } else {
+        showMessage(`Update failed for row ${rowLabel}. ${err.message}`, 'error');
+        await reloadData();
+      }
       console.error(err);
     } finally {
       setLoading(false);
     }
   };
   
+  // Converts a new row's cell strings into the typed payload the insert expects
+  const buildInsertPayload = (newRow) => {
+    const finalData = {};
+    columns.forEach(col => {
+        // The implicit rowid is never inserted explicitly
+        if (!col.virtual && newRow[col.field] !== undefined) {
+            // Cell editors already converted the value for the column
+            finalData[col.field] = newRow[col.field];
+        }
+    });
+    return finalData;
+  };
+
+  // Sends inserts, updates and deletes to the batch endpoint, which applies them in a
+  // single transaction. Throws with the server's message if the batch was rolled back.
+  const commitBatch = async (batch) => {
+    const response = await apiFetch(`${API_BASE_URL}/data/${selectedTable}/batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
+      body: JSON.stringify(batch),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const failed = result.operation ? ` (${result.operation.type} #${result.operation.index + 1})` : '';
+      const error = new Error(`${result.error || response.statusText}${failed}`);
+      if (response.status === 409) error.conflict = result;
+      throw error;
+    }
+    const count = (batch.inserts?.length || 0) + (batch.updates?.length || 0) + (batch.deletes?.length || 0);
+    recordUndoStep(response, `commit of ${count} change(s)`);
+    return result;
+  };
+
   const handleSaveNewRows = async () => {
     if (newRows.length === 0) {
       showMessage('No new rows to save.', 'info');
@@ -172,138 +458,592 @@ export default function TableEditor({ tables, selectedTable, setSelectedTable, A
     }
 
     setLoading(true);
-    let successCount = 0;
-    
-    for (const newRow of newRows) {
-      const dataToSave = { ...newRow };
-      delete dataToSave[pkName];
-      delete dataToSave.isNew;
-
-      const finalData = {};
-      columns.forEach(col => {
-          if (col.field !== pkName && dataToSave[col.field] !== undefined) {
-              // Ensure we are passing the converted value, not just the string from the cell
-              finalData[col.field] = safeTypeConvert(String(dataToSave[col.field]), col.type);
-          }
-      });
+    try {
+      const { inserted } = await commitBatch({ inserts: newRows.map(buildInsertPayload) });
+      showMessage(`${inserted.length} new row(s) saved successfully. Refreshing data...`, 'success');
+    } catch (err) {
+      showMessage(`No rows were saved. ${err.message}`, 'error');
+      setLoading(false);
+      return;
+    }
 
-      try {
-        const response = await fetch(`${API_BASE_URL}/data/${selectedTable}`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(finalData),
-        });
+    await reloadData();
+    setLoading(false);
+  };
 
-        if (!response.ok) {
-            const errorBody = await response.json();
-            throw new Error(`Failed to save row: ${errorBody.error || response.statusText}`);
-        }
-        successCount++;
-      } catch (err) {
-        showMessage(`Failed to save one or more rows. ${err.message}`, 'error');
-        setLoading(false);
-        return; 
+  // Applies values pasted or filled down in the grid. New rows and staged edits only
+  // change the cache; saved rows are written in one batch, so the whole paste is one
+  // undo step. Pasted rows past the end are added as new rows. Resolves to false when
+  // the batch was refused.
+  const handleGridChanges = async ({ updates, inserts }, label) => {
+    const changed = {};
+    updates.forEach(({ row, field, value }) => {
+      const id = getRowId(row, primaryKey);
+      if (row.isNew || stagedMode) {
+        handleCellEdit(id, field, value);
+      } else if (!isSameCellValue(row[field], value)) {
+        changed[id] = changed[id] || { row, changes: {} };
+        changed[id].changes[field] = value;
       }
-    }
-    
-    if (successCount > 0) {
-      showMessage(`${successCount} new row(s) saved successfully. Refreshing data...`, 'success');
+    });
+    if (inserts.length > 0) {
+      const stamp = Date.now();
+      setNewRows(prev => [...prev, ...inserts.map((values, i) => ({ ...blankRow(`temp-${stamp}-${i}`), ...values }))]);
     }
 
-    await fetchData(selectedTable);
-    setLoading(false);
+    const rowsToSave = Object.values(changed);
+    if (rowsToSave.length === 0) return true;
+    setLoading(true);
+    try {
+      const { updated } = await commitBatch({
+        updates: rowsToSave.map(({ row, changes }) => ({
+          key: primaryKey.map(field => row[field]),
+          changes,
+          expected: Object.fromEntries(Object.keys(changes).map(field => [field, row[field]])),
+        })),
+      });
+      const updatedRows = new Map(updated.map(row => [getRowId(row, primaryKey), row]));
+      setData(prevData => prevData.map(row => updatedRows.get(getRowId(row, primaryKey)) || row));
+      showMessage(`${label}: ${rowsToSave.length} row(s) updated.`, 'success');
+      return true;
+    } catch (err) {
+      showMessage(`${label} failed, nothing was saved. ${err.message}`, 'error');
+      // Someone else changed these rows; show what is stored now
+      if (err.conflict) await reloadData();
+      return false;
+    } finally {
+      setLoading(false);
+    }
   };
   
-  const handleDeleteRow = async (id) => {
-    if (!window.confirm(`Are you sure you want to delete row ${id}?`)) { return; }
-    if (String(id).startsWith('temp-')) { setNewRows(prev => prev.filter(row => row[pkName] !== id)); return; }
+  const handleDeleteRow = async (row) => {
+    const id = getRowId(row, primaryKey);
+    const rowLabel = getRowLabel(row, primaryKey);
+    if (stagedMode && !row.isNew) {
+      // Toggle the row's pending deletion instead of deleting it right away
+      setPendingDeletes(prev => {
+        const next = { ...prev };
+        if (next[id]) delete next[id]; else next[id] = row;
+        return next;
+      });
+      return;
+    }
+    if (!window.confirm(`Are you sure you want to delete row ${rowLabel}?`)) { return; }
+    if (row.isNew) { setNewRows(prev => prev.filter(r => r.tempId !== id)); return; }
 
     setLoading(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/data/${selectedTable}/${id}`, { method: 'DELETE' });
-      if (!response.ok) throw new Error(`Failed to delete row: ${response.statusText}`);
-      setData(prevData => prevData.filter(row => row[pkName] !== id));
-      showMessage(`Row ${id} deleted successfully.`, 'success');
+      const response = await apiFetch(`${API_BASE_URL}/data/${selectedTable}/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+        headers: { 'X-Client-Id': CLIENT_ID },
+      });
+      if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        throw new Error(`Failed to delete row: ${errorBody.error || response.statusText}`);
+      }
+      recordUndoStep(response, `deletion of row ${rowLabel}`);
+      setData(prevData => prevData.filter(r => getRowId(r, primaryKey) !== id));
+      showMessage(`Row ${rowLabel} deleted successfully.`, 'success');
     } catch (err) {
-      showMessage(`Deletion failed for row ${id}. ${err.message}`, 'error');
+      showMessage(`Deletion failed for row ${rowLabel}. ${err.message}`, 'error');
       console.error(err);
     } finally {
       setLoading(false);
     }
   };
+
+  // --- Undo / Redo ---
+
+  // Reverts the last undo (or redo) step on the server. Reverting is audited as well,
+  // so the entries it returns become the step for the opposite direction.
+  const revertStep = async (direction) => {
+    const stack = history[direction];
+    const step = stack[stack.length - 1];
+    // Staged edits are diffed against the loaded rows, which reverting would reload
+    if (!step || viewLocked) return;
+    const opposite = direction === 'undo' ? 'redo' : 'undo';
+
+    setLoading(true);
+    try {
+      const response = await apiFetch(`${API_BASE_URL}/audit/revert`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
+        body: JSON.stringify({ ids: step.ids }),
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(body.error || response.statusText);
+
+      setHistory(prev => ({
+        [direction]: prev[direction].slice(0, -1),
+        [opposite]: [...prev[opposite], { ids: body.ids, label: step.label }],
+      }));
+      showMessage(`${direction === 'undo' ? 'Undid' : 'Redid'} the ${step.label}.`, 'success');
+    } catch (err) {
+      // A step that can no longer be applied (the rows changed since) is dropped
+      setHistory(prev => ({ ...prev, [direction]: prev[direction].slice(0, -1) }));
+      showMessage(`Could not ${direction} the ${step.label}. ${err.message}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+    await reloadData();
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) outside of text fields, which keep their own undo.
+  // Handled on the editor's container, so only the pane that has the focus reverts.
+  const handleUndoKeys = (e) => {
+    if (!(e.ctrlKey || e.metaKey) || isTextTarget(e.target)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' || key === 'y') {
+      e.preventDefault();
+      revertStep(key === 'y' || e.shiftKey ? 'redo' : 'undo');
+    }
+  };
+
+  // --- Staged Changes ---
+
+  // Everything that a commit would send, with the original rows for the diff view
+  const pendingChanges = useMemo(() => {
+    const updates = [];
+    for (const [id, edits] of Object.entries(editCache)) {
+      if (pendingDeletes[id]) continue;
+      const row = data.find(r => getRowId(r, primaryKey) === id);
+      if (!row) continue;
+
+      const changes = {};
+      for (const [field, value] of Object.entries(edits)) {
+        if (!columns.some(c => c.field === field)) continue;
+        if (!isSameCellValue(row[field], value)) changes[field] = value;
+      }
+      if (Object.keys(changes).length > 0) updates.push({ id, row, changes });
+    }
+    return { updates, inserts: newRows, deletes: Object.values(pendingDeletes) };
+  }, [editCache, pendingDeletes, newRows, data, columns, primaryKey]);
+
+  const pendingCount = pendingChanges.updates.length + pendingChanges.inserts.length + pendingChanges.deletes.length;
+  // Paging away would drop the original rows the pending edits are diffed against
+  const viewLocked = stagedMode && pendingCount > 0;
+
+  const discardPendingChanges = () => {
+    setEditCache({});
+    setNewRows([]);
+    setPendingDeletes({});
+  };
+
+  const handleCommitChanges = async () => {
+    if (pendingCount === 0) {
+      showMessage('No pending changes to commit.', 'info');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await commitBatch({
+        deletes: pendingChanges.deletes.map(row => primaryKey.map(field => row[field])),
+        updates: pendingChanges.updates.map(({ id, row, changes }) => ({
+          key: JSON.parse(id),
+          changes,
+          // The values the edits were based on, checked by the server for concurrent changes
+          expected: Object.fromEntries(Object.keys(changes).map(field => [field, row[field]])),
+        })),
+        inserts: pendingChanges.inserts.map(buildInsertPayload),
+      });
+      showMessage(`${pendingCount} change(s) committed.`, 'success');
+      setEditCache({});
+      setPendingDeletes({});
+      await reloadData();
+    } catch (err) {
+      // Nothing was written, so keep the staged changes around to fix and retry
+      showMessage(`Commit failed, nothing was saved. ${err.message}`, 'error');
+      const { conflict: details } = err;
+      if (details && details.operation && details.operation.type === 'update') {
+        const { id, row } = pendingChanges.updates[details.operation.index];
+        setConflict({ id, rowLabel: getRowLabel(row, primaryKey), conflicts: details.conflicts, current: details.current });
+      }
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // --- Live Updates ---
+
+  const highlightRow = (id, action) => {
+    setLiveChanged(prev => ({ ...prev, [id]: action }));
+    setTimeout(() => {
+      setLiveChanged(prev => { const next = { ...prev }; delete next[id]; return next; });
+    }, LIVE_HIGHLIGHT_MS);
+  };
+
+  // Applies changes other users make to this table while it is open
+  useLiveEvents(API_BASE_URL, (event) => {
+    if (event.origin === CLIENT_ID || !selectedTable) return;
+
+    if (event.type === 'row') {
+      if (event.table !== selectedTable) return;
+      const id = JSON.stringify(event.key);
+
+      if (event.action === 'update') {
+        // Rows with unsaved edits keep the values those edits are based on, so the
+        // server can still detect the conflict when they are saved
+        if (!editCache[id]) {
+          setData(prev => prev.map(row => getRowId(row, primaryKey) === id ? { ...row, ...event.row } : row));
+        }
+        highlightRow(id, 'update');
+      } else if (event.action === 'insert') {
+        setTotalRows(prev => prev + 1);
+        // Only the last, unfiltered page is sure to be where the new row belongs
+        if (view.page === pageCount && Object.keys(view.filters).length === 0) {
+          setData(prev => [...prev, event.row]);
+          highlightRow(id, 'insert');
+        }
+      } else if (event.action === 'delete') {
+        setData(prev => prev.filter(row => getRowId(row, primaryKey) !== id));
+        setTotalRows(prev => Math.max(0, prev - 1));
+        setEditCache(prev => { const newState = { ...prev }; delete newState[id]; return newState; });
+        setPendingDeletes(prev => { const next = { ...prev }; delete next[id]; return next; });
+        if (data.some(row => getRowId(row, primaryKey) === id)) {
+          showMessage(`Row ${event.key.join(', ')} was deleted by another user.`, 'info');
+        }
+      }
+      return;
+    }
+
+    // Bulk changes from the query executor and schema changes need a full reload
+    const affectsTable = event.type === 'schema' ||
+      (event.type === 'data' && (event.table === null || event.table === selectedTable));
+    if (!affectsTable) return;
+    if (viewLocked) {
+      showMessage('This table was changed by another user. Commit or discard your changes to see the latest data.', 'info');
+    } else {
+      reloadData();
+    }
+  });
+
+  // Called by the schema designer after it changed, created or dropped a table
+  const handleSchemaChange = (tableName) => {
+    onSchemaChange(tableName);
+    // Same table: its columns may have changed. Another table remounts the editor.
+    if (tableName === selectedTable) reloadData();
+  };
+
+  // Rows imported into this table are reloaded right away. A table created by the
+  // import is only opened when the wizard closes, so its report stays visible.
+  const handleImported = (tableName, created) => {
+    if (created) {
+      onSchemaChange(null);
+      setImporter({ createdTable: tableName });
+    } else if (tableName === selectedTable) {
+      reloadData();
+    }
+  };
+
+  const closeImporter = () => {
+    if (importer?.createdTable) setSelectedTable(importer.createdTable);
+    setImporter(null);
+  };
+
+  const renderPendingChanges = () => {
+    if (!stagedMode || pendingCount === 0) return null;
+
+    return (
+      <div className="pending-changes">
+        <div className="pending-header">
+          <span>{pendingCount} pending change(s)</span>
+          <div className="pending-actions">
+            <button onClick={handleCommitChanges} className="btn btn-save" disabled={loading}>
+              {loading ? 'Committing...' : 'Commit Changes'}
+            </button>
+            <button onClick={discardPendingChanges} className="btn btn-discard" disabled={loading}>Discard</button>
+          </div>
+        </div>
+        <ul className="pending-list">
+          {pendingChanges.deletes.map(row => (
+            <li key={`delete-${getRowId(row, primaryKey)}`} className="pending-item delete">
+              <span className="pending-tag">DELETE</span> row {getRowLabel(row, primaryKey)}
+            </li>
+          ))}
+          {pendingChanges.updates.map(({ id, row, changes }) => (
+            <li key={`update-${id}`} className="pending-item update">
+              <span className="pending-tag">UPDATE</span> row {getRowLabel(row, primaryKey)}:
+              {Object.entries(changes).map(([field, value]) => (
+                <span key={field} className="pending-diff">
+                  {field}: <del>{formatCellValue(row[field])}</del> → <ins>{formatCellValue(value)}</ins>
+                </span>
+              ))}
+            </li>
+          ))}
+          {pendingChanges.inserts.map(row => (
+            <li key={`insert-${row.tempId}`} className="pending-item insert">
+              <span className="pending-tag">INSERT</span>
+              {Object.entries(buildInsertPayload(row)).map(([field, value]) => (
+                <span key={field} className="pending-diff">{field}: <ins>{formatCellValue(value)}</ins></span>
+              ))}
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
   
   const combinedData = useMemo(() => [...data, ...newRows], [data, newRows]);
+
+  // Resolve the labels of the referenced rows shown on this page
+  useEffect(() => {
+    const fkColumns = columns.filter(col => col.references);
+    if (fkColumns.length === 0) return undefined;
+    const controller = new AbortController();
+
+    Promise.all(fkColumns.map(async col => {
+      const values = [...new Set(data.map(row => row[col.field]).filter(v => v !== null && v !== undefined))];
+      const options = values.length > 0
+        ? await fetchLookup(API_BASE_URL, col.references.table, { column: col.references.column, values }, controller.signal)
+        : [];
+      return [col.field, Object.fromEntries(options.map(option => [String(option.value), option.label]))];
+    }))
+      .then(entries => setFkLabels(Object.fromEntries(entries)))
+      .catch(err => { if (err.name !== 'AbortError') console.error('Could not load foreign key labels:', err); });
+
+    return () => controller.abort();
+  }, [columns, data, API_BASE_URL]);
   
   const getDisplayValue = useCallback((row, field) => {
-    const id = row[pkName];
+    const id = getRowId(row, primaryKey);
     if (editCache[id] && editCache[id][field] !== undefined) {
         return editCache[id][field];
     }
     return row[field];
-  }, [editCache]);
+  }, [editCache, primaryKey]);
 
-  const renderTableCell = (row, col) => {
-    const field = col.field;
-    const isPk = field === pkName;
-    const id = row[pkName];
-    const isEditable = !isPk;
-    const displayValue = String(getDisplayValue(row, field) ?? '');
+  // Key columns identify the row, so they can only be typed in before it is saved
+  const canEditCell = (row, col) => (
+    canWrite && !col.virtual && (!col.pk || row.isNew) && columnKind(col.type) !== 'blob'
+    && !pendingDeletes[getRowId(row, primaryKey)]
+  );
+
+  const cellClassName = (row, col) => {
+    const id = getRowId(row, primaryKey);
+    const isStaged = stagedMode && editCache[id] && editCache[id][col.field] !== undefined;
+    return `${col.pk ? 'pk-cell' : ''} ${isStaged ? 'pending-cell' : ''}`;
+  };
+
+  // --- Row Detail ---
+
+  // The drawer's row is looked up on every render, so it follows saves, live updates and
+  // paging; it closes by itself once the row is gone from the page
+  const detailIndex = !detail ? -1
+    : detail.edge === 'first' ? (data.length > 0 ? 0 : -1)
+    : detail.edge === 'last' ? data.length - 1
+    : combinedData.findIndex(row => getRowId(row, primaryKey) === detail.id);
+  const detailRow = detailIndex >= 0 ? combinedData[detailIndex] : null;
+
+  // Opens the row at `index` of this page; one step past either end turns the page
+  const openDetailAt = (index) => {
+    if (index < 0) {
+      setDetail({ edge: 'last' });
+      goToPage(view.page - 1);
+    } else if (index >= combinedData.length) {
+      setDetail({ edge: 'first' });
+      goToPage(view.page + 1);
+    } else {
+      setDetail({ id: getRowId(combinedData[index], primaryKey) });
+    }
+  };
+
+  // Saved rows take the form's changes like a paste into the grid; a new row is
+  // inserted right away unless changes are staged
+  const handleDetailSave = async (row, changes) => {
+    if (!row.isNew) {
+      const updates = Object.entries(changes).map(([field, value]) => ({ row, field, value }));
+      return handleGridChanges({ updates, inserts: [] }, `Row ${getRowLabel(row, primaryKey)}`);
+    }
+
+    const values = { ...row, ...changes };
+    setNewRows(prev => prev.map(r => (r.tempId === row.tempId ? values : r)));
+    if (stagedMode) return true;
+
+    setLoading(true);
+    try {
+      const { inserted } = await commitBatch({ inserts: [buildInsertPayload(values)] });
+      setNewRows(prev => prev.filter(r => r.tempId !== row.tempId));
+      setDetail({ id: getRowId(inserted[0], primaryKey) });
+      showMessage(`Row ${getRowLabel(inserted[0], primaryKey)} inserted.`, 'success');
+    } catch (err) {
+      showMessage(`The row was not inserted. ${err.message}`, 'error');
+      setLoading(false);
+      return false;
+    }
+    await reloadData();
+    setLoading(false);
+    return true;
+  };
+
+  // Adds a copy of a row as a new row and opens it. The key is left out so SQLite can
+  // assign one (or it is typed in for composite keys).
+  const handleDuplicateRow = (row) => {
+    const copy = blankRow(`temp-${Date.now()}`);
+    columns.forEach(col => {
+      if (!col.pk && !col.virtual) copy[col.field] = getDisplayValue(row, col.field);
+    });
+    setNewRows(prev => [...prev, copy]);
+    setDetail({ id: copy.tempId });
+  };
+
+  const renderRowDetail = () => {
+    if (!detailRow) return null;
+    const id = getRowId(detailRow, primaryKey);
+    // Paging is blocked while staged changes wait, like the pager's
+    const canTurnPage = !viewLocked && !detailRow.isNew;
+    const hasPrevious = detailIndex > 0 || (canTurnPage && view.page > 1);
+    const hasNext = detailIndex < combinedData.length - 1 || (canTurnPage && view.page < pageCount);
 
     return (
-      <td 
-        key={field} 
-        className={`table-cell ${isPk ? 'pk-cell' : ''}`}
-      >
-        <div
-          contentEditable={isEditable}
-          suppressContentEditableWarning={true}
-          onBlur={(e) => {
-            const newValue = e.target.innerText.trim();
-            handleCellEdit(id, field, newValue);
-            if (!row.isNew) { handleSaveCell(id, field, newValue); }
-          }}
-          className={`editable-content ${isEditable ? 'editable' : 'not-editable'}`}
-          // Use value from cache/data/newRow and display it
-          dangerouslySetInnerHTML={{ __html: displayValue }}
-        />
-      </td>
+      <RowDetail
+        key={id}
+        API_BASE_URL={API_BASE_URL}
+        columns={columns}
+        row={detailRow}
+        values={Object.fromEntries(columns.map(col => [col.field, getDisplayValue(detailRow, col.field)]))}
+        title={detailRow.isNew ? 'New row' : `${selectedTable} ${getRowLabel(detailRow, primaryKey)}`}
+        position={detailRow.isNew ? 'Not saved yet' : `Row ${detailIndex + 1} of ${data.length} on page ${view.page}`}
+        canEditField={(col) => canEditCell(detailRow, col)}
+        fkLabels={fkLabels}
+        references={readableReferences}
+        saveLabel={detailRow.isNew && !stagedMode ? 'Insert row' : stagedMode ? 'Stage changes' : 'Save'}
+        busy={loading}
+        pendingDelete={Boolean(pendingDeletes[id])}
+        onPrevious={hasPrevious ? () => openDetailAt(detailIndex - 1) : null}
+        onNext={hasNext ? () => openDetailAt(detailIndex + 1) : null}
+        onSave={canWrite ? (changes) => handleDetailSave(detailRow, changes) : null}
+        onDuplicate={canWrite && !detailRow.isNew ? () => handleDuplicateRow(detailRow) : null}
+        onDelete={canWrite ? () => handleDeleteRow(detailRow) : null}
+        // Opening another table would drop staged changes
+        referencedRowOpener={(col) => (
+          viewLocked || !can(col.references.table, 'read') ? null : (value) => openReferencedRow(col, value)
+        )}
+        onOpenReferencing={viewLocked ? null : (reference) => openReferencingRows(detailRow, reference)}
+        onClose={() => setDetail(null)}
+      />
     );
   };
 
-  const renderTableBody = () => {
-    if (combinedData.length === 0 && !loading && selectedTable) {
+  const renderTableCell = (row, col) => {
+    const field = col.field;
+    const id = getRowId(row, primaryKey);
+    const isEditable = canWrite && !col.virtual && (!col.pk || row.isNew);
+    const value = getDisplayValue(row, field);
+
+    // Cell editors hand over the new value converted for the column
+    const commitCell = (newValue) => {
+      handleCellEdit(id, field, newValue);
+      // In staged mode the edit waits in the cache until the batch is committed
+      if (!row.isNew && !stagedMode) { handleSaveCell(id, field, newValue); }
+    };
+
+    if (col.references) {
       return (
-        <tr>
-          <td colSpan={columns.length + 1} className="empty-state">
-            No data found in table "{selectedTable}". Add a new row!
-          </td>
-        </tr>
+        <ForeignKeyCell
+          API_BASE_URL={API_BASE_URL}
+          references={col.references}
+          value={value}
+          label={fkLabels[field]?.[String(value)]}
+          editable={isEditable}
+          onSelect={(newValue, label) => {
+            setFkLabels(prev => ({ ...prev, [field]: { ...(prev[field] || {}), [String(newValue)]: label } }));
+            commitCell(newValue);
+          }}
+          // Opening another table would drop staged changes
+          onOpenReferenced={viewLocked || !can(col.references.table, 'read') ? null : () => openReferencedRow(col, value)}
+        />
       );
     }
 
-    return combinedData.map((row, rowIndex) => (
-      <tr 
-        key={row[pkName] || rowIndex} 
-        className={row.isNew ? 'new-row' : 'data-row'}
-      >
-        {columns.map(col => renderTableCell(row, col))}
-        <td className="table-cell action-cell">
-            <button
-                onClick={() => handleDeleteRow(row[pkName])}
-                className="delete-btn"
-                title={`Delete row ${row[pkName]}`}
-            >
-                <svg xmlns="http://www.w3.org/2000/svg" className="icon" viewBox="0 0 20 20" fill="currentColor">
-                    <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 100 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm4 0a1 1 0 10-2 0v6a1 1 0 102 0V8z" clipRule="evenodd" />
-                </svg>
-            </button>
-        </td>
-      </tr>
-    ));
+    return <CellEditor column={col} value={value} editable={isEditable} onCommit={commitCell} />;
+  };
+
+  const renderRowActions = (row) => {
+    const isPendingDelete = Boolean(pendingDeletes[getRowId(row, primaryKey)]);
+    return (
+      <>
+          <button
+              onClick={() => setDetail({ id: getRowId(row, primaryKey) })}
+              className="detail-btn"
+              title={`Open ${getRowLabel(row, primaryKey)} in the detail form`}
+          >
+              <svg xmlns="http://www.w3.org/2000/svg" className="icon" viewBox="0 0 20 20" fill="currentColor">
+                  <path fillRule="evenodd" d="M4 4a2 2 0 012-2h8a2 2 0 012 2v12a2 2 0 01-2 2H6a2 2 0 01-2-2V4zm3 1a1 1 0 000 2h6a1 1 0 100-2H7zm0 4a1 1 0 000 2h6a1 1 0 100-2H7zm0 4a1 1 0 100 2h3a1 1 0 100-2H7z" clipRule="evenodd" />
+              </svg>
+          </button>
+          {!row.isNew && (
+              <button
+                  onClick={() => setAuditView({ key: primaryKey.map(field => row[field]), label: getRowLabel(row, primaryKey) })}
+                  className="history-btn"
+                  title={`History of row ${getRowLabel(row, primaryKey)}`}
+              >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="icon" viewBox="0 0 20 20" fill="currentColor">
+                      <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clipRule="evenodd" />
+                  </svg>
+              </button>
+          )}
+          {readableReferences.length > 0 && !row.isNew && (
+              <select
+                  className="fk-referenced-by"
+                  value=""
+                  onChange={(e) => openReferencingRows(row, readableReferences[e.target.value])}
+                  disabled={viewLocked}
+                  title="Show the rows that reference this one"
+              >
+                  <option value="">Referenced by…</option>
+                  {readableReferences.map((reference, i) => (
+                      <option key={i} value={i}>{reference.table} ({reference.from.join(', ')})</option>
+                  ))}
+              </select>
+          )}
+          {canWrite && (
+              <button
+                  onClick={() => handleDeleteRow(row)}
+                  className="delete-btn"
+                  title={isPendingDelete ? 'Keep this row' : `Delete row ${getRowLabel(row, primaryKey)}`}
+              >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="icon" viewBox="0 0 20 20" fill="currentColor">
+                      <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 100 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm4 0a1 1 0 10-2 0v6a1 1 0 102 0V8z" clipRule="evenodd" />
+                  </svg>
+              </button>
+          )}
+      </>
+    );
+  };
+
+  const renderFilter = (col) => {
+    const filter = filterDraft[col.field] || { op: 'contains', value: '' };
+    const takesValue = filter.op !== 'isnull' && filter.op !== 'notnull';
+    return (
+      <div className="filter-cell">
+          <select
+              value={filter.op}
+              onChange={(e) => handleFilterDraftChange(col.field, { op: e.target.value })}
+              className="filter-op"
+          >
+              {FILTER_OPERATORS.map(({ op, label }) => (
+                  <option key={op} value={op}>{label}</option>
+              ))}
+          </select>
+          {takesValue && (
+              <input
+                  type="text"
+                  value={filter.value}
+                  placeholder={filter.op === 'between' ? 'from..to' : 'Filter'}
+                  onChange={(e) => handleFilterDraftChange(col.field, { value: e.target.value })}
+                  onKeyDown={(e) => { if (e.key === 'Enter') applyFilters(); }}
+                  className="filter-input"
+              />
+          )}
+      </div>
+    );
   };
 
   return (
-    <div className="table-editor-container">
+    // tabIndex lets a click anywhere in the editor give it the focus for the undo keys
+    <div className="table-editor-container" tabIndex={-1} onKeyDown={handleUndoKeys}>
       
       <div className="header-group">
           <h2 className="header-title-small">
@@ -321,9 +1061,80 @@ export default function TableEditor({ tables, selectedTable, setSelectedTable, A
                       <option key={table} value={table}>{table}</option>
                   ))}
               </select>
+              <button onClick={() => setShowDiagram(true)} className="pager-btn" disabled={tables.length === 0}>
+                  Diagram
+              </button>
+              {canAlter && (
+                  <button onClick={() => setDesigner('edit')} className="pager-btn" disabled={viewLocked}>
+                      Schema
+                  </button>
+              )}
+              {canCreateTables && (
+                  <button onClick={() => setDesigner('new')} className="pager-btn">
+                      New Table
+                  </button>
+              )}
+              {(canWrite || canCreateTables) && (
+                  <button onClick={() => setImporter({})} className="pager-btn" disabled={viewLocked}>
+                      Import
+                  </button>
+              )}
+              <button onClick={() => setAuditView({})} className="pager-btn" disabled={!selectedTable}>
+                  History
+              </button>
           </div>
       </div>
 
+      {/* Schema Designer */}
+      {designer && (
+          <SchemaDesigner
+              API_BASE_URL={API_BASE_URL}
+              tableName={designer === 'edit' ? selectedTable : null}
+              tables={tables}
+              onSchemaChange={handleSchemaChange}
+              onClose={() => setDesigner(null)}
+          />
+      )}
+
+      {/* Import Wizard */}
+      {importer && (
+          <ImportWizard
+              API_BASE_URL={API_BASE_URL}
+              tableName={canWrite ? selectedTable : null}
+              tableColumns={columns.filter(col => !col.virtual).map(col => col.field)}
+              canCreate={canCreateTables}
+              onImported={handleImported}
+              onClose={closeImporter}
+          />
+      )}
+
+      {/* Audit Log */}
+      {auditView && (
+          <AuditLog
+              API_BASE_URL={API_BASE_URL}
+              tableName={selectedTable}
+              rowKey={auditView.key}
+              rowLabel={auditView.label}
+              onClose={() => setAuditView(null)}
+          />
+      )}
+
+      {/* ER Diagram */}
+      {showDiagram && (
+          <ErDiagram
+              API_BASE_URL={API_BASE_URL}
+              selectedTable={selectedTable}
+              onOpenTable={(tableName) => {
+                  setShowDiagram(false);
+                  if (tableName !== selectedTable) setSelectedTable(tableName);
+              }}
+              onClose={() => setShowDiagram(false)}
+          />
+      )}
+
+      {/* Row Detail Drawer */}
+      {renderRowDetail()}
+
       {/* Status Messages */}
       {error && (
           <div className={`message ${error.type}`} role="alert">{error.message}</div>
@@ -331,17 +1142,66 @@ export default function TableEditor({ tables, selectedTable, setSelectedTable, A
 
       {/* Action Buttons */}
       <div className="action-buttons">
-          <button onClick={handleAddRow} className="btn btn-add" disabled={loading || !selectedTable}>
-              <svg xmlns="http://www.w3.org/2000/svg" className="icon" viewBox="0 0 20 20" fill="currentColor">
-                  <path fillRule="evenodd" d="M10 5a1 1 0 011 1v3h3a1 1 0 110 2h-3v3a1 1 0 11-2 0v-3H6a1 1 0 110-2h3V6a1 1 0 011-1z" clipRule="evenodd" />
-              </svg>
-               Add Row
-          </button>
-          <button onClick={handleSaveNewRows} className="btn btn-save" disabled={loading || newRows.length === 0} title={newRows.length > 0 ? `Save ${newRows.length} new row(s)` : "No new rows to save"}>
-              {loading && newRows.length > 0 ? 'Saving...' : `Save ${newRows.length} New Row(s)`}
-          </button>
+          {canWrite && (
+            <>
+              <button onClick={handleAddRow} className="btn btn-add" disabled={loading || !selectedTable}>
+                  <svg xmlns="http://www.w3.org/2000/svg" className="icon" viewBox="0 0 20 20" fill="currentColor">
+                      <path fillRule="evenodd" d="M10 5a1 1 0 011 1v3h3a1 1 0 110 2h-3v3a1 1 0 11-2 0v-3H6a1 1 0 110-2h3V6a1 1 0 011-1z" clipRule="evenodd" />
+                  </svg>
+                   Add Row
+              </button>
+              {!stagedMode && (
+                  <button onClick={handleSaveNewRows} className="btn btn-save" disabled={loading || newRows.length === 0} title={newRows.length > 0 ? `Save ${newRows.length} new row(s)` : "No new rows to save"}>
+                      {loading && newRows.length > 0 ? 'Saving...' : `Save ${newRows.length} New Row(s)`}
+                  </button>
+              )}
+              <button
+                  onClick={() => revertStep('undo')}
+                  className="btn btn-discard"
+                  disabled={loading || viewLocked || history.undo.length === 0}
+                  title={history.undo.length > 0 ? `Undo the ${history.undo[history.undo.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+              >
+                  Undo
+              </button>
+              <button
+                  onClick={() => revertStep('redo')}
+                  className="btn btn-discard"
+                  disabled={loading || viewLocked || history.redo.length === 0}
+                  title={history.redo.length > 0 ? `Redo the ${history.redo[history.redo.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+              >
+                  Redo
+              </button>
+              <label className="staged-toggle" title={viewLocked ? 'Commit or discard pending changes first' : 'Collect changes and commit them together'}>
+                  <input
+                      type="checkbox"
+                      checked={stagedMode}
+                      onChange={(e) => setStagedMode(e.target.checked)}
+                      disabled={viewLocked}
+                  />
+                  Stage changes
+              </label>
+            </>
+          )}
+          <ExportButton
+              onExport={handleExport}
+              onError={(err) => setError({ message: `Export failed: ${err.message}`, type: 'error' })}
+              disabled={!selectedTable}
+          />
       </div>
 
+      {/* Pending Changes (staged mode) */}
+      {renderPendingChanges()}
+
+      {/* Concurrent edit conflict */}
+      {conflict && (
+          <ConflictDialog
+              key={conflict.id}
+              conflict={conflict}
+              onResolve={handleResolveConflict}
+              onCancel={() => setConflict(null)}
+          />
+      )}
+
       {/* Table Container */}
       <div className="table-wrapper">
           {loading && (
@@ -353,22 +1213,60 @@ export default function TableEditor({ tables, selectedTable, setSelectedTable, A
               </div>
           )}
           
-          <table className="data-table">
-              <thead className="table-header">
-                  <tr>
-                      {columns.map(col => (
-                          <th key={col.field}>
-                              {col.field}
-                              <span className="type-info">({col.type.replace('?', '')})</span>
-                          </th>
-                      ))}
-                      <th className="action-header">Actions</th>
-                  </tr>
-              </thead>
-              <tbody>
-                  {renderTableBody()}
-              </tbody>
-          </table>
+          <DataGrid
+              API_BASE_URL={API_BASE_URL}
+              tableName={selectedTable}
+              columns={columns}
+              rows={combinedData}
+              getRowKey={(row) => getRowId(row, primaryKey)}
+              rowClassName={(row) => {
+                const id = getRowId(row, primaryKey);
+                return `${row.isNew ? 'new-row' : 'data-row'} ${pendingDeletes[id] ? 'pending-delete-row' : ''} ${liveChanged[id] ? 'live-changed' : ''}`;
+              }}
+              cellClassName={cellClassName}
+              renderCell={renderTableCell}
+              renderActions={renderRowActions}
+              actionsWidth={ACTIONS_WIDTH}
+              sort={{ field: view.sort, order: view.order }}
+              onSort={handleSort}
+              sortDisabled={viewLocked}
+              renderFilter={renderFilter}
+              filterActions={(
+                  <div className="filter-actions">
+                      <button onClick={applyFilters} className="pager-btn" disabled={loading || viewLocked}>Apply</button>
+                      <button onClick={clearFilters} className="pager-btn" disabled={loading || viewLocked}>Clear</button>
+                  </div>
+              )}
+              emptyMessage={!loading && selectedTable ? `No data found in table "${selectedTable}". Add a new row!` : null}
+              getCellValue={(row, col) => getDisplayValue(row, col.field)}
+              canEditCell={canEditCell}
+              canAddRows={canWrite}
+              onChangeCells={handleGridChanges}
+              onMessage={showMessage}
+          />
+      </div>
+
+      {/* Pager */}
+      <div className="pager">
+          <span className="pager-info">
+              {totalRows} row(s) · Page {view.page} of {pageCount}
+          </span>
+          <div className="pager-controls">
+              <button onClick={() => goToPage(1)} className="pager-btn" disabled={loading || viewLocked || view.page <= 1}>«</button>
+              <button onClick={() => goToPage(view.page - 1)} className="pager-btn" disabled={loading || viewLocked || view.page <= 1}>‹ Prev</button>
+              <button onClick={() => goToPage(view.page + 1)} className="pager-btn" disabled={loading || viewLocked || view.page >= pageCount}>Next ›</button>
+              <button onClick={() => goToPage(pageCount)} className="pager-btn" disabled={loading || viewLocked || view.page >= pageCount}>»</button>
+              <select
+                  value={view.limit}
+                  onChange={(e) => setView(prev => ({ ...prev, limit: Number(e.target.value), page: 1 }))}
+                  className="table-select"
+                  disabled={viewLocked}
+              >
+                  {PAGE_SIZES.map(size => (
+                      <option key={size} value={size}>{size} / page</option>
+                  ))}
+              </select>
+          </div>
       </div>
     </div>
   );
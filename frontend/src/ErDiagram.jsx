@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { apiFetch } from './auth';
+import {
+    NODE_WIDTH, HEADER_HEIGHT, ROW_HEIGHT, nodeHeight, referencedColumns, useDiagramLayout, diagramSize, edgePath,
+    exportSvg, exportPng,
+} from './diagramLayout';
+
+const ZOOM_STEPS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+// Pixels the pointer moves before a press on a box is a drag instead of a click
+const DRAG_THRESHOLD = 4;
+
+// Colours are SVG attributes rather than CSS so exported files keep them
+const COLORS = {
+    background: '#111827',
+    box: '#1f2937',
+    border: '#4b5563',
+    header: '#374151',
+    headerSelected: '#4f46e5',
+    text: '#e5e7eb',
+    type: '#9ca3af',
+    primaryKey: '#fcd34d',
+    foreignKey: '#93c5fd',
+    edge: '#6b7280',
+    edgeHighlighted: '#818cf8',
+};
+
+// Names longer than a box is wide are cut off
+const fit = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+/**
+ * One table box: the name in the header, then a row per column with its key marker
+ * and type.
+ */
+function TableNode({ table, position, selected, foreignKeyColumns, onPointerDown, onOpen, onHover }) {
+    return (
+        <g
+            transform={`translate(${position.x}, ${position.y})`}
+            className="er-node"
+            role="button"
+            tabIndex={0}
+            aria-label={`Open table ${table.name}`}
+            onPointerDown={onPointerDown}
+            onKeyDown={(e) => { if (e.key === 'Enter') onOpen(); }}
+            onPointerEnter={() => onHover(table.name)}
+            onPointerLeave={() => onHover(null)}
+        >
+            <rect width={NODE_WIDTH} height={nodeHeight(table)} rx="6" fill={COLORS.box} stroke={selected ? COLORS.headerSelected : COLORS.border} />
+            <path
+                d={`M 0 6 a 6 6 0 0 1 6 -6 h ${NODE_WIDTH - 12} a 6 6 0 0 1 6 6 v ${HEADER_HEIGHT - 6} h ${-NODE_WIDTH} z`}
+                fill={selected ? COLORS.headerSelected : COLORS.header}
+            />
+            <text x="10" y={HEADER_HEIGHT / 2 + 5} fill={COLORS.text} fontWeight="bold" fontSize="13">{fit(table.name, 28)}</text>
+            {table.columns.map((col, i) => {
+                const y = HEADER_HEIGHT + i * ROW_HEIGHT + ROW_HEIGHT / 2 + 4;
+                const marker = col.primaryKey ? 'PK' : foreignKeyColumns.has(col.name) ? 'FK' : col.unique ? 'UQ' : '';
+                return (
+                    <g key={col.name}>
+                        <text x="10" y={y} fontSize="10" fontWeight="bold" fill={col.primaryKey ? COLORS.primaryKey : COLORS.foreignKey}>{marker}</text>
+                        <text x="36" y={y} fill={COLORS.text} fontWeight={col.notNull ? 'bold' : 'normal'}>{fit(col.name, 18)}</text>
+                        <text x={NODE_WIDTH - 10} y={y} fill={COLORS.type} textAnchor="end">{fit(col.type || 'ANY', 12)}</text>
+                    </g>
+                );
+            })}
+        </g>
+    );
+}
+
+// --- ER Diagram Component ---
+
+/**
+ * Entity-relationship diagram of the tables the user may read (GET /api/schema):
+ * boxes with columns and key markers, an edge per foreign key. Boxes are auto-laid out,
+ * can be dragged (the layout is kept per database) and open their table on click.
+ */
+export default function ErDiagram({ API_BASE_URL, selectedTable, onOpenTable, onClose }) {
+    const [tables, setTables] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [zoom, setZoom] = useState(1);
+    // The table under the pointer; its edges are highlighted, like the selected table's
+    const [hovered, setHovered] = useState(null);
+    const svgRef = useRef(null);
+    // The box being dragged: { name, startX, startY, origin, moved }
+    const dragRef = useRef(null);
+    const { positions, moveTable, saveLayout, resetLayout } = useDiagramLayout(API_BASE_URL, tables);
+
+    useEffect(() => {
+        const fetchSchema = async () => {
+            try {
+                const response = await apiFetch(`${API_BASE_URL}/schema`);
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || `Request failed with status ${response.status}.`);
+                setTables(data.tables);
+            } catch (err) {
+                setError(err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchSchema();
+    }, [API_BASE_URL]);
+
+    const handlePointerDown = (e, name) => {
+        if (e.button !== 0) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = { name, startX: e.clientX, startY: e.clientY, origin: positions[name], moved: false };
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        const dx = (e.clientX - drag.startX) / zoom;
+        const dy = (e.clientY - drag.startY) / zoom;
+        if (!drag.moved && Math.abs(dx) + Math.abs(dy) < DRAG_THRESHOLD) return;
+        drag.moved = true;
+        moveTable(drag.name, { x: Math.max(0, Math.round(drag.origin.x + dx)), y: Math.max(0, Math.round(drag.origin.y + dy)) });
+    };
+
+    // A press that didn't move is a click and opens the table
+    const handlePointerUp = () => {
+        const drag = dragRef.current;
+        dragRef.current = null;
+        if (!drag) return;
+        if (drag.moved) saveLayout();
+        else onOpenTable(drag.name);
+    };
+
+    const handleExport = (format) => {
+        setError(null);
+        const fileName = `schema.${format}`;
+        if (format === 'svg') exportSvg(svgRef.current, fileName);
+        else exportPng(svgRef.current, fileName).catch(err => setError(`Export failed: ${err.message}`));
+    };
+
+    const byName = new Map(tables.map(table => [table.name, table]));
+    const highlighted = hovered || selectedTable;
+    // One edge per foreign key column pair whose tables are both shown
+    const edges = tables.flatMap(table => table.foreignKeys.flatMap((fk, fkIndex) => {
+        const target = byName.get(fk.table);
+        if (!target) return [];
+        const to = referencedColumns(fk, target);
+        return fk.from.map((col, i) => ({
+            key: `${table.name}:${fkIndex}:${col}`,
+            from: table.name,
+            to: target.name,
+            fromRow: Math.max(0, table.columns.findIndex(column => column.name === col)),
+            toRow: Math.max(0, target.columns.findIndex(column => column.name === to[i])),
+        }));
+    }));
+    const size = diagramSize(tables, positions);
+
+    return (
+        <div className="modal-backdrop" role="dialog" aria-modal="true">
+            <div className="modal er-diagram">
+                <div className="er-toolbar">
+                    <h3 className="header-title-small">Diagram</h3>
+                    <button onClick={() => setZoom(ZOOM_STEPS[Math.max(0, ZOOM_STEPS.indexOf(zoom) - 1)])} className="pager-btn" disabled={zoom === ZOOM_STEPS[0]}>−</button>
+                    <span className="er-zoom">{Math.round(zoom * 100)}%</span>
+                    <button onClick={() => setZoom(ZOOM_STEPS[Math.min(ZOOM_STEPS.length - 1, ZOOM_STEPS.indexOf(zoom) + 1)])} className="pager-btn" disabled={zoom === ZOOM_STEPS[ZOOM_STEPS.length - 1]}>+</button>
+                    <button onClick={resetLayout} className="pager-btn" title="Forget the moved boxes and lay the diagram out again">Auto layout</button>
+                    <button onClick={() => handleExport('svg')} className="pager-btn" disabled={tables.length === 0}>Export SVG</button>
+                    <button onClick={() => handleExport('png')} className="pager-btn" disabled={tables.length === 0}>Export PNG</button>
+                    <span className="grid-hint">Drag the boxes to rearrange them, click one to open its table.</span>
+                </div>
+
+                {error && <div className="message error" role="alert">{error}</div>}
+                {loading && <p className="schema-empty">Loading the schema...</p>}
+                {!loading && !error && tables.length === 0 && <p className="schema-empty">No tables to show.</p>}
+
+                {tables.length > 0 && (
+                    <div className="er-canvas">
+                        <svg
+                            ref={svgRef}
+                            viewBox={`0 0 ${size.width} ${size.height}`}
+                            width={size.width * zoom}
+                            height={size.height * zoom}
+                            fontFamily="ui-sans-serif, system-ui, sans-serif"
+                            fontSize="12"
+                            onPointerMove={handlePointerMove}
+                            onPointerUp={handlePointerUp}
+                            onPointerCancel={handlePointerUp}
+                        >
+                            <defs>
+                                {['edge', 'edgeHighlighted'].map(color => (
+                                    <marker key={color} id={`er-arrow-${color}`} viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                                        <path d="M 0 0 L 10 5 L 0 10 z" fill={COLORS[color]} />
+                                    </marker>
+                                ))}
+                            </defs>
+                            <rect width={size.width} height={size.height} fill={COLORS.background} />
+                            {edges.map(edge => {
+                                const active = edge.from === highlighted || edge.to === highlighted;
+                                const color = active ? 'edgeHighlighted' : 'edge';
+                                return (
+                                    <path
+                                        key={edge.key}
+                                        d={edgePath(positions[edge.from], edge.fromRow, positions[edge.to], edge.toRow)}
+                                        fill="none"
+                                        stroke={COLORS[color]}
+                                        strokeWidth={active ? 2 : 1.25}
+                                        markerEnd={`url(#er-arrow-${color})`}
+                                    />
+                                );
+                            })}
+                            {tables.map(table => (
+                                <TableNode
+                                    key={table.name}
+                                    table={table}
+                                    position={positions[table.name]}
+                                    selected={table.name === selectedTable}
+                                    foreignKeyColumns={new Set(table.foreignKeys.flatMap(fk => fk.from))}
+                                    onPointerDown={(e) => handlePointerDown(e, table.name)}
+                                    onOpen={() => onOpenTable(table.name)}
+                                    onHover={setHovered}
+                                />
+                            ))}
+                        </svg>
+                    </div>
+                )}
+
+                <div className="modal-actions">
+                    <button onClick={onClose} className="btn btn-save">Close</button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS } from './download';
+
+/**
+ * Format picker with a download button. Calls `onExport(format)`, which should return
+ * a promise; errors are reported through `onError`.
+ */
+export default function ExportButton({ onExport, onError, disabled }) {
+    const [format, setFormat] = useState(EXPORT_FORMATS[0].format);
+    const [exporting, setExporting] = useState(false);
+
+    const handleExport = async () => {
+        setExporting(true);
+        try {
+            await onExport(format);
+        } catch (err) {
+            if (onError) onError(err);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    return (
+        <div className="export-controls">
+            <select
+                className="table-select"
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                disabled={disabled || exporting}
+                aria-label="Export format"
+            >
+                {EXPORT_FORMATS.map(({ format, label }) => (
+                    <option key={format} value={format}>{label}</option>
+                ))}
+            </select>
+            <button onClick={handleExport} className="pager-btn" disabled={disabled || exporting}>
+                {exporting ? 'Exporting...' : 'Export'}
+            </button>
+        </div>
+    );
+}
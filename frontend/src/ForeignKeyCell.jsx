@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { fetchLookup } from './lookup';
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 250;
+
+/**
+ * Grid cell for a column that references another table. Shows the value with the
+ * referenced row's label, opens a searchable list of the referenced rows when it is
+ * editable, and links to the referenced row.
+ * `onSelect(value, label)` receives the picked value (null for NULL).
+ */
+export default function ForeignKeyCell({ API_BASE_URL, references, value, label, editable, onSelect, onOpenReferenced }) {
+    const [open, setOpen] = useState(false);
+    const [query, setQuery] = useState('');
+    const [options, setOptions] = useState([]);
+    const [searching, setSearching] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Search the referenced table while the list is open
+    useEffect(() => {
+        if (!open) return undefined;
+        const controller = new AbortController();
+        const timer = setTimeout(async () => {
+            setSearching(true);
+            try {
+                setOptions(await fetchLookup(API_BASE_URL, references.table, { column: references.column, q: query }, controller.signal));
+                setError(null);
+            } catch (err) {
+                if (err.name !== 'AbortError') setError(err.message);
+            } finally {
+                if (!controller.signal.aborted) setSearching(false);
+            }
+        }, SEARCH_DELAY_MS);
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [open, query, API_BASE_URL, references]);
+
+    const choose = (option) => {
+        setOpen(false);
+        setQuery('');
+        onSelect(option ? option.value : null, option ? option.label : null);
+    };
+
+    const hasValue = value !== null && value !== undefined && value !== '';
+
+    return (
+        <div
+            className="fk-cell"
+            // Close the list when focus leaves the cell
+            onBlur={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setOpen(false); }}
+        >
+            <button
+                className={`fk-value ${editable ? 'editable' : 'not-editable'}`}
+                onClick={() => editable && setOpen(prev => !prev)}
+                title={editable ? `Choose a ${references.table} row` : undefined}
+            >
+                {hasValue ? String(value) : 'NULL'}
+                {label !== null && label !== undefined && <span className="fk-label">{String(label)}</span>}
+            </button>
+            {hasValue && onOpenReferenced && (
+                <button className="fk-link" onClick={onOpenReferenced} title={`Open the referenced ${references.table} row`}>↗</button>
+            )}
+
+            {open && (
+                <div className="fk-dropdown">
+                    <input
+                        autoFocus
+                        className="fk-search"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Escape') setOpen(false); }}
+                        placeholder={`Search ${references.table}...`}
+                    />
+                    <ul className="fk-options">
+                        <li>
+                            <button onClick={() => choose(null)} className="fk-option">NULL</button>
+                        </li>
+                        {options.map(option => (
+                            <li key={String(option.value)}>
+                                <button
+                                    onClick={() => choose(option)}
+                                    className={`fk-option ${String(option.value) === String(value) ? 'selected' : ''}`}
+                                >
+                                    {String(option.value)}
+                                    {option.label !== null && <span className="fk-label">{String(option.label)}</span>}
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                    {searching && <div className="fk-status">Searching...</div>}
+                    {!searching && options.length === 0 && !error && <div className="fk-status">No matching rows.</div>}
+                    {error && <div className="fk-status error">{error}</div>}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch, useAuth } from './auth';
+
+/**
+ * Sends a JSON request to the search routes and returns the parsed body, throwing
+ * the server's error message when it fails.
+ */
+const sendJson = async (url, method) => {
+    const response = await apiFetch(url, { method });
+    if (response.status === 204) return null;
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `Request failed with status ${response.status}.`);
+    return data;
+};
+
+// --- Global Search Component ---
+
+/**
+ * Search box for every text column of every table the user may read (GET /api/search).
+ * Matches are listed per table with highlighted snippets; picking one calls
+ * `onOpenRow(tableName, primaryKey, key)`. Admins can build or drop the FTS5 index
+ * the server searches instead of scanning the tables.
+ */
+export default function GlobalSearch({ API_BASE_URL, onOpenRow }) {
+    const { session, isAdmin } = useAuth();
+    const [text, setText] = useState('');
+    const [results, setResults] = useState(null);
+    const [open, setOpen] = useState(false);
+    const [searching, setSearching] = useState(false);
+    const [error, setError] = useState(null);
+    // { indexed, entries } of the database, loaded for admins when the results open
+    const [index, setIndex] = useState(null);
+
+    const search = async () => {
+        if (text.trim() === '') return;
+        setSearching(true);
+        setError(null);
+        setOpen(true);
+        try {
+            setResults(await sendJson(`${API_BASE_URL}/search?q=${encodeURIComponent(text.trim())}`, 'GET'));
+        } catch (err) {
+            setResults(null);
+            setError(err.message);
+        } finally {
+            setSearching(false);
+        }
+    };
+
+    const fetchIndex = useCallback(async () => {
+        try {
+            setIndex(await sendJson(`${API_BASE_URL}/search/index`, 'GET'));
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [API_BASE_URL]);
+
+    useEffect(() => {
+        if (open && isAdmin) fetchIndex();
+    }, [open, isAdmin, fetchIndex]);
+
+    const changeIndex = async (method) => {
+        if (method === 'DELETE' && !window.confirm('Drop the search index? Searches will scan the tables again.')) return;
+        setSearching(true);
+        setError(null);
+        try {
+            await sendJson(`${API_BASE_URL}/search/index`, method);
+            await fetchIndex();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSearching(false);
+        }
+        if (results) search();
+    };
+
+    const openRow = (match, row) => {
+        setOpen(false);
+        onOpenRow(match.table, match.primaryKey, row.key);
+    };
+
+    const matchCount = results ? results.tables.reduce((sum, match) => sum + match.total, 0) : 0;
+
+    return (
+        <div
+            className="global-search"
+            // Close the results when focus leaves the search
+            onBlur={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setOpen(false); }}
+            onKeyDown={(e) => { if (e.key === 'Escape') setOpen(false); }}
+        >
+            <input
+                type="search"
+                className="global-search-input"
+                placeholder="Search all tables…"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') search(); }}
+                onFocus={() => { if (results || error) setOpen(true); }}
+            />
+            <button onClick={search} className="pager-btn" disabled={searching || text.trim() === ''}>
+                {searching ? 'Searching...' : 'Search'}
+            </button>
+
+            {open && (
+                <div className="global-search-results" tabIndex={-1}>
+                    {error && <div className="message error" role="alert">{error}</div>}
+                    {results && (
+                        <p className="schema-empty">
+                            {matchCount} match(es) in {results.tables.length} of {results.searched} table(s)
+                            {results.mode === 'index' ? ' (search index, matching word beginnings)' : ' (tables scanned)'}
+                        </p>
+                    )}
+                    {results && results.tables.map(match => (
+                        <div key={match.table} className="search-group">
+                            <div className="search-group-header">
+                                <span className="search-table">{match.table}</span>
+                                <span className="related-count">{match.total}</span>
+                                {match.total > match.rows.length && <span className="grid-hint">first {match.rows.length} shown</span>}
+                            </div>
+                            <ul className="search-hits">
+                                {match.rows.map(row => (
+                                    <li key={JSON.stringify(row.key)}>
+                                        <button onClick={() => openRow(match, row)} className="search-hit" title={`Open ${match.table} ${row.key.join(', ')}`}>
+                                            <span className="search-hit-key">{match.primaryKey.join(', ')} = {row.key.join(', ')}</span>
+                                            {row.matches.map(({ column, parts }) => (
+                                                <span key={column} className="search-snippet">
+                                                    <span className="search-column">{column}:</span>{' '}
+                                                    {parts.map((part, i) => (part.match ? <mark key={i}>{part.text}</mark> : <span key={i}>{part.text}</span>))}
+                                                </span>
+                                            ))}
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    ))}
+                    {isAdmin && index && (
+                        <div className="search-index">
+                            <span className="grid-hint">
+                                {index.indexed ? `Search index: ${index.entries} row(s)` : 'No search index, every search scans the tables.'}
+                            </span>
+                            {!session.readOnly && (
+                                <>
+                                    <button onClick={() => changeIndex('POST')} className="pager-btn" disabled={searching}>
+                                        {index.indexed ? 'Rebuild index' : 'Build index'}
+                                    </button>
+                                    {index.indexed && (
+                                        <button onClick={() => changeIndex('DELETE')} className="pager-btn" disabled={searching}>Drop index</button>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
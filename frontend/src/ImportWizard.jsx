@@ -0,0 +1,285 @@
+import React, { useState, useMemo } from 'react';
+import { CLIENT_ID } from './liveUpdates';
+import { parseImportFile, inferColumnType, toColumnName } from './importParsing';
+import { apiFetch } from './auth';
+
+// Rows shown in the preview
+const PREVIEW_ROWS = 10;
+// Types offered for the columns of a new table (the ones inferColumnType produces)
+const IMPORT_TYPES = ['INTEGER', 'REAL', 'BOOLEAN', 'DATETIME', 'TEXT'];
+
+// Maps each source column to the table column with the same name, ignoring case
+const autoMapping = (sourceColumns, tableColumns) => sourceColumns.map(source => (
+    tableColumns.find(col => col.toLowerCase() === String(source).trim().toLowerCase()) || ''
+));
+
+// Proposes a new table definition from the parsed file
+const inferDefinition = ({ columns, rows }) => columns.map((source, i) => {
+    const type = inferColumnType(rows.map(row => row[i]));
+    const name = toColumnName(source);
+    return { include: true, name, type, primaryKey: name.toLowerCase() === 'id' && type === 'INTEGER' };
+});
+
+// --- Import Wizard Component ---
+
+/**
+ * Imports a CSV or JSON file into the current table or into a new table created from
+ * the inferred column types. Steps: pick a file, check the preview and the column
+ * mapping, choose insert/upsert and error handling, then read the per-row report.
+ * `onImported(tableName, created)` is called after rows were written. Without
+ * `canCreate` only the current table can be imported into.
+ */
+export default function ImportWizard({ API_BASE_URL, tableName, tableColumns, canCreate = true, onImported, onClose }) {
+    const [parsed, setParsed] = useState(null); // { fileName, columns, rows }
+    const [target, setTarget] = useState(tableName ? 'existing' : 'new');
+    const [newTableName, setNewTableName] = useState('');
+    const [mapping, setMapping] = useState([]); // target column per source column ('' = skip)
+    const [definition, setDefinition] = useState([]); // new table columns per source column
+    const [mode, setMode] = useState('insert');
+    const [onError, setOnError] = useState('abort');
+    const [emptyAsNull, setEmptyAsNull] = useState(true);
+    const [report, setReport] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleFile = async (file) => {
+        if (!file) return;
+        setError(null);
+        setReport(null);
+        try {
+            const result = await parseImportFile(file);
+            setParsed({ fileName: file.name, ...result });
+            setMapping(autoMapping(result.columns, tableColumns));
+            setDefinition(inferDefinition(result));
+            setNewTableName(toColumnName(file.name.replace(/\.[^.]+$/, '')));
+        } catch (err) {
+            setParsed(null);
+            setError(`Could not read ${file.name}: ${err.message}`);
+        }
+    };
+
+    // Source column indexes that are imported, with the column each one goes to
+    const selected = useMemo(() => {
+        if (!parsed) return [];
+        return parsed.columns.map((_, i) => i)
+            .filter(i => (target === 'existing' ? mapping[i] : definition[i]?.include))
+            .map(i => ({ index: i, column: target === 'existing' ? mapping[i] : definition[i].name }));
+    }, [parsed, target, mapping, definition]);
+
+    const updateDefinition = (index, changes) => {
+        setDefinition(prev => prev.map((col, i) => (i === index ? { ...col, ...changes } : col)));
+    };
+
+    const handleImport = async () => {
+        const destination = target === 'existing' ? tableName : newTableName.trim();
+        const body = {
+            columns: selected.map(s => s.column),
+            rows: parsed.rows.map(row => selected.map(s => row[s.index])),
+            mode,
+            onError,
+            emptyAsNull,
+        };
+        if (target === 'new') {
+            body.create = {
+                columns: definition.filter(col => col.include).map(({ name, type, primaryKey }) => ({ name, type, primaryKey })),
+            };
+        }
+
+        setLoading(true);
+        setError(null);
+        setReport(null);
+        try {
+            const response = await apiFetch(`${API_BASE_URL}/import/${destination}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
+                body: JSON.stringify(body),
+            });
+            const result = await response.json();
+            if (result.errors) setReport(result);
+            if (!response.ok) throw new Error(result.error || 'Import failed.');
+            if (result.imported > 0 || result.created) onImported(destination, result.created);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const duplicateTargets = selected.map(s => s.column).filter((col, i, all) => all.indexOf(col) !== i);
+    const canImport = parsed && selected.length > 0 && duplicateTargets.length === 0 && !loading
+        && (target === 'existing' ? Boolean(tableName) : newTableName.trim() !== '');
+
+    const renderMapping = () => (
+        <table className="schema-table">
+            <thead>
+                <tr>
+                    <th>Source column</th>
+                    <th>Sample</th>
+                    {target === 'existing' ? <th>Table column</th> : (
+                        <>
+                            <th>Import</th>
+                            <th>Column name</th>
+                            <th>Type</th>
+                            <th>PK</th>
+                        </>
+                    )}
+                </tr>
+            </thead>
+            <tbody>
+                {parsed.columns.map((source, i) => (
+                    <tr key={i}>
+                        <td className="schema-readonly">{source}</td>
+                        <td className="import-sample">{String(parsed.rows[0]?.[i] ?? '')}</td>
+                        {target === 'existing' ? (
+                            <td>
+                                <select
+                                    className="schema-input"
+                                    value={mapping[i] || ''}
+                                    onChange={(e) => setMapping(prev => prev.map((m, j) => (j === i ? e.target.value : m)))}
+                                >
+                                    <option value="">— skip —</option>
+                                    {tableColumns.map(col => <option key={col} value={col}>{col}</option>)}
+                                </select>
+                            </td>
+                        ) : (
+                            <>
+                                <td>
+                                    <input type="checkbox" checked={definition[i].include} onChange={(e) => updateDefinition(i, { include: e.target.checked })} />
+                                </td>
+                                <td>
+                                    <input className="schema-input" value={definition[i].name} onChange={(e) => updateDefinition(i, { name: e.target.value })} disabled={!definition[i].include} />
+                                </td>
+                                <td>
+                                    <select className="schema-input" value={definition[i].type} onChange={(e) => updateDefinition(i, { type: e.target.value })} disabled={!definition[i].include}>
+                                        {IMPORT_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                                    </select>
+                                </td>
+                                <td>
+                                    <input type="checkbox" checked={definition[i].primaryKey} onChange={(e) => updateDefinition(i, { primaryKey: e.target.checked })} disabled={!definition[i].include} />
+                                </td>
+                            </>
+                        )}
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+
+    const renderPreview = () => (
+        <div className="import-preview">
+            <table className="results-data-table">
+                <thead>
+                    <tr className="results-header">
+                        {parsed.columns.map((col, i) => <th key={i}>{col}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {parsed.rows.slice(0, PREVIEW_ROWS).map((row, r) => (
+                        <tr key={r} className="results-row">
+                            {row.map((value, i) => <td key={i}>{value === null ? 'NULL' : String(value)}</td>)}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    const renderReport = () => (
+        <div className={`results-box ${report.failed > 0 ? 'info' : 'success'}`}>
+            <p className="font-bold">
+                {report.imported} row(s) imported{report.failed > 0 ? `, ${report.failed} failed` : ''}.
+            </p>
+            {report.errors.length > 0 && (
+                <ul className="import-errors">
+                    {report.errors.map(({ index, error: message }) => (
+                        <li key={index}>Row {index + 1}: {message}</li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+
+    return (
+        <div className="modal-backdrop" role="dialog" aria-modal="true">
+            <div className="modal import-wizard">
+                <h3 className="header-title-small">Import Data</h3>
+
+                <label className="schema-field">
+                    CSV or JSON file
+                    <input type="file" accept=".csv,.tsv,.txt,.json,.ndjson,.jsonl" onChange={(e) => handleFile(e.target.files[0])} />
+                </label>
+
+                {error && <div className="message error" role="alert">{error}</div>}
+
+                {parsed && (
+                    <>
+                        <div className="schema-section-title">
+                            Preview ({parsed.rows.length} row(s) in {parsed.fileName})
+                        </div>
+                        {renderPreview()}
+
+                        <div className="schema-row">
+                            <label className="schema-check">
+                                <input type="radio" checked={target === 'existing'} onChange={() => setTarget('existing')} disabled={!tableName} />
+                                Into {tableName || 'the current table'}
+                            </label>
+                            <label className="schema-check">
+                                <input type="radio" checked={target === 'new'} onChange={() => setTarget('new')} disabled={!canCreate} />
+                                Into a new table
+                            </label>
+                            {target === 'new' && (
+                                <input
+                                    className="schema-input schema-input-small"
+                                    value={newTableName}
+                                    onChange={(e) => setNewTableName(e.target.value)}
+                                    placeholder="Table name"
+                                />
+                            )}
+                        </div>
+
+                        <div className="schema-section-title">Columns</div>
+                        {renderMapping()}
+                        {duplicateTargets.length > 0 && (
+                            <div className="message error">Each column can only be imported once: {duplicateTargets.join(', ')}</div>
+                        )}
+
+                        <div className="schema-section-title">Options</div>
+                        <div className="schema-row">
+                            <label className="schema-check">
+                                <input type="radio" checked={mode === 'insert'} onChange={() => setMode('insert')} />
+                                Insert new rows
+                            </label>
+                            <label className="schema-check">
+                                <input type="radio" checked={mode === 'upsert'} onChange={() => setMode('upsert')} />
+                                Update rows with the same key (upsert)
+                            </label>
+                        </div>
+                        <div className="schema-row">
+                            <label className="schema-check">
+                                <input type="radio" checked={onError === 'abort'} onChange={() => setOnError('abort')} />
+                                Import nothing if any row fails
+                            </label>
+                            <label className="schema-check">
+                                <input type="radio" checked={onError === 'skip'} onChange={() => setOnError('skip')} />
+                                Skip failing rows
+                            </label>
+                            <label className="schema-check">
+                                <input type="checkbox" checked={emptyAsNull} onChange={(e) => setEmptyAsNull(e.target.checked)} />
+                                Empty values as NULL
+                            </label>
+                        </div>
+                    </>
+                )}
+
+                {report && renderReport()}
+
+                <div className="modal-actions">
+                    <button onClick={onClose} className="btn btn-discard">Close</button>
+                    <button onClick={handleImport} className="btn btn-save" disabled={!canImport}>
+                        {loading ? 'Importing...' : `Import ${parsed ? parsed.rows.length : 0} Row(s)`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
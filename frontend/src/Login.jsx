@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { setToken } from './auth';
+
+// --- Login Component ---
+
+/**
+ * Login form shown until a session exists. Stores the token from POST /api/auth/login
+ * and hands the session ({ user, defaultLevel, grants }) to `onLogin`.
+ */
+export default function Login({ API_BASE_URL, notice, onLogin }) {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await fetch(`${API_BASE_URL}/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password }),
+            });
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || 'Login failed.');
+            const { token, ...session } = body;
+            setToken(token);
+            onLogin(session);
+        } catch (err) {
+            setError(err.message);
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="main-container">
+            <h1 className="app-header">DB Management</h1>
+            <form className="login-panel" onSubmit={handleSubmit}>
+                <h2 className="header-title-small">Log in</h2>
+                {(error || notice) && <div className="message error" role="alert">{error || notice}</div>}
+                <label className="schema-field">
+                    Username
+                    <input className="schema-input" value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" autoFocus />
+                </label>
+                <label className="schema-field">
+                    Password
+                    <input className="schema-input" type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password" />
+                </label>
+                <button type="submit" className="btn btn-save" disabled={loading || !username || !password}>
+                    {loading ? 'Logging in...' : 'Log in'}
+                </button>
+            </form>
+        </div>
+    );
+}
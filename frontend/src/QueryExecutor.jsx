@@ -1,194 +1,557 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useRef } from 'react';
+import { CLIENT_ID } from './liveUpdates';
+import ExportButton from './ExportButton';
+import { downloadFile } from './download';
+import { apiFetch, useAuth } from './auth';
+import { takeSnapshot } from './snapshots';
+import SqlEditor from './SqlEditor';
+import QueryLibrary from './QueryLibrary';
+import QueryPlan from './QueryPlan';
+import ResultTable from './ResultTable';
+import { lineAndColumn, queryParameters } from './sqlSyntax';
 
-// --- Utility function for splitting queries safely ---
-const splitQueries = (sql) => {
-    if (!sql || !sql.trim()) return [];
-    
-    // Regex splits on semicolon, but only if it's NOT inside single quotes
-    return sql.split(/;(?=(?:(?:[^']){2})*[^']*$)/)
-              .map(s => s.trim())
-              .filter(s => s.length > 0);
-}
+// How the server classified a statement (see lib/statements.js)
+const KIND_LABELS = {
+    query: 'Query', dml: 'Data change', ddl: 'Schema change', other: 'Other', transaction: 'Transaction control',
+};
+
+// Rows per page of a query's result the user can choose (see rowLimit in POST /api/query)
+const ROW_LIMITS = [100, 500, 1000, 5000];
+
+// Short label of a statement for its result tab
+const statementLabel = (statement) => (statement.length > 40 ? `${statement.slice(0, 40)}...` : statement);
+
+// Value of a parameter typed into the form: empty is NULL, numbers are numbers
+const parseParameter = (text) => {
+    if (text.trim() === '') return null;
+    if (/^-?\d+(\.\d+)?$/.test(text.trim())) return Number(text);
+    return text;
+};
+
+// Text the form shows for a parameter value (the inverse of parseParameter)
+const parameterText = (value) => (value === null || value === undefined ? '' : String(value));
+
+// How long a statement took, from the server's durationMs
+const formatDuration = (ms) => (ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`);
 
 // --- Query Executor Component ---
 
-export default function QueryExecutor({ onTableAction, API_BASE_URL }) {
+export default function QueryExecutor({ onTableAction, tables, API_BASE_URL }) {
+    // Admins may snapshot the database before running a script
+    const { isAdmin } = useAuth();
     const [sqlQuery, setSqlQuery] = useState(''); 
+    // Run the whole script in one transaction, rolled back if any statement fails
+    const [useTransaction, setUseTransaction] = useState(true);
+    // Ask the server for the EXPLAIN QUERY PLAN of each query
+    const [showPlan, setShowPlan] = useState(false);
+    // Rows of a query's result fetched at once; more are loaded while scrolling
+    const [rowLimit, setRowLimit] = useState(500);
     const [results, setResults] = useState(null);
+    // Index of the statement whose result is shown
+    const [activeTab, setActiveTab] = useState(0);
     const [loading, setLoading] = useState(false);
+    const [loadingMore, setLoadingMore] = useState(false);
+    // Aborts the running request when the user cancels it
+    const abortRef = useRef(null);
     const [error, setError] = useState(null);
-    
-    // FIX: Derive the statement count using useMemo to ensure it's available in the render scope
-    const statements = useMemo(() => splitQueries(sqlQuery), [sqlQuery]);
-
-    const handleExecuteQuery = async () => {
-        const statementsToExecute = statements;
-        
-        if (statementsToExecute.length === 0) {
-            setError({ message: 'No valid SQL statements found.', type: 'error' });
+    // Destructive statements waiting for the user: { statements, resolve }
+    const [confirmation, setConfirmation] = useState(null);
+    // Where in the editor the last run failed: { start, end }
+    const [errorMarker, setErrorMarker] = useState(null);
+    // Named parameters waiting for values: { names, values: { name: text }, resolve }
+    const [parameterForm, setParameterForm] = useState(null);
+    // The values last used per parameter name, offered again next time
+    const [lastParameters, setLastParameters] = useState({});
+    const [showLibrary, setShowLibrary] = useState(true);
+    // Bumped after every run so the history shows it
+    const [historyVersion, setHistoryVersion] = useState(0);
+
+    const hasSql = sqlQuery.trim().length > 0;
+
+    // Asks the user before destructive statements run; resolves to true to run them,
+    // or to 'snapshot' to take a snapshot of the database first
+    const askConfirmation = ({ statements }) => new Promise(resolve => {
+        setConfirmation({ statements, resolve });
+    });
+
+    const answerConfirmation = (confirmed) => {
+        confirmation.resolve(confirmed);
+        setConfirmation(null);
+    };
+
+    // Asks for the values of the named parameters in `sql`; resolves to { name: value },
+    // or null when cancelled. `preset` ({ name: value }) fills the form.
+    const askParameters = (sql, preset = null) => {
+        const names = queryParameters(sql);
+        if (names.length === 0) return Promise.resolve({});
+        const values = Object.fromEntries(names.map(name => [
+            name, parameterText(preset && name in preset ? preset[name] : lastParameters[name]),
+        ]));
+        return new Promise(resolve => setParameterForm({ names, values, resolve }));
+    };
+
+    const answerParameters = (confirmed) => {
+        const { values, resolve } = parameterForm;
+        setParameterForm(null);
+        if (!confirmed) {
+            resolve(null);
             return;
         }
+        const params = Object.fromEntries(Object.entries(values).map(([name, text]) => [name, parseParameter(text)]));
+        setLastParameters(prev => ({ ...prev, ...params }));
+        resolve(params);
+    };
 
-        setLoading(true);
-        setResults(null);
-        setError(null);
-        
-        let totalRowCount = 0;
-        let lastResult = null;
-        let queryFailed = false;
-
-        // Loop through each statement and execute it sequentially
-        for (const statement of statementsToExecute) {
-            try {
-                const response = await fetch(`${API_BASE_URL}/query`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ sql: statement }),
-                });
+    // The script is split and run by the server (POST /api/query/script)
+    const postScript = (sql, params, confirm = false) => apiFetch(`${API_BASE_URL}/query/script`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
+        body: JSON.stringify({ sql, params, transaction: useTransaction, confirm, plan: showPlan, rowLimit }),
+        signal: abortRef.current.signal,
+    });
 
-                const data = await response.json();
+    const handleSqlChange = (text) => {
+        setSqlQuery(text);
+        setErrorMarker(null); // Its offsets no longer match the text
+    };
 
-                if (!response.ok) {
-                    throw new Error(data.error || 'Failed to execute query.');
-                }
-                
-                // Store the result of the last query for display
-                lastResult = { statement, data };
+    // Shows one tab per statement, opening the last result set (or the failed statement)
+    const showScriptResults = (items, failure = null, durationMs = null) => {
+        const lastRows = items.map(item => Boolean(item.rows)).lastIndexOf(true);
+        setResults({ type: 'script', items, failure, durationMs });
+        setActiveTab(failure ? items.length : lastRows !== -1 ? lastRows : items.length - 1);
+        if (items.some(item => item.kind === 'ddl') && onTableAction) onTableAction();
+    };
 
-                // Aggregate row counts for DML/DDL operations
-                if (data.rowCount !== undefined) {
-                    totalRowCount += data.rowCount;
-                }
+    // Runs `sql`, the whole editor text or the part of it starting at `offset`, asking
+    // for the values of its parameters first (`preset` fills the form)
+    const handleExecuteQuery = async (sql = sqlQuery, offset = 0, preset = null) => {
+        if (loading || !sql.trim()) return;
+        const params = await askParameters(sql, preset);
+        if (!params) return;
 
-                // If any DDL query runs, refresh the table list.
-                const sqlUpper = statement.toUpperCase();
-                const isDDL = sqlUpper.startsWith('CREATE') || 
-                              sqlUpper.startsWith('DROP') ||
-                              sqlUpper.startsWith('ALTER');
-                
-                if (isDDL && onTableAction) {
-                    onTableAction();
-                }
+        setLoading(true);
+        setResults(null);
+        setError(null);
+        setErrorMarker(null);
+        abortRef.current = new AbortController();
+        try {
+            let response = await postScript(sql, params);
+            let data = await response.json();
 
-            } catch (err) {
-                setError({ message: `Query execution failed on statement: "${statement}". Error: ${err.message}`, type: 'error' }); 
-                queryFailed = true;
-                break; // Stop execution on the first failure
+            // DROP and DELETE/UPDATE without WHERE only run once confirmed
+            if (response.status === 409 && data.confirmation) {
+                const answer = await askConfirmation(data.confirmation);
+                if (!answer) throw new Error('Cancelled, the script was not run.');
+                if (answer === 'snapshot') await takeSnapshot(API_BASE_URL, `Before ${statementLabel(sql.trim())}`);
+                response = await postScript(sql, params, true);
+                data = await response.json();
             }
-        }
-        
-        setLoading(false);
 
-        // Process the final result (only if no failure occurred)
-        if (!queryFailed && lastResult) {
-            const { statement, data } = lastResult;
-            
-            // If the last statement was a SELECT, display the data table
-            if (data.rows && Array.isArray(data.rows)) {
-                setResults({
-                    type: 'data',
-                    data: data.rows,
-                    columns: data.columns || Object.keys(data.rows[0] || {})
+            if (!response.ok) {
+                if (data.failedIndex === undefined) throw new Error(data.error || 'Failed to execute query.');
+                // Keep the results of the statements that were committed before the failure
+                showScriptResults(data.results, { index: data.failedIndex, error: data.error, rolledBack: data.rolledBack });
+                let position = '';
+                if (data.errorRange) {
+                    const marker = { start: offset + data.errorRange.start, end: offset + data.errorRange.end };
+                    const { line, column } = lineAndColumn(sqlQuery, marker.start);
+                    setErrorMarker(marker);
+                    position = ` (line ${line}, column ${column})`;
+                }
+                setError({
+                    message: `Statement ${data.failedIndex + 1} failed${position}: ${data.error}${data.rolledBack ? ' The whole script was rolled back.' : ''}`,
+                    type: 'error',
                 });
-            } else {
-                // Otherwise, display a success message summarizing the execution
-                const sqlUpper = statement.toUpperCase();
-                const isDDL = sqlUpper.startsWith('CREATE') || sqlUpper.startsWith('DROP') || sqlUpper.startsWith('ALTER');
-
-                setResults({
-                    type: 'success',
-                    message: isDDL 
-                        ? 'DDL command(s) executed successfully. Table list refreshing...' 
-                        : statementsToExecute.length > 1
-                            ? `${statementsToExecute.length} queries executed successfully.`
-                            : 'Query executed successfully.',
-                    rowCount: totalRowCount,
+                return;
+            }
+            showScriptResults(data.results, null, data.durationMs);
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                setError({
+                    message: `Cancelled. The running statement finishes on the server, then ${useTransaction
+                        ? 'the whole script is rolled back.'
+                        : 'its changes are rolled back; the statements that had finished stay committed.'}`,
+                    type: 'error',
                 });
+            } else {
+                setError({ message: `Query execution failed: ${err.message}`, type: 'error' });
             }
-        } else if (!queryFailed && statementsToExecute.length > 0) {
-             setResults({
-                type: 'success',
-                message: `${statementsToExecute.length} queries executed successfully. Rows affected: ${totalRowCount}`,
-                rowCount: totalRowCount,
+        } finally {
+            abortRef.current = null;
+            setLoading(false);
+            setHistoryVersion(version => version + 1);
+        }
+    };
+
+    // Stops waiting for the script. The server can't interrupt a running statement: it
+    // stops the script before the next one and rolls back what wasn't committed yet.
+    const handleCancel = () => {
+        if (abortRef.current) abortRef.current.abort();
+    };
+
+    // Fetches the next rows of the query in tab `index` (POST /api/query/page)
+    const handleLoadMore = async (index) => {
+        const item = results.items[index];
+        setLoadingMore(true);
+        try {
+            const response = await apiFetch(`${API_BASE_URL}/query/page`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sql: item.statement, offset: item.rows.length, rowLimit }),
             });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to load more rows.');
+            setResults(prev => ({
+                ...prev,
+                items: prev.items.map((entry, i) => (
+                    i === index ? { ...entry, rows: [...entry.rows, ...data.rows], hasMore: data.hasMore } : entry
+                )),
+            }));
+        } catch (err) {
+            setError({ message: `Loading more rows failed: ${err.message}`, type: 'error' });
+        } finally {
+            setLoadingMore(false);
         }
     };
+
+    // Appends a suggested CREATE INDEX statement to the editor, to run when the user wants
+    const handleUseSuggestion = (statement) => handleSqlChange(`${sqlQuery.trimEnd()}\n\n${statement}\n`);
+
+    // Opens a query from the library in the editor
+    const handleLoadQuery = (sql) => handleSqlChange(sql);
+
+    // Runs a query from the library, with the parameter values it ran with before
+    const handleRunQuery = (sql, params) => {
+        handleSqlChange(sql);
+        handleExecuteQuery(sql, 0, params);
+    };
     
-    // Render results table
-    const renderResults = () => {
-        if (!results) return null;
+    // Asks the server what each statement would do, without running anything
+    // Takes a snapshot of the database, labelled with the script in the editor
+    const handleSnapshot = async () => {
+        setError(null);
+        try {
+            const snapshot = await takeSnapshot(API_BASE_URL, hasSql ? `Before ${statementLabel(sqlQuery.trim())}` : null);
+            setError({ message: `Snapshot taken (${new Date(snapshot.createdAt).toLocaleString()}). Restore it from Snapshots above.`, type: 'success' });
+        } catch (err) {
+            setError({ message: `Snapshot failed: ${err.message}`, type: 'error' });
+        }
+    };
+
+    const handlePreview = async () => {
+        const params = await askParameters(sqlQuery);
+        if (!params) return;
+        setLoading(true);
+        setResults(null);
+        setError(null);
+        try {
+            const response = await apiFetch(`${API_BASE_URL}/query/analyze`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sql: sqlQuery, params }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to analyze the script.');
+            setResults({ type: 'preview', items: data.statements });
+        } catch (err) {
+            setError({ message: `Preview failed: ${err.message}`, type: 'error' });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Re-run the SELECT that produced the results on the server and download every row
+    const handleExportResults = (format) => downloadFile(`${API_BASE_URL}/query/export`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sql: results.items[activeTab].statement, format }),
+    }, `query_result.${format}`);
 
-        if (results.type === 'success') {
+    // The result of one statement of the script, or the failure when it is its tab
+    const renderScriptResult = (item, failure) => {
+        if (!item) {
+            return (
+                <div className="results-box info">
+                    <p className="query-warning">{failure.error}</p>
+                    <p>
+                        {failure.rolledBack
+                            ? 'The script ran in one transaction, so none of its statements were kept.'
+                            : 'The statements before it were committed; the ones after it were not run.'}
+                    </p>
+                </div>
+            );
+        }
+
+        if (!item.rows) {
             return (
                 <div className="results-box success">
-                    <p className="font-bold">{results.message}</p>
-                    {results.rowCount !== undefined && <p>Rows affected/processed: {results.rowCount}</p>}
+                    <p className="font-bold">
+                        {item.kind === 'ddl' ? 'Schema changed. Table list refreshing...' : 'Statement executed successfully.'}
+                    </p>
+                    <p>Rows affected/processed: {item.rowCount}</p>
+                    <p>Took {formatDuration(item.durationMs)}</p>
                 </div>
             );
         }
 
-        if (results.type === 'data') {
-            const resultColumns = results.columns;
-            const resultData = results.data;
+        const resultColumns = item.columns;
+        const resultData = item.rows;
+        const plan = item.plan && <QueryPlan plan={item.plan} onUseSuggestion={handleUseSuggestion} />;
 
-            if (resultData.length === 0) {
-                return <div className="results-box info">Query successful, but no rows returned.</div>;
-            }
+        if (resultData.length === 0) {
+            return (
+                <>
+                    {plan}
+                    <div className="results-box info">
+                        Query successful, but no rows returned ({formatDuration(item.durationMs)}).
+                    </div>
+                </>
+            );
+        }
 
+        return (
+            <div className="results-box data-table-wrapper">
+                {plan}
+                <div className="results-toolbar">
+                    <p className="font-bold text-sm text-indigo-300">
+                        Results ({resultData.length}{item.hasMore ? ' rows so far' : ' rows'}, {formatDuration(item.durationMs)})
+                    </p>
+                    {item.kind === 'query' && (
+                        <ExportButton
+                            onExport={handleExportResults}
+                            onError={(err) => setError({ message: `Export failed: ${err.message}`, type: 'error' })}
+                        />
+                    )}
+                </div>
+                <ResultTable
+                    key={activeTab}
+                    columns={resultColumns}
+                    rows={resultData}
+                    hasMore={Boolean(item.hasMore)}
+                    loadingMore={loadingMore}
+                    onLoadMore={() => handleLoadMore(activeTab)}
+                />
+            </div>
+        );
+    };
+
+    // Render results table
+    const renderResults = () => {
+        if (!results) return null;
+
+        if (results.type === 'preview') {
             return (
-                <div className="results-box data-table-wrapper">
-                    <p className="font-bold mb-3 text-sm text-indigo-300">Results ({resultData.length} rows)</p>
-                    <table className="results-data-table">
-                        <thead>
-                            <tr className="results-header">
-                                {resultColumns.map(col => (
-                                    <th key={col}>{col}</th>
-                                ))}
-                            </tr>
-                        </thead>
-                        <tbody>
-                            {resultData.map((row, index) => (
-                                <tr key={index} className="results-row">
-                                    {resultColumns.map(col => (
-                                        <td key={col}>{String(row[col] ?? 'NULL')}</td>
-                                    ))}
-                                </tr>
-                            ))}
-                        </tbody>
-                    </table>
+                <div className="results-box info">
+                    <ul className="query-preview">
+                        {results.items.map((analysis, i) => (
+                            <li key={i} className={analysis.denied || analysis.error ? 'denied' : analysis.destructive ? 'destructive' : ''}>
+                                <code className="audit-statement">{analysis.statement}</code>
+                                {analysis.kind && (
+                                    <div className="audit-meta">
+                                        <span className="pending-tag">{KIND_LABELS[analysis.kind] || analysis.kind}</span>
+                                        {analysis.reads.length > 0 && <span>reads {analysis.reads.join(', ')}</span>}
+                                        {analysis.writes.length > 0 && <span>writes {analysis.writes.join(', ')}</span>}
+                                        {analysis.dropped.length > 0 && <span>drops {analysis.dropped.join(', ')}</span>}
+                                        {analysis.affectedRows !== null && <span>{analysis.affectedRows} row(s) affected</span>}
+                                    </div>
+                                )}
+                                {analysis.destructive && <p className="query-warning">{analysis.destructive}</p>}
+                                {analysis.denied && <p className="query-warning">{analysis.denied}</p>}
+                                {analysis.error && <p className="query-warning">Fails: {analysis.error}</p>}
+                            </li>
+                        ))}
+                    </ul>
                 </div>
             );
         }
+
+        if (results.type === 'script') {
+            const { items, failure } = results;
+            return (
+                <>
+                    <div className="result-tabs" role="tablist">
+                        {items.map((item, i) => (
+                            <button
+                                key={i}
+                                role="tab"
+                                aria-selected={i === activeTab}
+                                className={`result-tab${i === activeTab ? ' active' : ''}`}
+                                onClick={() => setActiveTab(i)}
+                                title={item.statement}
+                            >
+                                {i + 1}. {statementLabel(item.statement)}
+                                <span className="result-tab-count">
+                                    {item.rows ? `${item.rows.length}${item.hasMore ? '+' : ''} rows` : `${item.rowCount} affected`}, {formatDuration(item.durationMs)}
+                                </span>
+                                {item.plan?.warnings > 0 && (
+                                    <span className="result-tab-warning" title="The query plan has steps an index could speed up">!</span>
+                                )}
+                            </button>
+                        ))}
+                        {failure && (
+                            <button
+                                role="tab"
+                                aria-selected={activeTab === items.length}
+                                className={`result-tab failed${activeTab === items.length ? ' active' : ''}`}
+                                onClick={() => setActiveTab(items.length)}
+                            >
+                                {failure.index + 1}. Failed
+                            </button>
+                        )}
+                    </div>
+                    {renderScriptResult(items[activeTab], failure)}
+                </>
+            );
+        }
         return null;
     };
 
     return (
         <div className="query-executor-container">
-            <h2 className="header-title-small mb-4">SQL Query Executor</h2>
-            <textarea
-                className="query-input"
-                value={sqlQuery}
-                onChange={(e) => setSqlQuery(e.target.value)}
-                placeholder={`Example: SELECT * FROM Products WHERE price > 50;\n\nOr MULTIPLE queries:\nINSERT INTO Table (col) VALUES (1);\nUPDATE Table SET col = 2 WHERE id = 1;`}
-                rows="8"
-            ></textarea>
-
-            <button
-                onClick={handleExecuteQuery}
-                className="btn btn-execute"
-                disabled={loading || statements.length === 0} // Use statements.length here
-            >
-                {/* Use statements.length here */}
-                {loading ? 'Executing...' : `Execute ${statements.length > 1 ? statements.length : ''} Query(s)`}
-            </button>
+            <div className="query-executor-header">
+                <h2 className="header-title-small mb-4">SQL Query Executor</h2>
+                <button onClick={() => setShowLibrary(shown => !shown)} className="pager-btn" aria-pressed={showLibrary}>
+                    {showLibrary ? 'Hide history' : 'History & saved queries'}
+                </button>
+            </div>
+            <div className="query-executor-layout">
+                <div className="query-executor-main">
+                    <SqlEditor
+                        value={sqlQuery}
+                        onChange={handleSqlChange}
+                        onRun={handleExecuteQuery}
+                        tables={tables}
+                        API_BASE_URL={API_BASE_URL}
+                        error={errorMarker}
+                        placeholder={`Example: SELECT * FROM Products WHERE price > 50;\n\nOr MULTIPLE queries:\nINSERT INTO Table (col) VALUES (1);\nUPDATE Table SET col = 2 WHERE id = 1;`}
+                    />
+
+                    <button
+                        onClick={() => handleExecuteQuery()}
+                        className="btn btn-execute"
+                        disabled={loading || !hasSql}
+                    >
+                        {loading ? 'Executing...' : 'Execute'}
+                    </button>
+                    {loading && (
+                        <button
+                            onClick={handleCancel}
+                            className="btn btn-danger query-preview-btn"
+                            title="Stops the script between statements; the running statement finishes first and is rolled back"
+                        >
+                            Cancel
+                        </button>
+                    )}
+                    <button
+                        onClick={handlePreview}
+                        className="btn btn-discard query-preview-btn"
+                        disabled={loading || !hasSql}
+                        title="Show what the statements would do and how many rows they would change, without running them"
+                    >
+                        Preview
+                    </button>
+                    {isAdmin && (
+                        <button
+                            onClick={handleSnapshot}
+                            className="btn btn-discard query-preview-btn"
+                            disabled={loading}
+                            title="Take a snapshot of the database, to restore it if the script goes wrong"
+                        >
+                            Snapshot
+                        </button>
+                    )}
+                    <label className="query-option" title="Roll back every statement of the script if one fails">
+                        <input type="checkbox" checked={useTransaction} onChange={(e) => setUseTransaction(e.target.checked)} />
+                        Run in one transaction
+                    </label>
+                    <label className="query-option" title="Show how SQLite runs each query and which indexes would help">
+                        <input type="checkbox" checked={showPlan} onChange={(e) => setShowPlan(e.target.checked)} />
+                        Show query plan
+                    </label>
+                    <label className="query-option" title="Rows of a query's result fetched at once; scroll down for more">
+                        Rows per page
+                        <select value={rowLimit} onChange={(e) => setRowLimit(Number(e.target.value))}>
+                            {ROW_LIMITS.map(limit => <option key={limit} value={limit}>{limit}</option>)}
+                        </select>
+                    </label>
+                    <span className="query-shortcuts">
+                        Ctrl+Enter runs the selection or the statement at the cursor, Ctrl+Shift+Enter everything, Ctrl+Space completes.
+                    </span>
+
+                    {/* Values of the named parameters (:name) */}
+                    {parameterForm && (
+                        <div className="modal-backdrop" role="dialog" aria-modal="true">
+                            <form className="modal" onSubmit={(e) => { e.preventDefault(); answerParameters(true); }}>
+                                <h3 className="header-title-small">Parameters</h3>
+                                <p className="conflict-intro">Leave a value empty for NULL. Numbers are sent as numbers.</p>
+                                {parameterForm.names.map((name, i) => (
+                                    <label key={name} className="schema-field">
+                                        :{name}
+                                        <input
+                                            className="schema-input"
+                                            value={parameterForm.values[name]}
+                                            onChange={(e) => setParameterForm(prev => ({ ...prev, values: { ...prev.values, [name]: e.target.value } }))}
+                                            autoFocus={i === 0}
+                                        />
+                                    </label>
+                                ))}
+                                <div className="modal-actions">
+                                    <button type="submit" className="btn btn-save">Run</button>
+                                    <button type="button" onClick={() => answerParameters(false)} className="btn btn-discard">Cancel</button>
+                                </div>
+                            </form>
+                        </div>
+                    )}
+
+                    {/* Destructive statements confirmation */}
+                    {confirmation && (
+                        <div className="modal-backdrop" role="dialog" aria-modal="true">
+                            <div className="modal">
+                                <h3 className="header-title-small">
+                                    Run {confirmation.statements.length === 1 ? 'this statement' : 'these statements'}?
+                                </h3>
+                                {confirmation.statements.map((entry, i) => (
+                                    <div key={i} className="query-confirmation">
+                                        <code className="audit-statement">{entry.statement}</code>
+                                        <p className="query-warning">{entry.destructive}</p>
+                                        {entry.affectedRows !== null && (
+                                            <p className="conflict-intro">{entry.affectedRows} row(s) will be affected.</p>
+                                        )}
+                                    </div>
+                                ))}
+                                <div className="modal-actions">
+                                    <button onClick={() => answerConfirmation(true)} className="btn btn-danger">Run it</button>
+                                    {isAdmin && (
+                                        <button onClick={() => answerConfirmation('snapshot')} className="btn btn-save" title="Take a snapshot of the database first, so this can be undone">
+                                            Snapshot, then run it
+                                        </button>
+                                    )}
+                                    <button onClick={() => answerConfirmation(false)} className="btn btn-discard">Cancel</button>
+                                </div>
+                            </div>
+                        </div>
+                    )}
             
-            {error && (
-                <div className={`message error mt-4`} role="alert">{error.message}</div>
-            )}
+                    {error && (
+                        <div className={`message ${error.type} mt-4`} role="alert">{error.message}</div>
+                    )}
+
+                    {/* Query Results */}
+                    <div className="mt-4">
+                        {renderResults()}
+                    </div>
+                </div>
 
-            {/* Query Results */}
-            <div className="mt-4">
-                {renderResults()}
+                {showLibrary && (
+                    <QueryLibrary
+                        API_BASE_URL={API_BASE_URL}
+                        currentSql={sqlQuery}
+                        refreshKey={historyVersion}
+                        onLoad={handleLoadQuery}
+                        onRun={handleRunQuery}
+                    />
+                )}
             </div>
         </div>
     );
@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from './auth';
+import { queryParameters } from './sqlSyntax';
+
+// Characters of a statement shown in the lists
+const PREVIEW_LENGTH = 160;
+
+const preview = (sql) => (sql.length > PREVIEW_LENGTH ? `${sql.slice(0, PREVIEW_LENGTH)}...` : sql);
+
+/**
+ * Sends a JSON request to the query library routes and returns the parsed body,
+ * throwing the server's error message when it fails.
+ */
+const sendJson = async (url, method, body) => {
+    const response = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (response.status === 204) return null;
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `Request failed with status ${response.status}.`);
+    return data;
+};
+
+// --- Query Library Component ---
+
+/**
+ * Sidebar with the user's query history and saved queries (see /api/queries): search
+ * them, mark favorites, open one in the editor (`onLoad(sql)`) or run it again
+ * (`onRun(sql, params)`), and save the editor's query under a name. The history is
+ * reloaded whenever `refreshKey` changes, i.e. after every run.
+ */
+export default function QueryLibrary({ API_BASE_URL, currentSql, refreshKey, onLoad, onRun }) {
+    const [view, setView] = useState('history');
+    const [search, setSearch] = useState('');
+    const [favoritesOnly, setFavoritesOnly] = useState(false);
+    const [entries, setEntries] = useState([]);
+    const [queries, setQueries] = useState([]);
+    // Form to save the editor's query: { name, description }, null when closed
+    const [saveForm, setSaveForm] = useState(null);
+    const [error, setError] = useState(null);
+
+    const load = useCallback(async () => {
+        try {
+            const query = new URLSearchParams();
+            if (search) query.set('search', search);
+            if (view === 'history') {
+                if (favoritesOnly) query.set('favorites', '1');
+                const data = await sendJson(`${API_BASE_URL}/queries/history?${query}`, 'GET');
+                setEntries(data.entries);
+            } else {
+                const data = await sendJson(`${API_BASE_URL}/queries/saved?${query}`, 'GET');
+                setQueries(favoritesOnly ? data.queries.filter(saved => saved.favorite) : data.queries);
+            }
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [API_BASE_URL, view, search, favoritesOnly]);
+
+    // Searching waits for a pause in typing
+    useEffect(() => {
+        const timer = setTimeout(load, 250);
+        return () => clearTimeout(timer);
+    }, [load, refreshKey]);
+
+    // Runs a change, then reloads the list, or shows the error
+    const runChange = async (change) => {
+        try {
+            await change();
+            await load();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const toggleHistoryFavorite = (entry) => runChange(
+        () => sendJson(`${API_BASE_URL}/queries/history/${entry.id}`, 'PUT', { favorite: !entry.favorite })
+    );
+
+    const toggleSavedFavorite = (saved) => runChange(
+        () => sendJson(`${API_BASE_URL}/queries/saved/${saved.id}`, 'PUT', { favorite: !saved.favorite })
+    );
+
+    const handleClearHistory = () => {
+        if (!window.confirm('Clear the query history? Favorites are kept.')) return;
+        runChange(() => sendJson(`${API_BASE_URL}/queries/history`, 'DELETE'));
+    };
+
+    const handleDeleteSaved = (saved) => {
+        if (!window.confirm(`Delete the saved query ${saved.name}?`)) return;
+        runChange(() => sendJson(`${API_BASE_URL}/queries/saved/${saved.id}`, 'DELETE'));
+    };
+
+    const handleSave = () => runChange(async () => {
+        await sendJson(`${API_BASE_URL}/queries/saved`, 'POST', {
+            name: saveForm.name,
+            description: saveForm.description || null,
+            sql: currentSql,
+        });
+        setSaveForm(null);
+        setView('saved');
+    });
+
+    const favoriteButton = (item, onToggle) => (
+        <button
+            onClick={() => onToggle(item)}
+            className={`pager-btn library-favorite${item.favorite ? ' active' : ''}`}
+            title={item.favorite ? 'Remove from favorites' : 'Add to favorites'}
+            aria-pressed={item.favorite}
+        >
+            {item.favorite ? '★' : '☆'}
+        </button>
+    );
+
+    const renderHistory = () => {
+        if (entries.length === 0) return <li className="schema-empty">No queries run yet.</li>;
+        return entries.map(entry => (
+            <li key={entry.id} className={entry.success ? '' : 'failed'}>
+                <code className="audit-statement" title={entry.sql}>{preview(entry.sql)}</code>
+                <div className="audit-meta">
+                    <span>{new Date(entry.at).toLocaleString()}</span>
+                    <span>{entry.durationMs} ms</span>
+                    {entry.success ? <span>{entry.rowCount} row(s)</span> : <span title={entry.error}>failed</span>}
+                </div>
+                {entry.params && (
+                    <div className="audit-meta">
+                        {Object.entries(entry.params).map(([name, value]) => (
+                            <span key={name} className="pending-tag">:{name} = {JSON.stringify(value)}</span>
+                        ))}
+                    </div>
+                )}
+                <div className="library-actions">
+                    <button onClick={() => onRun(entry.sql, entry.params)} className="pager-btn">Run</button>
+                    <button onClick={() => onLoad(entry.sql)} className="pager-btn">Edit</button>
+                    {favoriteButton(entry, toggleHistoryFavorite)}
+                </div>
+            </li>
+        ));
+    };
+
+    const renderSaved = () => {
+        if (queries.length === 0) return <li className="schema-empty">No saved queries.</li>;
+        return queries.map(saved => (
+            <li key={saved.id}>
+                <div className="library-name">{saved.name}</div>
+                {saved.description && <p className="conflict-intro">{saved.description}</p>}
+                <code className="audit-statement" title={saved.sql}>{preview(saved.sql)}</code>
+                {saved.parameters.length > 0 && (
+                    <div className="audit-meta">
+                        {saved.parameters.map(name => <span key={name} className="pending-tag">:{name}</span>)}
+                    </div>
+                )}
+                <div className="library-actions">
+                    <button onClick={() => onRun(saved.sql, null)} className="pager-btn">Run</button>
+                    <button onClick={() => onLoad(saved.sql)} className="pager-btn">Edit</button>
+                    {favoriteButton(saved, toggleSavedFavorite)}
+                    <button onClick={() => handleDeleteSaved(saved)} className="pager-btn">Delete</button>
+                </div>
+            </li>
+        ));
+    };
+
+    const currentParameters = queryParameters(currentSql);
+
+    return (
+        <aside className="query-library">
+            <div className="library-tabs" role="tablist">
+                <button role="tab" aria-selected={view === 'history'} className={`result-tab${view === 'history' ? ' active' : ''}`} onClick={() => setView('history')}>
+                    History
+                </button>
+                <button role="tab" aria-selected={view === 'saved'} className={`result-tab${view === 'saved' ? ' active' : ''}`} onClick={() => setView('saved')}>
+                    Saved
+                </button>
+            </div>
+
+            <input
+                className="schema-input"
+                placeholder={view === 'history' ? 'Search the history' : 'Search saved queries'}
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+            />
+            <div className="library-toolbar">
+                <label className="query-option">
+                    <input type="checkbox" checked={favoritesOnly} onChange={(e) => setFavoritesOnly(e.target.checked)} />
+                    Favorites only
+                </label>
+                {view === 'history' && <button onClick={handleClearHistory} className="pager-btn">Clear</button>}
+            </div>
+
+            {saveForm ? (
+                <div className="library-save">
+                    <input
+                        className="schema-input"
+                        placeholder="Name"
+                        value={saveForm.name}
+                        onChange={(e) => setSaveForm(prev => ({ ...prev, name: e.target.value }))}
+                        autoFocus
+                    />
+                    <input
+                        className="schema-input"
+                        placeholder="Description (optional)"
+                        value={saveForm.description}
+                        onChange={(e) => setSaveForm(prev => ({ ...prev, description: e.target.value }))}
+                    />
+                    {currentParameters.length > 0 && (
+                        <p className="conflict-intro">Parameters: {currentParameters.map(name => `:${name}`).join(', ')}</p>
+                    )}
+                    <div className="library-actions">
+                        <button onClick={handleSave} className="pager-btn" disabled={!saveForm.name.trim()}>Save</button>
+                        <button onClick={() => setSaveForm(null)} className="pager-btn">Cancel</button>
+                    </div>
+                </div>
+            ) : (
+                <button
+                    onClick={() => setSaveForm({ name: '', description: '' })}
+                    className="pager-btn library-save-btn"
+                    disabled={!currentSql.trim()}
+                >
+                    Save current query
+                </button>
+            )}
+
+            {error && <div className="message error" role="alert">{error}</div>}
+
+            <ul className="library-list">
+                {view === 'history' ? renderHistory() : renderSaved()}
+            </ul>
+        </aside>
+    );
+}
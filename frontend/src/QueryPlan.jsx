@@ -0,0 +1,36 @@
+import React from 'react';
+
+// --- Query Plan Component ---
+
+/**
+ * SQLite's plan for a query (see `plan` in POST /api/query) as a tree. Full table scans
+ * and temporary sorts are highlighted with the index that would avoid them;
+ * `onUseSuggestion(sql)` adds that CREATE INDEX statement to the editor.
+ */
+export default function QueryPlan({ plan, onUseSuggestion }) {
+    const renderNode = (node) => (
+        <li key={node.id} className={`plan-node${node.fullScan ? ' full-scan' : ''}${node.warning ? ' warning' : ''}`}>
+            <span className="plan-detail">{node.detail}</span>
+            {node.warning && <p className="query-warning">{node.warning}</p>}
+            {node.suggestion && (
+                <div className="plan-suggestion">
+                    <code className="audit-statement">{node.suggestion}</code>
+                    <button onClick={() => onUseSuggestion(node.suggestion)} className="pager-btn">Add to editor</button>
+                </div>
+            )}
+            {node.children.length > 0 && <ul className="plan-tree">{node.children.map(renderNode)}</ul>}
+        </li>
+    );
+
+    return (
+        <div className="query-plan">
+            <p className="font-bold text-sm">
+                Query plan
+                {plan.warnings > 0
+                    ? <span className="plan-summary warning">{plan.warnings} step(s) an index could speed up</span>
+                    : <span className="plan-summary">no full scans</span>}
+            </p>
+            <ul className="plan-tree">{plan.nodes.map(renderNode)}</ul>
+        </div>
+    );
+}
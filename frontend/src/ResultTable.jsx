@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { formatCellValue } from './cellTypes';
+
+// Must match .results-scroll in EditableTable.css
+const ROW_HEIGHT = 32;
+const VIEW_HEIGHT = 480;
+// Rows rendered beyond the visible ones, so scrolling doesn't show gaps
+const OVERSCAN = 10;
+
+// --- Result Table Component ---
+
+/**
+ * The rows of a query result in a scrolling table that only renders the rows in view,
+ * so thousands of them stay responsive. When the server has more rows (`hasMore`),
+ * scrolling near the end or the button below the table calls `onLoadMore()`.
+ */
+export default function ResultTable({ columns, rows, hasMore, loadingMore, onLoadMore }) {
+    const [scrollTop, setScrollTop] = useState(0);
+
+    const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const last = Math.min(rows.length, Math.ceil((scrollTop + VIEW_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+
+    const handleScroll = (e) => {
+        const { scrollTop: top, scrollHeight, clientHeight } = e.target;
+        setScrollTop(top);
+        if (hasMore && !loadingMore && scrollHeight - top - clientHeight < ROW_HEIGHT * OVERSCAN) onLoadMore();
+    };
+
+    return (
+        <>
+            <div className="results-scroll" style={{ maxHeight: VIEW_HEIGHT }} onScroll={handleScroll}>
+                <table className="results-data-table">
+                    <thead>
+                        <tr className="results-header">
+                            {columns.map(col => (
+                                <th key={col}>{col}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {/* Spacers stand in for the rows out of view */}
+                        {first > 0 && <tr aria-hidden="true" style={{ height: first * ROW_HEIGHT }} />}
+                        {rows.slice(first, last).map((row, i) => (
+                            <tr key={first + i} className="results-row">
+                                {columns.map(col => {
+                                    const text = formatCellValue(row[col]);
+                                    return <td key={col} title={text}>{text}</td>;
+                                })}
+                            </tr>
+                        ))}
+                        {last < rows.length && <tr aria-hidden="true" style={{ height: (rows.length - last) * ROW_HEIGHT }} />}
+                    </tbody>
+                </table>
+            </div>
+            {hasMore && (
+                <div className="results-more">
+                    <button onClick={onLoadMore} className="pager-btn" disabled={loadingMore}>
+                        {loadingMore ? 'Loading...' : 'Load more rows'}
+                    </button>
+                </div>
+            )}
+        </>
+    );
+}
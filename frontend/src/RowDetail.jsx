@@ -0,0 +1,296 @@
+import React, { useState, useEffect } from 'react';
+import ForeignKeyCell from './ForeignKeyCell';
+import { apiFetch } from './auth';
+import {
+    columnKind, isTruthyCell, parseCellInput, formatCellValue, isSameCellValue, toDateTimeInput, fromDateTimeInput,
+} from './cellTypes';
+
+// Child rows shown per referencing table; the rest are a click on "Open all" away
+const RELATED_PREVIEW_ROWS = 5;
+// Columns of a child row shown in its preview
+const RELATED_PREVIEW_COLUMNS = 4;
+// Text longer than this (or spanning lines) gets a multi-line input
+const LONG_TEXT_LENGTH = 60;
+
+// Datetime columns get a date picker unless their stored text isn't a date
+const usesDateInput = (kind, stored) => (
+    kind === 'datetime' && (stored === null || stored === undefined || toDateTimeInput(stored) !== '')
+);
+
+/**
+ * What a field of the form starts with for a stored value: { text, isNull }.
+ */
+const fieldDraft = (kind, stored) => {
+    if (stored === null || stored === undefined) return { text: '', isNull: true };
+    if (kind === 'boolean') return { text: isTruthyCell(stored) ? 'true' : 'false', isNull: false };
+    if (usesDateInput(kind, stored)) return { text: toDateTimeInput(stored), isNull: false };
+    return { text: String(stored), isNull: false };
+};
+
+/**
+ * Converts an edited field back into the value to store. Throws with a message for the
+ * form when the input doesn't fit the column.
+ */
+const parseField = (col, kind, draft, stored) => {
+    if (draft.isNull) {
+        // Empty key columns of new rows are assigned by SQLite
+        if (col.notNull && !col.pk) throw new Error('A value is required.');
+        return null;
+    }
+    if (kind === 'boolean') return draft.text === 'true';
+    if (usesDateInput(kind, stored)) {
+        if (draft.text === '') throw new Error('Choose a date.');
+        return fromDateTimeInput(draft.text, stored);
+    }
+    return kind === 'text' ? draft.text : parseCellInput(draft.text, col.type);
+};
+
+/**
+ * Rows of one referencing table whose foreign key points at the open row: how many
+ * there are and a preview of the first ones.
+ */
+function RelatedRows({ API_BASE_URL, reference, row, onOpen }) {
+    const [related, setRelated] = useState(null);
+    const [error, setError] = useState(null);
+    const keyValues = reference.to.map(field => row[field]);
+    const keyJson = JSON.stringify(keyValues);
+    // A NULL key value matches no child row
+    const hasKey = keyValues.every(value => value !== null && value !== undefined);
+
+    useEffect(() => {
+        if (!hasKey) return undefined;
+        const controller = new AbortController();
+        const filters = reference.from.map((field, i) => ({ field, op: 'eq', value: JSON.parse(keyJson)[i] }));
+        const params = new URLSearchParams({ page: 1, limit: RELATED_PREVIEW_ROWS, filter: JSON.stringify(filters) });
+
+        apiFetch(`${API_BASE_URL}/data/${reference.table}?${params}`, { signal: controller.signal })
+            .then(async response => {
+                const body = await response.json().catch(() => ({}));
+                if (!response.ok) throw new Error(body.error || `Request failed with status ${response.status}.`);
+                setRelated({ total: Number(response.headers.get('X-Total-Count')) || 0, columns: body.columns, rows: body.data });
+                setError(null);
+            })
+            .catch(err => { if (err.name !== 'AbortError') setError(err.message); });
+        return () => controller.abort();
+    }, [API_BASE_URL, reference, keyJson, hasKey]);
+
+    // The foreign key columns repeat the open row's key, so they are left out
+    const shownColumns = related
+        ? related.columns.filter(col => !col.virtual && !reference.from.includes(col.field)).slice(0, RELATED_PREVIEW_COLUMNS)
+        : [];
+
+    return (
+        <div className="related-group">
+            <div className="related-header">
+                <span className="related-title">{reference.table} <span className="grid-hint">({reference.from.join(', ')})</span></span>
+                {hasKey && related && <span className="related-count">{related.total}</span>}
+                {onOpen && hasKey && related?.total > 0 && (
+                    <button onClick={onOpen} className="pager-btn">Open all</button>
+                )}
+            </div>
+            {error && <div className="message error" role="alert">{error}</div>}
+            {!hasKey && <p className="schema-empty">None: the referenced key is NULL.</p>}
+            {hasKey && !related && !error && <p className="schema-empty">Loading...</p>}
+            {related && related.total === 0 && <p className="schema-empty">No rows.</p>}
+            {related && related.rows.length > 0 && (
+                <table className="related-table">
+                    <thead>
+                        <tr>{shownColumns.map(col => <th key={col.field}>{col.field}</th>)}</tr>
+                    </thead>
+                    <tbody>
+                        {related.rows.map((child, i) => (
+                            <tr key={i}>
+                                {shownColumns.map(col => (
+                                    <td key={col.field} title={formatCellValue(child[col.field])}>{formatCellValue(child[col.field])}</td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+// --- Row Detail Component ---
+
+/**
+ * Side drawer showing one row as a vertical form. Inputs follow the column types and
+ * are checked while typing; "Save" hands the changed, converted values to
+ * `onSave(changes)`, which resolves to false when nothing was written. Below the form,
+ * the rows of other tables that reference this one are listed per foreign key.
+ * `onPrevious`/`onNext` are null at the ends; `canEditField(col)` says which fields
+ * take input and `referencedRowOpener(col)` returns how to open the row a foreign key
+ * field points at (null when it can't be opened).
+ */
+export default function RowDetail({
+    API_BASE_URL, columns, row, values, title, position, canEditField, fkLabels, references, saveLabel, busy,
+    pendingDelete, onPrevious, onNext, onSave, onDuplicate, onDelete, referencedRowOpener, onOpenReferencing, onClose,
+}) {
+    // Fields changed in the form: { field: { text, isNull } }
+    const [drafts, setDrafts] = useState({});
+    // Labels of referenced rows picked in the form: { field: { value: label } }
+    const [pickedLabels, setPickedLabels] = useState({});
+
+    const setDraft = (field, draft) => {
+        setDrafts(prev => ({ ...prev, [field]: draft }));
+    };
+
+    const changes = {};
+    const errors = {};
+    columns.forEach(col => {
+        const draft = drafts[col.field];
+        if (!draft) return;
+        try {
+            const value = parseField(col, columnKind(col.type), draft, values[col.field]);
+            if (!isSameCellValue(values[col.field], value)) changes[col.field] = value;
+        } catch (err) {
+            errors[col.field] = err.message;
+        }
+    });
+    const hasErrors = Object.keys(errors).length > 0;
+    const dirty = hasErrors || Object.keys(changes).length > 0;
+
+    // Leaving the row drops what was typed, so ask first
+    const leave = (action) => {
+        if (dirty && !window.confirm('Discard the unsaved changes to this row?')) return;
+        action();
+    };
+
+    const handleSave = async () => {
+        if (await onSave(changes)) setDrafts({});
+    };
+
+    const renderInput = (col) => {
+        const kind = columnKind(col.type);
+        const stored = values[col.field];
+        const draft = drafts[col.field] || fieldDraft(kind, stored);
+        const editable = canEditField(col);
+        const id = `row-detail-${col.field}`;
+
+        if (col.references) {
+            const openReferenced = referencedRowOpener(col);
+            const value = drafts[col.field] ? (draft.isNull ? null : draft.text) : stored;
+            return (
+                <ForeignKeyCell
+                    API_BASE_URL={API_BASE_URL}
+                    references={col.references}
+                    value={value}
+                    label={pickedLabels[col.field]?.[String(value)] ?? fkLabels[col.field]?.[String(value)]}
+                    editable={editable}
+                    onSelect={(newValue, label) => {
+                        setPickedLabels(prev => ({ ...prev, [col.field]: { ...(prev[col.field] || {}), [String(newValue)]: label } }));
+                        setDraft(col.field, { text: newValue === null ? '' : String(newValue), isNull: newValue === null });
+                    }}
+                    onOpenReferenced={openReferenced && value !== null && value !== undefined ? () => leave(() => openReferenced(value)) : null}
+                />
+            );
+        }
+        if (kind === 'blob' && stored !== null && stored !== undefined) {
+            return <span className="row-detail-readonly">{formatCellValue(stored)}</span>;
+        }
+        if (kind === 'boolean') {
+            return (
+                <input
+                    id={id}
+                    type="checkbox"
+                    className="cell-checkbox"
+                    checked={!draft.isNull && draft.text === 'true'}
+                    onChange={(e) => setDraft(col.field, { text: String(e.target.checked), isNull: false })}
+                    disabled={!editable}
+                />
+            );
+        }
+
+        const inputProps = {
+            id,
+            className: `row-detail-input ${errors[col.field] ? 'invalid' : ''}`,
+            value: draft.text,
+            placeholder: draft.isNull ? 'NULL' : undefined,
+            readOnly: !editable,
+            // Typing into a NULL field gives it a value
+            onChange: (e) => setDraft(col.field, { text: e.target.value, isNull: false }),
+        };
+        if (usesDateInput(kind, stored)) return <input type="datetime-local" step={1} {...inputProps} />;
+        if (kind === 'integer' || kind === 'number') return <input type="text" inputMode="decimal" {...inputProps} />;
+        if (kind === 'json' || draft.text.length > LONG_TEXT_LENGTH || draft.text.includes('\n')) {
+            return <textarea rows={kind === 'json' ? 6 : 3} spellCheck={kind !== 'json'} {...inputProps} />;
+        }
+        return <input type="text" {...inputProps} />;
+    };
+
+    return (
+        <aside
+            className="row-detail"
+            aria-label={`Row ${title}`}
+            onKeyDown={(e) => { if (e.key === 'Escape') leave(onClose); }}
+        >
+            <div className="row-detail-header">
+                <h3 className="header-title-small">{title}</h3>
+                <span className="grid-hint">{position}</span>
+                <div className="row-detail-nav">
+                    <button onClick={() => leave(onPrevious)} className="pager-btn" disabled={!onPrevious || busy} title="Previous row">‹</button>
+                    <button onClick={() => leave(onNext)} className="pager-btn" disabled={!onNext || busy} title="Next row">›</button>
+                    <button onClick={() => leave(onClose)} className="pager-btn" title="Close (Esc)">✕</button>
+                </div>
+            </div>
+
+            {pendingDelete && <p className="query-warning">This row will be deleted with the next commit.</p>}
+
+            <div className="row-detail-form">
+                {columns.map(col => {
+                    const draft = drafts[col.field];
+                    const isNull = draft ? draft.isNull : values[col.field] === null || values[col.field] === undefined;
+                    const editable = canEditField(col);
+                    return (
+                        <div key={col.field} className={`row-detail-field ${drafts[col.field] && changes[col.field] !== undefined ? 'changed' : ''}`}>
+                            <label htmlFor={`row-detail-${col.field}`} className="row-detail-label">
+                                {col.field}
+                                <span className="row-detail-type">
+                                    {col.type || 'ANY'}{col.pk ? ' · key' : ''}{col.notNull && !col.pk ? ' · required' : ''}
+                                </span>
+                            </label>
+                            <div className="row-detail-value">
+                                {renderInput(col)}
+                                {editable && !col.references && !col.notNull && !isNull && (
+                                    <button onClick={() => setDraft(col.field, { text: '', isNull: true })} className="cell-btn cell-null-btn" title="Set NULL">∅</button>
+                                )}
+                            </div>
+                            {errors[col.field] && <div className="row-detail-error">{errors[col.field]}</div>}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="row-detail-actions">
+                {onSave && (
+                    <button onClick={handleSave} className="btn btn-save" disabled={busy || hasErrors || (!dirty && !row.isNew)}>
+                        {saveLabel}
+                    </button>
+                )}
+                {dirty && <button onClick={() => setDrafts({})} className="btn btn-discard" disabled={busy}>Reset</button>}
+                {onDuplicate && <button onClick={() => leave(onDuplicate)} className="btn btn-discard" disabled={busy}>Duplicate</button>}
+                {onDelete && (
+                    <button onClick={onDelete} className="btn btn-danger" disabled={busy}>
+                        {pendingDelete ? 'Keep row' : 'Delete'}
+                    </button>
+                )}
+            </div>
+
+            {!row.isNew && references.length > 0 && (
+                <div className="row-detail-related">
+                    <h4 className="row-detail-section">Referenced by</h4>
+                    {references.map(reference => (
+                        <RelatedRows
+                            key={`${reference.table}:${reference.from.join(',')}`}
+                            API_BASE_URL={API_BASE_URL}
+                            reference={reference}
+                            row={row}
+                            onOpen={onOpenReferencing && (() => leave(() => onOpenReferencing(reference)))}
+                        />
+                    ))}
+                </div>
+            )}
+        </aside>
+    );
+}
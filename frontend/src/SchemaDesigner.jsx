@@ -0,0 +1,407 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CLIENT_ID } from './liveUpdates';
+import { apiFetch } from './auth';
+
+// Common SQLite column types offered in the type picker (any type name can be typed in)
+const COLUMN_TYPES = ['INTEGER', 'TEXT', 'REAL', 'NUMERIC', 'BOOLEAN', 'DATETIME', 'BLOB'];
+const FK_ACTIONS = ['NO ACTION', 'RESTRICT', 'SET NULL', 'SET DEFAULT', 'CASCADE'];
+
+let nextUid = 1;
+const uid = () => nextUid++;
+
+const emptyColumn = () => ({
+    uid: uid(), name: '', previousName: null, type: 'TEXT',
+    notNull: false, defaultValue: '', primaryKey: false, autoIncrement: false, unique: false,
+});
+
+// Converts the GET /api/schema/:tableName description into editable rows
+const toEditableColumns = (columns) => columns.map(col => ({
+    uid: uid(),
+    name: col.name,
+    previousName: col.name,
+    type: col.type,
+    notNull: col.notNull,
+    defaultValue: col.defaultValue ?? '',
+    primaryKey: col.primaryKey,
+    autoIncrement: col.autoIncrement,
+    unique: col.unique,
+}));
+
+const toEditableForeignKeys = (foreignKeys) => foreignKeys.map(fk => ({
+    uid: uid(), from: fk.from, table: fk.table, to: fk.to, onDelete: fk.onDelete, onUpdate: fk.onUpdate,
+}));
+
+// --- Schema Designer Component ---
+
+/**
+ * Visual editor for creating a table (tableName = null) or changing an existing one:
+ * columns, keys, NOT NULL / DEFAULT / UNIQUE, foreign keys and indexes.
+ * `onSchemaChange(tableName)` is called after every applied change with the table's
+ * (possibly new) name, or null after the table was dropped.
+ */
+export default function SchemaDesigner({ API_BASE_URL, tableName, tables, onSchemaChange, onClose }) {
+    const isNew = !tableName;
+    const [name, setName] = useState(tableName || '');
+    const [columns, setColumns] = useState(() => (isNew
+        ? [{ ...emptyColumn(), name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true, notNull: true }]
+        : []));
+    const [foreignKeys, setForeignKeys] = useState([]);
+    const [indexes, setIndexes] = useState([]);
+    const [newIndex, setNewIndex] = useState({ name: '', columns: [], unique: false });
+    const [plan, setPlan] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadSchema = useCallback(async () => {
+        if (!tableName) return;
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await apiFetch(`${API_BASE_URL}/schema/${tableName}`);
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || `HTTP error! status: ${response.status}`);
+            setColumns(toEditableColumns(body.columns));
+            setForeignKeys(toEditableForeignKeys(body.foreignKeys));
+            setIndexes(body.indexes);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [API_BASE_URL, tableName]);
+
+    useEffect(() => {
+        loadSchema();
+    }, [loadSchema]);
+
+    const updateColumn = (columnUid, changes) => {
+        setPlan(null);
+        setColumns(prev => prev.map(col => (col.uid === columnUid ? { ...col, ...changes } : col)));
+    };
+
+    const updateForeignKey = (fkUid, changes) => {
+        setPlan(null);
+        setForeignKeys(prev => prev.map(fk => (fk.uid === fkUid ? { ...fk, ...changes } : fk)));
+    };
+
+    // Sends the definition; with dryRun the server only returns the statements it would run
+    const submit = async (dryRun) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const definition = {
+                name,
+                columns: columns.map(col => ({ ...col, uid: undefined })),
+                foreignKeys: foreignKeys.map(fk => ({ ...fk, uid: undefined })),
+                dryRun,
+            };
+            const response = await apiFetch(isNew ? `${API_BASE_URL}/schema` : `${API_BASE_URL}/schema/${tableName}`, {
+                method: isNew ? 'POST' : 'PUT',
+                headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
+                body: JSON.stringify(definition),
+            });
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || `HTTP error! status: ${response.status}`);
+
+            setPlan({ ...body, applied: !dryRun });
+            if (!dryRun) {
+                onSchemaChange(body.tableName);
+                // Columns now carry their new names, which the next change must start from
+                if (!isNew && body.tableName === tableName) await loadSchema();
+            }
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleDropTable = async () => {
+        if (!window.confirm(`Drop table ${tableName} and all of its rows? This cannot be undone.`)) return;
+        setLoading(true);
+        try {
+            const response = await apiFetch(`${API_BASE_URL}/schema/${tableName}`, {
+                method: 'DELETE',
+                headers: { 'X-Client-Id': CLIENT_ID },
+            });
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `HTTP error! status: ${response.status}`);
+            }
+            onSchemaChange(null);
+            onClose();
+        } catch (err) {
+            setError(err.message);
+            setLoading(false);
+        }
+    };
+
+    const handleCreateIndex = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await apiFetch(`${API_BASE_URL}/schema/${tableName}/indexes`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
+                body: JSON.stringify({ ...newIndex, name: newIndex.name || undefined }),
+            });
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || `HTTP error! status: ${response.status}`);
+            setNewIndex({ name: '', columns: [], unique: false });
+            await loadSchema();
+        } catch (err) {
+            setError(err.message);
+            setLoading(false);
+        }
+    };
+
+    const handleDropIndex = async (indexName) => {
+        if (!window.confirm(`Drop index ${indexName}?`)) return;
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await apiFetch(`${API_BASE_URL}/schema/${tableName}/indexes/${indexName}`, {
+                method: 'DELETE',
+                headers: { 'X-Client-Id': CLIENT_ID },
+            });
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `HTTP error! status: ${response.status}`);
+            }
+            await loadSchema();
+        } catch (err) {
+            setError(err.message);
+            setLoading(false);
+        }
+    };
+
+    const columnNames = columns.map(col => col.name).filter(Boolean);
+
+    return (
+        <div className="modal-backdrop" role="dialog" aria-modal="true">
+            <div className="modal schema-designer">
+                <div className="header-group">
+                    <h3 className="header-title-small">
+                        Schema Designer <span>/ {isNew ? 'New Table' : tableName}</span>
+                    </h3>
+                    <button onClick={onClose} className="pager-btn">Close</button>
+                </div>
+
+                {error && <div className="message error" role="alert">{error}</div>}
+
+                <label className="schema-field">
+                    Table name
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => { setPlan(null); setName(e.target.value); }}
+                        className="schema-input"
+                        placeholder="e.g. Customer"
+                    />
+                </label>
+
+                {/* Columns */}
+                <h4 className="schema-section-title">Columns</h4>
+                <table className="schema-table">
+                    <thead>
+                        <tr>
+                            <th>Name</th><th>Type</th><th>PK</th><th>Auto Inc.</th><th>Not Null</th><th>Unique</th><th>Default</th><th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {columns.map(col => (
+                            <tr key={col.uid}>
+                                <td>
+                                    <input
+                                        type="text"
+                                        value={col.name}
+                                        onChange={(e) => updateColumn(col.uid, { name: e.target.value })}
+                                        className="schema-input"
+                                        title={col.previousName && col.previousName !== col.name ? `Renamed from ${col.previousName}` : undefined}
+                                    />
+                                </td>
+                                <td>
+                                    <input
+                                        type="text"
+                                        list="schema-column-types"
+                                        value={col.type}
+                                        onChange={(e) => updateColumn(col.uid, { type: e.target.value })}
+                                        className="schema-input"
+                                    />
+                                </td>
+                                <td><input type="checkbox" checked={col.primaryKey} onChange={(e) => updateColumn(col.uid, { primaryKey: e.target.checked })} /></td>
+                                <td>
+                                    <input
+                                        type="checkbox"
+                                        checked={col.autoIncrement}
+                                        disabled={!col.primaryKey || !/^INTEGER$/i.test(col.type)}
+                                        onChange={(e) => updateColumn(col.uid, { autoIncrement: e.target.checked })}
+                                    />
+                                </td>
+                                <td><input type="checkbox" checked={col.notNull} onChange={(e) => updateColumn(col.uid, { notNull: e.target.checked })} /></td>
+                                <td><input type="checkbox" checked={col.unique} disabled={col.primaryKey} onChange={(e) => updateColumn(col.uid, { unique: e.target.checked })} /></td>
+                                <td>
+                                    <input
+                                        type="text"
+                                        value={col.defaultValue}
+                                        onChange={(e) => updateColumn(col.uid, { defaultValue: e.target.value })}
+                                        className="schema-input"
+                                        placeholder="e.g. 0, 'text', CURRENT_TIMESTAMP"
+                                    />
+                                </td>
+                                <td>
+                                    <button
+                                        onClick={() => { setPlan(null); setColumns(prev => prev.filter(c => c.uid !== col.uid)); }}
+                                        className="delete-btn"
+                                        title={col.previousName ? `Drop column ${col.previousName}` : 'Remove column'}
+                                    >
+                                        ✕
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <datalist id="schema-column-types">
+                    {COLUMN_TYPES.map(type => <option key={type} value={type} />)}
+                </datalist>
+                <button onClick={() => { setPlan(null); setColumns(prev => [...prev, emptyColumn()]); }} className="pager-btn schema-add-btn">
+                    + Add Column
+                </button>
+
+                {/* Foreign Keys */}
+                <h4 className="schema-section-title">Foreign Keys</h4>
+                {foreignKeys.length === 0 && <p className="schema-empty">No foreign keys.</p>}
+                {foreignKeys.map(fk => (
+                    <div key={fk.uid} className="schema-row">
+                        {fk.from.length > 1 ? (
+                            <span className="schema-readonly">({fk.from.join(', ')})</span>
+                        ) : (
+                            <select
+                                value={fk.from[0] || ''}
+                                onChange={(e) => updateForeignKey(fk.uid, { from: [e.target.value] })}
+                                className="table-select"
+                            >
+                                <option value="">Column</option>
+                                {columnNames.map(col => <option key={col} value={col}>{col}</option>)}
+                            </select>
+                        )}
+                        <span>→</span>
+                        <select
+                            value={fk.table}
+                            onChange={(e) => updateForeignKey(fk.uid, { table: e.target.value })}
+                            className="table-select"
+                        >
+                            <option value="">Table</option>
+                            {[...new Set([...tables, fk.table].filter(Boolean))].map(table => (
+                                <option key={table} value={table}>{table}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="text"
+                            value={fk.to.join(', ')}
+                            onChange={(e) => updateForeignKey(fk.uid, { to: e.target.value.split(',').map(v => v.trim()).filter(Boolean) })}
+                            className="schema-input schema-input-small"
+                            placeholder="column (default: key)"
+                        />
+                        <label>
+                            On delete
+                            <select
+                                value={fk.onDelete}
+                                onChange={(e) => updateForeignKey(fk.uid, { onDelete: e.target.value })}
+                                className="table-select"
+                            >
+                                {FK_ACTIONS.map(action => <option key={action} value={action}>{action}</option>)}
+                            </select>
+                        </label>
+                        <button
+                            onClick={() => { setPlan(null); setForeignKeys(prev => prev.filter(f => f.uid !== fk.uid)); }}
+                            className="delete-btn"
+                            title="Remove foreign key"
+                        >
+                            ✕
+                        </button>
+                    </div>
+                ))}
+                <button
+                    onClick={() => { setPlan(null); setForeignKeys(prev => [...prev, { uid: uid(), from: [], table: '', to: [], onDelete: 'NO ACTION', onUpdate: 'NO ACTION' }]); }}
+                    className="pager-btn schema-add-btn"
+                >
+                    + Add Foreign Key
+                </button>
+
+                {/* Indexes (existing tables only; they are created and dropped immediately) */}
+                {!isNew && (
+                    <>
+                        <h4 className="schema-section-title">Indexes</h4>
+                        {indexes.length === 0 && <p className="schema-empty">No indexes.</p>}
+                        {indexes.map(index => (
+                            <div key={index.name} className="schema-row">
+                                <span className="schema-readonly">
+                                    {index.name} ({index.columns.map(col => col ?? '<expr>').join(', ')})
+                                    {index.unique ? ' UNIQUE' : ''}
+                                    {index.origin !== 'c' ? ` · ${index.origin === 'pk' ? 'primary key' : 'constraint'}` : ''}
+                                </span>
+                                {index.origin === 'c' && (
+                                    <button onClick={() => handleDropIndex(index.name)} className="delete-btn" title="Drop index" disabled={loading}>✕</button>
+                                )}
+                            </div>
+                        ))}
+                        <div className="schema-row">
+                            <input
+                                type="text"
+                                value={newIndex.name}
+                                onChange={(e) => setNewIndex(prev => ({ ...prev, name: e.target.value }))}
+                                className="schema-input schema-input-small"
+                                placeholder="Index name (optional)"
+                            />
+                            {columnNames.map(col => (
+                                <label key={col} className="schema-check">
+                                    <input
+                                        type="checkbox"
+                                        checked={newIndex.columns.includes(col)}
+                                        onChange={(e) => setNewIndex(prev => ({
+                                            ...prev,
+                                            columns: e.target.checked ? [...prev.columns, col] : prev.columns.filter(c => c !== col),
+                                        }))}
+                                    />
+                                    {col}
+                                </label>
+                            ))}
+                            <label className="schema-check">
+                                <input
+                                    type="checkbox"
+                                    checked={newIndex.unique}
+                                    onChange={(e) => setNewIndex(prev => ({ ...prev, unique: e.target.checked }))}
+                                />
+                                Unique
+                            </label>
+                            <button onClick={handleCreateIndex} className="pager-btn" disabled={loading || newIndex.columns.length === 0}>
+                                Create Index
+                            </button>
+                        </div>
+                    </>
+                )}
+
+                {/* Planned / applied statements */}
+                {plan && (
+                    <div className={`results-box ${plan.applied ? 'success' : 'info'} schema-plan`}>
+                        <p className="font-bold">{plan.applied ? 'Applied' : 'Preview'} ({plan.mode})</p>
+                        {plan.warnings.map(warning => <p key={warning}>⚠ {warning}</p>)}
+                        <pre>{plan.statements.join('\n')}</pre>
+                    </div>
+                )}
+
+                <div className="modal-actions">
+                    {!isNew && (
+                        <button onClick={handleDropTable} className="btn btn-danger" disabled={loading}>Drop Table</button>
+                    )}
+                    <button onClick={() => submit(true)} className="btn btn-discard" disabled={loading || !name}>Preview SQL</button>
+                    <button onClick={() => submit(false)} className="btn btn-save" disabled={loading || !name}>
+                        {loading ? 'Working...' : isNew ? 'Create Table' : 'Apply Changes'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from './auth';
+
+// What the database can be compared with (see GET /api/schema-diff)
+const REFERENCES = [
+    { against: 'prisma', label: 'prisma/schema.prisma' },
+    { against: 'migrations', label: 'Latest migration' },
+];
+
+// The two ways the difference is offered
+const OUTPUTS = [
+    { key: 'migration', label: 'Migration SQL' },
+    { key: 'prisma', label: 'Prisma models' },
+];
+
+const STATUS_LABELS = { added: 'only in the database', removed: 'missing from the database', changed: 'changed' };
+
+const FIELD_LABELS = {
+    type: 'type', notNull: 'NOT NULL', defaultValue: 'default', primaryKey: 'primary key', autoIncrement: 'AUTOINCREMENT', unique: 'UNIQUE',
+};
+
+// How a value of a column change reads, e.g. 'none' for a missing default
+const changeValue = (value) => (value === null || value === undefined || value === '' ? 'none' : String(value));
+
+/**
+ * Hands `text` to the browser as a file download.
+ */
+const saveText = (text, fileName) => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// --- Schema Diff Component ---
+
+/**
+ * Admin dialog comparing the live schema with prisma/schema.prisma or the latest
+ * migration: lists added, removed and changed tables, columns, indexes and foreign
+ * keys, and offers the Prisma models and the migration SQL for the difference.
+ */
+export default function SchemaDiff({ API_BASE_URL, connectionId, onClose }) {
+    const [against, setAgainst] = useState('prisma');
+    const [diff, setDiff] = useState(null);
+    const [output, setOutput] = useState('migration');
+    const [migrationName, setMigrationName] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+
+    const fetchDiff = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await apiFetch(`${API_BASE_URL}/schema-diff?against=${against}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `Request failed with status ${response.status}.`);
+            setDiff(data);
+        } catch (err) {
+            setDiff(null);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [API_BASE_URL, against]);
+
+    useEffect(() => {
+        fetchDiff();
+    }, [fetchDiff]);
+
+    const handleWriteMigration = async () => {
+        setLoading(true);
+        setError(null);
+        setNotice(null);
+        try {
+            const response = await apiFetch(`${API_BASE_URL}/schema-diff/migration`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: migrationName, against }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `Request failed with status ${response.status}.`);
+            setNotice(`Wrote ${data.migration}.`);
+            setMigrationName('');
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+        fetchDiff();
+    };
+
+    const handleCopy = (text) => {
+        navigator.clipboard.writeText(text)
+            .then(() => setNotice('Copied to the clipboard.'))
+            .catch(err => setError(`Copy failed: ${err.message}`));
+    };
+
+    const renderTable = (table) => (
+        <li key={table.name} className={`schema-diff-table ${table.status}`}>
+            <span className="schema-diff-name">{table.name}</span>
+            <span className={`schema-diff-status ${table.status}`}>{STATUS_LABELS[table.status]}</span>
+            {table.status === 'changed' && (
+                <ul className="schema-diff-items">
+                    {table.columns.map(col => (
+                        <li key={`column:${col.name}`} className={col.status}>
+                            Column <code>{col.name}</code> {col.status !== 'changed' && STATUS_LABELS[col.status]}
+                            {col.changes.map(change => (
+                                <span key={change.field} className="schema-diff-change">
+                                    {FIELD_LABELS[change.field]}: {changeValue(change.live)} in the database, {changeValue(change.expected)} expected
+                                </span>
+                            ))}
+                        </li>
+                    ))}
+                    {table.indexes.map(index => (
+                        <li key={`index:${index.status}:${index.name}`} className={index.status}>
+                            {index.unique ? 'Unique index' : 'Index'} <code>{index.name}</code> ({index.columns.join(', ')}) {STATUS_LABELS[index.status]}
+                        </li>
+                    ))}
+                    {table.foreignKeys.map((fk, i) => (
+                        <li key={`fk:${i}`} className={fk.status}>
+                            Foreign key <code>({fk.from.join(', ')}) → {fk.table}({fk.to.join(', ')})</code> {STATUS_LABELS[fk.status]}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+
+    const text = diff ? diff[output] : '';
+
+    return (
+        <div className="modal-backdrop" role="dialog" aria-modal="true">
+            <div className="modal schema-diff">
+                <h3 className="header-title-small">Schema drift of {connectionId}</h3>
+
+                <div className="schema-row">
+                    <label className="query-option">
+                        Compare with
+                        <select value={against} onChange={(e) => setAgainst(e.target.value)}>
+                            {REFERENCES.map(reference => <option key={reference.against} value={reference.against}>{reference.label}</option>)}
+                        </select>
+                    </label>
+                    <button onClick={fetchDiff} className="pager-btn" disabled={loading}>{loading ? 'Comparing...' : 'Refresh'}</button>
+                    {diff && <span className="schema-empty">{diff.source}</span>}
+                </div>
+
+                {error && <div className="message error" role="alert">{error}</div>}
+                {notice && <div className="message success" role="status">{notice}</div>}
+
+                {diff && (
+                    <>
+                        {diff.tables.length === 0 ? (
+                            <p className="schema-empty">No drift: all {diff.unchanged.length} table(s) match.</p>
+                        ) : (
+                            <>
+                                <ul className="schema-diff-list">{diff.tables.map(renderTable)}</ul>
+                                {diff.unchanged.length > 0 && (
+                                    <p className="schema-empty">Matching: {diff.unchanged.join(', ')}</p>
+                                )}
+                            </>
+                        )}
+                        {diff.warnings.map(warning => <p key={warning} className="query-warning">{warning}</p>)}
+
+                        {diff.tables.length > 0 && (
+                            <>
+                                <div className="result-tabs" role="tablist">
+                                    {OUTPUTS.map(({ key, label }) => (
+                                        <button
+                                            key={key}
+                                            role="tab"
+                                            aria-selected={output === key}
+                                            className={`result-tab${output === key ? ' active' : ''}`}
+                                            onClick={() => setOutput(key)}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                    <button onClick={() => handleCopy(text)} className="pager-btn">Copy</button>
+                                    <button
+                                        onClick={() => saveText(text, output === 'migration' ? 'migration.sql' : `${connectionId}.prisma`)}
+                                        className="pager-btn"
+                                    >
+                                        Download
+                                    </button>
+                                </div>
+                                <pre className="schema-diff-code">{text}</pre>
+                                {output === 'migration' && (
+                                    <div className="schema-row">
+                                        <input
+                                            className="schema-input schema-input-small"
+                                            placeholder="Migration name, e.g. add_orders"
+                                            value={migrationName}
+                                            onChange={(e) => setMigrationName(e.target.value)}
+                                        />
+                                        <button onClick={handleWriteMigration} className="pager-btn" disabled={loading || !/^\w+$/.test(migrationName)}>
+                                            Add to prisma/migrations
+                                        </button>
+                                    </div>
+                                )}
+                            </>
+                        )}
+                    </>
+                )}
+
+                <div className="modal-actions">
+                    <button onClick={onClose} className="btn btn-save">Close</button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,179 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from './auth';
+import { downloadFile } from './download';
+import { takeSnapshot, formatSize } from './snapshots';
+
+/**
+ * Sends a JSON request to the snapshot routes and returns the parsed body, throwing
+ * the server's error message when it fails.
+ */
+const sendJson = async (url, method, body) => {
+    const response = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (response.status === 204) return null;
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `Request failed with status ${response.status}.`);
+    return data;
+};
+
+// --- Snapshot Manager Component ---
+
+/**
+ * Admin dialog for the snapshots of one database (see GET /api/snapshots): take one,
+ * label, download, restore or delete them. Restoring sends no X-Client-Id, so the
+ * schema event reloads this tab's tables too.
+ */
+export default function SnapshotManager({ API_BASE_URL, connectionId, readOnly, onClose }) {
+    const [snapshots, setSnapshots] = useState([]);
+    const [automatic, setAutomatic] = useState(false);
+    const [label, setLabel] = useState('');
+    // The snapshot whose label is edited: { id, label }
+    const [editing, setEditing] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+
+    const fetchSnapshots = useCallback(async () => {
+        try {
+            const data = await sendJson(`${API_BASE_URL}/snapshots`, 'GET');
+            setSnapshots(data.snapshots);
+            setAutomatic(data.automatic);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [API_BASE_URL]);
+
+    useEffect(() => {
+        fetchSnapshots();
+    }, [fetchSnapshots]);
+
+    // Runs a change, then shows `success` and reloads the list, or shows the error
+    const runChange = async (change, success) => {
+        setLoading(true);
+        setError(null);
+        setNotice(null);
+        try {
+            await change();
+            setNotice(success);
+            await fetchSnapshots();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const snapshotUrl = (snapshot) => `${API_BASE_URL}/snapshots/${encodeURIComponent(snapshot.id)}`;
+    const nameOf = (snapshot) => snapshot.label || new Date(snapshot.createdAt).toLocaleString();
+
+    const handleTake = () => runChange(async () => {
+        await takeSnapshot(API_BASE_URL, label.trim() || null);
+        setLabel('');
+    }, 'Snapshot taken.');
+
+    const handleSaveLabel = () => runChange(async () => {
+        await sendJson(`${API_BASE_URL}/snapshots/${encodeURIComponent(editing.id)}`, 'PUT', { label: editing.label.trim() || null });
+        setEditing(null);
+    }, 'Label saved.');
+
+    const handleDownload = (snapshot) => {
+        setError(null);
+        downloadFile(`${snapshotUrl(snapshot)}/download`, {}, `${connectionId}-${snapshot.id}.db`)
+            .catch(err => setError(`Download failed: ${err.message}`));
+    };
+
+    const handleRestore = (snapshot) => {
+        if (!window.confirm(`Replace the database ${connectionId} with the snapshot "${nameOf(snapshot)}"? The current state is snapshotted first; users, sessions and saved queries are kept.`)) return;
+        runChange(() => sendJson(`${snapshotUrl(snapshot)}/restore`, 'POST'), `Restored "${nameOf(snapshot)}".`);
+    };
+
+    const handleDelete = (snapshot) => {
+        if (!window.confirm(`Delete the snapshot "${nameOf(snapshot)}"?`)) return;
+        runChange(() => sendJson(snapshotUrl(snapshot), 'DELETE'), 'Snapshot deleted.');
+    };
+
+    return (
+        <div className="modal-backdrop" role="dialog" aria-modal="true">
+            <div className="modal snapshot-manager">
+                <h3 className="header-title-small">Snapshots of {connectionId}</h3>
+
+                {error && <div className="message error" role="alert">{error}</div>}
+                {notice && <div className="message success" role="status">{notice}</div>}
+
+                <div className="schema-row">
+                    <input
+                        className="schema-input"
+                        placeholder="Label, e.g. Before the price update"
+                        value={label}
+                        maxLength={200}
+                        onChange={(e) => setLabel(e.target.value)}
+                    />
+                    <button onClick={handleTake} className="pager-btn" disabled={loading}>Take snapshot</button>
+                </div>
+                <p className="schema-empty">
+                    {automatic
+                        ? 'Snapshots are also taken automatically before schema changes and DELETE without WHERE.'
+                        : 'Set AUTO_SNAPSHOT=1 on the server to snapshot automatically before schema changes and DELETE without WHERE.'}
+                </p>
+
+                {snapshots.length === 0 ? (
+                    <p className="schema-empty">No snapshots yet.</p>
+                ) : (
+                    <table className="schema-table">
+                        <thead>
+                            <tr><th>Snapshot</th><th>Taken</th><th>Size</th><th></th></tr>
+                        </thead>
+                        <tbody>
+                            {snapshots.map(snapshot => (
+                                <tr key={snapshot.id}>
+                                    <td>
+                                        {editing && editing.id === snapshot.id ? (
+                                            <form className="snapshot-label-form" onSubmit={(e) => { e.preventDefault(); handleSaveLabel(); }}>
+                                                <input
+                                                    className="schema-input schema-input-small"
+                                                    value={editing.label}
+                                                    maxLength={200}
+                                                    onChange={(e) => setEditing(prev => ({ ...prev, label: e.target.value }))}
+                                                    autoFocus
+                                                />
+                                                <button type="submit" className="pager-btn" disabled={loading}>Save</button>
+                                                <button type="button" onClick={() => setEditing(null)} className="pager-btn">Cancel</button>
+                                            </form>
+                                        ) : (
+                                            <>
+                                                {snapshot.label || <span className="schema-empty">No label</span>}
+                                                {snapshot.automatic && <span className="snapshot-auto">automatic</span>}
+                                            </>
+                                        )}
+                                    </td>
+                                    <td>{new Date(snapshot.createdAt).toLocaleString()} by {snapshot.createdBy}</td>
+                                    <td>{formatSize(snapshot.size)}</td>
+                                    <td className="user-actions">
+                                        <button onClick={() => setEditing({ id: snapshot.id, label: snapshot.label || '' })} className="pager-btn" disabled={loading}>Label</button>
+                                        <button onClick={() => handleDownload(snapshot)} className="pager-btn">Download</button>
+                                        <button
+                                            onClick={() => handleRestore(snapshot)}
+                                            className="pager-btn"
+                                            disabled={loading || readOnly}
+                                            title={readOnly ? 'The server is in read-only mode' : undefined}
+                                        >
+                                            Restore
+                                        </button>
+                                        <button onClick={() => handleDelete(snapshot)} className="pager-btn" disabled={loading}>Delete</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+
+                <div className="modal-actions">
+                    <button onClick={onClose} className="btn btn-save">Close</button>
+                </div>
+            </div>
+        </div>
+    );
+}
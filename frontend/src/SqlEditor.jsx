@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useLayoutEffect, useMemo, useRef } from 'react';
+import { apiFetch } from './auth';
+import {
+    SQL_KEYWORDS, SQL_FUNCTIONS, tokenizeSql, statementAt, tableReferences, completionContext, lineAndColumn,
+} from './sqlSyntax';
+
+// Must match .sql-editor in EditableTable.css; used to place the completion list
+const LINE_HEIGHT = 20;
+const PADDING = 12;
+const MAX_SUGGESTIONS = 12;
+
+// Names that need quotes in SQL
+const quoteName = (name) => (/^[A-Za-z_][\w$]*$/.test(name) ? name : `"${name.replace(/"/g, '""')}"`);
+
+/**
+ * The highlighted copy of the text shown under the textarea. The characters of
+ * `error` ({ start, end }) are underlined; an empty range gets a marker.
+ */
+function Highlight({ value, error }) {
+    const parts = [];
+    tokenizeSql(value).forEach((token, i) => {
+        const end = token.start + token.text.length;
+        const className = `sql-${token.type}`;
+        if (!error || end <= error.start || token.start >= error.end) {
+            if (error && error.start === error.end && token.start === error.start) {
+                parts.push(<span key={`${i}-point`} className="sql-error-point" />);
+            }
+            parts.push(<span key={i} className={className}>{token.text}</span>);
+            return;
+        }
+        // The token overlaps the error: split it at the error's bounds
+        const from = Math.max(error.start, token.start) - token.start;
+        const to = Math.min(error.end, end) - token.start;
+        parts.push(
+            <span key={i} className={className}>
+                {token.text.slice(0, from)}
+                <mark className="sql-error">{token.text.slice(from, to)}</mark>
+                {token.text.slice(to)}
+            </span>
+        );
+    });
+    if (error && error.start === error.end && error.start >= value.length) {
+        parts.push(<span key="point" className="sql-error-point" />);
+    }
+    return parts;
+}
+
+// --- SQL Editor Component ---
+
+/**
+ * Code editor for SQLite: syntax highlighting, completion of keywords, functions,
+ * table and column names (Ctrl+Space, or while typing), and shortcuts to run the
+ * selection or the statement at the cursor (Ctrl+Enter) or everything
+ * (Ctrl+Shift+Enter). `onRun(sql, offset)` gets the text to run and where it starts.
+ * `error` ({ start, end }) marks where the last run failed.
+ */
+export default function SqlEditor({ value, onChange, onRun, tables, API_BASE_URL, error, placeholder }) {
+    const textareaRef = useRef(null);
+    const highlightRef = useRef(null);
+    // Cursor position to restore after a completion was inserted
+    const pendingCursor = useRef(null);
+    const [scroll, setScroll] = useState({ top: 0, left: 0 });
+    // Open completion list: { start, prefix, qualifier, afterTableKeyword, index }
+    const [completion, setCompletion] = useState(null);
+    // Columns of the tables used in the query, fetched when completing: { tableName: [name] }
+    const [columns, setColumns] = useState({});
+
+    // The table list changes with the schema, and so may the columns
+    useEffect(() => {
+        setColumns({});
+    }, [tables]);
+
+    // Names and aliases of the tables the statement at the cursor uses: { alias: tableName }
+    const references = useMemo(() => {
+        const range = completion && statementAt(value, completion.start);
+        if (!range) return {};
+        const known = {};
+        Object.entries(tableReferences(value.slice(range.start, range.end))).forEach(([alias, table]) => {
+            const tableName = tables.find(name => name.toLowerCase() === table.toLowerCase());
+            if (tableName) known[alias] = tableName;
+        });
+        return known;
+    }, [value, completion, tables]);
+
+    // Load the columns of the tables the statement uses
+    useEffect(() => {
+        const missing = [...new Set(Object.values(references))].filter(table => !(table in columns));
+        missing.forEach(async (table) => {
+            setColumns(prev => ({ ...prev, [table]: [] })); // Asked for; avoids fetching it twice
+            try {
+                const response = await apiFetch(`${API_BASE_URL}/schema/${encodeURIComponent(table)}`);
+                if (!response.ok) return;
+                const schema = await response.json();
+                setColumns(prev => ({ ...prev, [table]: schema.columns.map(column => column.name) }));
+            } catch (err) {
+                console.error(`Could not load the columns of ${table}:`, err);
+            }
+        });
+    }, [references, columns, tables, API_BASE_URL]);
+
+    const suggestions = useMemo(() => {
+        if (!completion) return [];
+        const prefix = completion.prefix.toLowerCase();
+        const columnsOf = (table) => columns[table] || [];
+        let items;
+        if (completion.qualifier) {
+            const table = references[completion.qualifier.toLowerCase()]
+                || tables.find(name => name.toLowerCase() === completion.qualifier.toLowerCase());
+            items = table ? columnsOf(table).map(name => ({ label: name, kind: 'column', insert: quoteName(name) })) : [];
+        } else {
+            const tableItems = tables.map(name => ({ label: name, kind: 'table', insert: quoteName(name) }));
+            const columnItems = [...new Set(Object.values(references))]
+                .flatMap(table => columnsOf(table).map(name => ({ label: name, kind: 'column', insert: quoteName(name) })));
+            items = completion.afterTableKeyword ? tableItems : [
+                ...columnItems,
+                ...tableItems,
+                ...SQL_KEYWORDS.map(keyword => ({ label: keyword, kind: 'keyword', insert: keyword })),
+                ...SQL_FUNCTIONS.map(name => ({ label: name, kind: 'function', insert: `${name}(` })),
+            ];
+        }
+        const matching = new Map();
+        items
+            .filter(item => item.label.toLowerCase().startsWith(prefix) && item.label.toLowerCase() !== prefix)
+            .forEach(item => matching.set(`${item.kind}:${item.label}`, item));
+        return [...matching.values()].slice(0, MAX_SUGGESTIONS);
+    }, [completion, references, columns, tables]);
+
+    useLayoutEffect(() => {
+        if (pendingCursor.current === null || !textareaRef.current) return;
+        textareaRef.current.setSelectionRange(pendingCursor.current, pendingCursor.current);
+        pendingCursor.current = null;
+    }, [value]);
+
+    // Opens or updates the completion list for the cursor; `explicit` opens it even
+    // before anything was typed
+    const updateCompletion = (text, cursor, explicit = false) => {
+        const context = completionContext(text, cursor);
+        const wanted = context && (explicit || context.prefix.length > 0 || context.qualifier);
+        setCompletion(wanted ? { ...context, index: 0 } : null);
+    };
+
+    const acceptSuggestion = (item) => {
+        const cursor = textareaRef.current.selectionStart;
+        pendingCursor.current = completion.start + item.insert.length;
+        onChange(value.slice(0, completion.start) + item.insert + value.slice(cursor));
+        setCompletion(null);
+    };
+
+    const handleChange = (e) => {
+        const { value: text, selectionStart } = e.target;
+        onChange(text);
+        // Complete while a name is typed; anything else closes the list
+        const typed = text.length > value.length ? text[selectionStart - 1] : null;
+        if (typed && /[\w$.]/.test(typed)) updateCompletion(text, selectionStart);
+        else setCompletion(null);
+    };
+
+    // Runs the selection or, without one, the statement at the cursor
+    const runAtCursor = () => {
+        const { selectionStart, selectionEnd } = textareaRef.current;
+        if (selectionEnd > selectionStart) {
+            onRun(value.slice(selectionStart, selectionEnd), selectionStart);
+            return;
+        }
+        const range = statementAt(value, selectionStart);
+        if (range) onRun(value.slice(range.start, range.end), range.start);
+    };
+
+    const handleKeyDown = (e) => {
+        if (completion && suggestions.length > 0) {
+            const move = { ArrowDown: 1, ArrowUp: -1 }[e.key];
+            if (move) {
+                e.preventDefault();
+                setCompletion(prev => ({ ...prev, index: (prev.index + move + suggestions.length) % suggestions.length }));
+                return;
+            }
+            if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                acceptSuggestion(suggestions[Math.min(completion.index, suggestions.length - 1)]);
+                return;
+            }
+        }
+        if (e.key === 'Escape') {
+            setCompletion(null);
+        } else if (e.key === ' ' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            updateCompletion(value, e.target.selectionStart, true);
+        } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            setCompletion(null);
+            if (e.shiftKey) onRun(value, 0);
+            else runAtCursor();
+        }
+    };
+
+    const handleScroll = (e) => {
+        const { scrollTop, scrollLeft } = e.target;
+        highlightRef.current.scrollTop = scrollTop;
+        highlightRef.current.scrollLeft = scrollLeft;
+        setScroll({ top: scrollTop, left: scrollLeft });
+    };
+
+    const renderCompletions = () => {
+        if (!completion || suggestions.length === 0) return null;
+        const { line, column } = lineAndColumn(value, completion.start);
+        const style = {
+            top: PADDING + line * LINE_HEIGHT - scroll.top,
+            left: `calc(${PADDING - scroll.left}px + ${column - 1}ch)`,
+        };
+        return (
+            <ul className="sql-completions" style={style} role="listbox">
+                {suggestions.map((item, i) => (
+                    <li
+                        key={`${item.kind}:${item.label}`}
+                        role="option"
+                        aria-selected={i === completion.index}
+                        className={i === completion.index ? 'active' : ''}
+                        // mousedown keeps the focus in the textarea
+                        onMouseDown={(e) => { e.preventDefault(); acceptSuggestion(item); }}
+                    >
+                        <span>{item.label}</span>
+                        <span className="sql-completion-kind">{item.kind}</span>
+                    </li>
+                ))}
+            </ul>
+        );
+    };
+
+    return (
+        <div className="sql-editor">
+            <pre className="sql-highlight" ref={highlightRef} aria-hidden="true">
+                <Highlight value={value} error={error} />
+                {/* A trailing newline needs a line to show the cursor on */}
+                {'\n'}
+            </pre>
+            <textarea
+                ref={textareaRef}
+                className="query-input"
+                value={value}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                onScroll={handleScroll}
+                onBlur={() => setCompletion(null)}
+                onClick={() => setCompletion(null)}
+                placeholder={placeholder}
+                rows="8"
+                wrap="off"
+                spellCheck={false}
+                autoCapitalize="off"
+                autoComplete="off"
+            />
+            {renderCompletions()}
+        </div>
+    );
+}
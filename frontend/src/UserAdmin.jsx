@@ -0,0 +1,279 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch, useAuth } from './auth';
+
+// What each role may do on tables without a grant (ROLE_DEFAULTS in lib/auth.js)
+const ROLE_DESCRIPTIONS = {
+    viewer: 'read every table',
+    editor: 'read and change rows of every table',
+    admin: 'everything, including schema changes and user management',
+};
+
+const emptyUser = () => ({ username: '', password: '', role: 'viewer' });
+
+/**
+ * Sends a JSON request to the user routes and returns the parsed body, throwing the
+ * server's error message when it fails.
+ */
+const sendJson = async (url, method, body) => {
+    const response = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (response.status === 204) return null;
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `Request failed with status ${response.status}.`);
+    return data;
+};
+
+// --- User Admin Component ---
+
+/**
+ * Admin dialog for the local user accounts: create and delete users, change their
+ * role or password, and set per-table grants that override the role for one table.
+ */
+export default function UserAdmin({ API_BASE_URL, tables, onClose }) {
+    const { session } = useAuth();
+    const [users, setUsers] = useState([]);
+    const [levels, setLevels] = useState([]);
+    const [roles, setRoles] = useState([]);
+    const [newUser, setNewUser] = useState(emptyUser);
+    // The user whose password and grants are being edited
+    const [selectedId, setSelectedId] = useState(null);
+    const [grantDraft, setGrantDraft] = useState({});
+    const [passwordDraft, setPasswordDraft] = useState('');
+    // Changing your own password needs the current one
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+
+    const selectedUser = users.find(user => user.id === selectedId) || null;
+    const isSelf = selectedUser !== null && selectedUser.id === session.user.id;
+
+    const loadUsers = useCallback(async () => {
+        setLoading(true);
+        try {
+            const body = await sendJson(`${API_BASE_URL}/users`, 'GET');
+            setUsers(body.users);
+            setLevels(body.levels);
+            setRoles(body.roles);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [API_BASE_URL]);
+
+    useEffect(() => {
+        loadUsers();
+    }, [loadUsers]);
+
+    // Runs a change, then shows `success` and reloads the list, or shows the error
+    const runChange = async (change, success) => {
+        setLoading(true);
+        setError(null);
+        setNotice(null);
+        try {
+            await change();
+            setNotice(success);
+            await loadUsers();
+        } catch (err) {
+            setError(err.message);
+            setLoading(false);
+        }
+    };
+
+    const selectUser = (user) => {
+        setSelectedId(user.id);
+        setGrantDraft(user.grants);
+        setPasswordDraft('');
+        setCurrentPassword('');
+    };
+
+    const handleCreate = () => runChange(async () => {
+        await sendJson(`${API_BASE_URL}/users`, 'POST', newUser);
+        setNewUser(emptyUser());
+    }, `Created ${newUser.username}.`);
+
+    const handleRoleChange = (user, role) => runChange(
+        () => sendJson(`${API_BASE_URL}/users/${user.id}`, 'PUT', { role }),
+        `${user.username} is now ${role}.`
+    );
+
+    const handleDelete = (user) => {
+        if (!window.confirm(`Delete the user ${user.username}?`)) return;
+        if (user.id === selectedId) setSelectedId(null);
+        runChange(() => sendJson(`${API_BASE_URL}/users/${user.id}`, 'DELETE'), `Deleted ${user.username}.`);
+    };
+
+    const handlePassword = () => runChange(async () => {
+        await sendJson(`${API_BASE_URL}/users/${selectedUser.id}`, 'PUT', {
+            password: passwordDraft,
+            ...(isSelf ? { currentPassword } : {}),
+        });
+        setPasswordDraft('');
+        setCurrentPassword('');
+    }, `Changed the password of ${selectedUser.username}.`);
+
+    const handleSaveGrants = () => runChange(
+        () => sendJson(`${API_BASE_URL}/users/${selectedUser.id}/grants`, 'PUT', { grants: grantDraft }),
+        `Saved the permissions of ${selectedUser.username}.`
+    );
+
+    const setGrant = (table, level) => {
+        setGrantDraft(prev => {
+            const next = { ...prev };
+            delete next[table.toLowerCase()];
+            if (level) next[table.toLowerCase()] = level;
+            return next;
+        });
+    };
+
+    const renderGrants = () => {
+        if (!selectedUser) return null;
+        return (
+            <>
+                <div className="schema-section-title">{selectedUser.username}</div>
+                <div className="schema-row">
+                    {isSelf && (
+                        <input
+                            type="password"
+                            className="schema-input schema-input-small"
+                            placeholder="Current password"
+                            value={currentPassword}
+                            onChange={(e) => setCurrentPassword(e.target.value)}
+                            autoComplete="current-password"
+                        />
+                    )}
+                    <input
+                        type="password"
+                        className="schema-input schema-input-small"
+                        placeholder="New password"
+                        value={passwordDraft}
+                        onChange={(e) => setPasswordDraft(e.target.value)}
+                        autoComplete="new-password"
+                    />
+                    <button
+                        onClick={handlePassword}
+                        className="pager-btn"
+                        disabled={loading || passwordDraft.length < 8 || (isSelf && currentPassword === '')}
+                    >
+                        Set password
+                    </button>
+                </div>
+
+                {selectedUser.role === 'admin' ? (
+                    <p className="schema-empty">Admins have every permission on every table.</p>
+                ) : (
+                    <>
+                        <p className="conflict-intro">
+                            As {selectedUser.role}, {selectedUser.username} may {ROLE_DESCRIPTIONS[selectedUser.role]}.
+                            A grant replaces that for one table.
+                        </p>
+                        <table className="schema-table">
+                            <thead>
+                                <tr><th>Table</th><th>Permission</th></tr>
+                            </thead>
+                            <tbody>
+                                {tables.map(table => (
+                                    <tr key={table}>
+                                        <td>{table}</td>
+                                        <td>
+                                            <select
+                                                className="schema-input schema-input-small"
+                                                value={grantDraft[table.toLowerCase()] || ''}
+                                                onChange={(e) => setGrant(table, e.target.value)}
+                                            >
+                                                <option value="">Role default</option>
+                                                {levels.map(level => <option key={level} value={level}>{level}</option>)}
+                                            </select>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <div className="schema-row schema-add-btn">
+                            <button onClick={handleSaveGrants} className="btn btn-save" disabled={loading}>Save permissions</button>
+                        </div>
+                    </>
+                )}
+            </>
+        );
+    };
+
+    return (
+        <div className="modal-backdrop" role="dialog" aria-modal="true">
+            <div className="modal user-admin">
+                <h3 className="header-title-small">Users</h3>
+
+                {error && <div className="message error" role="alert">{error}</div>}
+                {notice && <div className="message success" role="status">{notice}</div>}
+
+                <table className="schema-table">
+                    <thead>
+                        <tr><th>Username</th><th>Role</th><th>Created</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        {users.map(user => (
+                            <tr key={user.id} className={user.id === selectedId ? 'user-selected' : ''}>
+                                <td>{user.username}</td>
+                                <td>
+                                    <select
+                                        className="schema-input schema-input-small"
+                                        value={user.role}
+                                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                                        disabled={loading || user.id === session.user.id}
+                                    >
+                                        {roles.map(role => <option key={role} value={role}>{role}</option>)}
+                                    </select>
+                                </td>
+                                <td>{new Date(user.createdAt).toLocaleDateString()}</td>
+                                <td className="user-actions">
+                                    <button onClick={() => selectUser(user)} className="pager-btn">Permissions</button>
+                                    <button onClick={() => handleDelete(user)} className="pager-btn" disabled={loading || user.id === session.user.id}>
+                                        Delete
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                <div className="schema-section-title">New user</div>
+                <div className="schema-row">
+                    <input
+                        className="schema-input schema-input-small"
+                        placeholder="Username"
+                        value={newUser.username}
+                        onChange={(e) => setNewUser(prev => ({ ...prev, username: e.target.value }))}
+                    />
+                    <input
+                        type="password"
+                        className="schema-input schema-input-small"
+                        placeholder="Password (8+ characters)"
+                        value={newUser.password}
+                        onChange={(e) => setNewUser(prev => ({ ...prev, password: e.target.value }))}
+                        autoComplete="new-password"
+                    />
+                    <select
+                        className="schema-input schema-input-small"
+                        value={newUser.role}
+                        onChange={(e) => setNewUser(prev => ({ ...prev, role: e.target.value }))}
+                    >
+                        {roles.map(role => <option key={role} value={role}>{role}</option>)}
+                    </select>
+                    <button onClick={handleCreate} className="pager-btn" disabled={loading || !newUser.username || newUser.password.length < 8}>
+                        Add user
+                    </button>
+                </div>
+
+                {renderGrants()}
+
+                <div className="modal-actions">
+                    <button onClick={onClose} className="btn btn-save">Close</button>
+                </div>
+            </div>
+        </div>
+    );
+}
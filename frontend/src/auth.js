@@ -0,0 +1,64 @@
+import { createContext, useContext } from 'react';
+
+// The session token from POST /api/auth/login, kept across reloads
+const TOKEN_KEY = 'db-manager-session';
+
+// Permission levels, each including the ones before it (see lib/auth.js on the server)
+export const LEVELS = ['none', 'read', 'write', 'ddl'];
+
+// Called when the server rejects the session, so the app can show the login screen
+let unauthorizedHandler = null;
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setToken = (token) => {
+    if (token) localStorage.setItem(TOKEN_KEY, token);
+    else localStorage.removeItem(TOKEN_KEY);
+};
+
+export const onUnauthorized = (handler) => {
+    unauthorizedHandler = handler;
+};
+
+/**
+ * fetch() for the API: sends the session token and reports a rejected session
+ * (401) to the handler registered with onUnauthorized.
+ */
+export async function apiFetch(url, options = {}) {
+    const headers = new Headers(options.headers);
+    const token = getToken();
+    if (token) headers.set('Authorization', `Bearer ${token}`);
+
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401 && unauthorizedHandler) unauthorizedHandler();
+    return response;
+}
+
+/**
+ * The level a session has on a table: its grant for the table, else the role's default.
+ */
+export const tableLevel = (session, tableName) => {
+    if (!session) return 'none';
+    if (session.user.role === 'admin') return 'ddl';
+    return session.grants[String(tableName).toLowerCase()] || session.defaultLevel;
+};
+
+// { session, isAdmin, canCreateTables, can(tableName, level), logout } for the logged-in user
+export const AuthContext = createContext(null);
+
+export const useAuth = () => useContext(AuthContext);
+
+/**
+ * Builds the AuthContext value for a session (see GET /api/auth/me). A server in
+ * read-only mode allows nothing but reading.
+ */
+export const authValue = (session, logout) => ({
+    session,
+    isAdmin: session?.user.role === 'admin',
+    canCreateTables: session?.user.role === 'admin' && !session.readOnly,
+    can: (tableName, level) => (
+        (level === 'read' || !session?.readOnly)
+        && LEVELS.indexOf(tableLevel(session, tableName)) >= LEVELS.indexOf(level)
+    ),
+    logout,
+});
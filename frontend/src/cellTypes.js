@@ -0,0 +1,132 @@
+// Maps SQLite column types to cell editors and converts between stored values and
+// what the editors show. Declared types are free-form in SQLite, so the kind is
+// derived from substrings the same way SQLite derives a column's affinity.
+
+/**
+ * The kind of editor a column gets: 'boolean', 'integer', 'number', 'datetime',
+ * 'json', 'blob' or 'text'.
+ */
+export const columnKind = (type) => {
+  const upper = String(type || '').toUpperCase();
+  if (upper.includes('BOOL')) return 'boolean';
+  if (upper.includes('INT')) return 'integer';
+  if (upper.includes('DATE') || upper.includes('TIME')) return 'datetime';
+  if (upper.includes('JSON')) return 'json';
+  if (/REAL|FLOA|DOUB|NUMERIC|DECIMAL/.test(upper)) return 'number';
+  if (upper.includes('BLOB')) return 'blob';
+  return 'text';
+};
+
+/**
+ * Value a new row starts with in a column of the given kind.
+ */
+export const initialCellValue = (kind) => {
+  if (kind === 'boolean') return false;
+  if (kind === 'text') return '';
+  return null;
+};
+
+/**
+ * True for BLOB values as the server sends them: { $blob: base64 }.
+ */
+export const isBlob = (value) => value !== null && typeof value === 'object' && typeof value.$blob === 'string';
+
+/**
+ * Decodes a BLOB value into its bytes.
+ */
+export const blobBytes = (value) => Uint8Array.from(atob(value.$blob), char => char.charCodeAt(0));
+
+/**
+ * Hex dump of the first bytes of a BLOB, e.g. "89 50 4e 47 …".
+ */
+export const hexPreview = (bytes, maxBytes = 16) => {
+  const hex = Array.from(bytes.slice(0, maxBytes), byte => byte.toString(16).padStart(2, '0')).join(' ');
+  return bytes.length > maxBytes ? `${hex} …` : hex;
+};
+
+/**
+ * Stored booleans are 1/0 in SQLite; editors may hand out true/false.
+ */
+export const isTruthyCell = (value) => value === true || value === 1 || value === '1' || String(value).toLowerCase() === 'true';
+
+/**
+ * Converts text typed for a column (in a numeric input or a merge field) into the value
+ * to store. Text columns keep the text as is, so an empty string stays an empty string;
+ * NULL is only set with the explicit NULL control. Throws on input that doesn't fit.
+ */
+export const parseCellInput = (text, type) => {
+  const kind = columnKind(type);
+  const trimmed = String(text).trim();
+
+  switch (kind) {
+    case 'boolean': {
+      const lower = trimmed.toLowerCase();
+      if (['true', 't', 'yes', '1'].includes(lower)) return true;
+      if (['false', 'f', 'no', '0'].includes(lower)) return false;
+      throw new Error(`"${text}" is not a boolean (use true or false).`);
+    }
+    case 'integer':
+      if (!/^[+-]?\d+$/.test(trimmed)) throw new Error(`"${text}" is not a whole number.`);
+      return Number(trimmed);
+    case 'number':
+      if (trimmed === '' || !Number.isFinite(Number(trimmed))) throw new Error(`"${text}" is not a number.`);
+      return Number(trimmed);
+    case 'json':
+      JSON.parse(text); // Throws a SyntaxError describing the problem
+      return String(text);
+    case 'datetime':
+      if (trimmed === '' || Number.isNaN(Date.parse(trimmed))) throw new Error(`"${text}" is not a date.`);
+      return trimmed;
+    default:
+      return String(text);
+  }
+};
+
+/**
+ * Text shown for a stored value outside of its editor (pending changes, titles).
+ */
+export const formatCellValue = (value) => {
+  if (value === null || value === undefined) return 'NULL';
+  if (isBlob(value)) return `BLOB (${blobBytes(value).length} bytes)`;
+  return String(value);
+};
+
+/**
+ * True when an edited value matches the stored one, treating true/false as 1/0.
+ */
+export const isSameCellValue = (storedValue, value) => {
+  const normalize = (v) => (typeof v === 'boolean' ? Number(v) : v ?? null);
+  return JSON.stringify(normalize(storedValue)) === JSON.stringify(normalize(value));
+};
+
+// Stored datetime formats, kept when a value is written back
+const SQL_DATETIME = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/; // CURRENT_TIMESTAMP, UTC
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Converts a stored datetime (epoch milliseconds, ISO string or SQLite's
+ * "YYYY-MM-DD HH:MM:SS" in UTC) into the local value of a datetime-local input.
+ */
+export const toDateTimeInput = (stored) => {
+  if (stored === null || stored === undefined || stored === '') return '';
+  const date = typeof stored === 'number' ? new Date(stored)
+    : SQL_DATETIME.test(stored) ? new Date(`${stored.replace(' ', 'T')}Z`)
+    : DATE_ONLY.test(stored) ? new Date(`${stored}T00:00:00`)
+    : new Date(stored);
+  if (Number.isNaN(date.getTime())) return '';
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+/**
+ * Converts a datetime-local input value back into the format of the stored value
+ * (ISO strings for new values).
+ */
+export const fromDateTimeInput = (input, stored) => {
+  const date = new Date(input);
+  if (typeof stored === 'number') return date.getTime();
+  if (typeof stored === 'string' && SQL_DATETIME.test(stored)) return date.toISOString().slice(0, 19).replace('T', ' ');
+  if (typeof stored === 'string' && DATE_ONLY.test(stored)) return input.slice(0, 10);
+  return date.toISOString();
+};
@@ -0,0 +1,201 @@
+import { useState, useMemo } from 'react';
+
+// Layout and export of the ER diagram: where each table box goes, kept per database in
+// localStorage once a box was moved, how the foreign key edges run between the boxes,
+// and the SVG/PNG files the diagram is saved as.
+
+const STORAGE_PREFIX = 'db-manager-diagram:';
+
+export const NODE_WIDTH = 230;
+export const HEADER_HEIGHT = 30;
+export const ROW_HEIGHT = 22;
+const COLUMN_GAP = 100;
+const ROW_GAP = 40;
+export const MARGIN = 24;
+// How far edges between boxes in the same column bulge out to the right
+const LOOP_WIDTH = 40;
+
+export const nodeHeight = (table) => HEADER_HEIGHT + table.columns.length * ROW_HEIGHT + 6;
+
+/**
+ * The columns a foreign key references: its own `to`, or the primary key of the
+ * referenced table when it names none.
+ */
+export const referencedColumns = (fk, target) => (
+  fk.to.length > 0 ? fk.to : target.columns.filter(col => col.primaryKey).map(col => col.name)
+);
+
+/**
+ * Places the tables in columns by foreign key depth, so referenced tables sit left of
+ * the tables pointing at them, each column ordered to keep edges short.
+ * Returns { tableName: { x, y } }.
+ */
+export function autoLayout(tables) {
+  // Longest chain of foreign keys below each table; edges closing a cycle are ignored
+  const byName = new Map(tables.map(table => [table.name, table]));
+  const rank = new Map();
+  const visiting = new Set();
+  const rankOf = (name) => {
+    if (rank.has(name)) return rank.get(name);
+    if (visiting.has(name)) return -1;
+    visiting.add(name);
+    let value = 0;
+    byName.get(name).foreignKeys.forEach(fk => {
+      if (!byName.has(fk.table) || fk.table === name) return;
+      const parent = rankOf(fk.table);
+      if (parent >= 0) value = Math.max(value, parent + 1);
+    });
+    visiting.delete(name);
+    rank.set(name, value);
+    return value;
+  };
+  tables.forEach(table => rankOf(table.name));
+
+  const columns = [];
+  tables.forEach(table => {
+    const index = rank.get(table.name);
+    columns[index] = [...(columns[index] || []), table];
+  });
+
+  const positions = {};
+  let x = MARGIN;
+  columns.filter(Boolean).forEach(column => {
+    // Next to the tables they reference, by the average height of those
+    const anchor = (table) => {
+      const ys = table.foreignKeys.map(fk => positions[fk.table]).filter(Boolean).map(position => position.y);
+      return ys.length > 0 ? ys.reduce((sum, y) => sum + y, 0) / ys.length : Number.MAX_SAFE_INTEGER;
+    };
+    let y = MARGIN;
+    [...column].sort((a, b) => anchor(a) - anchor(b) || a.name.localeCompare(b.name)).forEach(table => {
+      positions[table.name] = { x, y };
+      y += nodeHeight(table) + ROW_GAP;
+    });
+    x += NODE_WIDTH + COLUMN_GAP;
+  });
+  return positions;
+}
+
+const loadPositions = (storageKey) => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_PREFIX + storageKey)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Positions of the diagram's boxes: the saved ones, and auto-layout positions below
+ * them for tables the saved layout doesn't know. Returns { positions, moveTable(name,
+ * { x, y }), saveLayout(), resetLayout() }; moves are kept once saveLayout() is called.
+ */
+export function useDiagramLayout(storageKey, tables) {
+  const [saved, setSaved] = useState(() => loadPositions(storageKey));
+
+  const positions = useMemo(() => {
+    const automatic = autoLayout(tables);
+    const known = tables.filter(table => saved[table.name]);
+    if (known.length === 0) return automatic;
+
+    const bottom = Math.max(...known.map(table => saved[table.name].y + nodeHeight(table)));
+    return Object.fromEntries(tables.map(table => [
+      table.name,
+      saved[table.name] || { x: automatic[table.name].x, y: automatic[table.name].y + bottom + ROW_GAP },
+    ]));
+  }, [tables, saved]);
+
+  return {
+    positions,
+    moveTable: (name, position) => setSaved({ ...positions, [name]: position }),
+    saveLayout: () => localStorage.setItem(STORAGE_PREFIX + storageKey, JSON.stringify(positions)),
+    resetLayout: () => {
+      localStorage.removeItem(STORAGE_PREFIX + storageKey);
+      setSaved({});
+    },
+  };
+}
+
+/**
+ * Width and height the boxes at `positions` need, with a margin.
+ */
+export function diagramSize(tables, positions) {
+  const right = Math.max(0, ...tables.map(table => positions[table.name].x + NODE_WIDTH + LOOP_WIDTH));
+  const bottom = Math.max(0, ...tables.map(table => positions[table.name].y + nodeHeight(table)));
+  return { width: right + MARGIN, height: bottom + MARGIN };
+}
+
+/**
+ * SVG path of an edge from row `fromRow` of the box at `from` to row `toRow` of the
+ * box at `to`. Edges leave and enter at the sides facing each other; boxes above one
+ * another (and self references) are joined by a loop on the right.
+ */
+export function edgePath(from, fromRow, to, toRow) {
+  const y1 = from.y + HEADER_HEIGHT + fromRow * ROW_HEIGHT + ROW_HEIGHT / 2;
+  const y2 = to.y + HEADER_HEIGHT + toRow * ROW_HEIGHT + ROW_HEIGHT / 2;
+
+  if (Math.abs(from.x - to.x) < NODE_WIDTH) {
+    const x1 = from.x + NODE_WIDTH;
+    const x2 = to.x + NODE_WIDTH;
+    const bulge = Math.max(x1, x2) + LOOP_WIDTH;
+    return `M ${x1} ${y1} C ${bulge} ${y1}, ${bulge} ${y2}, ${x2} ${y2}`;
+  }
+  const rightwards = to.x > from.x;
+  const x1 = rightwards ? from.x + NODE_WIDTH : from.x;
+  const x2 = rightwards ? to.x : to.x + NODE_WIDTH;
+  const middle = (x1 + x2) / 2;
+  return `M ${x1} ${y1} C ${middle} ${y1}, ${middle} ${y2}, ${x2} ${y2}`;
+}
+
+// The diagram as a standalone SVG document
+const svgText = (svg) => {
+  const copy = svg.cloneNode(true);
+  const { width, height } = svg.viewBox.baseVal;
+  copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  copy.setAttribute('width', width);
+  copy.setAttribute('height', height);
+  return new XMLSerializer().serializeToString(copy);
+};
+
+const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Downloads the diagram `svg` element as an SVG file. The diagram's styles are SVG
+ * attributes, so the file looks the same outside the app.
+ */
+export function exportSvg(svg, fileName) {
+  saveBlob(new Blob([svgText(svg)], { type: 'image/svg+xml' }), fileName);
+}
+
+/**
+ * Downloads the diagram `svg` element as a PNG file at `scale` times its size.
+ */
+export function exportPng(svg, fileName, scale = 2) {
+  const { width, height } = svg.viewBox.baseVal;
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0);
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error('The browser could not draw the diagram.'));
+          return;
+        }
+        saveBlob(blob, fileName);
+        resolve();
+      }, 'image/png');
+    };
+    image.onerror = () => reject(new Error('The browser could not draw the diagram.'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgText(svg))}`;
+  });
+}
@@ -0,0 +1,40 @@
+import { apiFetch } from './auth';
+
+// Formats offered by the export routes (see lib/export.js)
+export const EXPORT_FORMATS = [
+    { format: 'csv', label: 'CSV' },
+    { format: 'json', label: 'JSON' },
+    { format: 'ndjson', label: 'NDJSON' },
+    { format: 'sql', label: 'SQL inserts' },
+];
+
+/**
+ * Reads the file name from a Content-Disposition header, if there is one.
+ */
+const fileNameFrom = (response, fallback) => {
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="?([^";]+)"?/);
+    return match ? match[1] : fallback;
+};
+
+/**
+ * Fetches an export and hands the response body to the browser as a file download.
+ * Throws with the server's error message when the request fails.
+ */
+export async function downloadFile(url, options = {}, fallbackName = 'export') {
+    const response = await apiFetch(url, options);
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Download failed with status ${response.status}.`);
+    }
+
+    const blob = await response.blob();
+    const objectUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = fileNameFrom(response, fallbackName);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(objectUrl);
+}
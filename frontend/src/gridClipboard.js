@@ -0,0 +1,63 @@
+import { columnKind, isBlob, parseCellInput } from './cellTypes';
+
+// Clipboard text of the table grid. Cells are copied as TSV, the format spreadsheets
+// put on the clipboard, and blocks pasted from Excel or Google Sheets are split back
+// into rows and cells. Cells holding tabs, line breaks or quotes are quoted as Excel does.
+
+// A quoted cell only ends at a quote followed by a tab, a line break or the end
+const QUOTED_CELL = /"((?:[^"]|"")*)"(?=\t|\n|$)/y;
+const PLAIN_CELL = /[^\t\n]*/y;
+
+/**
+ * Text a cell is copied as. NULL becomes an empty cell, as in spreadsheets; BLOBs
+ * can't be copied as text and are left empty too.
+ */
+export const cellText = (value) => {
+  if (value === null || value === undefined || isBlob(value)) return '';
+  return String(value);
+};
+
+/**
+ * Joins rows of cell texts into TSV.
+ */
+export const toTsv = (rows) => rows
+  .map(cells => cells.map(text => (/[\t\n\r"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text)).join('\t'))
+  .join('\n');
+
+/**
+ * Splits TSV into rows of cell texts. The line break spreadsheets add after the last
+ * row doesn't start another one.
+ */
+export const parseTsv = (text) => {
+  const input = text.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+  const rows = [[]];
+  let i = 0;
+  while (i <= input.length) {
+    let cell;
+    QUOTED_CELL.lastIndex = i;
+    const quoted = input[i] === '"' ? QUOTED_CELL.exec(input) : null;
+    if (quoted) {
+      cell = quoted[1].replace(/""/g, '"');
+      i += quoted[0].length;
+    } else {
+      PLAIN_CELL.lastIndex = i;
+      cell = PLAIN_CELL.exec(input)[0];
+      i += cell.length;
+    }
+    rows[rows.length - 1].push(cell);
+    if (input[i] === '\n') rows.push([]);
+    i += 1; // Past the tab or line break
+  }
+  return rows;
+};
+
+/**
+ * Converts a pasted cell text into the value to store in `column`. Empty cells are
+ * NULL except in text columns, where they stay empty strings. Throws on text that
+ * doesn't fit the column (see parseCellInput).
+ */
+export const pastedValue = (text, column) => {
+  if (text !== '' || columnKind(column.type) === 'text') return parseCellInput(text, column.type);
+  if (column.notNull) throw new Error(`${column.field} can't be NULL.`);
+  return null;
+};
@@ -0,0 +1,72 @@
+import { useState, useMemo } from 'react';
+
+// Column layout of the table grid: widths, order and hidden columns, kept per database
+// and table in localStorage so a table opens the way it was left.
+
+const STORAGE_PREFIX = 'db-manager-grid:';
+
+export const DEFAULT_COLUMN_WIDTH = 180;
+export const MIN_COLUMN_WIDTH = 60;
+
+const EMPTY_LAYOUT = { widths: {}, order: [], hidden: [] };
+
+// Tables of the same name in different databases have layouts of their own
+const storageKey = (API_BASE_URL, tableName) => STORAGE_PREFIX + JSON.stringify([API_BASE_URL, tableName]);
+
+const loadLayout = (key) => {
+  try {
+    return { ...EMPTY_LAYOUT, ...JSON.parse(localStorage.getItem(key)) };
+  } catch {
+    return EMPTY_LAYOUT;
+  }
+};
+
+/**
+ * The saved layout of `tableName` in the database at `API_BASE_URL` applied to its
+ * `columns` (as GET /api/data returns them). Returns { orderedColumns, visibleColumns, hiddenCount, widthOf(field),
+ * resizeColumn(field, width), moveColumn(field, beforeField), setHidden(field, hidden),
+ * resetLayout() }; `beforeField` null moves a column to the end. Columns the layout
+ * doesn't know yet (added since it was saved) come last.
+ */
+export function useGridLayout(API_BASE_URL, tableName, columns) {
+  const key = storageKey(API_BASE_URL, tableName);
+  const [layout, setLayout] = useState(() => loadLayout(key));
+
+  const update = (change) => {
+    setLayout(prev => {
+      const next = change(prev);
+      localStorage.setItem(key, JSON.stringify(next));
+      return next;
+    });
+  };
+
+  const orderedColumns = useMemo(() => {
+    const position = new Map(layout.order.map((field, i) => [field, i]));
+    const rank = (col, i) => position.get(col.field) ?? layout.order.length + i;
+    return columns.map((col, i) => ({ col, rank: rank(col, i) })).sort((a, b) => a.rank - b.rank).map(entry => entry.col);
+  }, [columns, layout.order]);
+
+  const visibleColumns = useMemo(
+    () => orderedColumns.filter(col => !layout.hidden.includes(col.field)),
+    [orderedColumns, layout.hidden]
+  );
+
+  return {
+    orderedColumns,
+    visibleColumns,
+    hiddenCount: orderedColumns.length - visibleColumns.length,
+    widthOf: (field) => layout.widths[field] || DEFAULT_COLUMN_WIDTH,
+    resizeColumn: (field, width) => update(prev => ({
+      ...prev, widths: { ...prev.widths, [field]: Math.max(MIN_COLUMN_WIDTH, Math.round(width)) },
+    })),
+    moveColumn: (field, beforeField) => update(prev => {
+      const order = orderedColumns.map(col => col.field).filter(name => name !== field);
+      order.splice(beforeField === null ? order.length : order.indexOf(beforeField), 0, field);
+      return { ...prev, order };
+    }),
+    setHidden: (field, hidden) => update(prev => ({
+      ...prev, hidden: hidden ? [...prev.hidden, field] : prev.hidden.filter(name => name !== field),
+    })),
+    resetLayout: () => update(() => EMPTY_LAYOUT),
+  };
+}
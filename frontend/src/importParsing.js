@@ -0,0 +1,119 @@
+// Parsing and type inference for the import wizard. Files are read in the browser so
+// they can be previewed and mapped before anything is sent to POST /api/import.
+
+/**
+ * Guesses the delimiter of a CSV file from its first line.
+ */
+const detectDelimiter = (text) => {
+    const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+    const candidates = [',', ';', '\t', '|'];
+    return candidates.reduce((best, candidate) => (
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    ), ',');
+};
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes).
+ * The first record is the header. Returns { columns, rows } with rows as arrays.
+ */
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Skip blank lines, e.g. the one after a trailing newline
+    const nonEmpty = records.filter(r => r.length > 1 || r[0] !== '');
+    if (nonEmpty.length === 0) throw new Error('The file is empty.');
+
+    const [header, ...rows] = nonEmpty;
+    const columns = header.map((name, i) => name.trim() || `column_${i + 1}`);
+    return { columns, rows: rows.map(r => columns.map((_, i) => r[i] ?? '')) };
+};
+
+/**
+ * Parses a JSON array of objects or newline-delimited JSON objects. Columns are the
+ * union of all keys, in order of first appearance.
+ */
+export const parseJsonRows = (text) => {
+    const trimmed = text.trim();
+    let objects;
+    if (trimmed.startsWith('[')) {
+        objects = JSON.parse(trimmed);
+    } else {
+        objects = trimmed.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (err) {
+                throw new Error(`Line ${i + 1}: ${err.message}`);
+            }
+        });
+    }
+    if (!Array.isArray(objects) || objects.some(o => !o || typeof o !== 'object' || Array.isArray(o))) {
+        throw new Error('Expected an array of objects or one JSON object per line.');
+    }
+
+    const columns = [];
+    objects.forEach(o => Object.keys(o).forEach(key => { if (!columns.includes(key)) columns.push(key); }));
+    return { columns, rows: objects.map(o => columns.map(col => o[col] ?? null)) };
+};
+
+/**
+ * Parses an uploaded file by its extension (.json / .ndjson / .jsonl, otherwise CSV).
+ */
+export const parseImportFile = async (file) => {
+    const text = await file.text();
+    return /\.(json|ndjson|jsonl)$/i.test(file.name) ? parseJsonRows(text) : parseCsv(text);
+};
+
+/**
+ * Infers an SQLite column type from sample values: INTEGER, REAL, BOOLEAN, DATETIME
+ * or TEXT. Empty values are ignored.
+ */
+export const inferColumnType = (values) => {
+    const present = values.filter(v => v !== null && v !== undefined && String(v).trim() !== '');
+    if (present.length === 0) return 'TEXT';
+
+    const all = (test) => present.every(test);
+    if (all(v => typeof v === 'boolean' || /^(true|false)$/i.test(String(v).trim()))) return 'BOOLEAN';
+    if (all(v => /^[+-]?\d+$/.test(String(v).trim()))) return 'INTEGER';
+    if (all(v => String(v).trim() !== '' && Number.isFinite(Number(v)))) return 'REAL';
+    if (all(v => /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(String(v).trim()))) return 'DATETIME';
+    return 'TEXT';
+};
+
+/**
+ * Turns a source column name into a valid column name for a new table.
+ */
+export const toColumnName = (name) => String(name).trim().replace(/[^a-zA-Z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'column';
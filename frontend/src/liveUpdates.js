@@ -0,0 +1,56 @@
+import { useEffect, useRef } from 'react';
+import { getToken } from './auth';
+
+// Identifies this browser tab to the server (X-Client-Id header) so the change
+// events it causes can be told apart from changes made by other users.
+export const CLIENT_ID = crypto.randomUUID();
+
+// One EventSource per base URL, shared by every subscriber
+const sources = new Map();
+
+/**
+ * Subscribes `handler` to the server's live change feed (GET /api/events).
+ * Returns an unsubscribe function; the connection closes with the last subscriber.
+ */
+export function subscribeLiveEvents(API_BASE_URL, handler) {
+  let entry = sources.get(API_BASE_URL);
+  if (!entry) {
+    // EventSource can't send an Authorization header, so the token goes in the URL
+    const source = new EventSource(`${API_BASE_URL}/events?token=${encodeURIComponent(getToken() || '')}`);
+    entry = { source, handlers: new Set() };
+    source.onmessage = (message) => {
+      let event;
+      try {
+        event = JSON.parse(message.data);
+      } catch {
+        return;
+      }
+      entry.handlers.forEach(h => h(event));
+    };
+    sources.set(API_BASE_URL, entry);
+  }
+  entry.handlers.add(handler);
+
+  return () => {
+    entry.handlers.delete(handler);
+    if (entry.handlers.size === 0) {
+      entry.source.close();
+      sources.delete(API_BASE_URL);
+    }
+  };
+}
+
+/**
+ * React hook around subscribeLiveEvents. The latest `handler` is always called,
+ * without reconnecting when it changes between renders.
+ */
+export function useLiveEvents(API_BASE_URL, handler) {
+  const handlerRef = useRef(handler);
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => (
+    subscribeLiveEvents(API_BASE_URL, (event) => handlerRef.current(event))
+  ), [API_BASE_URL]);
+}
@@ -0,0 +1,17 @@
+import { apiFetch } from './auth';
+
+/**
+ * Fetches rows of a referenced table for foreign key cells from GET /api/lookup.
+ * `params` is { column, q } to search or { column, values } to resolve labels.
+ * Returns [{ value, label }].
+ */
+export async function fetchLookup(API_BASE_URL, tableName, { column, q, values }, signal) {
+    const params = new URLSearchParams({ column });
+    if (values) params.set('values', JSON.stringify(values));
+    else if (q) params.set('q', q);
+
+    const response = await apiFetch(`${API_BASE_URL}/lookup/${tableName}?${params}`, { signal });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(body.error || `Lookup failed with status ${response.status}.`);
+    return body.options;
+}
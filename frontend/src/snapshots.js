@@ -0,0 +1,26 @@
+import { apiFetch } from './auth';
+
+/**
+ * Takes a snapshot of the database behind `API_BASE_URL` (POST /api/snapshots) and
+ * returns it: { id, label, automatic, createdAt, createdBy, size }. Throws with the
+ * server's error message when it fails.
+ */
+export async function takeSnapshot(API_BASE_URL, label = null) {
+    const response = await apiFetch(`${API_BASE_URL}/snapshots`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ label }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `Request failed with status ${response.status}.`);
+    return data;
+}
+
+/**
+ * Size of a snapshot file for display, e.g. "1.4 MB".
+ */
+export function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
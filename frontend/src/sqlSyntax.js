@@ -0,0 +1,198 @@
+// SQLite syntax for the SQL editor: tokens for highlighting, the statement under the
+// cursor and what to complete at it. Statements are split like the server does
+// (lib/statements.js): semicolons in strings and comments, and inside CREATE TRIGGER
+// before END, don't end a statement.
+
+export const SQL_KEYWORDS = [
+  'ABORT', 'ACTION', 'ADD', 'AFTER', 'ALL', 'ALTER', 'ALWAYS', 'ANALYZE', 'AND', 'AS', 'ASC',
+  'ATTACH', 'AUTOINCREMENT', 'BEFORE', 'BEGIN', 'BETWEEN', 'BY', 'CASCADE', 'CASE', 'CAST',
+  'CHECK', 'COLLATE', 'COLUMN', 'COMMIT', 'CONFLICT', 'CONSTRAINT', 'CREATE', 'CROSS',
+  'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'DEFAULT', 'DEFERRABLE', 'DEFERRED',
+  'DELETE', 'DESC', 'DETACH', 'DISTINCT', 'DO', 'DROP', 'EACH', 'ELSE', 'END', 'ESCAPE',
+  'EXCEPT', 'EXCLUSIVE', 'EXISTS', 'EXPLAIN', 'FILTER', 'FOR', 'FOREIGN', 'FROM', 'FULL',
+  'GENERATED', 'GLOB', 'GROUP', 'HAVING', 'IF', 'IGNORE', 'IMMEDIATE', 'IN', 'INDEX',
+  'INITIALLY', 'INNER', 'INSERT', 'INSTEAD', 'INTERSECT', 'INTO', 'IS', 'ISNULL', 'JOIN', 'KEY',
+  'LEFT', 'LIKE', 'LIMIT', 'MATCH', 'NATURAL', 'NO', 'NOT', 'NOTHING', 'NOTNULL', 'NULL',
+  'NULLS', 'OF', 'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER', 'OVER', 'PARTITION', 'PLAN', 'PRAGMA',
+  'PRIMARY', 'QUERY', 'RAISE', 'RECURSIVE', 'REFERENCES', 'REGEXP', 'REINDEX', 'RELEASE',
+  'RENAME', 'REPLACE', 'RESTRICT', 'RETURNING', 'RIGHT', 'ROLLBACK', 'ROW', 'ROWID',
+  'SAVEPOINT', 'SELECT', 'SET', 'STRICT', 'TABLE', 'TEMP', 'TEMPORARY', 'THEN', 'TO',
+  'TRANSACTION', 'TRIGGER', 'UNION', 'UNIQUE', 'UPDATE', 'USING', 'VACUUM', 'VALUES', 'VIEW',
+  'VIRTUAL', 'WHEN', 'WHERE', 'WINDOW', 'WITH', 'WITHOUT',
+];
+
+// Core, aggregate, date and JSON functions
+export const SQL_FUNCTIONS = [
+  'abs', 'avg', 'char', 'coalesce', 'count', 'date', 'datetime', 'group_concat', 'hex',
+  'ifnull', 'iif', 'instr', 'json', 'json_array', 'json_extract', 'json_object', 'julianday',
+  'length', 'like', 'lower', 'ltrim', 'max', 'min', 'nullif', 'printf', 'quote', 'random',
+  'replace', 'round', 'rtrim', 'strftime', 'substr', 'sum', 'time', 'total', 'trim', 'typeof',
+  'unixepoch', 'upper',
+];
+
+const KEYWORD_SET = new Set(SQL_KEYWORDS);
+
+// Keywords after which a table name follows
+const TABLE_KEYWORDS = new Set(['FROM', 'JOIN', 'INTO', 'UPDATE', 'TABLE']);
+
+const QUOTES = { "'": "'", '"': '"', '`': '`', '[': ']' };
+
+/**
+ * Splits SQL into tokens { type, text, start } covering every character. Types:
+ * keyword, function, identifier, parameter (:name), string, number, comment,
+ * operator, whitespace.
+ * Unterminated strings and comments run to the end.
+ */
+export const tokenizeSql = (sql) => {
+  const tokens = [];
+  let i = 0;
+  while (i < sql.length) {
+    const char = sql[i];
+    let end = i + 1;
+    let type = 'operator';
+
+    if (/\s/.test(char)) {
+      while (end < sql.length && /\s/.test(sql[end])) end += 1;
+      type = 'whitespace';
+    } else if (char === '-' && sql[i + 1] === '-') {
+      end = sql.indexOf('\n', i);
+      if (end === -1) end = sql.length;
+      type = 'comment';
+    } else if (char === '/' && sql[i + 1] === '*') {
+      end = sql.indexOf('*/', i + 2);
+      end = end === -1 ? sql.length : end + 2;
+      type = 'comment';
+    } else if (QUOTES[char]) {
+      const close = QUOTES[char];
+      while (end < sql.length) {
+        if (sql[end] === close && sql[end + 1] === close && close !== ']') end += 2; // Doubled quote
+        else if (sql[end] === close) break;
+        else end += 1;
+      }
+      end = Math.min(end + 1, sql.length);
+      // Only single quotes make strings; the others quote names
+      type = char === "'" ? 'string' : 'identifier';
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(sql[i + 1] || ''))) {
+      const number = sql.slice(i).match(/^(0x[0-9a-f]+|[0-9]*\.?[0-9]+(e[+-]?[0-9]+)?)/i);
+      end = i + number[0].length;
+      type = 'number';
+    } else if (char === ':' && /[A-Za-z_]/.test(sql[i + 1] || '') && !/[\w$:]/.test(sql[i - 1] || '')) {
+      while (end < sql.length && /\w/.test(sql[end])) end += 1;
+      type = 'parameter';
+    } else if (/[A-Za-z_]/.test(char)) {
+      while (end < sql.length && /[\w$]/.test(sql[end])) end += 1;
+      const word = sql.slice(i, end);
+      if (KEYWORD_SET.has(word.toUpperCase())) type = 'keyword';
+      else if (/^\s*\(/.test(sql.slice(end, end + 20))) type = 'function';
+      else type = 'identifier';
+    }
+
+    tokens.push({ type, text: sql.slice(i, end), start: i });
+    i = end;
+  }
+  return tokens;
+};
+
+/**
+ * The statements of a script as { start, end } ranges; `end` is past the closing
+ * semicolon, if any. Ranges with nothing but comments are dropped.
+ */
+export const statementRanges = (sql) => {
+  const ranges = [];
+  let start = 0;
+  let words = []; // The first words of the current statement, upper case
+  let hasCode = false;
+
+  for (const token of tokenizeSql(sql)) {
+    if (token.type === 'whitespace' || token.type === 'comment') continue;
+    if (token.text !== ';') {
+      if (token.type === 'keyword' || token.type === 'identifier' || token.type === 'function') {
+        words.push(token.text.toUpperCase());
+      }
+      hasCode = true;
+      continue;
+    }
+    const isTrigger = words[0] === 'CREATE' && (words[1] === 'TRIGGER' || words[2] === 'TRIGGER');
+    if (isTrigger && words[words.length - 1] !== 'END') continue;
+    if (hasCode) ranges.push({ start, end: token.start + 1 });
+    start = token.start + 1;
+    words = [];
+    hasCode = false;
+  }
+  if (hasCode) ranges.push({ start, end: sql.length });
+  return ranges;
+};
+
+/**
+ * The range of the statement the cursor is in or, between statements, the one
+ * before it (the one just finished). Null when there is none.
+ */
+export const statementAt = (sql, cursor) => {
+  const ranges = statementRanges(sql);
+  const containing = ranges.find(range => cursor >= range.start && cursor <= range.end);
+  if (containing) return containing;
+  const before = ranges.filter(range => range.end <= cursor);
+  return before.length > 0 ? before[before.length - 1] : (ranges[0] || null);
+};
+
+// Name as written, without its quotes
+const unquote = (text) => (QUOTES[text[0]] ? text.slice(1, -1) : text);
+
+/**
+ * The tables the statement in `sql` uses, as a map of the names and aliases they can
+ * be referred to by (lower case) to the table name, e.g. `FROM User u` gives
+ * { user: 'User', u: 'User' }.
+ */
+export const tableReferences = (sql) => {
+  const words = tokenizeSql(sql).filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+  const references = {};
+  words.forEach((token, i) => {
+    if (!TABLE_KEYWORDS.has(token.text.toUpperCase()) || !words[i + 1]) return;
+    const name = words[i + 1];
+    if (name.type !== 'identifier') return;
+    const table = unquote(name.text);
+    references[table.toLowerCase()] = table;
+    // FROM User AS u, FROM User u
+    const next = words[i + 2]?.text.toUpperCase() === 'AS' ? words[i + 3] : words[i + 2];
+    if (next && next.type === 'identifier') references[unquote(next.text).toLowerCase()] = table;
+  });
+  return references;
+};
+
+/**
+ * What to complete at the cursor: { prefix, start, qualifier, afterTableKeyword }.
+ * `prefix` is the part of the word already typed (from `start`), `qualifier` the name
+ * before a dot (`u.na|` gives 'u') and `afterTableKeyword` tells that a table name is
+ * expected (after FROM, JOIN, ...). Null inside strings and comments.
+ */
+export const completionContext = (sql, cursor) => {
+  const before = sql.slice(0, cursor);
+  const token = tokenizeSql(before).pop();
+  if (token && (token.type === 'string' || token.type === 'comment')) return null;
+
+  const prefix = before.match(/[\w$]*$/)[0];
+  const start = cursor - prefix.length;
+  const qualified = before.slice(0, start).match(/("[^"]+"|`[^`]+`|\[[^\]]+\]|[\w$]+)\.$/);
+  const previousWord = before.slice(0, start).match(/([A-Za-z_]+)\s+$/);
+  return {
+    prefix,
+    start,
+    qualifier: qualified ? unquote(qualified[1]) : null,
+    afterTableKeyword: Boolean(previousWord && TABLE_KEYWORDS.has(previousWord[1].toUpperCase())),
+  };
+};
+
+/**
+ * The names of the named parameters (:min_price) used in `sql`, each once, in order.
+ */
+export const queryParameters = (sql) => [...new Set(
+  tokenizeSql(sql).filter(token => token.type === 'parameter').map(token => token.text.slice(1))
+)];
+
+/**
+ * Line and column (both 1-based) of an offset, for error messages.
+ */
+export const lineAndColumn = (sql, offset) => {
+  const lines = sql.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+};
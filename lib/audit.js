@@ -0,0 +1,309 @@
+// The audit log and the row changes it records. Every data change made through the
+// API is recorded in AUDIT_TABLE with the row's values before and after, in the same
+// transaction as the change itself, so it can be reverted (see revertEntries).
+// `client` is a PrismaClient or the transaction client handed out by its $transaction;
+// `audit` is the context of the request making the change (see auditContext in
+// server.js): { actor, clientId, source, statement, ids }.
+
+const {
+    primaryKeyFromColumnInfo, getPrimaryKey, rowSelectList, keyCondition, sanitizeTableName, sanitizeColumnName,
+    serializeRow, toSqlValue, sameStoredValue,
+} = require('./rows');
+const { authorizeTable } = require('./auth');
+
+const AUDIT_TABLE = '_ldb_audit_log';
+// Raw SQL on tables with more rows than this is logged as a statement, without row values
+const AUDIT_SNAPSHOT_LIMIT = 5000;
+
+/**
+ * Creates the audit table of a database if it does not exist yet.
+ */
+async function ensureAuditLog(client) {
+    await client.$executeRawUnsafe(`
+        CREATE TABLE IF NOT EXISTS \`${AUDIT_TABLE}\` (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            at TEXT NOT NULL,
+            actor TEXT,
+            client_id TEXT,
+            source TEXT NOT NULL,
+            table_name TEXT,
+            action TEXT NOT NULL,
+            row_key TEXT,
+            before TEXT,
+            after TEXT,
+            statement TEXT
+        );
+    `);
+    await client.$executeRawUnsafe(
+        `CREATE INDEX IF NOT EXISTS \`${AUDIT_TABLE}_row\` ON \`${AUDIT_TABLE}\` (table_name, row_key);`
+    );
+}
+
+/**
+ * Records one change. `action` is insert, update or delete with the row values, or
+ * 'statement' for changes that could not be captured row by row.
+ */
+async function recordAudit(client, audit, { table, action, key = null, before = null, after = null }) {
+    const [{ id }] = await client.$queryRawUnsafe(
+        `INSERT INTO \`${AUDIT_TABLE}\` (at, actor, client_id, source, table_name, action, row_key, before, after, statement)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id;`,
+        new Date().toISOString(), audit.actor, audit.clientId, audit.source, table, action,
+        key === null ? null : JSON.stringify(key),
+        before === null ? null : JSON.stringify(before),
+        after === null ? null : JSON.stringify(after),
+        audit.statement
+    );
+    audit.ids.push(Number(id));
+}
+
+/**
+ * Turns an audit table row into the shape the API returns.
+ */
+function auditEntryFromRow(row) {
+    const parse = (text) => (text === null || text === undefined ? null : JSON.parse(text));
+    return {
+        id: Number(row.id),
+        at: row.at,
+        actor: row.actor,
+        clientId: row.client_id,
+        source: row.source,
+        table: row.table_name,
+        action: row.action,
+        key: parse(row.row_key),
+        before: parse(row.before),
+        after: parse(row.after),
+        statement: row.statement,
+    };
+}
+
+/**
+ * Runs a raw DML statement against `tableName` and records what it changed. The table
+ * is read before and after and the two are compared by primary key, which catches
+ * every kind of statement (UPDATE ... FROM, INSERT ... SELECT, REPLACE, ...). Big or
+ * unknown tables get a single 'statement' entry instead. Returns the affected row count.
+ */
+async function executeAudited(tx, tableName, statement, audit) {
+    const columnInfo = tableName ? await tx.$queryRawUnsafe(`PRAGMA table_info(\`${tableName}\`);`) : [];
+    const [{ total }] = columnInfo.length > 0
+        ? await tx.$queryRawUnsafe(`SELECT COUNT(*) AS total FROM \`${tableName}\`;`)
+        : [{ total: Infinity }];
+
+    if (Number(total) > AUDIT_SNAPSHOT_LIMIT) {
+        const rowCount = await tx.$executeRawUnsafe(statement);
+        await recordAudit(tx, audit, { table: tableName, action: 'statement' });
+        return rowCount;
+    }
+
+    const primaryKey = primaryKeyFromColumnInfo(columnInfo);
+    const snapshot = async () => {
+        const rows = await tx.$queryRawUnsafe(`SELECT ${rowSelectList(primaryKey)} FROM \`${tableName}\`;`);
+        return new Map(rows.map(serializeRow).map(row => [JSON.stringify(primaryKey.map(col => row[col])), row]));
+    };
+
+    const before = await snapshot();
+    const rowCount = await tx.$executeRawUnsafe(statement);
+    const after = await snapshot();
+
+    for (const [key, row] of before) {
+        const changed = after.get(key);
+        if (!changed) {
+            await recordAudit(tx, audit, { table: tableName, action: 'delete', key: JSON.parse(key), before: row });
+        } else if (JSON.stringify(changed) !== JSON.stringify(row)) {
+            await recordAudit(tx, audit, { table: tableName, action: 'update', key: JSON.parse(key), before: row, after: changed });
+        }
+    }
+    for (const [key, row] of after) {
+        if (!before.has(key)) {
+            await recordAudit(tx, audit, { table: tableName, action: 'insert', key: JSON.parse(key), after: row });
+        }
+    }
+    return rowCount;
+}
+
+// --- Row Operations ---
+// Shared by the single-row routes, the batch route and revertEntries. With an `audit`
+// context each change is also written to the audit log.
+
+/**
+ * Creates an Error that server.js reports with `status`.
+ */
+function auditError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Inserts one row and returns it as stored, including its generated key.
+ */
+async function insertRow(client, tableName, primaryKey, rowData, audit = null) {
+    const newData = { ...rowData };
+
+    // Empty key columns are left out so SQLite assigns the rowid and an INTEGER
+    // PRIMARY KEY can auto-increment (a given rowid restores a deleted row)
+    for (const keyColumn of primaryKey) {
+        if (newData[keyColumn] === null || newData[keyColumn] === '' || newData[keyColumn] === undefined) {
+            delete newData[keyColumn];
+        }
+    }
+
+    const columns = [];
+    const values = [];
+
+    // Safely prepare column names and values for SQL
+    for (const key in newData) {
+        columns.push(`\`${sanitizeColumnName(key)}\``);
+        values.push(toSqlValue(newData[key]));
+    }
+
+    const columnList = columns.join(', ');
+    // Generate placeholders ($1, $2, etc.) for parameterized query safety
+    // NOTE: SQLite uses '?' instead of $1, $2, but Prisma handles the transformation.
+    const placeholders = values.map(() => '?').join(', ');
+
+    // Use RETURNING to get the newly created row, including the auto-generated key
+    const valuesClause = columns.length > 0 ? `(${columnList}) VALUES (${placeholders})` : 'DEFAULT VALUES';
+    const sql = `INSERT INTO \`${tableName}\` ${valuesClause} RETURNING ${rowSelectList(primaryKey)};`;
+
+    // Execute the raw query with values passed as parameters for safety
+    const createdRow = await client.$queryRawUnsafe(sql, ...values);
+    const row = createdRow[0] ? serializeRow(createdRow[0]) : {};
+    if (audit) {
+        await recordAudit(client, audit, { table: tableName, action: 'insert', key: primaryKey.map(col => row[col]), after: row });
+    }
+    return row;
+}
+
+/**
+ * Updates the given columns of the row matching `keyValues` and returns the new row.
+ * Throws a 404 error when no row has that key.
+ *
+ * `expected` optionally maps columns to the values the client last saw. If any of
+ * them changed in the meantime the update is refused with a 409 error whose
+ * `details` list the conflicting columns and carry the current row.
+ * Call it with a transaction client so the check and the write are atomic.
+ */
+async function updateRow(client, tableName, primaryKey, keyValues, changes, expected, audit = null) {
+    // Extract the column names and values to change
+    const entries = Object.entries(changes || {});
+    if (entries.length === 0) throw auditError(400, 'No columns to update.');
+
+    // The stored row is needed to check `expected` and for the audit log
+    let current = null;
+    const hasExpected = expected && Object.keys(expected).length > 0;
+    if (hasExpected || audit) {
+        const [storedRow] = await client.$queryRawUnsafe(
+            `SELECT ${rowSelectList(primaryKey)} FROM \`${tableName}\` WHERE ${keyCondition(primaryKey)};`, ...keyValues
+        );
+        if (!storedRow) throw auditError(404, `No row in ${tableName} matches key ${JSON.stringify(keyValues)}.`);
+        current = serializeRow(storedRow);
+    }
+
+    if (hasExpected) {
+        const conflicts = Object.entries(expected)
+            .filter(([field, value]) => !sameStoredValue(current[field], value))
+            .map(([field, value]) => ({ field, expected: value, current: current[field], attempted: changes[field] }));
+        if (conflicts.length > 0) {
+            const error = auditError(409, `Row ${JSON.stringify(keyValues)} was changed by someone else (${conflicts.map(c => c.field).join(', ')}).`);
+            error.details = { conflicts, current };
+            throw error;
+        }
+    }
+    const assignments = entries.map(([key]) => `\`${sanitizeColumnName(key)}\` = ?`).join(', ');
+
+    // Safely set the columns with placeholders ?, and match the full key in the WHERE clause
+    const sql = `UPDATE \`${tableName}\` SET ${assignments} WHERE ${keyCondition(primaryKey)} RETURNING ${rowSelectList(primaryKey)};`;
+
+    // Execute the raw query with the new values followed by the key values
+    const updatedRow = await client.$queryRawUnsafe(sql, ...entries.map(([, value]) => toSqlValue(value)), ...keyValues);
+    if (updatedRow.length === 0) {
+        throw auditError(404, `No row in ${tableName} matches key ${JSON.stringify(keyValues)}.`);
+    }
+    const row = serializeRow(updatedRow[0]);
+    if (audit) {
+        await recordAudit(client, audit, { table: tableName, action: 'update', key: keyValues, before: current, after: row });
+    }
+    return row;
+}
+
+/**
+ * Deletes the row matching `keyValues`. Throws a 404 error when no row has that key.
+ */
+async function deleteRow(client, tableName, primaryKey, keyValues, audit = null) {
+    const sql = `DELETE FROM \`${tableName}\` WHERE ${keyCondition(primaryKey)} RETURNING ${rowSelectList(primaryKey)};`;
+
+    // RETURNING hands back the deleted row for the audit log
+    const deletedRows = await client.$queryRawUnsafe(sql, ...keyValues);
+    if (deletedRows.length === 0) {
+        throw auditError(404, `No row in ${tableName} matches key ${JSON.stringify(keyValues)}.`);
+    }
+    if (audit) {
+        await recordAudit(client, audit, { table: tableName, action: 'delete', key: keyValues, before: serializeRow(deletedRows[0]) });
+    }
+}
+
+// --- Undo ---
+
+/**
+ * Reverts audit entries: the inverse operations run newest first and are audited
+ * themselves, so reverting the entries they create again is a redo. `user` needs write
+ * permission on every table involved (see lib/auth.js). Rows changed since an entry was
+ * written are refused with 409. Call it with a transaction client, so the entries are
+ * reverted all or none. Returns the names of the tables changed.
+ */
+async function revertEntries(client, ids, audit, { user, readOnly }) {
+    const rows = await client.$queryRawUnsafe(
+        `SELECT * FROM \`${AUDIT_TABLE}\` WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY id DESC;`, ...ids
+    );
+    if (rows.length !== new Set(ids).size) throw auditError(404, 'Some audit entries do not exist.');
+
+    const tables = new Set();
+    for (const entry of rows.map(auditEntryFromRow)) {
+        if (!['insert', 'update', 'delete'].includes(entry.action)) {
+            throw auditError(400, `Audit entry ${entry.id} (${entry.source}) has no row values and cannot be reverted.`);
+        }
+        const tableName = sanitizeTableName(entry.table);
+        authorizeTable(user, tableName, 'write', readOnly);
+        const primaryKey = await getPrimaryKey(tableName, client);
+        tables.add(tableName);
+
+        const [stored] = await client.$queryRawUnsafe(
+            `SELECT ${rowSelectList(primaryKey)} FROM \`${tableName}\` WHERE ${keyCondition(primaryKey)};`, ...entry.key
+        );
+        const label = `Row ${JSON.stringify(entry.key)} of ${tableName}`;
+
+        if (entry.action === 'insert') {
+            // Undo an insert: delete the row, unless it was changed after the insert
+            if (!stored) throw auditError(409, `${label} no longer exists.`);
+            const current = serializeRow(stored);
+            if (Object.entries(entry.after).some(([field, value]) => !sameStoredValue(current[field], value))) {
+                throw auditError(409, `${label} was changed after it was inserted.`);
+            }
+            await deleteRow(client, tableName, primaryKey, entry.key, audit);
+        } else if (entry.action === 'delete') {
+            // Undo a delete: insert the row again with its old key
+            if (stored) throw auditError(409, `${label} exists again.`);
+            await insertRow(client, tableName, primaryKey, entry.before, audit);
+        } else {
+            // Undo an update: write the old values back, checked against the new ones
+            const fields = Object.keys(entry.before).filter(field => !sameStoredValue(entry.before[field], entry.after[field]));
+            if (fields.length === 0) continue;
+            const changes = Object.fromEntries(fields.map(field => [field, entry.before[field]]));
+            const expected = Object.fromEntries(fields.map(field => [field, entry.after[field]]));
+            await updateRow(client, tableName, primaryKey, entry.key, changes, expected, audit);
+        }
+    }
+    return [...tables];
+}
+
+module.exports = {
+    AUDIT_TABLE,
+    ensureAuditLog,
+    recordAudit,
+    auditEntryFromRow,
+    executeAudited,
+    insertRow,
+    updateRow,
+    deleteRow,
+    revertEntries,
+};
@@ -0,0 +1,231 @@
+// Password hashing, sessions and permission checks for server.js. Users, sessions and
+// per-table grants are stored in the database (see createAuthTables); functions that
+// read them take a PrismaClient (or its transaction client) as `client`.
+
+const crypto = require('crypto');
+
+// Permission levels, each including the ones before it
+const LEVELS = ['none', 'read', 'write', 'ddl'];
+
+// What a role may do on tables without a grant of their own. Only admins manage
+// users and run DDL or other non-data statements through the query endpoint.
+const ROLE_DEFAULTS = { viewer: 'read', editor: 'write', admin: 'ddl' };
+
+// How long a session token stays valid
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+const SCRYPT_KEY_LENGTH = 64;
+
+// The server's own tables (users, sessions, audit log): only admins may touch them
+const INTERNAL_TABLE = /^_ldb_/i;
+
+const USERS_TABLE = '_ldb_users';
+const SESSIONS_TABLE = '_ldb_sessions';
+const GRANTS_TABLE = '_ldb_grants';
+
+/**
+ * Creates an Error that server.js reports with `status` (401 or 403).
+ */
+function authError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Creates the user, session and grant tables if they do not exist yet.
+ */
+async function createAuthTables(client) {
+    await client.$executeRawUnsafe(`
+        CREATE TABLE IF NOT EXISTS \`${USERS_TABLE}\` (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            password_hash TEXT NOT NULL,
+            role TEXT NOT NULL,
+            created_at TEXT NOT NULL
+        );
+    `);
+    await client.$executeRawUnsafe(`
+        CREATE TABLE IF NOT EXISTS \`${SESSIONS_TABLE}\` (
+            token_hash TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            created_at TEXT NOT NULL,
+            expires_at INTEGER NOT NULL
+        );
+    `);
+    await client.$executeRawUnsafe(`
+        CREATE TABLE IF NOT EXISTS \`${GRANTS_TABLE}\` (
+            user_id INTEGER NOT NULL,
+            table_name TEXT NOT NULL,
+            level TEXT NOT NULL,
+            PRIMARY KEY (user_id, table_name)
+        );
+    `);
+}
+
+/**
+ * Hashes a password with a random salt. Returns "scrypt$<salt>$<hash>" (hex).
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a hash made by hashPassword, in constant time.
+ */
+function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Creates a new random session token. Only its hash (see hashToken) is stored.
+ */
+function generateToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * True when `granted` includes `required`, e.g. hasLevel('write', 'read').
+ */
+function hasLevel(granted, required) {
+    return LEVELS.indexOf(granted) >= LEVELS.indexOf(required);
+}
+
+/**
+ * The level a user has on a table: their grant for it, else their role's default.
+ * Admins always have every level.
+ */
+function tableLevel(user, tableName) {
+    if (user.role === 'admin') return 'ddl';
+    if (INTERNAL_TABLE.test(tableName)) return 'none';
+    const grant = user.grants[String(tableName).toLowerCase()];
+    return grant || ROLE_DEFAULTS[user.role] || 'none';
+}
+
+/**
+ * Loads a user with their grants as { id, username, role, grants: { table: level } },
+ * or null if the user does not exist. Table names in `grants` are lower case.
+ */
+async function loadUser(client, userId) {
+    const [row] = await client.$queryRawUnsafe(
+        `SELECT id, username, role, created_at FROM \`${USERS_TABLE}\` WHERE id = ?;`, userId
+    );
+    if (!row) return null;
+    const grants = await client.$queryRawUnsafe(
+        `SELECT table_name, level FROM \`${GRANTS_TABLE}\` WHERE user_id = ? ORDER BY table_name;`, userId
+    );
+    return {
+        id: Number(row.id),
+        username: row.username,
+        role: row.role,
+        createdAt: row.created_at,
+        grants: Object.fromEntries(grants.map(grant => [grant.table_name.toLowerCase(), grant.level])),
+    };
+}
+
+/**
+ * Checks a username and password and starts a session for them. Returns
+ * { token, user } (see loadUser), or throws 401.
+ */
+async function logIn(client, username, password) {
+    const [row] = await client.$queryRawUnsafe(
+        `SELECT id, password_hash FROM \`${USERS_TABLE}\` WHERE username = ?;`, String(username)
+    );
+    if (!row || !verifyPassword(password, row.password_hash)) throw authError(401, 'Wrong username or password.');
+
+    const token = generateToken();
+    await client.$executeRawUnsafe(
+        `INSERT INTO \`${SESSIONS_TABLE}\` (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?);`,
+        hashToken(token), row.id, new Date().toISOString(), Date.now() + SESSION_TTL_MS
+    );
+    return { token, user: await loadUser(client, row.id) };
+}
+
+/**
+ * The session a token belongs to: { sessionId, user }, or null when the token is
+ * unknown or its session has expired.
+ */
+async function findSession(client, token) {
+    const sessionId = hashToken(token);
+    const [session] = await client.$queryRawUnsafe(
+        `SELECT user_id FROM \`${SESSIONS_TABLE}\` WHERE token_hash = ? AND expires_at > ?;`, sessionId, Date.now()
+    );
+    const user = session ? await loadUser(client, session.user_id) : null;
+    return user ? { sessionId, user } : null;
+}
+
+/**
+ * Throws 403 unless `user` has `level` ('read', 'write' or 'ddl') on the table, and for
+ * changes unless the server runs read-only.
+ */
+function authorizeTable(user, tableName, level, readOnly) {
+    if (readOnly && level !== 'read') throw authError(403, 'The server is in read-only mode.');
+    if (!hasLevel(tableLevel(user, tableName), level)) {
+        throw authError(403, `You don't have ${level} permission on ${tableName}.`);
+    }
+}
+
+/**
+ * Throws 403 unless `user` is an admin.
+ */
+function requireAdmin(user) {
+    if (user.role !== 'admin') throw authError(403, 'Only admins can do this.');
+}
+
+/**
+ * Checks that `user` may run a statement described by classifyStatement (see
+ * lib/statements.js). Admins run anything; other users only queries and INSERT, UPDATE
+ * and DELETE statements, on tables they may read or write, and no writes to virtual
+ * tables. Read-only mode only lets queries through.
+ */
+function authorizeStatement(user, inspection, readOnly) {
+    if (readOnly && inspection.kind !== 'query') {
+        throw authError(403, 'The server is in read-only mode; only queries can run.');
+    }
+    if (user.role === 'admin') return;
+    if (inspection.kind !== 'query' && inspection.kind !== 'dml') {
+        throw authError(403, 'Only admins can run statements other than SELECT, INSERT, UPDATE and DELETE.');
+    }
+    if (inspection.attached) throw authError(403, 'Only admins can query attached databases.');
+    if (inspection.hiddenVirtualTables) {
+        throw authError(403, 'Only admins can use virtual tables through views or triggers.');
+    }
+    if (inspection.writes.some(table => inspection.virtualTables.includes(table))) {
+        throw authError(403, 'Only admins can write to virtual tables.');
+    }
+    inspection.reads.forEach(table => authorizeTable(user, table, 'read', readOnly));
+    inspection.writes.forEach(table => authorizeTable(user, table, 'write', readOnly));
+}
+
+module.exports = {
+    LEVELS,
+    ROLES: Object.keys(ROLE_DEFAULTS),
+    ROLE_DEFAULTS,
+    SESSION_TTL_MS,
+    USERS_TABLE,
+    SESSIONS_TABLE,
+    GRANTS_TABLE,
+    hashPassword,
+    verifyPassword,
+    generateToken,
+    hashToken,
+    hasLevel,
+    tableLevel,
+    createAuthTables,
+    loadUser,
+    logIn,
+    findSession,
+    authorizeTable,
+    requireAdmin,
+    authorizeStatement,
+};
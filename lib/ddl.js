@@ -0,0 +1,379 @@
+// DDL generation for the schema designer routes in server.js.
+// Everything here is pure: callers read the current table description from SQLite,
+// pass it in together with the desired definition, and get SQL statements back.
+
+const IDENTIFIER = /^[a-zA-Z0-9_]+$/;
+// e.g. INTEGER, TEXT, VARCHAR(255), DECIMAL(10, 2), or '' for a typeless column
+const COLUMN_TYPE = /^([A-Za-z][A-Za-z0-9_ ]*(\(\s*\d+\s*(,\s*\d+\s*)?\))?)?$/;
+// Literals and the CURRENT_* keywords; parenthesized expressions are checked by isDefaultExpression
+const DEFAULT_LITERAL = /^(?:[-+]?\d+(?:\.\d+)?|'(?:[^']|'')*'|NULL|TRUE|FALSE|CURRENT_TIME|CURRENT_DATE|CURRENT_TIMESTAMP)$/i;
+// ALTER TABLE ADD COLUMN only accepts constant defaults
+const NON_CONSTANT_DEFAULT = /^(CURRENT_TIME|CURRENT_DATE|CURRENT_TIMESTAMP|\(.*\))$/i;
+const FK_ACTIONS = ['NO ACTION', 'RESTRICT', 'SET NULL', 'SET DEFAULT', 'CASCADE'];
+
+/**
+ * Creates an Error that server.js reports as a 400.
+ */
+function schemaError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Validates and quotes a table, column or index name.
+ */
+function identifier(name, kind = 'column') {
+    if (typeof name !== 'string' || !IDENTIFIER.test(name)) {
+        throw schemaError(`Invalid ${kind} name: ${name}`);
+    }
+    return `\`${name}\``;
+}
+
+/**
+ * Name of the unique index that backs a column's UNIQUE flag (Prisma's convention).
+ */
+function uniqueIndexName(tableName, columnName) {
+    return `${tableName}_${columnName}_key`;
+}
+
+/**
+ * True for a valid column default: a literal, a CURRENT_* keyword or one expression in
+ * parentheses. The parentheses must be balanced and enclose the whole value, without
+ * a top-level comma, ';' or comment, so the value can't close the column definition.
+ */
+function isDefaultExpression(value) {
+    if (DEFAULT_LITERAL.test(value)) return true;
+    if (!value.startsWith('(')) return false;
+
+    let depth = 0;
+    for (let i = 0; i < value.length; i += 1) {
+        const char = value[i];
+        if (char === "'" || char === '"' || char === '`') {
+            // Skip the quoted text, doubled quotes included
+            let end = i + 1;
+            while (end < value.length && !(value[end] === char && value[end + 1] !== char)) end += value[end] === char ? 2 : 1;
+            if (end >= value.length) return false;
+            i = end;
+        } else if (char === '(') {
+            depth += 1;
+        } else if (char === ')') {
+            depth -= 1;
+            // The opening parenthesis must be closed by the last character
+            if (depth === 0 && i !== value.length - 1) return false;
+        } else if (char === ';' || (char === ',' && depth === 1) || value.startsWith('--', i) || value.startsWith('/*', i)) {
+            return false;
+        }
+    }
+    return depth === 0;
+}
+
+/**
+ * Validates one column of a desired table definition and fills in defaults.
+ */
+function normalizeColumn(column) {
+    const name = column && column.name;
+    identifier(name);
+    const type = String(column.type || '').trim();
+    if (!COLUMN_TYPE.test(type)) throw schemaError(`Invalid type for column ${name}: ${type}`);
+
+    let defaultValue = column.defaultValue;
+    if (defaultValue === undefined || defaultValue === null || String(defaultValue).trim() === '') {
+        defaultValue = null;
+    } else {
+        defaultValue = String(defaultValue).trim();
+        if (!isDefaultExpression(defaultValue)) {
+            throw schemaError(`Invalid default for column ${name}: ${defaultValue}. Quote text values and wrap expressions in parentheses.`);
+        }
+    }
+
+    return {
+        name,
+        previousName: column.previousName || null,
+        type,
+        notNull: Boolean(column.notNull),
+        defaultValue,
+        primaryKey: Boolean(column.primaryKey),
+        autoIncrement: Boolean(column.autoIncrement),
+        unique: Boolean(column.unique),
+    };
+}
+
+/**
+ * Validates a foreign key of a desired table definition.
+ * Shape: { from: [columns], table, to: [columns] (empty = referenced primary key), onDelete, onUpdate }
+ */
+function normalizeForeignKey(foreignKey, columnNames) {
+    const from = [].concat(foreignKey.from || []);
+    const to = [].concat(foreignKey.to || []).filter(Boolean);
+    if (from.length === 0) throw schemaError('A foreign key needs at least one column.');
+    from.forEach(col => {
+        if (!columnNames.includes(col)) throw schemaError(`Foreign key column ${col} is not part of the table.`);
+    });
+    identifier(foreignKey.table, 'table');
+    to.forEach(col => identifier(col));
+    if (to.length > 0 && to.length !== from.length) {
+        throw schemaError(`Foreign key (${from.join(', ')}) references ${to.length} column(s) but has ${from.length}.`);
+    }
+
+    const action = (value) => {
+        const upper = String(value || 'NO ACTION').toUpperCase();
+        if (!FK_ACTIONS.includes(upper)) throw schemaError(`Invalid foreign key action: ${value}`);
+        return upper;
+    };
+    return { from, table: foreignKey.table, to, onDelete: action(foreignKey.onDelete), onUpdate: action(foreignKey.onUpdate) };
+}
+
+/**
+ * Validates a whole desired definition: { columns, foreignKeys }.
+ */
+function normalizeDefinition(definition) {
+    const columns = (definition.columns || []).map(normalizeColumn);
+    if (columns.length === 0) throw schemaError('A table needs at least one column.');
+
+    const names = columns.map(col => col.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) throw schemaError(`Duplicate column name: ${duplicate}`);
+
+    const foreignKeys = (definition.foreignKeys || []).map(fk => normalizeForeignKey(fk, names));
+    return { columns, foreignKeys };
+}
+
+function columnDefinition(column, inlinePrimaryKey) {
+    let sql = `${identifier(column.name)}${column.type ? ` ${column.type}` : ''}`;
+    if (column.notNull) sql += ' NOT NULL';
+    if (inlinePrimaryKey) sql += ` PRIMARY KEY${column.autoIncrement ? ' AUTOINCREMENT' : ''}`;
+    if (column.defaultValue !== null) sql += ` DEFAULT ${column.defaultValue}`;
+    return sql;
+}
+
+function foreignKeyClause({ from, table, to, onDelete, onUpdate }) {
+    let sql = `FOREIGN KEY (${from.map(col => identifier(col)).join(', ')}) REFERENCES ${identifier(table, 'table')}`;
+    if (to.length > 0) sql += ` (${to.map(col => identifier(col)).join(', ')})`;
+    if (onDelete !== 'NO ACTION') sql += ` ON DELETE ${onDelete}`;
+    if (onUpdate !== 'NO ACTION') sql += ` ON UPDATE ${onUpdate}`;
+    return sql;
+}
+
+/**
+ * Builds a CREATE TABLE statement. A single INTEGER key is declared inline so it
+ * stays an alias of the rowid (and may use AUTOINCREMENT); other keys become a
+ * table-level PRIMARY KEY. UNIQUE flags are handled by indexes, see uniqueIndexStatements.
+ */
+function buildCreateTable(tableName, { columns, foreignKeys }) {
+    const keyColumns = columns.filter(col => col.primaryKey);
+    const inlineKey = keyColumns.length === 1 && /^INTEGER$/i.test(keyColumns[0].type);
+    const invalidAutoIncrement = columns.find(col => col.autoIncrement && !(inlineKey && col.primaryKey));
+    if (invalidAutoIncrement) {
+        throw schemaError(`AUTOINCREMENT is only allowed on a single INTEGER primary key (${invalidAutoIncrement.name}).`);
+    }
+
+    const parts = columns.map(col => `    ${columnDefinition(col, inlineKey && col.primaryKey)}`);
+    if (keyColumns.length > 0 && !inlineKey) {
+        parts.push(`    PRIMARY KEY (${keyColumns.map(col => identifier(col.name)).join(', ')})`);
+    }
+    foreignKeys.forEach(fk => parts.push(`    ${foreignKeyClause(fk)}`));
+
+    return `CREATE TABLE ${identifier(tableName, 'table')} (\n${parts.join(',\n')}\n);`;
+}
+
+/**
+ * Builds a CREATE [UNIQUE] INDEX statement.
+ */
+function buildCreateIndex(tableName, { name, columns, unique }) {
+    if (!Array.isArray(columns) || columns.length === 0) throw schemaError('An index needs at least one column.');
+    const indexName = name || `${tableName}_${columns.join('_')}_idx`;
+    return `CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${identifier(indexName, 'index')} ON ${identifier(tableName, 'table')} (${columns.map(col => identifier(col)).join(', ')});`;
+}
+
+/**
+ * CREATE UNIQUE INDEX statements for UNIQUE columns that are not unique yet. The
+ * indexes are named after `tableName` and created on `onTable` (the same table unless
+ * it is renamed later).
+ */
+function uniqueIndexStatements(tableName, columns, alreadyUnique = () => false, onTable = tableName) {
+    return columns
+        .filter(col => col.unique && !col.primaryKey && !alreadyUnique(col))
+        .map(col => buildCreateIndex(onTable, { name: uniqueIndexName(tableName, col.name), columns: [col.name], unique: true }));
+}
+
+/**
+ * Plans the statements that create a new table from a desired definition.
+ */
+function planCreateTable(tableName, definition) {
+    identifier(tableName, 'table');
+    const normalized = normalizeDefinition(definition);
+    return {
+        mode: 'create',
+        tableName,
+        statements: [buildCreateTable(tableName, normalized), ...uniqueIndexStatements(tableName, normalized.columns)],
+        warnings: [],
+    };
+}
+
+const sameDefault = (a, b) => String(a ?? '').trim().toUpperCase() === String(b ?? '').trim().toUpperCase();
+const fkSignature = (fk) => JSON.stringify([fk.from, fk.table, fk.to, fk.onDelete, fk.onUpdate]);
+
+/**
+ * Plans the statements that turn an existing table into the desired definition.
+ *
+ * `current` is the description server.js reads from SQLite:
+ *   { name, columns: [{ name, type, notNull, defaultValue, primaryKey, autoIncrement, unique, uniqueOrigin }],
+ *     foreignKeys, indexes: [{ name, unique, origin, partial, columns, sql }], triggers: [sql] }
+ * `desired` is { name?, columns: [{ ..., previousName }], foreignKeys }; columns without a
+ * previousName are new, current columns no desired column points at are dropped.
+ *
+ * Renames, added columns, simple drops and UNIQUE changes are done with ALTER TABLE and
+ * indexes. Anything else (types, NOT NULL, defaults, keys, foreign keys, ...) needs
+ * SQLite's table rebuild: create the new table, copy the rows, drop the old table,
+ * rename the new one and recreate its indexes and triggers. A new table name is
+ * applied last. The caller runs the statements in one transaction with foreign key
+ * enforcement switched off, and the first `rebuildStatements` of a rebuild with
+ * PRAGMA legacy_alter_table on, so renaming the new table into place leaves the views
+ * and triggers of other tables alone.
+ */
+function planAlterTable(current, desired) {
+    const { columns, foreignKeys } = normalizeDefinition(desired);
+    const tableName = desired.name || current.name;
+    identifier(tableName, 'table');
+
+    const currentByName = new Map(current.columns.map(col => [col.name, col]));
+    columns.forEach(col => {
+        if (col.previousName && !currentByName.has(col.previousName)) {
+            throw schemaError(`Column ${col.previousName} does not exist in ${current.name}.`);
+        }
+    });
+
+    const kept = columns.filter(col => col.previousName);
+    const added = columns.filter(col => !col.previousName);
+    const keptNames = new Set(kept.map(col => col.previousName));
+    const dropped = current.columns.filter(col => !keptNames.has(col.name));
+    const renames = new Map(kept.filter(col => col.name !== col.previousName).map(col => [col.previousName, col.name]));
+    const renamed = (name) => renames.get(name) || name;
+
+    const indexedColumns = new Set(current.indexes.flatMap(index => index.columns));
+    const fkColumns = new Set(current.foreignKeys.flatMap(fk => fk.from));
+    const currentForeignKeys = current.foreignKeys
+        .map(fk => ({ ...fk, from: fk.from.map(renamed) }))
+        .map(fkSignature).sort();
+    const desiredForeignKeys = foreignKeys.map(fkSignature).sort();
+
+    // Anything ALTER TABLE can't express forces a rebuild
+    const rebuildReasons = [];
+    kept.forEach(col => {
+        const before = currentByName.get(col.previousName);
+        if (before.type.toUpperCase() !== col.type.toUpperCase()) rebuildReasons.push(`type of ${col.name}`);
+        if (before.notNull !== col.notNull) rebuildReasons.push(`NOT NULL on ${col.name}`);
+        if (!sameDefault(before.defaultValue, col.defaultValue)) rebuildReasons.push(`default of ${col.name}`);
+        if (before.primaryKey !== col.primaryKey) rebuildReasons.push(`primary key on ${col.name}`);
+        if (before.autoIncrement !== col.autoIncrement) rebuildReasons.push(`AUTOINCREMENT on ${col.name}`);
+        if (before.unique && !col.unique && before.uniqueOrigin !== 'c') rebuildReasons.push(`UNIQUE constraint on ${col.name}`);
+    });
+    added.forEach(col => {
+        if (col.primaryKey) rebuildReasons.push(`new key column ${col.name}`);
+        if (col.notNull && col.defaultValue === null) rebuildReasons.push(`new NOT NULL column ${col.name} without a default`);
+        if (col.defaultValue !== null && NON_CONSTANT_DEFAULT.test(col.defaultValue)) rebuildReasons.push(`non-constant default on new column ${col.name}`);
+    });
+    dropped.forEach(col => {
+        if (col.primaryKey || col.unique || indexedColumns.has(col.name) || fkColumns.has(col.name)) {
+            rebuildReasons.push(`dropping constrained column ${col.name}`);
+        }
+    });
+    if (JSON.stringify(currentForeignKeys) !== JSON.stringify(desiredForeignKeys)) rebuildReasons.push('foreign keys');
+
+    const statements = [];
+    const warnings = [];
+    const table = identifier(tableName, 'table');
+    // Renaming the table lets SQLite rewrite references to it in other tables, indexes and triggers
+    const renameTable = `ALTER TABLE ${identifier(current.name, 'table')} RENAME TO ${table};`;
+
+    if (rebuildReasons.length === 0) {
+        if (tableName !== current.name) statements.push(renameTable);
+        renames.forEach((to, from) => statements.push(`ALTER TABLE ${table} RENAME COLUMN ${identifier(from)} TO ${identifier(to)};`));
+        dropped.forEach(col => statements.push(`ALTER TABLE ${table} DROP COLUMN ${identifier(col.name)};`));
+        added.forEach(col => statements.push(`ALTER TABLE ${table} ADD COLUMN ${columnDefinition(col, false)};`));
+
+        // UNIQUE flags map onto single-column unique indexes
+        kept.forEach(col => {
+            const before = currentByName.get(col.previousName);
+            if (before.unique && !col.unique && before.uniqueIndex) {
+                statements.push(`DROP INDEX ${identifier(before.uniqueIndex, 'index')};`);
+            }
+        });
+        statements.push(...uniqueIndexStatements(tableName, columns, col => col.previousName && currentByName.get(col.previousName).unique));
+
+        return { mode: 'alter', tableName, statements, warnings };
+    }
+
+    // --- Table rebuild ---
+    // The table is rebuilt under its current name, which the stored SQL of its indexes
+    // and triggers uses, and renamed afterwards.
+    const rebuilt = identifier(current.name, 'table');
+    const temporary = identifier(`_ldb_new_${current.name}`, 'table');
+    statements.push(buildCreateTable(`_ldb_new_${current.name}`, { columns, foreignKeys }));
+    if (kept.length > 0) {
+        statements.push(
+            `INSERT INTO ${temporary} (${kept.map(col => identifier(col.name)).join(', ')}) ` +
+            `SELECT ${kept.map(col => identifier(col.previousName)).join(', ')} FROM ${rebuilt};`
+        );
+    }
+    statements.push(`DROP TABLE ${rebuilt};`);
+    statements.push(`ALTER TABLE ${temporary} RENAME TO ${rebuilt};`);
+
+    // Recreate the explicitly created indexes. Single-column UNIQUE constraints come back
+    // through the UNIQUE flags below; multi-column ones become named unique indexes.
+    const droppedNames = new Set(dropped.map(col => col.name));
+    const recreatedUnique = new Set();
+    current.indexes.filter(index => index.origin === 'c' || (index.origin === 'u' && index.columns.length > 1)).forEach(index => {
+        if (index.origin === 'u') {
+            const targetColumns = index.columns.map(renamed);
+            if (index.columns.some(col => droppedNames.has(col))) {
+                warnings.push(`The UNIQUE (${index.columns.join(', ')}) constraint was removed because one of its columns was dropped.`);
+            } else {
+                const name = uniqueIndexName(tableName, targetColumns.join('_'));
+                statements.push(buildCreateIndex(current.name, { name, columns: targetColumns, unique: true }));
+            }
+            return;
+        }
+
+        const lostColumn = index.columns.find(col => droppedNames.has(col));
+        if (lostColumn) {
+            warnings.push(`Index ${index.name} was removed because column ${lostColumn} was dropped.`);
+            return;
+        }
+        const targetColumns = index.columns.map(col => (col === null ? null : renamed(col)));
+        const single = index.unique && targetColumns.length === 1 ? columns.find(col => col.name === targetColumns[0]) : null;
+        if (single && !single.unique) return; // UNIQUE was switched off for this column
+        if (single) recreatedUnique.add(single.name);
+
+        const untouched = index.columns.every(col => col !== null && !renames.has(col));
+        if (untouched && index.sql) {
+            statements.push(`${index.sql};`);
+        } else if (targetColumns.includes(null) || index.partial) {
+            warnings.push(`Index ${index.name} uses expressions or a WHERE clause on renamed columns and was removed.`);
+        } else {
+            statements.push(buildCreateIndex(current.name, { name: index.name, columns: targetColumns, unique: index.unique }));
+        }
+    });
+    statements.push(...uniqueIndexStatements(tableName, columns, col => recreatedUnique.has(col.name), current.name));
+
+    // Triggers are dropped with the old table; put them back unchanged
+    current.triggers.forEach(sql => statements.push(`${sql};`));
+    if (current.triggers.length > 0 && (renames.size > 0 || dropped.length > 0)) {
+        warnings.push('Triggers are recreated as they were; the change fails if they use renamed or dropped columns.');
+    }
+    const rebuildStatements = statements.length;
+    if (tableName !== current.name) statements.push(renameTable);
+
+    warnings.unshift(`Rebuilding the table because of: ${rebuildReasons.join(', ')}.`);
+    return { mode: 'rebuild', tableName, statements, rebuildStatements, warnings };
+}
+
+module.exports = {
+    identifier,
+    uniqueIndexName,
+    buildCreateTable,
+    buildCreateIndex,
+    planCreateTable,
+    planAlterTable,
+};
@@ -0,0 +1,89 @@
+// Serializers for the export routes in server.js. Each format is written in three
+// parts (start, one chunk per batch of rows, end) so large tables can be streamed
+// to the response without holding every row in memory.
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    sql: { contentType: 'application/sql; charset=utf-8', extension: 'sql' },
+};
+
+/**
+ * Converts a value into something JSON.stringify can handle (BigInt, Buffer).
+ */
+function jsonValue(value) {
+    if (typeof value === 'bigint') return Number(value);
+    if (value instanceof Uint8Array) return Buffer.from(value).toString('base64');
+    return value;
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text;
+    if (value instanceof Date) text = value.toISOString();
+    else if (value instanceof Uint8Array) text = Buffer.from(value).toString('base64');
+    else text = String(value);
+    // Quote fields that contain separators, quotes or line breaks (RFC 4180)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats a value as an SQLite literal for INSERT statements.
+ */
+function sqlLiteral(value) {
+    if (value === null || value === undefined) return 'NULL';
+    if (typeof value === 'number' || typeof value === 'bigint') return String(value);
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    if (value instanceof Uint8Array) return `X'${Buffer.from(value).toString('hex')}'`;
+    if (value instanceof Date) return `'${value.toISOString()}'`;
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+const quoteIdentifier = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+/**
+ * Creates a writer for one export. `columns` are the column names in output order,
+ * `tableName` names the target table of SQL dumps.
+ * Returns { contentType, extension, start(), rows(batch, isFirstBatch), end() }.
+ */
+function createExportWriter(format, columns, tableName) {
+    const info = FORMATS[format];
+    if (!info) {
+        const error = new Error(`Unknown export format: ${format}. Use one of ${Object.keys(FORMATS).join(', ')}.`);
+        error.status = 400;
+        throw error;
+    }
+
+    const toObject = (row) => Object.fromEntries(columns.map(col => [col, jsonValue(row[col])]));
+
+    const writers = {
+        csv: {
+            start: () => `${columns.map(csvField).join(',')}\r\n`,
+            rows: (rows) => rows.map(row => `${columns.map(col => csvField(row[col])).join(',')}\r\n`).join(''),
+            end: () => '',
+        },
+        json: {
+            start: () => '[\n',
+            rows: (rows, isFirstBatch) => (isFirstBatch ? '' : ',\n') + rows.map(row => JSON.stringify(toObject(row))).join(',\n'),
+            end: () => '\n]\n',
+        },
+        ndjson: {
+            start: () => '',
+            rows: (rows) => rows.map(row => `${JSON.stringify(toObject(row))}\n`).join(''),
+            end: () => '',
+        },
+        sql: {
+            start: () => `-- Export of ${tableName} (${new Date().toISOString()})\n`,
+            rows: (rows) => rows.map(row => (
+                `INSERT INTO ${quoteIdentifier(tableName)} (${columns.map(quoteIdentifier).join(', ')}) ` +
+                `VALUES (${columns.map(col => sqlLiteral(row[col])).join(', ')});\n`
+            )).join(''),
+            end: () => '',
+        },
+    };
+
+    return { ...info, ...writers[format] };
+}
+
+module.exports = { createExportWriter, sqlLiteral, EXPORT_FORMATS: Object.keys(FORMATS) };
@@ -0,0 +1,100 @@
+// Helpers for the import route in server.js: coercing incoming values to a column's
+// declared type and building the multi-row INSERT (or upsert) statements.
+
+const { identifier } = require('./ddl');
+
+// SQLite limits the number of bound parameters per statement (999 in older builds)
+const MAX_PARAMETERS = 999;
+
+const TRUE_VALUES = ['true', 't', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'f', 'no', 'n', '0'];
+
+// INT, INTEGER, INT8, BIGINT, UNSIGNED BIG INT, ... but not POINT
+const INTEGER_TYPE = /\b(?:TINY|SMALL|MEDIUM|BIG)?INT(?:EGER|\d+)?\b/;
+
+/**
+ * Maps a declared column type to the kind of value the import should produce,
+ * following SQLite's affinity rules with BOOLEAN and DATE/TIME singled out. Integer
+ * types are told by a word starting with INT (or BIG/SMALL/... INT), not by INT anywhere.
+ */
+function valueKind(type) {
+    const upper = String(type || '').toUpperCase();
+    if (upper.includes('BOOL')) return 'boolean';
+    if (INTEGER_TYPE.test(upper)) return 'integer';
+    if (upper.includes('DATE') || upper.includes('TIME')) return 'datetime';
+    if (/REAL|FLOA|DOUB|NUMERIC|DECIMAL/.test(upper)) return 'number';
+    if (upper.includes('BLOB')) return 'blob';
+    return 'text';
+}
+
+/**
+ * Converts one imported value for a column of the given type. Empty strings become
+ * NULL when `emptyAsNull` is set. Throws an Error describing values that don't fit.
+ */
+function coerceValue(value, type, { emptyAsNull = true } = {}) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'string' && value.trim() === '' && emptyAsNull) return null;
+
+    const text = typeof value === 'string' ? value.trim() : value;
+    switch (valueKind(type)) {
+        case 'boolean': {
+            if (typeof value === 'boolean') return value ? 1 : 0;
+            const lower = String(text).toLowerCase();
+            if (TRUE_VALUES.includes(lower)) return 1;
+            if (FALSE_VALUES.includes(lower)) return 0;
+            throw new Error(`expected a boolean, got ${JSON.stringify(value)}`);
+        }
+        case 'integer': {
+            if (typeof value === 'boolean') return value ? 1 : 0;
+            if (typeof value === 'number' && Number.isInteger(value)) return value;
+            if (!/^[+-]?\d+$/.test(String(text))) throw new Error(`expected an integer, got ${JSON.stringify(value)}`);
+            const number = Number(text);
+            // Keep integers beyond 2^53 as text; SQLite's INTEGER affinity converts them exactly
+            return Number.isSafeInteger(number) ? number : String(text);
+        }
+        case 'number': {
+            const number = typeof value === 'number' ? value : Number(text);
+            if (text === '' || !Number.isFinite(number)) throw new Error(`expected a number, got ${JSON.stringify(value)}`);
+            return number;
+        }
+        case 'datetime': {
+            if (typeof value === 'number') return value;
+            if (Number.isNaN(Date.parse(text))) throw new Error(`expected a date, got ${JSON.stringify(value)}`);
+            return text;
+        }
+        case 'blob':
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        default:
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+/**
+ * Number of rows that fit into one INSERT without exceeding the parameter limit.
+ */
+function rowsPerStatement(columnCount) {
+    return Math.max(1, Math.floor(MAX_PARAMETERS / Math.max(1, columnCount)));
+}
+
+/**
+ * Builds an INSERT for `rowCount` rows of the given columns. With `conflictKey` the
+ * statement becomes an upsert that overwrites the other imported columns of rows
+ * whose key already exists.
+ */
+function buildImportStatement(tableName, columns, rowCount, conflictKey = null) {
+    const quoted = columns.map(col => identifier(col));
+    const rowPlaceholders = `(${columns.map(() => '?').join(', ')})`;
+    let sql = `INSERT INTO ${identifier(tableName, 'table')} (${quoted.join(', ')}) VALUES `
+        + Array(rowCount).fill(rowPlaceholders).join(', ');
+
+    if (conflictKey) {
+        const updates = columns.filter(col => !conflictKey.includes(col));
+        sql += ` ON CONFLICT (${conflictKey.map(col => identifier(col)).join(', ')}) `;
+        sql += updates.length > 0
+            ? `DO UPDATE SET ${updates.map(col => `${identifier(col)} = excluded.${identifier(col)}`).join(', ')}`
+            : 'DO NOTHING';
+    }
+    return `${sql};`;
+}
+
+module.exports = { valueKind, coerceValue, rowsPerStatement, buildImportStatement };
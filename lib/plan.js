@@ -0,0 +1,139 @@
+// Reads SQLite's EXPLAIN QUERY PLAN output for the query routes in server.js: builds
+// the plan tree, flags full table scans, temporary indexes and sorts, and suggests an
+// index that would avoid them. Suggestions come from the columns the statement filters,
+// joins and sorts on, so they are hints, not guarantees.
+
+const { maskSql } = require('./statements');
+
+// SCAN t, SEARCH t USING INDEX i (a=?), SCAN TABLE t AS x (SQLite before 3.36)
+const SCAN_STEP = /^(SCAN|SEARCH)\s+(?:TABLE\s+)?(.+?)(?:\s+AS\s+(\S+))?(?:\s+USING\s+(.*))?$/i;
+const SORT_STEP = /^USE TEMP B-TREE FOR (?:RIGHT PART OF |LAST TERM OF )?(ORDER BY|GROUP BY|DISTINCT)/i;
+// Words that may follow a table name but aren't aliases
+const NOT_ALIASES = [
+    'WHERE', 'JOIN', 'ON', 'USING', 'LEFT', 'RIGHT', 'FULL', 'INNER', 'OUTER', 'CROSS', 'NATURAL',
+    'GROUP', 'ORDER', 'LIMIT', 'HAVING', 'WINDOW', 'UNION', 'INTERSECT', 'EXCEPT', 'INDEXED', 'NOT', 'RETURNING',
+];
+// FROM t, JOIN t AS x, FROM "t" x
+const TABLE_REFERENCE = new RegExp(
+    `\\b(?:FROM|JOIN)\\s+("[^"]+"|\`[^\`]+\`|\\[[^\\]]+\\]|[\\w$]+)(?:\\s+(?:AS\\s+)?(?!(?:${NOT_ALIASES.join('|')})\\b)([\\w$]+))?`,
+    'gi'
+);
+// Clauses whose columns an index can serve, up to the next clause or closing parenthesis
+const FILTER_CLAUSE = /\b(?:WHERE|ON)\b([\s\S]*?)(?=\b(?:GROUP|ORDER|LIMIT|HAVING|WINDOW|UNION|INTERSECT|EXCEPT|JOIN|LEFT|RIGHT|FULL|INNER|CROSS|NATURAL|WHERE|RETURNING)\b|\)|$)/gi;
+const ORDER_CLAUSE = /\b(?:ORDER|GROUP)\s+BY\b([\s\S]*?)(?=\b(?:LIMIT|HAVING|WINDOW|UNION|INTERSECT|EXCEPT)\b|\)|$)/gi;
+
+const unquote = (name) => name.replace(/^[`"[]|[`"\]]$/g, '');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The tables a statement names in FROM and JOIN clauses, as a map of the names and
+ * aliases they are referred to by (lower case) to the table name.
+ */
+function referencedTables(sql) {
+    const masked = maskSql(sql, { keepNested: true, keepNames: true });
+    const tables = new Map();
+    for (const match of masked.matchAll(TABLE_REFERENCE)) {
+        const table = unquote(match[1].trim());
+        tables.set(table.toLowerCase(), table);
+        if (match[2]) tables.set(match[2].toLowerCase(), table);
+    }
+    return tables;
+}
+
+/**
+ * The columns of a table (`columns`, named `names`: its name and aliases) used in
+ * the statement's filter or sort clauses, in the order they appear.
+ */
+function columnsUsed(sql, clause, names, columns) {
+    const masked = maskSql(sql, { keepNested: true, keepNames: true });
+    const text = [...masked.matchAll(clause)].map(match => match[1]).join(' ');
+    const qualifiers = names.map(escapeRegExp).join('|');
+    const found = [];
+    for (const column of columns) {
+        const name = `[\`"[]?${escapeRegExp(column)}[\`"\\]]?`;
+        // Unqualified, or qualified with the table's name or alias (not another table's)
+        const pattern = new RegExp(`(?:(?:^|[^\\w$."\`\\]])|(?:\\b(?:${qualifiers})\\.))${name}(?![\\w$])`, 'i');
+        const match = text.match(pattern);
+        if (match) found.push({ column, at: match.index });
+    }
+    return found.sort((a, b) => a.at - b.at).map(entry => entry.column);
+}
+
+/**
+ * CREATE INDEX statement for `columns` of `table`.
+ */
+function indexStatement(table, columns) {
+    const name = `idx_${table}_${columns.join('_')}`.replace(/[^A-Za-z0-9_]/g, '_');
+    return `CREATE INDEX \`${name}\` ON \`${table}\` (${columns.map(column => `\`${column}\``).join(', ')});`;
+}
+
+/**
+ * Turns the rows of `EXPLAIN QUERY PLAN <sql>` ({ id, parent, detail }) into a tree
+ * and looks for steps an index would help. `tableColumns` maps the lower-case names
+ * of the statement's tables (see referencedTables) to { name, columns }.
+ *
+ * Returns { nodes, warnings }: nodes are { id, detail, table, fullScan, warning,
+ * suggestion, children } and `suggestion` is a CREATE INDEX statement (or null);
+ * `warnings` counts the nodes with a warning.
+ */
+function analyzePlan(rows, sql, tableColumns) {
+    const references = referencedTables(sql);
+    const tableOf = (name) => {
+        const table = references.get(String(name).toLowerCase()) || name;
+        return tableColumns[String(table).toLowerCase()] || null;
+    };
+    const namesOf = (table) => [...references.entries()]
+        .filter(([, referenced]) => referenced.toLowerCase() === table.name.toLowerCase())
+        .map(([alias]) => alias);
+
+    const byId = new Map();
+    const roots = [];
+    let warnings = 0;
+    for (const row of rows) {
+        const node = {
+            id: Number(row.id), detail: String(row.detail), table: null, fullScan: false, warning: null, suggestion: null, children: [],
+        };
+        const step = node.detail.match(SCAN_STEP);
+        const sort = node.detail.match(SORT_STEP);
+        if (step) {
+            const table = tableOf(step[3] || step[2]) || tableOf(step[2]);
+            const using = step[4] || '';
+            node.table = table ? table.name : null;
+            if (table && step[1].toUpperCase() === 'SCAN' && !using) {
+                node.fullScan = true;
+                const columns = columnsUsed(sql, FILTER_CLAUSE, namesOf(table), table.columns);
+                node.warning = `Full scan: every row of ${table.name} is read.`;
+                if (columns.length > 0) {
+                    node.warning += ` An index on ${table.name} (${columns.join(', ')}) would let SQLite search instead.`;
+                    node.suggestion = indexStatement(table.name, columns);
+                }
+            } else if (table && /AUTOMATIC/i.test(using)) {
+                // SQLite builds this index for every run of the statement
+                const columns = (using.match(/\(([^)]*)\)/) || ['', ''])[1]
+                    .split(/\s+AND\s+/i).map(term => term.match(/^([\w$]+)/)).filter(Boolean).map(term => term[1]);
+                node.warning = `SQLite builds a temporary index on ${table.name} every time this runs.`;
+                if (columns.length > 0) node.suggestion = indexStatement(table.name, columns);
+            }
+        } else if (sort) {
+            node.warning = `${sort[1].toUpperCase()} sorts the rows in a temporary B-tree.`;
+            // An index can only return rows in order when every sort column is in one table
+            const tables = [...new Set(references.values())].map(tableOf).filter(Boolean);
+            for (const table of tables) {
+                const columns = columnsUsed(sql, ORDER_CLAUSE, namesOf(table), table.columns);
+                if (tables.length === 1 && columns.length > 0) {
+                    node.warning += ` An index on ${table.name} (${columns.join(', ')}) would return them in order.`;
+                    node.suggestion = indexStatement(table.name, columns);
+                }
+            }
+        }
+        if (node.warning) warnings += 1;
+
+        byId.set(node.id, node);
+        const parent = byId.get(Number(row.parent));
+        (parent ? parent.children : roots).push(node);
+    }
+    return { nodes: roots, warnings };
+}
+
+module.exports = { referencedTables, analyzePlan };
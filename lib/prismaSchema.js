@@ -0,0 +1,294 @@
+// Reads the models of prisma/schema.prisma into the table descriptions server.js
+// builds from SQLite (see describeTable), and writes Prisma models for live tables.
+// Only what the SQLite connector turns into DDL is read: scalar fields, @id, @default,
+// @unique, @map, @relation(fields, references) and the @@id, @@unique, @@index and
+// @@map model attributes.
+
+// Column types Prisma's SQLite connector creates for each scalar type
+const SQLITE_TYPES = {
+    String: 'TEXT',
+    Boolean: 'BOOLEAN',
+    Int: 'INTEGER',
+    BigInt: 'BIGINT',
+    Float: 'REAL',
+    Decimal: 'DECIMAL',
+    DateTime: 'DATETIME',
+    Json: 'TEXT',
+    Bytes: 'BLOB',
+};
+
+// The other way round; other types become Unsupported("...")
+const PRISMA_TYPES = [
+    [/^BOOL/i, 'Boolean'],
+    [/^(BIGINT|INT8)\b/i, 'BigInt'],
+    [/^(INT|INTEGER|TINYINT|SMALLINT|MEDIUMINT|INT2)\b/i, 'Int'],
+    [/^(DATETIME|DATE|TIMESTAMP)\b/i, 'DateTime'],
+    [/^(DECIMAL|NUMERIC)\b/i, 'Decimal'],
+    [/^(REAL|FLOAT|DOUBLE)\b/i, 'Float'],
+    [/^JSONB?$/i, 'Json'],
+    [/^BLOB$/i, 'Bytes'],
+    [/^(TEXT|CLOB|(NATIVE |VARYING )?CHARACTER|N?VARCHAR|NCHAR|CHAR)\b|^$/i, 'String'],
+];
+
+const REFERENTIAL_ACTIONS = {
+    Cascade: 'CASCADE', Restrict: 'RESTRICT', NoAction: 'NO ACTION', SetNull: 'SET NULL', SetDefault: 'SET DEFAULT',
+};
+
+const PRISMA_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/**
+ * Removes // comments, leaving string literals alone.
+ */
+function stripComments(text) {
+    return text.replace(/("(?:[^"\\]|\\.)*")|\/\/.*$/gm, (match, string) => string || '');
+}
+
+/**
+ * The attributes in the rest of a field or model line: [{ name, args }], where `args`
+ * is the raw text between the parentheses ('' without).
+ */
+function parseAttributes(text) {
+    const attributes = [];
+    const pattern = /@@?([\w.]+)/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+        let args = '';
+        if (text[pattern.lastIndex] === '(') {
+            let depth = 0;
+            let inString = false;
+            let end = pattern.lastIndex;
+            for (; end < text.length; end++) {
+                const char = text[end];
+                if (inString) {
+                    if (char === '\\') end++;
+                    else if (char === '"') inString = false;
+                } else if (char === '"') {
+                    inString = true;
+                } else if (char === '(') {
+                    depth++;
+                } else if (char === ')' && --depth === 0) {
+                    break;
+                }
+            }
+            args = text.slice(pattern.lastIndex + 1, end);
+            pattern.lastIndex = end + 1;
+        }
+        attributes.push({ name: match[1], args });
+    }
+    return attributes;
+}
+
+/**
+ * A named argument of an attribute (`key: value`), or the first positional one.
+ */
+function argument(args, key = null) {
+    const pattern = key
+        ? new RegExp(`\\b${key}\\s*:\\s*(\\[[^\\]]*\\]|"(?:[^"\\\\]|\\\\.)*"|[^,]+)`)
+        : /^\s*(\[[^\]]*\]|"(?:[^"\\]|\\.)*"|\w+\((?:"(?:[^"\\]|\\.)*"|[^()"])*\)|[^,:]+)(?=\s*(,|$))/;
+    const match = args.match(pattern);
+    return match ? match[1].trim() : null;
+}
+
+// Field names of a list argument, e.g. [a, b(sort: Desc)] -> ['a', 'b']
+const fieldList = (value) => (value ? value.replace(/^\[|\]$/g, '').split(',').map(item => item.trim().split(/[\s(]/)[0]).filter(Boolean) : []);
+const stringValue = (value) => (value && value.startsWith('"') ? JSON.parse(value) : null);
+
+/**
+ * The SQL default Prisma creates for a @default(...) argument, or null for defaults
+ * the client fills in (uuid(), cuid(), ...).
+ */
+function sqlDefault(value) {
+    if (value === 'now()') return 'CURRENT_TIMESTAMP';
+    const generated = value.match(/^dbgenerated\((.*)\)$/);
+    if (generated) return stringValue(generated[1].trim());
+    if (/\(\)$/.test(value)) return null;
+    if (value.startsWith('"')) return `'${stringValue(value).replace(/'/g, "''")}'`;
+    if (/^(true|false|[-+]?\d+(\.\d+)?)$/.test(value)) return value;
+    return `'${value}'`; // an enum value
+}
+
+/**
+ * Parses the models of a Prisma schema into table descriptions:
+ *   { name, columns: [{ name, type, notNull, defaultValue, primaryKey, autoIncrement, unique,
+ *     uniqueOrigin, uniqueIndex }], primaryKey, indexes: [{ name, unique, origin, partial,
+ *     columns, sql }], foreignKeys: [{ from, table, to, onDelete, onUpdate }], triggers: [] }
+ * Index names follow Prisma's defaults (<table>_<columns>_key / _idx) unless mapped.
+ */
+function parsePrismaSchema(text) {
+    const source = stripComments(text);
+    const blocks = [...source.matchAll(/\b(model|enum)\s+(\w+)\s*\{([^}]*)\}/g)];
+    const enums = new Set(blocks.filter(block => block[1] === 'enum').map(block => block[2]));
+
+    const models = blocks.filter(block => block[1] === 'model').map(([, , modelName, body]) => {
+        const fields = [];
+        const modelAttributes = [];
+        body.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+            if (line.startsWith('@@')) {
+                modelAttributes.push(...parseAttributes(line));
+                return;
+            }
+            const match = line.match(/^(\w+)\s+(\w+(?:\([^)]*\))?)(\[\])?(\?)?\s*(.*)$/);
+            if (!match) return;
+            const [, name, type, list, optional, rest] = match;
+            const attributes = parseAttributes(rest);
+            const attribute = (attributeName) => attributes.find(attr => attr.name === attributeName);
+            fields.push({ name, type, list: Boolean(list), optional: Boolean(optional), attribute });
+        });
+        const mapped = modelAttributes.find(attr => attr.name === 'map');
+        return { modelName, tableName: stringValue(argument(mapped ? mapped.args : '')) || modelName, fields, modelAttributes };
+    });
+    const modelsByName = new Map(models.map(model => [model.modelName, model]));
+
+    // Column name of a field (@map), in `model`
+    const columnName = (model, fieldName) => {
+        const field = model.fields.find(candidate => candidate.name === fieldName);
+        const mapped = field && field.attribute('map');
+        return (mapped && stringValue(argument(mapped.args))) || fieldName;
+    };
+
+    return models.map(model => {
+        const { tableName, fields, modelAttributes } = model;
+        const scalars = fields.filter(field => !field.list && !modelsByName.has(field.type));
+
+        const columns = scalars.map(field => {
+            const unsupported = field.type.match(/^Unsupported\("(.*)"\)$/);
+            const type = unsupported ? unsupported[1] : enums.has(field.type) ? 'TEXT' : (SQLITE_TYPES[field.type] || field.type.toUpperCase());
+            const defaultArgs = field.attribute('default') ? argument(field.attribute('default').args) : null;
+            return {
+                name: columnName(model, field.name),
+                type,
+                notNull: !field.optional,
+                defaultValue: defaultArgs && defaultArgs !== 'autoincrement()' ? sqlDefault(defaultArgs) : null,
+                primaryKey: Boolean(field.attribute('id')),
+                autoIncrement: defaultArgs === 'autoincrement()',
+                unique: false,
+                uniqueOrigin: null,
+                uniqueIndex: null,
+            };
+        });
+
+        const compositeKey = modelAttributes.find(attr => attr.name === 'id');
+        if (compositeKey) {
+            const keyColumns = fieldList(argument(compositeKey.args, 'fields') || argument(compositeKey.args)).map(name => columnName(model, name));
+            columns.forEach(col => { col.primaryKey = keyColumns.includes(col.name); });
+        }
+
+        const indexes = [];
+        const addIndex = (columnNames, unique, mappedName) => {
+            const name = mappedName || `${tableName}_${columnNames.join('_')}_${unique ? 'key' : 'idx'}`;
+            indexes.push({ name, unique, origin: 'c', partial: false, columns: columnNames, sql: null });
+            if (unique && columnNames.length === 1) {
+                const col = columns.find(candidate => candidate.name === columnNames[0]);
+                if (col) Object.assign(col, { unique: true, uniqueOrigin: 'c', uniqueIndex: name });
+            }
+        };
+        scalars.forEach(field => {
+            const unique = field.attribute('unique');
+            if (unique) addIndex([columnName(model, field.name)], true, stringValue(argument(unique.args, 'map')));
+        });
+        modelAttributes.filter(attr => attr.name === 'unique' || attr.name === 'index').forEach(attr => {
+            const names = fieldList(argument(attr.args, 'fields') || argument(attr.args)).map(name => columnName(model, name));
+            addIndex(names, attr.name === 'unique', stringValue(argument(attr.args, 'map')));
+        });
+
+        // Relation fields that hold the foreign key name their scalar fields
+        const foreignKeys = fields.filter(field => modelsByName.has(field.type) && field.attribute('relation')).flatMap(field => {
+            const args = field.attribute('relation').args;
+            const from = fieldList(argument(args, 'fields'));
+            if (from.length === 0) return [];
+            const target = modelsByName.get(field.type);
+            const optional = from.some(name => (fields.find(candidate => candidate.name === name) || {}).optional);
+            return [{
+                from: from.map(name => columnName(model, name)),
+                table: target.tableName,
+                to: fieldList(argument(args, 'references')).map(name => columnName(target, name)),
+                onDelete: REFERENTIAL_ACTIONS[argument(args, 'onDelete')] || (optional ? 'SET NULL' : 'RESTRICT'),
+                onUpdate: REFERENTIAL_ACTIONS[argument(args, 'onUpdate')] || 'CASCADE',
+            }];
+        });
+
+        return {
+            name: tableName,
+            sql: null,
+            columns,
+            primaryKey: columns.filter(col => col.primaryKey).map(col => col.name),
+            indexes,
+            foreignKeys,
+            triggers: [],
+        };
+    });
+}
+
+/**
+ * The Prisma type of a SQLite column type.
+ */
+function prismaType(sqlType) {
+    const found = PRISMA_TYPES.find(([pattern]) => pattern.test(sqlType || ''));
+    return found ? found[1] : `Unsupported("${sqlType}")`;
+}
+
+/**
+ * The @default(...) of a column's SQL default, or null.
+ */
+function prismaDefault(column, type) {
+    if (column.autoIncrement) return '@default(autoincrement())';
+    const value = column.defaultValue;
+    if (value === null || value === undefined) return null;
+    if (/^CURRENT_(TIMESTAMP|DATE|TIME)$/i.test(value)) return type === 'DateTime' ? '@default(now())' : `@default(dbgenerated("${value}"))`;
+    if (type === 'Boolean' && /^(true|false|0|1)$/i.test(value)) return `@default(${/^(true|1)$/i.test(value)})`;
+    if (/^[-+]?\d+(\.\d+)?$/.test(value) && type !== 'String') return `@default(${value})`;
+    const string = value.match(/^'((?:[^']|'')*)'$/);
+    if (string && type === 'String') return `@default(${JSON.stringify(string[1].replace(/''/g, "'"))})`;
+    return `@default(dbgenerated(${JSON.stringify(value)}))`;
+}
+
+// A valid Prisma name for a table or column, with @map/@@map when it had to change
+const prismaName = (name) => (PRISMA_NAME.test(name) ? name : `x_${name.replace(/\W+/g, '_')}`);
+
+/**
+ * Writes a Prisma model for a table description (see describeTable in server.js).
+ * Foreign keys are listed as comments: the relation fields they need on both models
+ * can't be named from one table alone.
+ */
+function prismaModel(table) {
+    const modelName = prismaName(table.name);
+    const fieldName = (name) => prismaName(name);
+    const keyColumns = table.columns.filter(col => col.primaryKey).map(col => col.name);
+    const singleKey = keyColumns.length === 1;
+
+    const rows = table.columns.map(col => {
+        const type = prismaType(col.type);
+        const attributes = [];
+        if (col.primaryKey && singleKey) attributes.push('@id');
+        const defaultAttribute = prismaDefault(col, type);
+        if (defaultAttribute) attributes.push(defaultAttribute);
+        if (col.unique) attributes.push('@unique');
+        if (fieldName(col.name) !== col.name) attributes.push(`@map(${JSON.stringify(col.name)})`);
+        return [fieldName(col.name), `${type}${col.notNull || col.primaryKey ? '' : '?'}`, attributes.join(' ')];
+    });
+
+    // Line the field types and attributes up like `prisma format` does
+    const nameWidth = Math.max(...rows.map(row => row[0].length));
+    const typeWidth = Math.max(...rows.map(row => row[1].length));
+    const lines = rows.map(([name, type, attributes]) => `  ${name.padEnd(nameWidth)} ${attributes ? `${type.padEnd(typeWidth)} ${attributes}` : type}`.trimEnd());
+
+    const modelLines = [];
+    if (keyColumns.length > 1) modelLines.push(`  @@id([${keyColumns.map(fieldName).join(', ')}])`);
+    table.indexes
+        .filter(index => index.origin !== 'pk' && !index.partial && !index.columns.includes(null))
+        .filter(index => !(index.unique && index.columns.length === 1))
+        .forEach(index => modelLines.push(`  @@${index.unique ? 'unique' : 'index'}([${index.columns.map(fieldName).join(', ')}])`));
+    if (modelName !== table.name) modelLines.push(`  @@map(${JSON.stringify(table.name)})`);
+
+    const relations = table.foreignKeys.map(fk => (
+        `  // Foreign key (${fk.from.join(', ')}) references ${fk.table}(${fk.to.join(', ')}): add a @relation field on both models`
+    ));
+
+    if (keyColumns.length === 0 && !table.columns.some(col => col.unique)) {
+        relations.unshift('  // No primary key: Prisma needs an @id or @unique field to manage this table');
+    }
+
+    return [`model ${modelName} {`, ...lines, ...(modelLines.length > 0 ? ['', ...modelLines] : []), ...relations, '}'].join('\n');
+}
+
+module.exports = { parsePrismaSchema, prismaModel, prismaType };
@@ -0,0 +1,132 @@
+// Table names, primary keys and row values for server.js and lib/audit.js: the SQL
+// that addresses one row, and the conversion of values to JSON and back.
+
+/**
+ * Creates an Error that server.js reports with `status`.
+ */
+function rowError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Derives the primary key from `PRAGMA table_info` rows, ordered by key position.
+ * Tables without a declared key are addressed by SQLite's implicit rowid.
+ */
+function primaryKeyFromColumnInfo(columnInfo) {
+    const keyColumns = columnInfo
+        .filter(col => Number(col.pk) > 0)
+        .sort((a, b) => Number(a.pk) - Number(b.pk))
+        .map(col => col.name);
+    return keyColumns.length > 0 ? keyColumns : ['rowid'];
+}
+
+/**
+ * Gets the (possibly composite) primary key column names for a given table.
+ * `client` is the request's database (`req.db`) or a transaction client.
+ */
+async function getPrimaryKey(tableName, client) {
+    const columnInfo = await client.$queryRawUnsafe(`PRAGMA table_info(\`${tableName}\`);`);
+    if (columnInfo.length === 0) throw rowError(400, `Table not found: ${tableName}`);
+    return primaryKeyFromColumnInfo(columnInfo);
+}
+
+/**
+ * The SELECT/RETURNING column list for a table. The implicit rowid is not part of
+ * `*`, so it is selected explicitly when it is the key.
+ */
+function rowSelectList(primaryKey) {
+    return primaryKey[0] === 'rowid' ? 'rowid AS rowid, *' : '*';
+}
+
+/**
+ * Quotes a column name for SQL. The implicit rowid is left bare so it can never be
+ * confused with a real column.
+ */
+function quoteColumn(columnName) {
+    return columnName === 'rowid' ? 'rowid' : `\`${sanitizeColumnName(columnName)}\``;
+}
+
+/**
+ * Builds the WHERE condition that matches a single row by its primary key.
+ */
+function keyCondition(primaryKey) {
+    return primaryKey.map(col => `${quoteColumn(col)} = ?`).join(' AND ');
+}
+
+/**
+ * Validates and sanitizes a table name to ensure it only contains safe characters.
+ * IMPORTANT: This replaces the strict check with a format check for security.
+ */
+function sanitizeTableName(tableName) {
+    // Must only contain alphanumeric characters and underscore.
+    if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
+        throw new Error(`Invalid table name format: ${tableName}`);
+    }
+    return tableName;
+}
+
+/**
+ * Validates and sanitizes a column name.
+ */
+function sanitizeColumnName(columnName) {
+    if (!/^[a-zA-Z0-9_]+$/.test(columnName)) {
+        throw new Error(`Invalid column name: ${columnName}`);
+    }
+    return columnName;
+}
+
+/**
+ * Converts values returned by SQLite so rows can be sent as JSON: BigInts become
+ * Numbers and BLOBs become { $blob: base64 } so clients can tell them from text.
+ */
+function serializeRow(row) {
+    const newRow = {};
+    for (const key in row) {
+        const value = row[key];
+        if (typeof value === 'bigint') newRow[key] = Number(value);
+        else if (value instanceof Uint8Array) newRow[key] = { $blob: Buffer.from(value).toString('base64') };
+        else newRow[key] = value;
+    }
+    return newRow;
+}
+
+/**
+ * Reverses serializeRow for values written back to the database: { $blob: base64 }
+ * becomes a Buffer again, everything else is passed through.
+ */
+function toSqlValue(value) {
+    if (value !== null && typeof value === 'object' && typeof value.$blob === 'string') {
+        return Buffer.from(value.$blob, 'base64');
+    }
+    return value;
+}
+
+/**
+ * Compares a stored value with the value a client saw earlier. Both go through the
+ * same JSON serialization the client received, and booleans match their 1/0 form.
+ */
+function sameStoredValue(current, expected) {
+    const normalize = (value) => {
+        const serialized = JSON.parse(JSON.stringify(serializeRow({ value }))).value;
+        return typeof serialized === 'boolean' ? Number(serialized) : serialized;
+    };
+    const a = normalize(current);
+    const b = normalize(expected);
+    if (a === null || a === undefined || b === null || b === undefined) return a == b;
+    return String(a) === String(b);
+}
+
+module.exports = {
+    primaryKeyFromColumnInfo,
+    getPrimaryKey,
+    rowSelectList,
+    quoteColumn,
+    keyCondition,
+    sanitizeTableName,
+    sanitizeColumnName,
+    serializeRow,
+    toSqlValue,
+    sameStoredValue,
+};
@@ -0,0 +1,185 @@
+// Compares the live schema with a reference one (prisma/schema.prisma or the state
+// the migrations build) and writes the migration that takes the reference to the
+// live schema. Both sides are table descriptions as server.js builds them (see
+// describeTable); everything here is pure.
+
+const { identifier, buildCreateIndex, planAlterTable } = require('./ddl');
+
+const sameDefault = (a, b) => String(a ?? '').trim().toUpperCase() === String(b ?? '').trim().toUpperCase();
+// Indexes are matched by what they index, so a renamed index is no difference
+const indexSignature = (index) => `${index.unique ? 'unique' : 'index'}(${index.columns.join(', ')})`;
+const fkSignature = (fk) => `(${fk.from.join(', ')}) -> ${fk.table}(${fk.to.join(', ')}) ON DELETE ${fk.onDelete} ON UPDATE ${fk.onUpdate}`;
+// Indexes a diff looks at: not the primary key's, nor indexes on expressions
+const comparableIndexes = (table) => table.indexes.filter(index => index.origin !== 'pk' && !index.columns.includes(null));
+
+/**
+ * How a column differs between both sides: [{ field, live, expected }].
+ */
+function columnChanges(live, expected) {
+    const changes = [];
+    const compare = (field, a, b, same = (x, y) => x === y) => {
+        if (!same(a, b)) changes.push({ field, live: a, expected: b });
+    };
+    compare('type', live.type, expected.type, (a, b) => String(a).toUpperCase() === String(b).toUpperCase());
+    compare('notNull', live.notNull, expected.notNull);
+    compare('defaultValue', live.defaultValue, expected.defaultValue, sameDefault);
+    compare('primaryKey', live.primaryKey, expected.primaryKey);
+    compare('autoIncrement', live.autoIncrement, expected.autoIncrement);
+    compare('unique', live.unique, expected.unique);
+    return changes;
+}
+
+/**
+ * Items of `live` and `expected` that only one side has, keyed by `signature`:
+ * [{ ...item, status: 'added' | 'removed' }], 'added' meaning only the live side has it.
+ */
+function addedAndRemoved(live, expected, signature) {
+    const liveKeys = new Set(live.map(signature));
+    const expectedKeys = new Set(expected.map(signature));
+    return [
+        ...live.filter(item => !expectedKeys.has(signature(item))).map(item => ({ ...item, status: 'added' })),
+        ...expected.filter(item => !liveKeys.has(signature(item))).map(item => ({ ...item, status: 'removed' })),
+    ];
+}
+
+/**
+ * Compares two schemas (arrays of table descriptions). Returns
+ *   { tables: [{ name, status, columns, indexes, foreignKeys }], unchanged: [name] }
+ * where a table's status is 'added' (only in the live database), 'removed' (only in the
+ * reference) or 'changed'; columns are [{ name, status, changes }] with status 'added',
+ * 'removed' or 'changed', indexes [{ name, unique, columns, status }] and foreign keys
+ * [{ from, table, to, onDelete, onUpdate, status }] with status 'added' or 'removed'.
+ */
+function diffSchemas(live, reference) {
+    const referenceByName = new Map(reference.map(table => [table.name, table]));
+    const liveNames = new Set(live.map(table => table.name));
+    const describeIndex = ({ name, unique, columns, status }) => ({ name, unique, columns, status });
+    const describeForeignKey = ({ from, table, to, onDelete, onUpdate, status }) => ({ from, table, to, onDelete, onUpdate, status });
+
+    const tables = [];
+    const unchanged = [];
+    live.forEach(table => {
+        const expected = referenceByName.get(table.name);
+        if (!expected) {
+            tables.push({
+                name: table.name,
+                status: 'added',
+                columns: table.columns.map(col => ({ name: col.name, status: 'added', changes: [] })),
+                indexes: comparableIndexes(table).map(index => describeIndex({ ...index, status: 'added' })),
+                foreignKeys: table.foreignKeys.map(fk => describeForeignKey({ ...fk, status: 'added' })),
+            });
+            return;
+        }
+
+        const expectedColumns = new Map(expected.columns.map(col => [col.name, col]));
+        const columns = [];
+        table.columns.forEach(col => {
+            const before = expectedColumns.get(col.name);
+            if (!before) {
+                columns.push({ name: col.name, status: 'added', changes: [] });
+                return;
+            }
+            const changes = columnChanges(col, before);
+            if (changes.length > 0) columns.push({ name: col.name, status: 'changed', changes });
+        });
+        expected.columns
+            .filter(col => !table.columns.some(liveColumn => liveColumn.name === col.name))
+            .forEach(col => columns.push({ name: col.name, status: 'removed', changes: [] }));
+
+        const indexes = addedAndRemoved(comparableIndexes(table), comparableIndexes(expected), indexSignature).map(describeIndex);
+        const foreignKeys = addedAndRemoved(table.foreignKeys, expected.foreignKeys, fkSignature).map(describeForeignKey);
+
+        if (columns.length + indexes.length + foreignKeys.length === 0) {
+            unchanged.push(table.name);
+        } else {
+            tables.push({ name: table.name, status: 'changed', columns, indexes, foreignKeys });
+        }
+    });
+    reference.filter(table => !liveNames.has(table.name)).forEach(table => {
+        tables.push({
+            name: table.name,
+            status: 'removed',
+            columns: table.columns.map(col => ({ name: col.name, status: 'removed', changes: [] })),
+            indexes: comparableIndexes(table).map(index => describeIndex({ ...index, status: 'removed' })),
+            foreignKeys: table.foreignKeys.map(fk => describeForeignKey({ ...fk, status: 'removed' })),
+        });
+    });
+
+    return { tables, unchanged };
+}
+
+/**
+ * The CREATE INDEX statement of a live index: its own SQL when SQLite kept it.
+ */
+function createIndexStatement(tableName, index) {
+    return index.sql ? `${index.sql};` : buildCreateIndex(tableName, index);
+}
+
+/**
+ * Writes the migration that turns the reference schema into the live one, for the
+ * tables of a diff (see diffSchemas). Changed tables are planned with planAlterTable,
+ * so anything ALTER TABLE can't do becomes a table rebuild. Returns { sql, warnings };
+ * `sql` is '' when there is no difference.
+ */
+function migrationSql(diff, live, reference) {
+    const liveByName = new Map(live.map(table => [table.name, table]));
+    const referenceByName = new Map(reference.map(table => [table.name, table]));
+    const sections = [];
+    const warnings = [];
+    let rebuilds = false;
+
+    diff.tables.forEach(change => {
+        try {
+            if (change.status === 'removed') {
+                sections.push(`-- DropTable\nDROP TABLE ${identifier(change.name, 'table')};`);
+                return;
+            }
+
+            const table = liveByName.get(change.name);
+            if (change.status === 'added') {
+                const indexes = table.indexes.filter(index => index.origin === 'c' && index.sql).map(index => `${index.sql};`);
+                sections.push(`-- CreateTable\n${[`${table.sql};`, ...indexes].join('\n')}`);
+                return;
+            }
+
+            const expected = referenceByName.get(change.name);
+            const plan = planAlterTable(expected, {
+                columns: table.columns.map(col => ({
+                    ...col,
+                    previousName: expected.columns.some(before => before.name === col.name) ? col.name : null,
+                })),
+                foreignKeys: table.foreignKeys,
+            });
+            // Single-column unique indexes follow the columns' UNIQUE flags in the plan
+            const otherIndexes = change.indexes.filter(index => !(index.unique && index.columns.length === 1));
+            const statements = [
+                ...(plan.mode === 'rebuild' ? [
+                    'PRAGMA legacy_alter_table=ON;',
+                    ...plan.statements.slice(0, plan.rebuildStatements),
+                    'PRAGMA legacy_alter_table=OFF;',
+                    ...plan.statements.slice(plan.rebuildStatements),
+                ] : plan.statements),
+                ...otherIndexes.filter(index => index.status === 'removed').map(index => `DROP INDEX ${identifier(index.name, 'index')};`),
+                ...otherIndexes.filter(index => index.status === 'added').map(index => createIndexStatement(
+                    change.name, comparableIndexes(table).find(liveIndex => indexSignature(liveIndex) === indexSignature(index))
+                )),
+            ];
+            if (plan.mode === 'rebuild') rebuilds = true;
+            plan.warnings.forEach(warning => warnings.push(`${change.name}: ${warning}`));
+            sections.push(`-- ${plan.mode === 'rebuild' ? 'RedefineTable' : 'AlterTable'}\n${statements.join('\n')}`);
+        } catch (error) {
+            warnings.push(`${change.name}: ${error.message}`);
+            sections.push(`-- ${change.name} could not be migrated: ${error.message}`);
+        }
+    });
+
+    if (sections.length === 0) return { sql: '', warnings };
+    // Prisma's migrations switch foreign keys off around table rebuilds, too
+    if (rebuilds) {
+        sections.unshift('PRAGMA foreign_keys=OFF;');
+        sections.push('PRAGMA foreign_key_check;\nPRAGMA foreign_keys=ON;');
+    }
+    return { sql: `${sections.join('\n\n')}\n`, warnings };
+}
+
+module.exports = { diffSchemas, migrationSql };
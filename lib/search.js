@@ -0,0 +1,73 @@
+// Helpers for the full-text search in server.js: which columns are searched, the
+// FTS5 query a search text becomes and the highlighted snippets of matching values.
+// Everything here is pure.
+
+// Characters of a value shown on either side of the first match
+const SNIPPET_RADIUS = 40;
+
+/**
+ * True for columns whose values are searched: TEXT affinity (CHAR, CLOB, TEXT), JSON
+ * and columns without a declared type, which hold whatever was written to them.
+ */
+function isTextColumn(type) {
+    const upper = String(type || '').toUpperCase().trim();
+    if (upper === '') return true;
+    if (upper.includes('INT')) return false;
+    return /CHAR|CLOB|TEXT|JSON/.test(upper);
+}
+
+/**
+ * The words of a search text, for the index and for highlighting its matches.
+ */
+function searchWords(text) {
+    return String(text).trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * FTS5 query matching rows that contain every word of `text` (as a word prefix). Each
+ * word is quoted, so operators and punctuation in it are matched literally: an email
+ * address becomes the phrase of its parts.
+ */
+function ftsQuery(text) {
+    return searchWords(text).map(word => `"${word.replace(/"/g, '""')}"*`).join(' ');
+}
+
+/**
+ * Cuts a value down to the text around the first match of any of `terms` (ignoring
+ * case) and splits it into [{ text, match }] parts, the matches marked. Returns null
+ * when the value doesn't contain any of them.
+ */
+function highlight(value, terms, radius = SNIPPET_RADIUS) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const text = String(value);
+    const lower = text.toLowerCase();
+    const needles = terms.map(term => term.toLowerCase()).filter(Boolean);
+
+    // Every match, the longest first where several start at the same place
+    const ranges = [];
+    needles.forEach(needle => {
+        for (let at = lower.indexOf(needle); at !== -1; at = lower.indexOf(needle, at + needle.length)) {
+            ranges.push([at, at + needle.length]);
+        }
+    });
+    if (ranges.length === 0) return null;
+    ranges.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+
+    const start = Math.max(0, ranges[0][0] - radius);
+    const end = Math.min(text.length, ranges[0][1] + radius);
+    const parts = [];
+    let cursor = start;
+    ranges.forEach(([from, to]) => {
+        // Overlapping matches and those outside the snippet are skipped
+        if (from < cursor || to > end) return;
+        if (from > cursor) parts.push({ text: text.slice(cursor, from), match: false });
+        parts.push({ text: text.slice(from, to), match: true });
+        cursor = to;
+    });
+    if (cursor < end) parts.push({ text: text.slice(cursor, end), match: false });
+    if (start > 0) parts.unshift({ text: '…', match: false });
+    if (end < text.length) parts.push({ text: '…', match: false });
+    return parts;
+}
+
+module.exports = { isTextColumn, searchWords, ftsQuery, highlight };
@@ -0,0 +1,34 @@
+// The server's own tables (users, sessions, the query library, connections) keep their
+// current rows when a snapshot is restored: server.js reads them before it swaps the
+// database file (see restoreSnapshot) and writes them back afterwards.
+
+/**
+ * Reads the rows of those of `tableNames` the database has: [{ name, rows }].
+ */
+async function readKeptTables(client, tableNames) {
+    const present = await client.$queryRawUnsafe(
+        `SELECT name FROM sqlite_master WHERE type = 'table' AND name IN (${tableNames.map(() => '?').join(', ')});`, ...tableNames
+    );
+    const kept = [];
+    for (const { name } of present) kept.push({ name, rows: await client.$queryRawUnsafe(`SELECT * FROM \`${name}\`;`) });
+    return kept;
+}
+
+/**
+ * Replaces the rows of the tables readKeptTables read with the rows it read. The tables
+ * must exist. Call it with a transaction client, so no table is left half written.
+ */
+async function writeKeptTables(client, kept) {
+    for (const { name, rows } of kept) {
+        await client.$executeRawUnsafe(`DELETE FROM \`${name}\`;`);
+        for (const row of rows) {
+            const columns = Object.keys(row);
+            await client.$executeRawUnsafe(
+                `INSERT INTO \`${name}\` (${columns.map(col => `\`${col}\``).join(', ')}) VALUES (${columns.map(() => '?').join(', ')});`,
+                ...Object.values(row)
+            );
+        }
+    }
+}
+
+module.exports = { readKeptTables, writeKeptTables };
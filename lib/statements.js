@@ -0,0 +1,391 @@
+// Classifies raw SQL statements for the query routes in server.js. What a statement
+// does is read from the program SQLite compiles it to (EXPLAIN), so CTEs, comments
+// and statements that don't start with their verb can't disguise a write. The text
+// is only looked at for its main verb and a top-level WHERE clause.
+// Named parameters (:name) of saved queries are bound here too.
+
+// Statement kinds: 'query' reads rows, 'dml' changes rows, 'ddl' changes the schema,
+// 'transaction' is BEGIN/COMMIT/SAVEPOINT/..., 'other' is PRAGMA, ATTACH, VACUUM etc.
+const QUERY_VERBS = ['SELECT', 'VALUES', 'EXPLAIN'];
+const DML_VERBS = ['INSERT', 'REPLACE', 'UPDATE', 'DELETE'];
+const DDL_VERBS = ['CREATE', 'ALTER', 'DROP'];
+const TRANSACTION_VERBS = ['BEGIN', 'COMMIT', 'END', 'ROLLBACK', 'SAVEPOINT', 'RELEASE'];
+
+// Opcodes of programs that change the schema or control the transaction
+const SCHEMA_OPCODES = ['ParseSchema', 'CreateBtree', 'Destroy', 'DropTable', 'DropIndex', 'DropTrigger', 'SetCookie'];
+const TRANSACTION_OPCODES = ['AutoCommit', 'Savepoint'];
+
+// A named parameter, e.g. :min_price (group 2), not preceded by a name character
+const PARAMETER = /(^|[^\w$:]):([A-Za-z_]\w*)/g;
+// What comes before the table an INSERT, REPLACE, UPDATE or DELETE changes
+const TARGET_PREFIX = /\b(?:(?:INSERT|REPLACE)(?:\s+OR\s+\w+)?\s+INTO|UPDATE(?:\s+OR\s+\w+)?|DELETE\s+FROM)\s+/i;
+// A bare or quoted name, optionally qualified with its schema
+const NAME = '(?:"(?:[^"]|"")+"|`(?:[^`]|``)+`|\\[[^\\]]+\\]|[A-Za-z_][\\w$]*)';
+const QUALIFIED_NAME = new RegExp(`^(${NAME})(?:\\s*\\.\\s*(${NAME}))?`);
+const NAMES = new RegExp(NAME, 'g');
+// Opcodes that use a virtual table, whose object (p4) is named 'vtab:<address>'
+const VIRTUAL_OPCODES = ['VOpen', 'VUpdate', 'VBegin'];
+
+/**
+ * Blanks out comments, string literals, quoted identifiers and everything inside
+ * parentheses, leaving the statement's top-level keywords. Positions are kept.
+ * With `keepNested`, what's inside parentheses is kept; with `keepNames`, quoted names.
+ */
+function maskSql(sql, { keepNested = false, keepNames = false } = {}) {
+    let masked = '';
+    let depth = 0;
+    let i = 0;
+    while (i < sql.length) {
+        const char = sql[i];
+        let end = i + 1;
+        if (char === '-' && sql[i + 1] === '-') {
+            end = sql.indexOf('\n', i);
+            if (end === -1) end = sql.length;
+        } else if (char === '/' && sql[i + 1] === '*') {
+            end = sql.indexOf('*/', i + 2);
+            end = end === -1 ? sql.length : end + 2;
+        } else if (char === "'" || char === '"' || char === '`' || char === '[') {
+            const close = char === '[' ? ']' : char;
+            end = i + 1;
+            while (end < sql.length) {
+                if (sql[end] === close && sql[end + 1] === close && close !== ']') end += 2; // Doubled quote
+                else if (sql[end] === close) break;
+                else end += 1;
+            }
+            end += 1;
+        } else if (char === '(') {
+            depth += 1;
+        } else if (char === ')') {
+            depth = Math.max(0, depth - 1);
+            masked += keepNested ? char : ' ';
+            i = end;
+            continue;
+        }
+
+        const isName = keepNames && end > i + 1 && (char === '"' || char === '`' || char === '[');
+        const kept = (end === i + 1 || isName) && (keepNested || (depth === 0 && char !== '('));
+        const text = sql.slice(i, Math.min(end, sql.length));
+        masked += kept ? text : ' '.repeat(text.length);
+        i = end;
+    }
+    return masked;
+}
+
+/**
+ * Splits a script into its statements, the way SQLite's sqlite3_complete() sees them:
+ * semicolons in comments, strings and quoted names don't end a statement, and inside
+ * CREATE TRIGGER only a semicolon after END as the first word of a body statement
+ * does (an END closing a CASE doesn't). Statements consisting of comments
+ * only are dropped. Returns { sql, start }: the trimmed statement and its offset in
+ * the script.
+ */
+function statementRanges(script) {
+    const masked = maskSql(script);
+    const ranges = [];
+    let start = 0;
+    let words = []; // The first words of the current statement, upper case
+    let sinceSemicolon = []; // The words after the statement's last semicolon, upper case
+
+    const finish = (end) => {
+        const text = script.slice(start, end);
+        if (masked.slice(start, end).trim() !== '') {
+            ranges.push({ sql: text.trim(), start: start + (text.length - text.trimStart().length) });
+        }
+        start = end + 1;
+        words = [];
+        sinceSemicolon = [];
+    };
+
+    for (const match of masked.matchAll(/[A-Za-z_][\w$]*|;/g)) {
+        if (match[0] !== ';') {
+            const word = match[0].toUpperCase();
+            if (words.length < 3) words.push(word);
+            sinceSemicolon.push(word);
+            continue;
+        }
+        const isTrigger = words[0] === 'CREATE' && (words[1] === 'TRIGGER' || words[2] === 'TRIGGER');
+        const endsTrigger = sinceSemicolon.length === 1 && sinceSemicolon[0] === 'END';
+        if (!isTrigger || endsTrigger) finish(match.index);
+        else sinceSemicolon = [];
+    }
+    finish(script.length);
+    return ranges;
+}
+
+/**
+ * The statements of a script (see statementRanges).
+ */
+function splitStatements(script) {
+    return statementRanges(script).map(range => range.sql);
+}
+
+/**
+ * Where in `sql` the error SQLite reported with `message` is, as { start, end }
+ * offsets, or null when the message doesn't point at a token: syntax errors name the
+ * token they stopped at, unknown tables, columns and functions their name.
+ */
+function errorRange(sql, message) {
+    if (/incomplete input/.test(message)) return { start: sql.length, end: sql.length };
+
+    const match = String(message).match(/near "((?:[^"]|"")*)": syntax error/)
+        || String(message).match(/no such (?:table|column|function): ([^\s`]+)/);
+    if (!match) return null;
+    // Qualified names are reported whole (main.T, t.col); the last part is what's unknown
+    const token = match[0].startsWith('near') ? match[1].replace(/""/g, '"') : match[1].split('.').pop();
+
+    // Prefer the token as a whole word outside comments and strings
+    const masked = maskSql(sql);
+    const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const word = new RegExp(`(^|[^\\w$])${escaped}(?![\\w$])`, 'i');
+    const inMasked = masked.match(word);
+    const start = inMasked ? inMasked.index + inMasked[1].length : sql.toLowerCase().indexOf(token.toLowerCase());
+    return start === -1 ? null : { start, end: start + token.length };
+}
+
+/**
+ * The names of the named parameters (:name) used in `sql`, each once, in order.
+ */
+function queryParameters(sql) {
+    const names = [...maskSql(sql, { keepNested: true }).matchAll(PARAMETER)].map(match => match[2]);
+    return [...new Set(names)];
+}
+
+/**
+ * SQL literal for a parameter value: NULL, a number, 1/0 for booleans or a quoted string.
+ */
+function sqlLiteral(value) {
+    if (value === null) return 'NULL';
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    if (typeof value === 'string') return `'${value.replace(/'/g, "''")}'`;
+    throw new Error(`Unsupported parameter value: ${JSON.stringify(value)}`);
+}
+
+/**
+ * Replaces the named parameters in `sql` with the literals of `values` ({ name: value }).
+ * Throws when a parameter has no value.
+ */
+function bindParameters(sql, values = {}) {
+    const masked = maskSql(sql, { keepNested: true });
+    let bound = '';
+    let last = 0;
+    for (const match of masked.matchAll(PARAMETER)) {
+        const name = match[2];
+        if (!Object.prototype.hasOwnProperty.call(values, name)) throw new Error(`Missing a value for :${name}.`);
+        const start = match.index + match[1].length;
+        bound += sql.slice(last, start) + sqlLiteral(values[name]);
+        last = start + name.length + 1;
+    }
+    return bound + sql.slice(last);
+}
+
+/**
+ * True when the text holds more than one statement (see statementRanges).
+ */
+function hasSeveralStatements(sql) {
+    return statementRanges(sql).length > 1;
+}
+
+/**
+ * The statement's main verb in upper case: the first keyword, or for WITH ... the
+ * verb the common table expressions are used by.
+ */
+function mainVerb(sql) {
+    const words = (maskSql(sql).match(/[A-Za-z_]+/g) || []).map(word => word.toUpperCase());
+    if (words[0] !== 'WITH') return words[0] || '';
+    return words.find(word => QUERY_VERBS.includes(word) || DML_VERBS.includes(word)) || 'WITH';
+}
+
+/**
+ * True when the statement has a WHERE clause of its own (not only in subqueries).
+ */
+function hasWhereClause(sql) {
+    return /\bWHERE\b/i.test(maskSql(sql));
+}
+
+/**
+ * The table an INSERT, REPLACE, UPDATE or DELETE statement changes, as written in it
+ * (unquoted, without its schema), or null for other statements.
+ */
+function targetTable(sql) {
+    if (!DML_VERBS.includes(mainVerb(sql))) return null;
+    const masked = maskSql(sql, { keepNames: true });
+    const prefix = masked.match(TARGET_PREFIX);
+    if (!prefix) return null;
+    const name = masked.slice(prefix.index + prefix[0].length).match(QUALIFIED_NAME);
+    return name ? unquoteName(name[2] || name[1]) : null;
+}
+
+// A name as written in SQL without its quotes
+function unquoteName(name) {
+    if (/^["`]/.test(name)) return name.slice(1, -1).split(name[0].repeat(2)).join(name[0]);
+    return name.startsWith('[') ? name.slice(1, -1) : name;
+}
+
+/**
+ * Every name the statement mentions, subqueries included, unquoted and in lower case.
+ */
+function mentionedNames(sql) {
+    const masked = maskSql(sql, { keepNested: true, keepNames: true });
+    return new Set((masked.match(NAMES) || []).map(name => unquoteName(name).toLowerCase()));
+}
+
+/**
+ * True for the statements an automatic snapshot is taken before: schema changes and
+ * DELETE without a WHERE clause.
+ */
+function needsSnapshot(sql) {
+    const verb = mainVerb(sql);
+    return DDL_VERBS.includes(verb) || (verb === 'DELETE' && !hasWhereClause(sql));
+}
+
+/**
+ * Strips trailing semicolons, and the whitespace and comments after them, so a query
+ * can be wrapped in a subquery.
+ */
+function stripTrailingSemicolons(sql) {
+    const end = maskSql(sql, { keepNested: true }).search(/;[;\s]*$/);
+    return (end === -1 ? sql : sql.slice(0, end)).trim();
+}
+
+/**
+ * A query wrapped as a subquery that reads one page of its rows, with the LIMIT and
+ * OFFSET as the two parameters. The newline ends a trailing -- comment of the query.
+ */
+function pagedQuery(sql) {
+    return `SELECT * FROM (${stripTrailingSemicolons(sql)}\n) LIMIT ? OFFSET ?;`;
+}
+
+/**
+ * The statement to compile when looking at what `sql` does: EXPLAIN [QUERY PLAN] is
+ * taken off, since the program of the explained statement tells which tables it uses.
+ */
+function explainTarget(sql) {
+    const masked = maskSql(sql);
+    const match = masked.match(/^\s*EXPLAIN(\s+QUERY\s+PLAN)?\s+/i);
+    return match ? sql.slice(match[0].length) : sql;
+}
+
+/**
+ * Classifies a statement from its text and its compiled program (the rows of
+ * `EXPLAIN <explainTarget(sql)>`). `objects` are sqlite_master's { tbl_name, rootpage, sql }
+ * rows, which map the root pages cursors are opened on to table names; virtual tables
+ * (rootpage 0) have no pages, and their opcodes don't name them, so they are matched by
+ * the names the statement mentions.
+ *
+ * Returns { verb, kind, readOnly, returnsRows, reads, writes, target, dropped, attached,
+ * destructive }: `reads`/`writes` are the user tables read and written, `target` the
+ * one of `writes` an INSERT, UPDATE or DELETE names (the others are written by
+ * triggers and foreign key actions), `virtualTables` the virtual tables among them,
+ * `hiddenVirtualTables` is set when the statement uses virtual tables it doesn't name
+ * (through a view or trigger), `dropped` the tables whose storage is destroyed,
+ * `attached` is set when tables of attached databases are used and `destructive` explains why the statement needs confirming
+ * (null when it doesn't).
+ */
+function classifyStatement(sql, program, objects) {
+    const verb = mainVerb(sql);
+    const tableOfPage = new Map(objects.filter(object => Number(object.rootpage) > 0)
+        .map(object => [Number(object.rootpage), object.tbl_name]));
+    const opcodes = new Set(program.map(op => op.opcode));
+
+    const reads = new Set();
+    const writes = new Set();
+    const dropped = new Set();
+    let attached = false;
+    for (const { opcode, p1, p2, p3 } of program) {
+        // Cursors name the root page in p2 and the database in p3; Clear (a DELETE
+        // without WHERE) and Destroy (DROP) have them in p1 and p2 / p3
+        let page, database;
+        if (opcode === 'OpenRead' || opcode === 'OpenWrite' || opcode === 'ReopenIdx') [page, database] = [p2, p3];
+        else if (opcode === 'Clear') [page, database] = [p1, p2];
+        else if (opcode === 'Destroy') [page, database] = [p1, p3];
+        else continue;
+
+        if (Number(database) === 1) continue; // Temporary tables of the connection
+        if (Number(database) !== 0) {
+            attached = true;
+            continue;
+        }
+        const table = tableOfPage.get(Number(page));
+        if (!table || /^sqlite_/i.test(table)) continue;
+        if (opcode === 'Destroy') dropped.add(table);
+        else (opcode === 'OpenRead' || opcode === 'ReopenIdx' ? reads : writes).add(table);
+    }
+
+    // The virtual tables the statement names; more virtual table objects in the program
+    // than that means some are used through views or triggers
+    const virtualOps = program.filter(op => VIRTUAL_OPCODES.includes(op.opcode));
+    const mentioned = virtualOps.length > 0 ? mentionedNames(sql) : new Set();
+    const virtualTables = objects
+        .filter(object => Number(object.rootpage) === 0 && /^\s*CREATE\s+VIRTUAL\s+TABLE\b/i.test(object.sql || ''))
+        .map(object => object.tbl_name)
+        .filter(table => mentioned.has(table.toLowerCase()));
+    const hiddenVirtualTables = new Set(virtualOps.map(op => op.p4)).size > virtualTables.length;
+    // VOpen cursors can't be told apart, so a statement that reads one reads them all
+    if (opcodes.has('VOpen')) virtualTables.forEach(table => reads.add(table));
+    if (opcodes.has('VUpdate')) {
+        // The written one is the target, if the statement names a virtual table as its target
+        const named = String(targetTable(sql)).toLowerCase();
+        const written = virtualTables.filter(table => table.toLowerCase() === named);
+        (written.length > 0 ? written : virtualTables).forEach(table => writes.add(table));
+    }
+
+    const changesSchema = SCHEMA_OPCODES.some(opcode => opcodes.has(opcode));
+    const readOnly = !changesSchema && !program.some(op => op.opcode === 'Transaction' && Number(op.p2) !== 0);
+
+    let kind = 'other';
+    if (verb === 'EXPLAIN') kind = 'query'; // Nothing is run
+    else if (TRANSACTION_VERBS.includes(verb) || TRANSACTION_OPCODES.some(opcode => opcodes.has(opcode))) kind = 'transaction';
+    else if (DDL_VERBS.includes(verb) && changesSchema) kind = 'ddl';
+    else if (QUERY_VERBS.includes(verb) && readOnly) kind = 'query';
+    else if (DML_VERBS.includes(verb)) kind = 'dml';
+
+    // The written table the statement names, matched like SQLite matches names
+    const named = kind === 'dml' ? targetTable(sql) : null;
+    const target = named === null ? null : [...writes].find(table => table.toLowerCase() === named.toLowerCase()) || null;
+    const others = [...writes].filter(table => table !== target);
+
+    let destructive = null;
+    if (kind === 'ddl' && verb === 'DROP') {
+        destructive = `DROP ${maskSql(sql).match(/^\s*DROP\s+(\w+)/i)[1].toUpperCase()} can't be undone.`;
+    } else if (kind === 'ddl' && verb === 'ALTER' && /\bDROP\b/i.test(maskSql(sql))) {
+        destructive = 'Dropping a column deletes its values.';
+    } else if (kind === 'dml' && (verb === 'DELETE' || verb === 'UPDATE') && !hasWhereClause(sql)) {
+        destructive = `${verb} without a WHERE clause ${verb === 'DELETE' ? 'removes' : 'changes'} every row${target ? ` of ${target}` : ''}`
+            + `${others.length > 0 ? `${target ? ' and' : ''} also writes to ${others.join(', ')}` : ''}.`;
+    }
+
+    return {
+        verb,
+        kind,
+        readOnly: verb === 'EXPLAIN' || readOnly,
+        returnsRows: verb === 'EXPLAIN' || opcodes.has('ResultRow'),
+        // EXPLAIN runs nothing, so every table the explained statement uses is only read
+        reads: verb === 'EXPLAIN' ? [...new Set([...reads, ...writes, ...dropped])] : [...reads],
+        writes: verb === 'EXPLAIN' ? [] : [...writes],
+        target,
+        dropped: verb === 'EXPLAIN' ? [] : [...dropped],
+        virtualTables,
+        hiddenVirtualTables,
+        attached,
+        destructive,
+    };
+}
+
+module.exports = {
+    maskSql,
+    statementRanges,
+    splitStatements,
+    errorRange,
+    queryParameters,
+    bindParameters,
+    hasSeveralStatements,
+    mainVerb,
+    hasWhereClause,
+    targetTable,
+    needsSnapshot,
+    stripTrailingSemicolons,
+    pagedQuery,
+    explainTarget,
+    classifyStatement,
+};
@@ -1,238 +1,2978 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const cors = require('cors');
+const { planCreateTable, planAlterTable, buildCreateIndex, identifier } = require('./lib/ddl');
+const { createExportWriter } = require('./lib/export');
+const { coerceValue, rowsPerStatement, buildImportStatement } = require('./lib/import');
+const {
+    LEVELS, ROLES, ROLE_DEFAULTS, USERS_TABLE, SESSIONS_TABLE, GRANTS_TABLE,
+    hashPassword, verifyPassword, generateToken, hasLevel, tableLevel,
+    createAuthTables, loadUser, logIn, findSession, authorizeTable, requireAdmin, authorizeStatement,
+} = require('./lib/auth');
+const {
+    statementRanges, splitStatements, errorRange, queryParameters, bindParameters,
+    hasSeveralStatements, mainVerb, needsSnapshot, stripTrailingSemicolons, pagedQuery, explainTarget,
+    classifyStatement,
+} = require('./lib/statements');
+const { referencedTables, analyzePlan } = require('./lib/plan');
+const { parsePrismaSchema, prismaModel } = require('./lib/prismaSchema');
+const { diffSchemas, migrationSql } = require('./lib/schemaDiff');
+const { isTextColumn, searchWords, ftsQuery, highlight } = require('./lib/search');
+const {
+    primaryKeyFromColumnInfo, getPrimaryKey, rowSelectList, quoteColumn, keyCondition, sanitizeTableName, sanitizeColumnName,
+    serializeRow,
+} = require('./lib/rows');
+const {
+    AUDIT_TABLE, ensureAuditLog, recordAudit, auditEntryFromRow, executeAudited, insertRow, updateRow, deleteRow, revertEntries,
+} = require('./lib/audit');
+const { readKeptTables, writeKeptTables } = require('./lib/snapshots');
 
-// Initialize Prisma Client
+// Initialize Prisma Client for the main database (prisma/schema.prisma); more databases
+// are opened at runtime (see Database Connections)
 const prisma = new PrismaClient();
 const app = express();
 const PORT = 3001;
+// READ_ONLY=1 refuses every change to the data and the schema, whoever asks
+const READ_ONLY = /^(1|true|yes)$/i.test(process.env.READ_ONLY || '');
 
 // Middleware
-app.use(cors()); // Allow cross-origin requests from the React frontend
+// Allow cross-origin requests from the React frontend; expose the pagination, download
+// file name and audit entry headers to it
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'Content-Disposition', 'X-Audit-Ids'] }));
+// /api/db/:connection/... reaches the same routes for another database (see routeConnection)
+app.use(routeConnection);
+// Imports carry whole files, every other route keeps the default body size limit
+app.use('/api/import', express.json({ limit: '50mb' }));
 app.use(express.json()); // To parse JSON bodies
+// Every API route except the login needs a session (see authenticate)
+app.use('/api', authenticate);
+app.use('/api', selectConnection);
 
 // --- Utility Functions ---
 
 /**
- * Gets the primary key name for a given table.
- * Assuming PK is 'id' for Prisma models, or 'ID'/'id' for dynamic tables.
+ * Creates an Error carrying the HTTP status the route handlers should report.
  */
-function getPrimaryKey(tableName) {
-    // For simplicity, we assume 'id' or 'ID' is the PK name convention.
-    // In a real app, you'd get this from table_info PRAGMA.
-    return 'ID'; // Use a capitalized ID as seen in your CREATE TABLE examples
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
 }
 
 /**
- * Validates and sanitizes a table name to ensure it only contains safe characters.
- * IMPORTANT: This replaces the strict check with a format check for security.
+ * Creates an Error that the route handlers report as a 400 instead of a 500.
  */
-function sanitizeTableName(tableName) {
-    // Must only contain alphanumeric characters and underscore.
-    if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
-        throw new Error(`Invalid table name format: ${tableName}`);
+function badRequest(message) {
+    return httpError(400, message);
+}
+
+/**
+ * Parses the :id route parameter into one value per primary key column.
+ * The editor sends a JSON array of key values; a bare value is accepted for
+ * single-column keys so `/api/data/User/5` keeps working.
+ */
+function parseRowKey(rawId, primaryKey) {
+    let values;
+    try {
+        values = JSON.parse(rawId);
+    } catch {
+        values = rawId;
+    }
+    return checkRowKey(values, primaryKey);
+}
+
+/**
+ * Ensures a row key has exactly one value per primary key column.
+ */
+function checkRowKey(values, primaryKey) {
+    if (!Array.isArray(values)) values = [values];
+    if (values.length !== primaryKey.length) {
+        throw badRequest(`Expected ${primaryKey.length} key value(s) for (${primaryKey.join(', ')}), got ${values.length}.`);
+    }
+    return values;
+}
+
+// Pagination defaults for the table data endpoint
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+// Supported filter operators and the SQL each one compiles to
+const FILTER_OPERATORS = {
+    eq: (col) => `${col} = ?`,
+    neq: (col) => `${col} <> ?`,
+    gt: (col) => `${col} > ?`,
+    gte: (col) => `${col} >= ?`,
+    lt: (col) => `${col} < ?`,
+    lte: (col) => `${col} <= ?`,
+    between: (col) => `${col} BETWEEN ? AND ?`,
+    contains: (col) => `${col} LIKE ? ESCAPE '\\'`,
+    isnull: (col) => `${col} IS NULL`,
+    notnull: (col) => `${col} IS NOT NULL`,
+};
+
+/**
+ * LIKE pattern matching a value anywhere, with its wildcards escaped so it is matched
+ * literally. Use with `LIKE ? ESCAPE '\\'`.
+ */
+function likePattern(value) {
+    return `%${String(value ?? '').replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+/**
+ * Turns the `filter` query parameter into a parameterized WHERE clause.
+ * The parameter is a JSON array of { field, op, value } objects; every field
+ * must be one of the table's real columns.
+ */
+function buildWhereClause(rawFilter, columnNames) {
+    if (!rawFilter) return { where: '', params: [] };
+
+    let filters;
+    try {
+        filters = JSON.parse(rawFilter);
+    } catch {
+        throw badRequest('The filter parameter must be valid JSON.');
+    }
+    if (!Array.isArray(filters)) {
+        throw badRequest('The filter parameter must be an array of { field, op, value } objects.');
+    }
+
+    const conditions = [];
+    const params = [];
+    for (const { field, op, value } of filters) {
+        if (!columnNames.includes(field)) throw badRequest(`Unknown filter column: ${field}`);
+        const toSql = FILTER_OPERATORS[op];
+        if (!toSql) throw badRequest(`Unknown filter operator: ${op}`);
+
+        conditions.push(toSql(quoteColumn(field)));
+        if (op === 'between') {
+            if (!Array.isArray(value) || value.length !== 2) {
+                throw badRequest(`The between filter on ${field} needs a [from, to] value.`);
+            }
+            params.push(...value);
+        } else if (op === 'contains') {
+            params.push(likePattern(value));
+        } else if (op !== 'isnull' && op !== 'notnull') {
+            params.push(value);
+        }
+    }
+
+    return { where: conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Reads a table's columns for the grid and export routes. Tables without a declared
+ * primary key get the implicit rowid listed as a read-only key column.
+ */
+async function getTableColumns(client, tableName) {
+    const columnInfo = await client.$queryRawUnsafe(`PRAGMA table_info(\`${tableName}\`);`);
+    if (columnInfo.length === 0) throw badRequest(`Table not found: ${tableName}`);
+
+    const primaryKey = primaryKeyFromColumnInfo(columnInfo);
+    const columns = columnInfo.map(col => ({
+        field: col.name,
+        type: col.type, // SQLite types like INTEGER, TEXT, REAL, DATETIME
+        notNull: Number(col.notnull) === 1,
+        pk: col.pk > 0,
+        pkIndex: col.pk > 0 ? primaryKey.indexOf(col.name) : null
+    }));
+    if (primaryKey[0] === 'rowid') {
+        // Surface the implicit rowid as a read-only key column
+        columns.unshift({ field: 'rowid', type: 'INTEGER', notNull: true, pk: true, pkIndex: 0, virtual: true });
+    }
+    return { columns, primaryKey };
+}
+
+/**
+ * Parses the sort, order and filter query parameters shared by the data and export
+ * routes. Returns the WHERE clause with its parameters and an ORDER BY clause that
+ * breaks ties on the primary key so paging through the rows is stable.
+ */
+function parseTableView(query, columns, primaryKey) {
+    const columnNames = columns.map(col => col.field);
+    const order = String(query.order || 'asc').toLowerCase();
+    if (order !== 'asc' && order !== 'desc') throw badRequest('The order parameter must be asc or desc.');
+
+    const sort = query.sort || primaryKey[0];
+    if (!columnNames.includes(sort)) throw badRequest(`Unknown sort column: ${sort}`);
+
+    let orderBy = ` ORDER BY ${quoteColumn(sort)} ${order.toUpperCase()}`;
+    if (sort !== primaryKey[0] || primaryKey.length > 1) {
+        orderBy += ', ' + primaryKey.map(quoteColumn).join(', ');
+    }
+
+    const { where, params } = buildWhereClause(query.filter, columnNames);
+    return { where, params, sort, order, orderBy };
+}
+
+/**
+ * Parses a positive integer query parameter, falling back to a default.
+ */
+function parsePositiveInt(value, fallback, name) {
+    if (value === undefined || value === '') return fallback;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw badRequest(`The ${name} parameter must be a positive integer.`);
+    }
+    return parsed;
+}
+
+// --- Live Updates (Server-Sent Events) ---
+
+// Open /api/events streams, one { res, user, connectionId } per connected browser tab
+// and database
+const eventClients = new Set();
+
+/**
+ * Pushes an event to every editor connected to the request's database and allowed to
+ * read the table it is about. `req` identifies the tab that caused the change
+ * (X-Client-Id header) so it can skip its own events.
+ */
+function broadcast(req, event) {
+    noteSearchChange(req.connectionId, event);
+    const payload = JSON.stringify({ ...event, origin: req.get('X-Client-Id') || null, at: Date.now() });
+    for (const client of eventClients) {
+        if (client.connectionId !== req.connectionId) continue;
+        if (event.table && !hasLevel(tableLevel(client.user, event.table), 'read')) continue;
+        client.res.write(`data: ${payload}\n\n`);
+    }
+}
+
+// --- Audit Log ---
+// Every data change made through the API is recorded in AUDIT_TABLE with the row's
+// values before and after, in the same transaction as the change itself (see
+// lib/audit.js, which also has the row operations the routes share).
+
+/**
+ * Who is making a request and through which route, for the audit entries it causes.
+ * The ids of the recorded entries are collected in `ids`.
+ */
+function auditContext(req, source, statement = null) {
+    return { actor: req.user.username, clientId: req.get('X-Client-Id') || null, source, statement, ids: [] };
+}
+
+/**
+ * Tells the client which audit entries a request created, so it can undo them.
+ */
+function setAuditHeader(res, audit) {
+    if (audit.ids.length > 0) res.set('X-Audit-Ids', audit.ids.join(','));
+}
+
+// --- Authentication & Permissions ---
+// Users log in with a username and password and get a session token, which the
+// frontend sends as `Authorization: Bearer <token>`. A user's role sets what they may
+// do on every table (see ROLE_DEFAULTS); grants raise or lower that for single tables.
+// Sessions and the permission checks themselves are in lib/auth.js.
+
+// Where the generated password of the first admin account is written
+const ADMIN_PASSWORD_FILE = path.resolve(process.env.ADMIN_PASSWORD_FILE || path.join(__dirname, 'prisma', 'admin-password.txt'));
+
+/**
+ * Creates the user, session and grant tables if they do not exist yet. Without any
+ * users an admin account is created, with the password from ADMIN_PASSWORD or a
+ * generated one, which is written to ADMIN_PASSWORD_FILE (readable only by its owner)
+ * instead of the log.
+ */
+async function ensureAuthTables() {
+    await createAuthTables(prisma);
+    await prisma.$executeRawUnsafe(`DELETE FROM \`${SESSIONS_TABLE}\` WHERE expires_at <= ?;`, Date.now());
+
+    const [{ total }] = await prisma.$queryRawUnsafe(`SELECT COUNT(*) AS total FROM \`${USERS_TABLE}\`;`);
+    if (Number(total) === 0) {
+        const username = process.env.ADMIN_USER || 'admin';
+        const password = process.env.ADMIN_PASSWORD || generateToken().slice(0, 16);
+        await prisma.$executeRawUnsafe(
+            `INSERT INTO \`${USERS_TABLE}\` (username, password_hash, role, created_at) VALUES (?, ?, 'admin', ?);`,
+            username, hashPassword(password), new Date().toISOString()
+        );
+        if (!process.env.ADMIN_PASSWORD) {
+            // A file left from an earlier first start is replaced, so it gets the mode
+            await fs.promises.rm(ADMIN_PASSWORD_FILE, { force: true });
+            await fs.promises.writeFile(ADMIN_PASSWORD_FILE, `${password}\n`, { mode: 0o600, flag: 'wx' });
+            console.log(`Created the first admin account ${username}; its password is in ${ADMIN_PASSWORD_FILE}. Delete the file once you changed the password.`);
+        }
+    }
+}
+
+/**
+ * Middleware for /api: resolves the session token into `req.user`, or answers 401.
+ * The login route is the only one open without a session.
+ */
+async function authenticate(req, res, next) {
+    if (req.path === '/auth/login') return next();
+    try {
+        const header = req.get('Authorization') || '';
+        // EventSource can't send headers, so the event stream takes the token as a parameter
+        const token = header.startsWith('Bearer ') ? header.slice(7) : req.path === '/events' ? req.query.token : null;
+        if (!token) throw httpError(401, 'Please log in.');
+
+        const session = await findSession(prisma, token);
+        if (!session) throw httpError(401, 'Your session has expired, please log in again.');
+
+        req.user = session.user;
+        req.sessionId = session.sessionId;
+        next();
+    } catch (error) {
+        if (!error.status) console.error('Error checking the session:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+}
+
+/**
+ * Throws 403 unless the logged-in user has `level` ('read', 'write' or 'ddl') on the table,
+ * and for changes unless the server runs read-only (see lib/auth.js).
+ */
+function authorize(req, tableName, level) {
+    authorizeTable(req.user, tableName, level, READ_ONLY);
+}
+
+/**
+ * The session info the frontend works with: the user, the level their role grants on
+ * every table and their per-table grants.
+ */
+function describeSession(user) {
+    return {
+        user: { id: user.id, username: user.username, role: user.role },
+        defaultLevel: user.role === 'admin' ? 'ddl' : ROLE_DEFAULTS[user.role] || 'none',
+        grants: user.grants,
+        readOnly: READ_ONLY,
+    };
+}
+
+/**
+ * Checks a user definition sent to the user routes. `partial` allows leaving out
+ * fields that are not being changed.
+ */
+function checkUserInput({ username, password, role }, partial = false) {
+    if (!partial || username !== undefined) {
+        if (typeof username !== 'string' || !/^[\w.@-]{1,64}$/.test(username)) {
+            throw badRequest('Usernames are 1-64 letters, digits or . _ @ -');
+        }
+    }
+    if (!partial || password !== undefined) {
+        if (typeof password !== 'string' || password.length < 8) throw badRequest('Passwords need at least 8 characters.');
+    }
+    if (!partial || role !== undefined) {
+        if (!ROLES.includes(role)) throw badRequest(`role must be one of: ${ROLES.join(', ')}`);
+    }
+}
+
+/**
+ * Throws 400 when changing or removing `userId` would leave no admin account.
+ */
+async function keepAnAdmin(client, userId) {
+    const [{ total }] = await client.$queryRawUnsafe(
+        `SELECT COUNT(*) AS total FROM \`${USERS_TABLE}\` WHERE role = 'admin' AND id <> ?;`, userId
+    );
+    if (Number(total) === 0) throw badRequest('There must be at least one admin.');
+}
+
+// --- Database Connections ---
+// Besides the main database (the one in prisma/schema.prisma), SQLite files in
+// DATABASE_DIR can be registered at runtime. The registry lives in the main database,
+// which also keeps the users, sessions and query library for all of them. Every data,
+// query, schema, import and audit route works on the database named in the URL:
+// /api/db/:connection/tables and so on, while the plain /api/... routes use the main
+// one. Grants apply by table name, in whichever database the table is.
+
+const CONNECTIONS_TABLE = '_ldb_connections';
+const MAIN_CONNECTION = 'main';
+// Where registered database files are created and opened; defaults to the directory
+// of the main database
+const DATABASE_DIR = path.resolve(process.env.DATABASE_DIR || path.join(__dirname, 'prisma'));
+const DATABASE_FILE_PATTERN = /^[\w.-]+\.(db|sqlite|sqlite3)$/i;
+
+// Opened connections by id: { client, ready }, where `ready` resolves once the
+// database has its audit table
+const openConnections = new Map();
+
+/**
+ * Creates the connection registry if it does not exist yet.
+ */
+async function ensureConnectionsTable() {
+    await prisma.$executeRawUnsafe(`
+        CREATE TABLE IF NOT EXISTS \`${CONNECTIONS_TABLE}\` (
+            id TEXT PRIMARY KEY,
+            file TEXT NOT NULL UNIQUE,
+            created_at TEXT NOT NULL
+        );
+    `);
+}
+
+/**
+ * Middleware for every request: serves /api/db/:connection/... by the /api/... route
+ * of the same name, remembering the connection in `req.connectionId`. Answers 503
+ * while the database is restored (see restoreSnapshot); every request needs the main
+ * one for its session.
+ */
+function routeConnection(req, res, next) {
+    const match = /^\/api\/db\/([^/?]+)(\/.*)$/.exec(req.url);
+    req.connectionId = MAIN_CONNECTION;
+    if (match) {
+        req.connectionId = decodeURIComponent(match[1]);
+        req.url = `/api${match[2]}`;
+    }
+    if (restoringConnections.has(MAIN_CONNECTION) || restoringConnections.has(req.connectionId)) {
+        return res.status(503).json({ error: 'The database is being restored, please try again in a moment.' });
+    }
+    next();
+}
+
+/**
+ * Middleware for /api: resolves `req.connectionId` into `req.db`, the PrismaClient of
+ * that database, or answers 404 for connections that aren't registered.
+ */
+async function selectConnection(req, res, next) {
+    try {
+        req.db = await getConnection(req.connectionId);
+        next();
+    } catch (error) {
+        if (!error.status) console.error(`Error opening database connection ${req.connectionId}:`, error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+}
+
+/**
+ * The PrismaClient of a registered connection, opened on first use.
+ */
+async function getConnection(id) {
+    if (id === MAIN_CONNECTION) return prisma;
+    if (!openConnections.has(id)) {
+        const [row] = await prisma.$queryRawUnsafe(`SELECT file FROM \`${CONNECTIONS_TABLE}\` WHERE id = ?;`, id);
+        if (!row) throw httpError(404, `Unknown database connection: ${id}`);
+        // Another request may have opened it in the meantime
+        if (!openConnections.has(id)) openConnection(id, row.file);
+    }
+    const connection = openConnections.get(id);
+    await connection.ready;
+    return connection.client;
+}
+
+/**
+ * Opens a PrismaClient on a database file in DATABASE_DIR and adds the audit table.
+ * A database that can't be prepared is closed again, so the next request retries.
+ */
+function openConnection(id, file) {
+    const client = new PrismaClient({ datasourceUrl: `file:${databasePath(file)}` });
+    const ready = ensureAuditLog(client).catch(async (error) => {
+        openConnections.delete(id);
+        await client.$disconnect();
+        throw error;
+    });
+    openConnections.set(id, { client, ready });
+}
+
+/**
+ * Disconnects a connection's client, if it was opened, and ends its event streams.
+ */
+async function closeConnection(id) {
+    const connection = openConnections.get(id);
+    openConnections.delete(id);
+    searchBacklogs.delete(id);
+    for (const client of eventClients) {
+        if (client.connectionId === id) client.res.end();
+    }
+    if (connection) await connection.client.$disconnect();
+}
+
+/**
+ * The full path of a database file name, which must be a plain file name in
+ * DATABASE_DIR ending in .db, .sqlite or .sqlite3.
+ */
+function databasePath(file) {
+    if (typeof file !== 'string' || !DATABASE_FILE_PATTERN.test(file) || file.startsWith('.')) {
+        throw badRequest('Database files are plain file names ending in .db, .sqlite or .sqlite3.');
+    }
+    return path.join(DATABASE_DIR, file);
+}
+
+/**
+ * Tells whether `filePath` is the main database's file, which must not be opened a
+ * second time as another connection. Symbolic links are followed.
+ */
+async function isMainDatabase(filePath) {
+    const resolve = file => fs.promises.realpath(file).catch(() => path.resolve(file));
+    const [{ file: mainFile }] = (await prisma.$queryRawUnsafe('PRAGMA database_list;')).filter(db => db.name === 'main');
+    return (await resolve(filePath)) === (await resolve(mainFile));
+}
+
+/**
+ * Lists the database files in DATABASE_DIR, apart from the main database.
+ */
+async function listDatabaseFiles() {
+    const entries = await fs.promises.readdir(DATABASE_DIR, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+        if (!entry.isFile() || !DATABASE_FILE_PATTERN.test(entry.name)) continue;
+        if (!(await isMainDatabase(path.join(DATABASE_DIR, entry.name)))) files.push(entry.name);
+    }
+    return files.sort();
+}
+
+// --- Snapshots ---
+// Copies of a database taken with VACUUM INTO while it stays in use, kept per
+// connection as SNAPSHOT_DIR/<connection>/<id>.db with their label in <id>.json, so
+// restoring a database never loses the list. A restore swaps the database file and
+// reconnects the PrismaClient; the server's own tables (users, sessions, the query
+// library and connections) keep their current rows.
+
+const SNAPSHOT_DIR = path.resolve(process.env.SNAPSHOT_DIR || path.join(DATABASE_DIR, 'snapshots'));
+// AUTO_SNAPSHOT=1 takes a snapshot before every schema change and DELETE without WHERE
+const AUTO_SNAPSHOT = /^(1|true|yes)$/i.test(process.env.AUTO_SNAPSHOT || '');
+// Automatic snapshots kept per database; older ones are deleted
+const AUTO_SNAPSHOT_KEEP = parsePositiveInt(process.env.AUTO_SNAPSHOT_KEEP, 10, 'AUTO_SNAPSHOT_KEEP');
+const MAX_SNAPSHOT_LABEL_LENGTH = 200;
+
+// Connections being restored; requests that need them answer 503 until it is done
+const restoringConnections = new Set();
+
+/**
+ * Checks a snapshot label from a request body: text of up to
+ * MAX_SNAPSHOT_LABEL_LENGTH characters, or null/empty for none.
+ */
+function checkSnapshotLabel(label) {
+    if (label === undefined || label === null || label === '') return null;
+    if (typeof label !== 'string' || label.length > MAX_SNAPSHOT_LABEL_LENGTH) {
+        throw badRequest(`A snapshot label must be text of up to ${MAX_SNAPSHOT_LABEL_LENGTH} characters.`);
+    }
+    return label.trim() || null;
+}
+
+/**
+ * Loads a snapshot of the request's database: { id, label, automatic, createdAt,
+ * createdBy, size, file }, where `file` is its path on the server. Fails with 404.
+ */
+async function loadSnapshot(req, id) {
+    if (!/^[\w-]+$/.test(String(id))) throw httpError(404, `Snapshot not found: ${id}`);
+    const base = path.join(SNAPSHOT_DIR, req.connectionId, id);
+    try {
+        const info = JSON.parse(await fs.promises.readFile(`${base}.json`, 'utf8'));
+        const { size } = await fs.promises.stat(`${base}.db`);
+        return { id, ...info, size, file: `${base}.db` };
+    } catch (error) {
+        if (error.code === 'ENOENT') throw httpError(404, `Snapshot not found: ${id}`);
+        throw error;
+    }
+}
+
+/**
+ * The snapshots of the request's database, newest first.
+ */
+async function listSnapshots(req) {
+    const names = await fs.promises.readdir(path.join(SNAPSHOT_DIR, req.connectionId)).catch((error) => {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    });
+    const snapshots = await Promise.all(names
+        .filter(name => name.endsWith('.json'))
+        .map(name => loadSnapshot(req, name.slice(0, -'.json'.length)).catch(() => null)));
+    return snapshots.filter(Boolean).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * The fields of a snapshot the API returns, without its path on the server.
+ */
+function describeSnapshot({ file, ...snapshot }) {
+    return snapshot;
+}
+
+/**
+ * Takes a snapshot of the request's database and returns it (see loadSnapshot).
+ * Taking an automatic one deletes those beyond AUTO_SNAPSHOT_KEEP.
+ */
+async function takeSnapshot(req, { label = null, automatic = false } = {}) {
+    const createdAt = new Date().toISOString();
+    // e.g. 2026-10-19T09-09-03-538Z-k3f9, sorting by time
+    const id = `${createdAt.replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 6)}`;
+    const dir = path.join(SNAPSHOT_DIR, req.connectionId);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    await req.db.$executeRawUnsafe('VACUUM INTO ?;', path.join(dir, `${id}.db`));
+    const info = { label, automatic, createdAt, createdBy: req.user.username };
+    await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify(info, null, 2));
+
+    if (automatic) {
+        const old = (await listSnapshots(req)).filter(snapshot => snapshot.automatic).slice(AUTO_SNAPSHOT_KEEP);
+        for (const snapshot of old) await deleteSnapshot(snapshot);
+    }
+    return loadSnapshot(req, id);
+}
+
+/**
+ * Takes an automatic snapshot labelled `label` when AUTO_SNAPSHOT is on.
+ */
+async function autoSnapshot(req, label) {
+    if (AUTO_SNAPSHOT) await takeSnapshot(req, { label, automatic: true });
+}
+
+/**
+ * Deletes a snapshot's database file and label.
+ */
+async function deleteSnapshot(snapshot) {
+    await fs.promises.rm(snapshot.file, { force: true });
+    await fs.promises.rm(snapshot.file.replace(/\.db$/, '.json'), { force: true });
+}
+
+/**
+ * Replaces the request's database with a snapshot. The current state is snapshotted
+ * first, so a restore can itself be undone.
+ */
+async function restoreSnapshot(req, snapshot) {
+    const client = req.db;
+    const [{ file: target }] = (await client.$queryRawUnsafe('PRAGMA database_list;')).filter(db => db.name === 'main');
+
+    // Requests wait from here on, so no change to the server's own tables is lost
+    restoringConnections.add(req.connectionId);
+    try {
+        // Rows of the server's own tables, put back once the snapshot is in place
+        const ownTables = [USERS_TABLE, SESSIONS_TABLE, GRANTS_TABLE, HISTORY_TABLE, SAVED_QUERIES_TABLE, CONNECTIONS_TABLE];
+        const kept = await readKeptTables(client, ownTables);
+
+        // Copied next to the database first, so the swap itself is a single rename. This
+        // happens before the safety snapshot, whose pruning may delete the snapshot restored.
+        await fs.promises.copyFile(snapshot.file, `${target}.restoring`);
+        try {
+            await takeSnapshot(req, { label: `Before restoring ${snapshot.label || snapshot.id}`, automatic: true });
+        } catch (error) {
+            await fs.promises.rm(`${target}.restoring`, { force: true });
+            throw error;
+        }
+
+        await client.$disconnect();
+        await fs.promises.rename(`${target}.restoring`, target);
+        for (const suffix of ['-wal', '-shm', '-journal']) await fs.promises.rm(`${target}${suffix}`, { force: true });
+        // A connection opened while the file was copied would still read the old one
+        await client.$disconnect();
+
+        await ensureAuditLog(client);
+        if (client === prisma) {
+            await ensureAuthTables();
+            await ensureQueryLibrary();
+            await ensureConnectionsTable();
+        }
+        await client.$transaction((tx) => writeKeptTables(tx, kept), { timeout: 60000 });
+    } finally {
+        restoringConnections.delete(req.connectionId);
+    }
+}
+
+// --- Raw Statements ---
+// The query routes classify statements before running them (see lib/statements.js).
+
+// Most statements one script may hold
+const MAX_SCRIPT_STATEMENTS = 1000;
+// Rows of a query's result sent at once; the rest is fetched page by page (route 6e).
+// QUERY_ROW_LIMIT sets the default, requests may ask for up to MAX_QUERY_ROW_LIMIT.
+const QUERY_ROW_LIMIT = parsePositiveInt(process.env.QUERY_ROW_LIMIT, 500, 'QUERY_ROW_LIMIT');
+const MAX_QUERY_ROW_LIMIT = 10000;
+
+/**
+ * Compiles a statement without running it and describes what it does: its kind,
+ * the tables it reads, writes and drops and why it needs confirming, if it does.
+ * Several statements at once are refused; they can't be classified as one.
+ */
+async function inspectStatement(client, statement) {
+    if (hasSeveralStatements(statement)) throw badRequest('Send one statement at a time.');
+    const program = await client.$queryRawUnsafe(`EXPLAIN ${explainTarget(statement)}`);
+    const objects = await client.$queryRawUnsafe(
+        "SELECT tbl_name, rootpage, sql FROM sqlite_master WHERE rootpage > 0 OR sql LIKE 'CREATE VIRTUAL TABLE%';"
+    );
+    return classifyStatement(statement, program, objects);
+}
+
+/**
+ * Runs `work(tx)` in a transaction with PRAGMA query_only set, so SQLite itself
+ * refuses any write the classification missed.
+ */
+async function runReadOnly(client, work) {
+    return client.$transaction(async (tx) => {
+        await tx.$executeRawUnsafe('PRAGMA query_only = ON;');
+        try {
+            return await work(tx);
+        } finally {
+            await tx.$executeRawUnsafe('PRAGMA query_only = OFF;');
+        }
+    }, { timeout: 60000 });
+}
+
+// Thrown to roll back the transaction of a dry run
+const DRY_RUN_ROLLBACK = new Error('Dry run rolled back');
+
+/**
+ * How many rows a statement would affect: data changes are run in a transaction
+ * that is rolled back; for DROP TABLE it is the number of rows the table holds.
+ * Returns null for other statements.
+ */
+async function countAffectedRows(client, statement, inspection) {
+    if (inspection.kind === 'ddl') {
+        if (inspection.dropped.length !== 1) return null;
+        const [{ total }] = await client.$queryRawUnsafe(`SELECT COUNT(*) AS total FROM \`${inspection.dropped[0]}\`;`);
+        return Number(total);
+    }
+    if (inspection.kind !== 'dml') return null;
+
+    let count = null;
+    try {
+        await client.$transaction(async (tx) => {
+            count = await tx.$executeRawUnsafe(statement);
+            throw DRY_RUN_ROLLBACK;
+        }, { timeout: 60000 });
+    } catch (error) {
+        if (error !== DRY_RUN_ROLLBACK) throw error;
+    }
+    return count;
+}
+
+/**
+ * Column names and JSON-safe rows of a result set.
+ */
+function resultSet(rows) {
+    return { rows: rows.map(serializeRow), columns: rows.length > 0 ? Object.keys(rows[0]) : [] };
+}
+
+/**
+ * The `rowLimit` of a query request: rows per page, QUERY_ROW_LIMIT by default.
+ */
+function parseRowLimit(value) {
+    return Math.min(parsePositiveInt(value, QUERY_ROW_LIMIT, 'rowLimit'), MAX_QUERY_ROW_LIMIT);
+}
+
+/**
+ * One page of a query's rows: { rows, columns, offset, hasMore }. The query runs as a
+ * subquery with LIMIT/OFFSET, so SQLite stops once the page is read instead of
+ * building the whole result. `client` should have query_only set (see runStatement).
+ */
+async function queryPage(client, statement, offset, limit) {
+    const rows = await client.$queryRawUnsafe(pagedQuery(statement), limit + 1, offset);
+    const hasMore = rows.length > limit;
+    return { ...resultSet(hasMore ? rows.slice(0, limit) : rows), offset, hasMore };
+}
+
+/**
+ * SQLite's plan for a query (EXPLAIN QUERY PLAN) as a tree, with the full scans and
+ * sorts an index would avoid (see lib/plan.js).
+ */
+async function queryPlan(client, statement) {
+    const rows = await client.$queryRawUnsafe(`EXPLAIN QUERY PLAN ${statement}`);
+    const tableColumns = {};
+    for (const table of new Set(referencedTables(statement).values())) {
+        const columnInfo = await client.$queryRawUnsafe(`PRAGMA table_info(\`${table.replace(/`/g, '``')}\`);`);
+        // Common table expressions and subqueries have no columns here
+        if (columnInfo.length > 0) tableColumns[table.toLowerCase()] = { name: table, columns: columnInfo.map(col => col.name) };
+    }
+    return analyzePlan(rows.map(serializeRow), statement, tableColumns);
+}
+
+/**
+ * Runs one statement described by inspectStatement on `client` and returns
+ * { kind, rows, columns, durationMs } when it returns rows, else { kind, rowCount,
+ * durationMs }; `durationMs` is how long it ran, auditing included. Queries only
+ * return their first `rowLimit` rows, with { offset, hasMore } as in queryPage. With
+ * `plan`, queries also get the `plan` SQLite used for them (see queryPlan). `client` must
+ * be a transaction client for every kind but 'other' (VACUUM can't run in a
+ * transaction). Queries run with query_only set, so SQLite itself refuses any write
+ * the classification missed; data changes are audited with `audit`. The live events
+ * to send once the change is committed are added to `events`.
+ */
+async function executeStatement(client, statement, inspection, { audit, events, plan = false, rowLimit = QUERY_ROW_LIMIT }) {
+    const startedAt = performance.now();
+    const result = await runStatement(client, statement, inspection, { audit, events, rowLimit });
+    result.durationMs = Math.round((performance.now() - startedAt) * 100) / 100;
+    // EXPLAIN statements have no plan of their own
+    if (plan && inspection.kind === 'query' && inspection.verb !== 'EXPLAIN') {
+        result.plan = await queryPlan(client, statement);
+    }
+    return result;
+}
+
+// The part of executeStatement that runs the statement
+async function runStatement(client, statement, inspection, { audit, events, rowLimit }) {
+    const { kind } = inspection;
+    if (kind === 'query') {
+        await client.$executeRawUnsafe('PRAGMA query_only = ON;');
+        try {
+            // EXPLAIN can't be a subquery, and its program is short anyway
+            if (inspection.verb === 'EXPLAIN') return { kind, ...resultSet(await client.$queryRawUnsafe(statement)) };
+            return { kind, ...(await queryPage(client, statement, 0, rowLimit)) };
+        } finally {
+            await client.$executeRawUnsafe('PRAGMA query_only = OFF;');
+        }
+    }
+
+    if (kind === 'dml') {
+        // Data changes of the table the statement names are audited row by row in the same
+        // transaction. Every written table gets its own event, so each is filtered by
+        // whether the editor may read that table.
+        const rowCount = await executeAudited(client, inspection.target, statement, audit);
+        inspection.writes.forEach(table => events.push({ type: 'data', table }));
+        return { kind, rowCount };
+    }
+
+    if (kind === 'other' && inspection.returnsRows) {
+        return { kind, ...resultSet(await client.$queryRawUnsafe(statement)) };
+    }
+    const rowCount = await client.$executeRawUnsafe(statement);
+    if (kind === 'ddl') events.push({ type: 'schema', statement });
+    return { kind, rowCount };
+}
+
+/**
+ * Checks everything about a statement that must hold before it runs: the user's
+ * permissions, no transaction control (a transaction can't span requests) and a
+ * confirmation for destructive statements (409, see the query routes).
+ */
+async function checkStatement(req, statement, inspection, confirm) {
+    authorizeStatement(req.user, inspection, READ_ONLY);
+    if (inspection.kind === 'transaction') {
+        throw badRequest('Transaction statements are not supported; run the script as one transaction instead.');
+    }
+    if (inspection.destructive && !confirm) {
+        const error = httpError(409, `${inspection.destructive} Confirm to run it.`);
+        error.details = {
+            confirmation: { reason: inspection.destructive, affectedRows: await countAffectedRows(req.db, statement, inspection) },
+        };
+        throw error;
+    }
+}
+
+/**
+ * Describes what every statement of a script would do, by running it in a transaction
+ * that is rolled back, so statements see the tables earlier ones create. Returns one
+ * entry per statement with its inspection, `affectedRows` (data changes and dropped
+ * tables), `denied` (why the user may not run it) or `error`; entries stop at the
+ * first statement that fails.
+ */
+async function dryRunScript(req, statements) {
+    const entries = [];
+    try {
+        await req.db.$transaction(async (tx) => {
+            for (const statement of statements) {
+                const entry = { statement };
+                entries.push(entry);
+                try {
+                    const inspection = await inspectStatement(tx, statement);
+                    Object.assign(entry, inspection, { affectedRows: null, denied: null });
+                    try {
+                        authorizeStatement(req.user, inspection, READ_ONLY);
+                    } catch (error) {
+                        if (error.status !== 403) throw error;
+                        entry.denied = error.message;
+                        continue;
+                    }
+                    if (inspection.kind === 'ddl' && inspection.dropped.length === 1) {
+                        const [{ total }] = await tx.$queryRawUnsafe(`SELECT COUNT(*) AS total FROM \`${inspection.dropped[0]}\`;`);
+                        entry.affectedRows = Number(total);
+                    }
+                    // Only changes are run; later statements may depend on them
+                    if (inspection.kind === 'dml' || inspection.kind === 'ddl') {
+                        const rowCount = await tx.$executeRawUnsafe(statement);
+                        if (inspection.kind === 'dml') entry.affectedRows = rowCount;
+                    }
+                } catch (error) {
+                    entry.error = error.message;
+                    break;
+                }
+            }
+            throw DRY_RUN_ROLLBACK;
+        }, { timeout: 120000 });
+    } catch (error) {
+        if (error !== DRY_RUN_ROLLBACK) throw error;
+    }
+    return entries;
+}
+
+// --- Query History & Saved Queries ---
+// Every statement or script run through the query routes is recorded per user, with its
+// duration and outcome. Saved queries are named statements a user keeps; both can be
+// marked as favorites. Named parameters (:min_price) are bound when a query runs.
+
+const HISTORY_TABLE = '_ldb_query_history';
+const SAVED_QUERIES_TABLE = '_ldb_saved_queries';
+// History entries kept per user; favorites are never pruned
+const HISTORY_LIMIT = 500;
+
+async function ensureQueryLibrary() {
+    await prisma.$executeRawUnsafe(`
+        CREATE TABLE IF NOT EXISTS \`${HISTORY_TABLE}\` (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            at TEXT NOT NULL,
+            sql TEXT NOT NULL,
+            params TEXT,
+            duration_ms INTEGER NOT NULL,
+            row_count INTEGER,
+            success INTEGER NOT NULL,
+            error TEXT,
+            favorite INTEGER NOT NULL DEFAULT 0
+        );
+    `);
+    await prisma.$executeRawUnsafe(
+        `CREATE INDEX IF NOT EXISTS \`${HISTORY_TABLE}_user\` ON \`${HISTORY_TABLE}\` (user_id, id);`
+    );
+    await prisma.$executeRawUnsafe(`
+        CREATE TABLE IF NOT EXISTS \`${SAVED_QUERIES_TABLE}\` (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL COLLATE NOCASE,
+            sql TEXT NOT NULL,
+            description TEXT,
+            favorite INTEGER NOT NULL DEFAULT 0,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            UNIQUE (user_id, name)
+        );
+    `);
+}
+
+/**
+ * Binds the named parameters of a statement (see bindParameters); a missing value is
+ * the client's mistake.
+ */
+function bindStatement(statement, params) {
+    try {
+        return bindParameters(statement, params || {});
+    } catch (error) {
+        throw badRequest(error.message);
+    }
+}
+
+/**
+ * Records a run of the query routes in the user's history and prunes the oldest
+ * entries. `rowCount` is the number of rows returned or changed. A failure to record
+ * is only logged; it must not fail the query.
+ */
+async function recordHistory(req, { sql, params, startedAt, rowCount = null, error = null }) {
+    try {
+        await prisma.$executeRawUnsafe(
+            `INSERT INTO \`${HISTORY_TABLE}\` (user_id, at, sql, params, duration_ms, row_count, success, error)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?);`,
+            req.user.id, new Date(startedAt).toISOString(), String(sql),
+            params && Object.keys(params).length > 0 ? JSON.stringify(params) : null,
+            Date.now() - startedAt, rowCount, error ? 0 : 1, error ? error.message : null
+        );
+        await prisma.$executeRawUnsafe(
+            `DELETE FROM \`${HISTORY_TABLE}\` WHERE user_id = ? AND favorite = 0 AND id NOT IN (
+                SELECT id FROM \`${HISTORY_TABLE}\` WHERE user_id = ? ORDER BY id DESC LIMIT ?
+            );`,
+            req.user.id, req.user.id, HISTORY_LIMIT
+        );
+    } catch (historyError) {
+        console.error('Could not record the query history:', historyError);
+    }
+}
+
+/**
+ * Rows returned or changed by the results of the query routes.
+ */
+function resultRowCount(results) {
+    return results.reduce((total, result) => total + (result.rows ? result.rows.length : Number(result.rowCount) || 0), 0);
+}
+
+function historyEntryFromRow(row) {
+    return {
+        id: Number(row.id),
+        at: row.at,
+        sql: row.sql,
+        params: row.params ? JSON.parse(row.params) : null,
+        durationMs: Number(row.duration_ms),
+        rowCount: row.row_count === null ? null : Number(row.row_count),
+        success: Number(row.success) === 1,
+        error: row.error,
+        favorite: Number(row.favorite) === 1,
+    };
+}
+
+function savedQueryFromRow(row) {
+    return {
+        id: Number(row.id),
+        name: row.name,
+        sql: row.sql,
+        description: row.description,
+        parameters: queryParameters(row.sql),
+        favorite: Number(row.favorite) === 1,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+/**
+ * Loads one of the user's saved queries, or fails with 404.
+ */
+async function loadSavedQuery(req, id) {
+    const [row] = await prisma.$queryRawUnsafe(
+        `SELECT * FROM \`${SAVED_QUERIES_TABLE}\` WHERE id = ? AND user_id = ?;`, id, req.user.id
+    );
+    if (!row) throw httpError(404, `Saved query not found: ${id}`);
+    return row;
+}
+
+/**
+ * Checks the fields of a saved query; `partial` allows leaving fields out (updates).
+ */
+function checkSavedQuery(body, partial = false) {
+    const { name, sql, description } = body || {};
+    if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+        throw badRequest('A saved query needs a name.');
+    }
+    if ((!partial || sql !== undefined) && (typeof sql !== 'string' || !sql.trim())) {
+        throw badRequest('A saved query needs SQL.');
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        throw badRequest('The description must be text.');
+    }
+}
+
+// --- Export ---
+
+// Rows fetched per query while streaming an export
+const EXPORT_BATCH_SIZE = 1000;
+
+/**
+ * Streams rows to the response in the requested format. `fetchBatch(limit, offset)`
+ * returns the next rows; `columns` may be null to take them from the first batch.
+ * Stops early if the client goes away.
+ */
+async function streamExport(req, res, { format, fileName, tableName, columns, fetchBatch }) {
+    let closed = false;
+    req.on('close', () => { closed = true; });
+
+    let offset = 0;
+    let batch = await fetchBatch(EXPORT_BATCH_SIZE, offset);
+    const exportColumns = columns || (batch.length > 0 ? Object.keys(batch[0]) : []);
+    const writer = createExportWriter(format, exportColumns, tableName);
+
+    res.set('Content-Type', writer.contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}.${writer.extension}"`);
+    res.write(writer.start());
+
+    let isFirstBatch = true;
+    while (batch.length > 0 && !closed) {
+        res.write(writer.rows(batch, isFirstBatch));
+        isFirstBatch = false;
+        if (batch.length < EXPORT_BATCH_SIZE) break;
+        offset += batch.length;
+        batch = await fetchBatch(EXPORT_BATCH_SIZE, offset);
+    }
+    res.end(writer.end());
+}
+
+// --- Import ---
+
+/**
+ * Writes imported rows in chunks of multi-row INSERTs inside the caller's transaction.
+ * Every chunk runs under a savepoint; when one fails, its rows are retried one by
+ * one so the report can name each failing row. `rows` are arrays of values in the
+ * order of `columns`, already coerced. Returns { imported, errors: [{ index, error }] }.
+ */
+async function importRows(tx, tableName, columns, rows, conflictKey) {
+    const errors = [];
+    let imported = 0;
+    const chunkSize = rowsPerStatement(columns.length);
+
+    const attempt = async (chunk) => {
+        await tx.$executeRawUnsafe('SAVEPOINT ldb_import;');
+        try {
+            await tx.$executeRawUnsafe(
+                buildImportStatement(tableName, columns, chunk.length, conflictKey),
+                ...chunk.flatMap(({ values }) => values)
+            );
+            await tx.$executeRawUnsafe('RELEASE SAVEPOINT ldb_import;');
+            imported += chunk.length;
+            return true;
+        } catch (error) {
+            await tx.$executeRawUnsafe('ROLLBACK TO SAVEPOINT ldb_import;');
+            await tx.$executeRawUnsafe('RELEASE SAVEPOINT ldb_import;');
+            if (chunk.length === 1) errors.push({ index: chunk[0].index, error: error.message });
+            return false;
+        }
+    };
+
+    for (let start = 0; start < rows.length; start += chunkSize) {
+        const chunk = rows.slice(start, start + chunkSize);
+        if (await attempt(chunk) || chunk.length === 1) continue;
+        for (const row of chunk) await attempt([row]);
+    }
+    return { imported, errors };
+}
+
+// --- Schema Introspection ---
+
+/**
+ * Reads a table's foreign keys from PRAGMA foreign_key_list, which returns one row per
+ * column pair, grouped into { id, from: [col], table, to: [col], onUpdate, onDelete }.
+ * `to` is empty when the constraint points at the referenced table's primary key.
+ */
+async function readForeignKeys(client, tableName) {
+    const fkRows = await client.$queryRawUnsafe(`PRAGMA foreign_key_list(\`${tableName}\`);`);
+    const foreignKeys = [];
+    for (const row of fkRows.sort((a, b) => Number(a.id) - Number(b.id) || Number(a.seq) - Number(b.seq))) {
+        let fk = foreignKeys.find(existing => existing.id === Number(row.id));
+        if (!fk) {
+            fk = { id: Number(row.id), from: [], table: row.table, to: [], onUpdate: row.on_update, onDelete: row.on_delete };
+            foreignKeys.push(fk);
+        }
+        fk.from.push(row.from);
+        if (row.to) fk.to.push(row.to);
     }
-    return tableName;
+    return foreignKeys;
 }
 
-/**
- * Validates and sanitizes a column name.
- */
-function sanitizeColumnName(columnName) {
-    if (!/^[a-zA-Z0-9_]+$/.test(columnName)) {
-        throw new Error(`Invalid column name: ${columnName}`);
+/**
+ * Names of the user tables, leaving out SQLite's, Prisma's and this server's own
+ * (prefixed _ldb_, like the audit log).
+ */
+async function listTableNames(client) {
+    const tables = await client.$queryRawUnsafe(`
+        SELECT name
+        FROM sqlite_master
+        WHERE type = 'table'
+          AND name NOT LIKE 'sqlite_%'
+          AND name NOT LIKE '_prisma_migrations'
+          AND name NOT LIKE '\\_ldb\\_%' ESCAPE '\\';
+    `);
+    return tables.map(t => t.name);
+}
+
+/**
+ * Relations of a table for the grid: the foreign keys it declares (with implicit
+ * targets resolved to the referenced primary key) and the foreign keys in other
+ * tables that point at it.
+ */
+async function describeRelations(client, tableName) {
+    const resolveTargets = async (fk) => ({
+        from: fk.from,
+        table: fk.table,
+        to: fk.to.length > 0 ? fk.to : await getPrimaryKey(fk.table, client).catch(() => []),
+    });
+
+    const foreignKeys = await Promise.all((await readForeignKeys(client, tableName)).map(resolveTargets));
+
+    const referencedBy = [];
+    for (const otherTable of await listTableNames(client)) {
+        for (const fk of await readForeignKeys(client, otherTable)) {
+            // SQLite matches table names case-insensitively
+            if (fk.table.toLowerCase() === tableName.toLowerCase()) {
+                referencedBy.push({ ...(await resolveTargets(fk)), table: otherTable });
+            }
+        }
+    }
+    return { foreignKeys, referencedBy };
+}
+
+// Column names preferred as the human-readable label of a referenced row
+const LABEL_COLUMN = /^(name|title|label|display_?name|full_?name|username|email|code|slug)$/i;
+
+/**
+ * Picks the column that best describes a row of a table to people: a column with a
+ * typical label name, else the first text column that is not the key, else none.
+ */
+function labelColumnFor(columnInfo, keyColumn) {
+    const candidates = columnInfo.filter(col => col.name !== keyColumn);
+    const named = candidates.find(col => LABEL_COLUMN.test(col.name));
+    if (named) return named.name;
+    const text = candidates.find(col => /CHAR|CLOB|TEXT/i.test(col.type));
+    return text ? text.name : null;
+}
+
+/**
+ * Reads everything the schema designer needs to know about a table: columns with
+ * their constraints, indexes, foreign keys and trigger definitions.
+ */
+async function describeTable(client, tableName) {
+    const columnInfo = await client.$queryRawUnsafe(`PRAGMA table_info(\`${tableName}\`);`);
+    if (columnInfo.length === 0) throw httpError(404, `Table not found: ${tableName}`);
+
+    const [{ sql: tableSql }] = await client.$queryRawUnsafe(
+        `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?;`, tableName
+    );
+    const indexSql = await client.$queryRawUnsafe(
+        `SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ?;`, tableName
+    );
+    const triggers = await client.$queryRawUnsafe(
+        `SELECT sql FROM sqlite_master WHERE type = 'trigger' AND tbl_name = ?;`, tableName
+    );
+
+    // Indexes, including the automatic ones behind UNIQUE and PRIMARY KEY constraints
+    const indexList = await client.$queryRawUnsafe(`PRAGMA index_list(\`${tableName}\`);`);
+    const indexes = [];
+    for (const index of indexList) {
+        const indexColumns = await client.$queryRawUnsafe(`PRAGMA index_info(\`${index.name}\`);`);
+        const definition = indexSql.find(row => row.name === index.name);
+        indexes.push({
+            name: index.name,
+            unique: Number(index.unique) === 1,
+            origin: index.origin, // 'c' = CREATE INDEX, 'u' = UNIQUE constraint, 'pk' = PRIMARY KEY
+            partial: Number(index.partial) === 1,
+            columns: indexColumns
+                .sort((a, b) => Number(a.seqno) - Number(b.seqno))
+                .map(col => col.name), // null for expression columns
+            sql: definition ? definition.sql : null,
+        });
+    }
+
+    const foreignKeys = await readForeignKeys(client, tableName);
+
+    const primaryKey = primaryKeyFromColumnInfo(columnInfo);
+    const hasAutoIncrement = /AUTOINCREMENT/i.test(tableSql || '');
+    const columns = columnInfo.map(col => {
+        const uniqueIndex = indexes.find(index => index.unique && index.origin !== 'pk' && index.columns.length === 1 && index.columns[0] === col.name);
+        const isKey = Number(col.pk) > 0;
+        return {
+            name: col.name,
+            type: col.type,
+            notNull: Number(col.notnull) === 1,
+            defaultValue: col.dflt_value,
+            primaryKey: isKey,
+            autoIncrement: isKey && primaryKey.length === 1 && hasAutoIncrement,
+            unique: Boolean(uniqueIndex),
+            uniqueOrigin: uniqueIndex ? uniqueIndex.origin : null,
+            uniqueIndex: uniqueIndex && uniqueIndex.origin === 'c' ? uniqueIndex.name : null,
+        };
+    });
+
+    return {
+        name: tableName,
+        sql: tableSql,
+        columns,
+        primaryKey,
+        indexes,
+        foreignKeys,
+        triggers: triggers.map(trigger => trigger.sql),
+    };
+}
+
+/**
+ * Runs a schema plan from lib/ddl.js inside one transaction. Table rebuilds need
+ * foreign key enforcement off (otherwise dropping the old table would cascade into
+ * child tables) and legacy_alter_table on while the table is rebuilt; they are checked
+ * with foreign_key_check before they commit.
+ */
+async function applySchemaPlan(client, plan) {
+    if (plan.mode !== 'rebuild') {
+        await client.$transaction(async (tx) => {
+            for (const statement of plan.statements) await tx.$executeRawUnsafe(statement);
+        });
+        return;
+    }
+
+    // PRAGMA foreign_keys is a no-op inside a transaction, so switch it off first
+    await client.$executeRawUnsafe('PRAGMA foreign_keys = OFF;');
+    try {
+        await client.$transaction(async (tx) => {
+            const [{ foreign_keys: enforced }] = await tx.$queryRawUnsafe('PRAGMA foreign_keys;');
+            if (Number(enforced) === 1) {
+                throw httpError(500, 'Could not switch off foreign key enforcement for the table rebuild.');
+            }
+            // Pragmas aren't rolled back, so legacy_alter_table is switched back off either way
+            await tx.$executeRawUnsafe('PRAGMA legacy_alter_table = ON;');
+            try {
+                for (const statement of plan.statements.slice(0, plan.rebuildStatements)) {
+                    await tx.$executeRawUnsafe(statement);
+                }
+            } finally {
+                await tx.$executeRawUnsafe('PRAGMA legacy_alter_table = OFF;');
+            }
+            for (const statement of plan.statements.slice(plan.rebuildStatements)) await tx.$executeRawUnsafe(statement);
+
+            const violations = await tx.$queryRawUnsafe(`PRAGMA foreign_key_check(\`${plan.tableName}\`);`);
+            if (violations.length > 0) {
+                throw httpError(409, `The new definition breaks ${violations.length} foreign key reference(s), e.g. to ${violations[0].parent}.`);
+            }
+        }, { timeout: 60000 });
+    } finally {
+        await client.$executeRawUnsafe('PRAGMA foreign_keys = ON;');
+    }
+}
+
+// --- Schema Drift ---
+// Tables created through /api/query drift away from prisma/schema.prisma and the
+// migrations. The live schema is compared with either of them (see lib/schemaDiff.js):
+// the schema file is parsed, the migrations are replayed into a scratch database.
+
+const PRISMA_DIR = path.join(__dirname, 'prisma');
+const SCHEMA_REFERENCES = ['prisma', 'migrations'];
+
+/**
+ * Describes every user table of a database (see describeTable).
+ */
+async function describeDatabase(client) {
+    const tables = [];
+    for (const tableName of (await listTableNames(client)).sort()) tables.push(await describeTable(client, tableName));
+    return tables;
+}
+
+/**
+ * The migration folders in prisma/migrations, oldest first.
+ */
+async function listMigrations() {
+    const entries = await fs.promises.readdir(path.join(PRISMA_DIR, 'migrations'), { withFileTypes: true }).catch((error) => {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    });
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+}
+
+/**
+ * The reference schema to compare with: { source, tables }. 'prisma' parses
+ * schema.prisma; 'migrations' runs every migration into an empty scratch database and
+ * describes what they built.
+ */
+async function loadReferenceSchema(against) {
+    if (against === 'prisma') {
+        const text = await fs.promises.readFile(path.join(PRISMA_DIR, 'schema.prisma'), 'utf8');
+        return { source: 'prisma/schema.prisma', tables: parsePrismaSchema(text) };
+    }
+
+    const migrations = await listMigrations();
+    if (migrations.length === 0) return { source: 'prisma/migrations (none)', tables: [] };
+    const scratchFile = path.join(os.tmpdir(), `ldb-migrations-${process.pid}-${Date.now()}.db`);
+    const scratch = new PrismaClient({ datasourceUrl: `file:${scratchFile}` });
+    try {
+        for (const migration of migrations) {
+            const sql = await fs.promises.readFile(path.join(PRISMA_DIR, 'migrations', migration, 'migration.sql'), 'utf8').catch(() => '');
+            for (const statement of splitStatements(sql)) {
+                try {
+                    await scratch.$executeRawUnsafe(statement);
+                } catch (error) {
+                    throw httpError(422, `Migration ${migration} failed: ${error.message}`);
+                }
+            }
+        }
+        return { source: `prisma/migrations/${migrations[migrations.length - 1]}`, tables: await describeDatabase(scratch) };
+    } finally {
+        await scratch.$disconnect();
+        for (const suffix of ['', '-journal', '-wal', '-shm']) await fs.promises.rm(`${scratchFile}${suffix}`, { force: true });
+    }
+}
+
+/**
+ * Compares the request's database with a reference schema: { against, source, tables,
+ * unchanged, prisma, migration, warnings }. `prisma` holds models for the tables the
+ * live database added or changed, `migration` the SQL that takes the reference there.
+ */
+async function schemaDrift(req, against) {
+    if (!SCHEMA_REFERENCES.includes(against)) {
+        throw badRequest(`Compare against one of: ${SCHEMA_REFERENCES.join(', ')}.`);
+    }
+    const [live, reference] = await Promise.all([describeDatabase(req.db), loadReferenceSchema(against)]);
+    const diff = diffSchemas(live, reference.tables);
+    const { sql, warnings } = migrationSql(diff, live, reference.tables);
+
+    const models = diff.tables.map(change => (change.status === 'removed'
+        ? `// ${change.name} is no longer in the database: remove its model`
+        : prismaModel(live.find(table => table.name === change.name))));
+    return { against, source: reference.source, ...diff, prisma: models.join('\n\n'), migration: sql, warnings };
+}
+
+// --- Full-Text Search ---
+// Searches every text column of the tables a user may read. Without an index, each
+// search scans them with LIKE. An admin can build an FTS5 index instead (SEARCH_TABLE,
+// one entry per row holding its text columns), which later searches use. The index
+// follows the changes the server broadcasts: changed rows, and whole tables changed
+// by raw SQL, imports or schema changes, are re-indexed right before the next search.
+
+const SEARCH_TABLE = '_ldb_search';
+// Matching rows returned per table by default, and at most
+const SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 100;
+const MAX_SEARCH_LENGTH = 200;
+// Changed rows of one table above which the whole table is re-indexed instead
+const SEARCH_REINDEX_ROWS = 200;
+
+// Changes not in a database's index yet, per connection: { all, tables: Set, rows:
+// Map(table -> Map(key JSON -> key)) }. Without an entry everything is re-indexed,
+// since the database may have changed while the server wasn't running.
+const searchBacklogs = new Map();
+
+/**
+ * Remembers what a broadcast event changed, for the next search to re-index.
+ */
+function noteSearchChange(connectionId, event) {
+    const backlog = searchBacklogs.get(connectionId);
+    if (!backlog || backlog.all) return;
+    if (event.type === 'schema' || !event.table) {
+        backlog.all = true;
+    } else if (event.type === 'data') {
+        backlog.tables.add(event.table);
+    } else if (event.type === 'row') {
+        if (!backlog.rows.has(event.table)) backlog.rows.set(event.table, new Map());
+        backlog.rows.get(event.table).set(JSON.stringify(event.key), event.key);
+    }
+}
+
+/**
+ * True when the database has a search index.
+ */
+async function hasSearchIndex(client) {
+    const rows = await client.$queryRawUnsafe("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?;", SEARCH_TABLE);
+    return rows.length > 0;
+}
+
+/**
+ * Replaces the index entries of a table, or of the rows with the given `keys` only.
+ * Row keys are stored as SQLite's json_array of the key values.
+ */
+async function indexTable(client, tableName, keys = null) {
+    if (!(await listTableNames(client)).includes(tableName)) {
+        // A dropped table only leaves its entries to delete
+        await client.$executeRawUnsafe(`DELETE FROM \`${SEARCH_TABLE}\` WHERE tbl = ?;`, tableName);
+        return;
+    }
+    const { columns, primaryKey } = await getTableColumns(client, tableName);
+    const textColumns = columns.filter(col => !col.virtual && isTextColumn(col.type));
+    const rowKey = `json_array(${primaryKey.map(quoteColumn).join(', ')})`;
+    const content = textColumns.length > 0
+        ? `rtrim(${textColumns.map(col => `COALESCE(CAST(${quoteColumn(col.field)} AS TEXT) || char(10), '')`).join(' || ')}, char(10))`
+        : "''";
+    const insert = `INSERT INTO \`${SEARCH_TABLE}\` (tbl, rowkey, content)
+        SELECT ?, rowkey, content FROM (SELECT ${rowKey} AS rowkey, ${content} AS content FROM \`${tableName}\``;
+
+    if (!keys) {
+        await client.$executeRawUnsafe(`DELETE FROM \`${SEARCH_TABLE}\` WHERE tbl = ?;`, tableName);
+        await client.$executeRawUnsafe(`${insert}) WHERE content <> '';`, tableName);
+        return;
+    }
+    // Key values are compared one by one, so 3 and 3.0 are the same key
+    const entryKey = primaryKey.map((col, i) => `json_extract(rowkey, '$[${i}]') = ?`).join(' AND ');
+    for (const key of keys) {
+        await client.$executeRawUnsafe(`DELETE FROM \`${SEARCH_TABLE}\` WHERE tbl = ? AND ${entryKey};`, tableName, ...key);
+        await client.$executeRawUnsafe(`${insert} WHERE ${keyCondition(primaryKey)}) WHERE content <> '';`, tableName, ...key);
+    }
+}
+
+/**
+ * Brings the request's search index up to date with the changes noted since the last
+ * search. If that fails, the next search re-indexes everything.
+ */
+async function syncSearchIndex(req) {
+    const backlog = searchBacklogs.get(req.connectionId) || { all: true, tables: new Set(), rows: new Map() };
+    // Changes made while this runs are noted for the next search
+    searchBacklogs.set(req.connectionId, { all: false, tables: new Set(), rows: new Map() });
+    try {
+        await req.db.$transaction(async (tx) => {
+            if (backlog.all) {
+                await tx.$executeRawUnsafe(`DELETE FROM \`${SEARCH_TABLE}\`;`);
+                for (const tableName of await listTableNames(tx)) await indexTable(tx, tableName);
+                return;
+            }
+            for (const tableName of backlog.tables) await indexTable(tx, tableName);
+            for (const [tableName, keys] of backlog.rows) {
+                if (backlog.tables.has(tableName)) continue;
+                await indexTable(tx, tableName, keys.size > SEARCH_REINDEX_ROWS ? null : [...keys.values()]);
+            }
+        }, { timeout: 300000 });
+    } catch (error) {
+        searchBacklogs.delete(req.connectionId);
+        throw error;
+    }
+}
+
+/**
+ * The index status of the request's database: { indexed, entries }.
+ */
+async function searchIndexStatus(req) {
+    if (!(await hasSearchIndex(req.db))) return { indexed: false, entries: 0 };
+    const [{ entries }] = await req.db.$queryRawUnsafe(`SELECT COUNT(*) AS entries FROM \`${SEARCH_TABLE}\`;`);
+    return { indexed: true, entries: Number(entries) };
+}
+
+/**
+ * The rows of one table matching a search: { table, primaryKey, total, rows: [{ key,
+ * matches: [{ column, parts }] }] }, or null without any. `parts` is the highlighted
+ * snippet of a matching value (see highlight in lib/search.js). The index matches
+ * every word as a word prefix, a scan the whole text anywhere in a value.
+ */
+async function searchTable(client, tableName, text, { limit, indexed }) {
+    const { columns, primaryKey } = await getTableColumns(client, tableName);
+    const textColumns = columns.filter(col => !col.virtual && isTextColumn(col.type));
+    if (textColumns.length === 0) return null;
+
+    let total;
+    let rows;
+    if (indexed) {
+        const match = ftsQuery(text);
+        [{ total }] = await client.$queryRawUnsafe(
+            `SELECT COUNT(*) AS total FROM \`${SEARCH_TABLE}\` WHERE \`${SEARCH_TABLE}\` MATCH ? AND tbl = ?;`, match, tableName
+        );
+        const entries = await client.$queryRawUnsafe(
+            `SELECT rowkey FROM \`${SEARCH_TABLE}\` WHERE \`${SEARCH_TABLE}\` MATCH ? AND tbl = ? ORDER BY rank LIMIT ?;`, match, tableName, limit
+        );
+        rows = [];
+        for (const { rowkey } of entries) {
+            rows.push(...await client.$queryRawUnsafe(
+                `SELECT ${rowSelectList(primaryKey)} FROM \`${tableName}\` WHERE ${keyCondition(primaryKey)};`, ...JSON.parse(rowkey)
+            ));
+        }
+    } else {
+        const where = ` WHERE ${textColumns.map(col => `CAST(${quoteColumn(col.field)} AS TEXT) LIKE ? ESCAPE '\\'`).join(' OR ')}`;
+        const params = textColumns.map(() => likePattern(text));
+        [{ total }] = await client.$queryRawUnsafe(`SELECT COUNT(*) AS total FROM \`${tableName}\`${where};`, ...params);
+        rows = await client.$queryRawUnsafe(
+            `SELECT ${rowSelectList(primaryKey)} FROM \`${tableName}\`${where} ORDER BY ${primaryKey.map(quoteColumn).join(', ')} LIMIT ?;`,
+            ...params, limit
+        );
+    }
+    if (Number(total) === 0) return null;
+
+    const terms = indexed ? searchWords(text) : [text];
+    return {
+        table: tableName,
+        primaryKey,
+        total: Number(total),
+        rows: rows.map(serializeRow).map(row => ({
+            key: primaryKey.map(col => row[col]),
+            matches: textColumns
+                .map(col => ({ column: col.field, parts: highlight(row[col.field], terms) }))
+                .filter(match => match.parts),
+        })),
+    };
+}
+
+// ------------------------------------
+// --- REST API Endpoints ---
+// ------------------------------------
+
+// 0. Live change feed (Server-Sent Events)
+// Events are JSON objects with a `type`:
+//   row    - { table, action: 'insert' | 'update' | 'delete', key, row? } from the grid routes
+//   data   - { table } rows changed through /api/query (table is null if unknown)
+//   schema - { statement } tables were created, altered or dropped (statement is null
+//            when a snapshot was restored)
+// Row and data events only go to users who may read the table.
+app.get('/api/events', (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+    res.write(': connected\n\n');
+    const client = { res, user: req.user, connectionId: req.connectionId };
+    eventClients.add(client);
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        eventClients.delete(client);
+    });
+});
+
+// 1. Fetch table list dynamically from the database
+app.get('/api/tables', async (req, res) => {
+    try {
+        // Query sqlite_master for the user-defined tables the user may read
+        const tables = await listTableNames(req.db);
+        res.json(tables.filter(table => hasLevel(tableLevel(req.user, table), 'read')));
+    } catch (error) {
+        console.error('Error fetching dynamic table list:', error);
+        res.status(500).json({ error: 'Failed to fetch table list dynamically.' });
+    }
+});
+
+// 2. Fetch a page of table rows with sorting and filtering (FULL RAW SQL)
+// Query parameters:
+//   page, limit       - 1-based page number and page size (offset pagination)
+//   after             - keyset cursor: the last primary key value of the previous page
+//   sort, order       - column to ORDER BY and 'asc' | 'desc'
+//   filter            - JSON array of { field, op, value } (see FILTER_OPERATORS)
+// The total number of matching rows is returned in the X-Total-Count header.
+app.get('/api/data/:tableName', async (req, res) => {
+    const tableName = req.params.tableName;
+    
+    try {
+        sanitizeTableName(tableName); // Use the format check
+        authorize(req, tableName, 'read');
+
+        // 1. Fetch Columns (Schema Information) and relations using SQLite PRAGMA
+        const { columns, primaryKey } = await getTableColumns(req.db, tableName);
+        const { foreignKeys, referencedBy } = await describeRelations(req.db, tableName);
+        // Single-column foreign keys are edited with a lookup of the referenced rows
+        for (const fk of foreignKeys) {
+            const column = fk.from.length === 1 && fk.to.length === 1 && columns.find(col => col.field === fk.from[0]);
+            if (column) column.references = { table: fk.table, column: fk.to[0] };
+        }
+
+        // 2. Parse paging, sorting and filtering options
+        const limit = Math.min(parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE, 'limit'), MAX_PAGE_SIZE);
+        const page = parsePositiveInt(req.query.page, 1, 'page');
+        const { where, params, sort, order, orderBy } = parseTableView(req.query, columns, primaryKey);
+
+        // Keyset pagination needs a single-column key to order and compare on
+        const keyColumn = primaryKey.length === 1 ? columns.find(col => col.field === primaryKey[0]) : null;
+
+        // 3. Count every matching row for the pager
+        const [{ total }] = await req.db.$queryRawUnsafe(
+            `SELECT COUNT(*) AS total FROM \`${tableName}\`${where};`, ...params
+        );
+
+        // 4. Fetch Data (Rows) for the requested page
+        let sql = `SELECT ${rowSelectList(primaryKey)} FROM \`${tableName}\`${where}`;
+        const pageParams = [...params];
+        const usesCursor = req.query.after !== undefined;
+        if (usesCursor) {
+            // Keyset pagination only works when rows are ordered by the primary key
+            if (!keyColumn || sort !== keyColumn.field) {
+                throw badRequest('The after cursor can only be used when sorting by the primary key.');
+            }
+            sql += `${where ? ' AND' : ' WHERE'} ${quoteColumn(keyColumn.field)} ${order === 'asc' ? '>' : '<'} ?`;
+            pageParams.push(req.query.after);
+        }
+        sql += `${orderBy} LIMIT ? OFFSET ?;`;
+        pageParams.push(limit, usesCursor ? 0 : (page - 1) * limit);
+
+        const data = await req.db.$queryRawUnsafe(sql, ...pageParams);
+        const processedData = data.map(serializeRow);
+
+        // Hand out the cursor for the next page when keyset pagination is possible
+        const lastRow = processedData[processedData.length - 1];
+        const nextCursor = keyColumn && sort === keyColumn.field && lastRow && processedData.length === limit
+            ? lastRow[keyColumn.field]
+            : null;
+
+        res.set('X-Total-Count', String(total));
+        res.json({
+            columns, primaryKey, foreignKeys, referencedBy,
+            data: processedData, page: usesCursor ? null : page, limit, nextCursor,
+        });
+    } catch (error) {
+        console.error(`Error fetching dynamic table data for ${tableName}:`, error);
+        res.status(error.status || 500).json({ error: `Failed to fetch data for table ${tableName}. Error: ${error.message}` });
+    }
+});
+
+// 2b. Look up rows of a referenced table for foreign key dropdowns and labels
+// Query parameters:
+//   column  - the referenced column whose values are offered (default: the primary key)
+//   q       - text to search for in the value and the label column
+//   values  - JSON array of values to fetch labels for, instead of searching
+//   limit   - maximum number of options (default 20)
+// Returns { column, labelColumn, options: [{ value, label }] }.
+app.get('/api/lookup/:tableName', async (req, res) => {
+    try {
+        const tableName = sanitizeTableName(req.params.tableName);
+        authorize(req, tableName, 'read');
+        const columnInfo = await req.db.$queryRawUnsafe(`PRAGMA table_info(\`${tableName}\`);`);
+        if (columnInfo.length === 0) throw badRequest(`Table not found: ${tableName}`);
+
+        const column = req.query.column || primaryKeyFromColumnInfo(columnInfo)[0];
+        if (column !== 'rowid' && !columnInfo.some(col => col.name === column)) {
+            throw badRequest(`Unknown column: ${column}`);
+        }
+        const labelColumn = labelColumnFor(columnInfo, column);
+        const limit = Math.min(parsePositiveInt(req.query.limit, 20, 'limit'), MAX_PAGE_SIZE);
+        const valueSql = quoteColumn(column);
+        const labelSql = labelColumn ? quoteColumn(labelColumn) : 'NULL';
+
+        let where = '';
+        let params = [];
+        if (req.query.values !== undefined) {
+            let values;
+            try {
+                values = JSON.parse(req.query.values);
+            } catch {
+                throw badRequest('The values parameter must be a JSON array.');
+            }
+            if (!Array.isArray(values)) throw badRequest('The values parameter must be a JSON array.');
+            if (values.length === 0) return res.json({ column, labelColumn, options: [] });
+            where = ` WHERE ${valueSql} IN (${values.map(() => '?').join(', ')})`;
+            params = values;
+        } else if (req.query.q) {
+            const searchable = labelColumn ? ` OR CAST(${labelSql} AS TEXT) LIKE ? ESCAPE '\\'` : '';
+            where = ` WHERE CAST(${valueSql} AS TEXT) LIKE ? ESCAPE '\\'${searchable}`;
+            params = labelColumn ? [likePattern(req.query.q), likePattern(req.query.q)] : [likePattern(req.query.q)];
+        }
+
+        const rows = await req.db.$queryRawUnsafe(
+            `SELECT ${valueSql} AS value, ${labelSql} AS label FROM \`${tableName}\`${where} ORDER BY ${labelColumn ? labelSql : valueSql} LIMIT ?;`,
+            ...params, req.query.values !== undefined ? params.length : limit
+        );
+        res.json({ column, labelColumn, options: rows.map(serializeRow) });
+    } catch (error) {
+        console.error(`Error looking up rows of ${req.params.tableName}:`, error);
+        res.status(error.status || 500).json({ error: 'Failed to look up rows: ' + error.message });
+    }
+});
+
+// 3. Insert new row (FULL RAW SQL)
+app.post('/api/data/:tableName', async (req, res) => {
+    try {
+        const tableName = sanitizeTableName(req.params.tableName);
+        authorize(req, tableName, 'write');
+        const primaryKey = await getPrimaryKey(tableName, req.db);
+        const audit = auditContext(req, 'grid');
+        const createdRow = await req.db.$transaction(
+            (tx) => insertRow(tx, tableName, primaryKey, req.body, audit)
+        );
+        broadcast(req, { type: 'row', table: tableName, action: 'insert', key: primaryKey.map(col => createdRow[col]), row: createdRow });
+        setAuditHeader(res, audit);
+        res.status(201).json(createdRow);
+    } catch (error) {
+        console.error('Error inserting row:', error);
+        res.status(error.status || 500).json({ error: 'Failed to insert row: ' + error.message });
+    }
+});
+
+// 3b. Apply a batch of inserts, updates and deletes in ONE transaction
+// Body: { inserts: [row], updates: [{ key: [values], changes: { col: value }, expected? }], deletes: [[values]] }
+// Deletes run first, then updates, then inserts. Any failure rolls the whole batch back
+// and the response names the operation that failed (409 with conflicts for stale updates).
+app.post('/api/data/:tableName/batch', async (req, res) => {
+    const { inserts = [], updates = [], deletes = [] } = req.body || {};
+    let current = null; // The operation being applied, reported if it fails
+
+    try {
+        const tableName = sanitizeTableName(req.params.tableName);
+        authorize(req, tableName, 'write');
+        const primaryKey = await getPrimaryKey(tableName, req.db);
+        if (![inserts, updates, deletes].every(Array.isArray)) {
+            throw badRequest('inserts, updates and deletes must be arrays.');
+        }
+
+        const audit = auditContext(req, 'batch');
+        const result = await req.db.$transaction(async (tx) => {
+            for (const [index, key] of deletes.entries()) {
+                current = { type: 'delete', index };
+                await deleteRow(tx, tableName, primaryKey, checkRowKey(key, primaryKey), audit);
+            }
+            const updated = [];
+            for (const [index, { key, changes, expected }] of updates.entries()) {
+                current = { type: 'update', index };
+                updated.push(await updateRow(tx, tableName, primaryKey, checkRowKey(key, primaryKey), changes, expected, audit));
+            }
+            const inserted = [];
+            for (const [index, row] of inserts.entries()) {
+                current = { type: 'insert', index };
+                inserted.push(await insertRow(tx, tableName, primaryKey, row, audit));
+            }
+            current = null;
+            return { inserted, updated, deleted: deletes.length };
+        }, { timeout: 30000 });
+
+        // Announce the batch only once it is committed
+        const keyOf = (row) => primaryKey.map(col => row[col]);
+        deletes.forEach(key => broadcast(req, { type: 'row', table: tableName, action: 'delete', key: checkRowKey(key, primaryKey) }));
+        result.updated.forEach(row => broadcast(req, { type: 'row', table: tableName, action: 'update', key: keyOf(row), row }));
+        result.inserted.forEach(row => broadcast(req, { type: 'row', table: tableName, action: 'insert', key: keyOf(row), row }));
+
+        setAuditHeader(res, audit);
+        res.json(result);
+    } catch (error) {
+        console.error('Error applying batch, rolled back:', error);
+        res.status(error.status || 500).json({
+            error: 'Batch rolled back: ' + error.message,
+            operation: current,
+            ...error.details,
+        });
+    }
+});
+
+// 4. Update specific cells by primary key (FULL RAW SQL)
+// :id is a URL-encoded JSON array of key values, in primary key order.
+// Body is either { col: value } or { changes: { col: value }, expected: { col: lastSeenValue } };
+// with `expected`, a stale write is rejected with 409 and the conflicting columns.
+app.put('/api/data/:tableName/:id', async (req, res) => {
+    try {
+        const tableName = sanitizeTableName(req.params.tableName);
+        authorize(req, tableName, 'write');
+        const primaryKey = await getPrimaryKey(tableName, req.db); // e.g., ['id'] or ['orderId', 'productId']
+        const keyValues = parseRowKey(req.params.id, primaryKey);
+
+        // An object is never a valid column value, so `changes` marks the checked form
+        const body = req.body || {};
+        const isChecked = body.changes !== null && typeof body.changes === 'object' && !Array.isArray(body.changes);
+        const changes = isChecked ? body.changes : body;
+        const expected = isChecked ? body.expected : undefined;
+
+        const audit = auditContext(req, 'grid');
+        const updatedRow = await req.db.$transaction(
+            (tx) => updateRow(tx, tableName, primaryKey, keyValues, changes, expected, audit)
+        );
+        broadcast(req, { type: 'row', table: tableName, action: 'update', key: keyValues, row: updatedRow });
+        setAuditHeader(res, audit);
+        res.json(updatedRow);
+    } catch (error) {
+        console.error('Error updating cell:', error);
+        res.status(error.status || 500).json({ error: 'Failed to update cell: ' + error.message, ...error.details });
+    }
+});
+
+// 5. Delete rows by primary key (FULL RAW SQL)
+app.delete('/api/data/:tableName/:id', async (req, res) => {
+    try {
+        const tableName = sanitizeTableName(req.params.tableName);
+        authorize(req, tableName, 'write');
+        const primaryKey = await getPrimaryKey(tableName, req.db);
+        const keyValues = parseRowKey(req.params.id, primaryKey);
+        const audit = auditContext(req, 'grid');
+        await req.db.$transaction(
+            (tx) => deleteRow(tx, tableName, primaryKey, keyValues, audit)
+        );
+        broadcast(req, { type: 'row', table: tableName, action: 'delete', key: keyValues });
+        setAuditHeader(res, audit);
+        res.status(204).send(); 
+    } catch (error) {
+        console.error('Error deleting row:', error);
+        res.status(error.status || 500).json({ error: 'Failed to delete row: ' + error.message });
+    }
+});
+
+// 6. Execute ONE raw SQL statement. Body: { sql, params?, confirm?, plan?, rowLimit? }
+// The statement is compiled first to tell what it does (see inspectStatement):
+//   query       - SELECT/VALUES/EXPLAIN, run with query_only: { kind, rows, columns,
+//                 offset, hasMore }; only the first `rowLimit` rows are returned, route
+//                 6e fetches the next ones
+//   dml         - INSERT/UPDATE/DELETE, audited row by row: { kind, rowCount }
+//   ddl         - CREATE/ALTER/DROP (admins only): { kind, rowCount }
+//   other       - PRAGMA, ATTACH, VACUUM, ... (admins only): rows or rowCount as above
+//   transaction - BEGIN/COMMIT/...: refused, a transaction can't span requests
+// Destructive statements (DROP, DELETE/UPDATE without WHERE) need `confirm: true`;
+// without it they are refused with 409 and { confirmation: { reason, affectedRows } }.
+// `params` holds the values of named parameters ({ min_price: 10 } for :min_price).
+// Every result has the statement's run time in `durationMs`; with `plan: true` queries
+// also return SQLite's plan for them: { plan: { nodes, warnings } } (see lib/plan.js).
+// Every run is recorded in the user's query history.
+app.post('/api/query', async (req, res) => {
+    const { sql, params, confirm, plan, rowLimit } = req.body || {};
+    const startedAt = Date.now();
+    try {
+        if (!sql) throw badRequest('SQL query is required.');
+        const query = bindStatement(sql, params);
+        const inspection = await inspectStatement(req.db, query);
+        await checkStatement(req, query, inspection, confirm);
+        if (needsSnapshot(query)) await autoSnapshot(req, `Before ${query.slice(0, 100)}`);
+
+        const audit = auditContext(req, 'query', query);
+        const events = [];
+        const context = { audit, events, plan: Boolean(plan), rowLimit: parseRowLimit(rowLimit) };
+        const result = inspection.kind === 'other'
+            ? await executeStatement(req.db, query, inspection, context)
+            : await req.db.$transaction((tx) => executeStatement(tx, query, inspection, context), { timeout: 60000 });
+
+        // Let open editors pick up the change
+        events.forEach(event => broadcast(req, event));
+        setAuditHeader(res, audit);
+        await recordHistory(req, { sql, params, startedAt, rowCount: resultRowCount([result]) });
+        res.json(result);
+    } catch (error) {
+        console.error('Error executing raw SQL:', error);
+        // Statements waiting for a confirmation haven't run yet
+        if (sql && error.status !== 409) await recordHistory(req, { sql, params, startedAt, error });
+        // Return the specific database error message to the frontend for display
+        res.status(error.status || 400).json({ error: error.message || 'Failed to execute query.', ...error.details });
+    }
+});
+
+// 6a. Describe what a script would do without running it. Body: { sql, params? }
+// Returns { statements: [{ statement, kind, verb, readOnly, returnsRows, reads, writes,
+// dropped, destructive, affectedRows, denied, error? }] } (see dryRunScript).
+app.post('/api/query/analyze', async (req, res) => {
+    try {
+        const { sql, params } = req.body || {};
+        const statements = splitStatements(String(sql || '')).map(statement => bindStatement(statement, params));
+        if (statements.length === 0) throw badRequest('SQL query is required.');
+        if (statements.length > MAX_SCRIPT_STATEMENTS) throw badRequest(`Scripts can hold at most ${MAX_SCRIPT_STATEMENTS} statements.`);
+        res.json({ statements: await dryRunScript(req, statements) });
+    } catch (error) {
+        console.error('Error analyzing SQL:', error);
+        res.status(error.status || 400).json({ error: error.message || 'Failed to analyze query.' });
+    }
+});
+
+// 6d. Run a script of several statements.
+// Body: { sql, params?, transaction?, confirm?, plan?, rowLimit? }
+// The script is split server-side (see splitStatements). With `transaction` (the default)
+// every statement runs in ONE transaction and any failure rolls the whole script back;
+// without it each statement is committed on its own and the script stops at the first
+// failure. Returns { results: [{ statement, kind, rows, columns } | { statement, kind, rowCount }] }.
+// Failures answer 400 with { error, failedIndex, errorRange, results, rolledBack }: where
+// in the script the error is ({ start, end } offsets, or null) and the results of the
+// statements that were committed before it. Destructive statements need `confirm: true`,
+// otherwise nothing runs and 409 lists them: { confirmation: { statements: [entry] } }.
+// Named parameters are bound from `params` and results carry `durationMs` and, with
+// `plan`, the query plan as in route 6; the `statement` of each result is the bound
+// statement, and queries return their first `rowLimit` rows as in route 6. The whole run
+// took `durationMs`. It is recorded in the user's query history.
+// A client that goes away cancels the script between statements: the running statement
+// can't be interrupted and runs to its end, but no further statement starts and its
+// changes are rolled back, with the whole transaction or, without one, on their own.
+// Only statements that run outside a transaction (PRAGMA, VACUUM, ...) stay done.
+app.post('/api/query/script', async (req, res) => {
+    const { sql, params, transaction = true, confirm, plan, rowLimit } = req.body || {};
+    const startedAt = Date.now();
+    const results = [];
+    let ranges = [];
+    let statements = [];
+    let current = null; // Index of the running statement, reported if it fails
+    let cancelled = false;
+    res.on('close', () => {
+        if (!res.writableEnded) cancelled = true;
+    });
+
+    try {
+        const limit = parseRowLimit(rowLimit);
+        ranges = statementRanges(String(sql || ''));
+        statements = ranges.map(range => bindStatement(range.sql, params));
+        if (statements.length === 0) throw badRequest('The script has no statements.');
+        if (statements.length > MAX_SCRIPT_STATEMENTS) throw badRequest(`Scripts can hold at most ${MAX_SCRIPT_STATEMENTS} statements.`);
+
+        // Only a dry run tells what later statements do, so run one when a statement
+        // could need confirming (see classifyStatement)
+        if (!confirm && statements.some(statement => ['DROP', 'DELETE', 'UPDATE', 'ALTER'].includes(mainVerb(statement)))) {
+            const destructive = (await dryRunScript(req, statements)).filter(entry => entry.destructive);
+            if (destructive.length > 0) {
+                const error = httpError(409, `${destructive.length} statement(s) can't be undone or change every row. Confirm to run the script.`);
+                error.details = { confirmation: { statements: destructive } };
+                throw error;
+            }
+        }
+
+        const risky = statements.find(needsSnapshot);
+        if (risky) await autoSnapshot(req, `Before a script with ${risky.slice(0, 100)}`);
+
+        const audits = [];
+        const events = [];
+        const runOne = async (client, statement) => {
+            if (cancelled) throw new Error('Cancelled before this statement ran.');
+            const inspection = await inspectStatement(client, statement);
+            await checkStatement(req, statement, inspection, true);
+            const audit = auditContext(req, 'query', statement);
+            const context = { audit, events, plan: Boolean(plan), rowLimit: limit };
+            audits.push(audit);
+            if (!transaction && inspection.kind !== 'other') {
+                return req.db.$transaction(async (tx) => {
+                    const result = await executeStatement(tx, statement, inspection, context);
+                    if (cancelled) throw new Error('Cancelled while this statement ran; it was rolled back.');
+                    return result;
+                }, { timeout: 60000 });
+            }
+            return executeStatement(client, statement, inspection, context);
+        };
+
+        if (transaction) {
+            await req.db.$transaction(async (tx) => {
+                for (const [index, statement] of statements.entries()) {
+                    current = index;
+                    results.push({ statement, ...(await runOne(tx, statement)) });
+                }
+                if (cancelled) throw new Error('Cancelled while this statement ran; the script was rolled back.');
+            }, { timeout: 120000 });
+        } else {
+            for (const [index, statement] of statements.entries()) {
+                current = index;
+                results.push({ statement, ...(await runOne(req.db, statement)) });
+                events.splice(0).forEach(event => broadcast(req, event));
+            }
+        }
+        current = null;
+
+        events.forEach(event => broadcast(req, event));
+        setAuditHeader(res, { ids: audits.flatMap(audit => audit.ids) });
+        await recordHistory(req, { sql, params, startedAt, rowCount: resultRowCount(results) });
+        res.json({ results, transaction, durationMs: Date.now() - startedAt });
+    } catch (error) {
+        console.error('Error running SQL script:', error);
+        if (ranges.length > 0 && error.status !== 409) await recordHistory(req, { sql, params, startedAt, error });
+        // Positions in a statement with bound parameters don't match the script
+        const located = current !== null && statements[current] === ranges[current].sql;
+        const range = located ? errorRange(ranges[current].sql, error.message) : null;
+        // Statements of a transaction were rolled back with the failing one
+        const failure = current === null ? {} : {
+            failedIndex: current,
+            errorRange: range && { start: ranges[current].start + range.start, end: ranges[current].start + range.end },
+            results: transaction ? [] : results,
+            rolledBack: Boolean(transaction),
+        };
+        res.status(error.status || 400).json({ error: error.message || 'Failed to run the script.', ...failure, ...error.details });
+    }
+});
+
+// 6e. Fetch more rows of a query's result. Body: { sql, offset, rowLimit? }
+// `sql` is the `statement` of a query result from route 6 or 6d (parameters bound).
+// Returns { rows, columns, offset, hasMore } for the `rowLimit` rows from `offset`. The
+// query runs again for every page, so rows changed in between may move across pages.
+app.post('/api/query/page', async (req, res) => {
+    try {
+        const { sql, offset = 0, rowLimit } = req.body || {};
+        if (!sql) throw badRequest('SQL query is required.');
+        if (!Number.isInteger(offset) || offset < 0) throw badRequest('offset must be a non-negative integer.');
+        const limit = parseRowLimit(rowLimit);
+        const inspection = await inspectStatement(req.db, sql);
+        if (inspection.kind !== 'query' || inspection.verb === 'EXPLAIN') throw badRequest('Only SELECT queries have pages of rows.');
+        authorizeStatement(req.user, inspection, READ_ONLY);
+
+        res.json(await runReadOnly(req.db, (tx) => queryPage(tx, sql, offset, limit)));
+    } catch (error) {
+        console.error('Error fetching query rows:', error);
+        res.status(error.status || 400).json({ error: error.message || 'Failed to fetch rows.' });
+    }
+});
+
+// --- Export ---
+
+// 6b. Download a whole table, honouring the grid's sort and filter parameters.
+// GET /api/export/:tableName?format=csv|json|ndjson|sql&sort=&order=&filter=
+app.get('/api/export/:tableName', async (req, res) => {
+    try {
+        const tableName = sanitizeTableName(req.params.tableName);
+        authorize(req, tableName, 'read');
+        const { columns, primaryKey } = await getTableColumns(req.db, tableName);
+        const { where, params, orderBy } = parseTableView(req.query, columns, primaryKey);
+        // The implicit rowid is not part of the table's data
+        const exportColumns = columns.filter(col => !col.virtual).map(col => col.field);
+
+        await streamExport(req, res, {
+            format: req.query.format || 'csv',
+            fileName: tableName,
+            tableName,
+            columns: exportColumns,
+            fetchBatch: (limit, offset) => req.db.$queryRawUnsafe(
+                `SELECT * FROM \`${tableName}\`${where}${orderBy} LIMIT ? OFFSET ?;`, ...params, limit, offset
+            ),
+        });
+    } catch (error) {
+        console.error('Error exporting table:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(error.status || 500).json({ error: 'Failed to export table: ' + error.message });
+    }
+});
+
+// 6c. Download the result of a SELECT query.
+// Body: { sql, format, tableName? } - tableName names the target of SQL dumps
+app.post('/api/query/export', async (req, res) => {
+    try {
+        const { sql, format = 'csv', tableName = 'query_result' } = req.body || {};
+        if (!sql) throw badRequest('SQL query is required.');
+        sanitizeTableName(tableName);
+        const query = stripTrailingSemicolons(sql);
+        const inspection = await inspectStatement(req.db, query);
+        if (inspection.kind !== 'query' || inspection.verb === 'EXPLAIN') throw badRequest('Only SELECT queries can be exported.');
+        authorizeStatement(req.user, inspection, READ_ONLY);
+
+        await streamExport(req, res, {
+            format,
+            fileName: 'query_result',
+            tableName,
+            columns: null,
+            fetchBatch: (limit, offset) => runReadOnly(req.db, (tx) => tx.$queryRawUnsafe(pagedQuery(query), limit, offset)),
+        });
+    } catch (error) {
+        console.error('Error exporting query result:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(error.status || 400).json({ error: 'Failed to export query result: ' + error.message });
+    }
+});
+
+// --- Schema Designer ---
+// Every change responds with the plan that was applied: { mode, tableName, statements, warnings }.
+// Send `dryRun: true` in the body to get the plan without applying it.
+
+// 7. Describe a table: columns, indexes, foreign keys and triggers
+app.get('/api/schema/:tableName', async (req, res) => {
+    try {
+        const tableName = sanitizeTableName(req.params.tableName);
+        authorize(req, tableName, 'read');
+        res.json(await describeTable(req.db, tableName));
+    } catch (error) {
+        console.error('Error describing table:', error);
+        res.status(error.status || 500).json({ error: 'Failed to describe table: ' + error.message });
     }
-    return columnName;
-}
+});
 
-// ------------------------------------
-// --- REST API Endpoints ---
-// ------------------------------------
+// 7a. The tables the user may read with their columns and foreign keys, for the ER diagram:
+// { tables: [{ name, columns: [{ name, type, notNull, primaryKey, unique }],
+//   foreignKeys: [{ from: [col], table, to: [col] }] }] }. An empty `to` references the
+// primary key of `table`.
+app.get('/api/schema', async (req, res) => {
+    try {
+        const names = (await listTableNames(req.db)).filter(table => hasLevel(tableLevel(req.user, table), 'read')).sort();
+        const tables = [];
+        for (const tableName of names) {
+            const { columns, foreignKeys } = await describeTable(req.db, tableName);
+            tables.push({
+                name: tableName,
+                columns: columns.map(({ name, type, notNull, primaryKey, unique }) => ({ name, type, notNull, primaryKey, unique })),
+                foreignKeys: foreignKeys.map(({ from, table, to }) => ({ from, table, to })),
+            });
+        }
+        res.json({ tables });
+    } catch (error) {
+        console.error('Error describing schema:', error);
+        res.status(error.status || 500).json({ error: 'Failed to describe the schema: ' + error.message });
+    }
+});
 
-// 1. Fetch table list dynamically from the database
-app.get('/api/tables', async (req, res) => {
+// 8. Create a table. Body: { name, columns: [column], foreignKeys: [fk], dryRun? }
+// column: { name, type, notNull, defaultValue, primaryKey, autoIncrement, unique }
+// fk: { from: [col], table, to: [col], onDelete, onUpdate }
+app.post('/api/schema', async (req, res) => {
     try {
-        // SQL query specific to SQLite to get user-defined tables
-        const tables = await prisma.$queryRaw`
-            SELECT name 
-            FROM sqlite_master 
-            WHERE type='table' 
-              AND name NOT LIKE 'sqlite_%' 
-              AND name NOT LIKE '_prisma_migrations';
-        `;
-        
-        // Extract names from the result array
-        const tableNames = tables.map(t => t.name);
+        const { name, columns, foreignKeys, dryRun } = req.body || {};
+        const plan = planCreateTable(name, { columns, foreignKeys });
+        authorize(req, plan.tableName, 'ddl');
+        if (!dryRun) {
+            await autoSnapshot(req, `Before creating table ${plan.tableName}`);
+            await applySchemaPlan(req.db, plan);
+            broadcast(req, { type: 'schema', statement: plan.statements[0] });
+        }
+        res.status(dryRun ? 200 : 201).json(plan);
+    } catch (error) {
+        console.error('Error creating table:', error);
+        res.status(error.status || 400).json({ error: 'Failed to create table: ' + error.message });
+    }
+});
 
-        res.json(tableNames);
+// 9. Alter a table to match a desired definition.
+// Body: { name?, columns: [column + previousName], foreignKeys, dryRun? }
+// Columns keep their data through `previousName`; columns without one are added and
+// current columns nobody points at are dropped. SQLite's table rebuild is used for
+// changes ALTER TABLE can't make.
+app.put('/api/schema/:tableName', async (req, res) => {
+    try {
+        const tableName = sanitizeTableName(req.params.tableName);
+        authorize(req, tableName, 'ddl');
+        const current = await describeTable(req.db, tableName);
+        const plan = planAlterTable(current, req.body || {});
+        if (plan.tableName !== tableName) authorize(req, plan.tableName, 'ddl'); // Renamed
+        if (!req.body.dryRun) {
+            await autoSnapshot(req, `Before altering table ${tableName}`);
+            await applySchemaPlan(req.db, plan);
+            broadcast(req, { type: 'schema', statement: `ALTER TABLE ${identifier(tableName, 'table')}` });
+        }
+        res.json(plan);
     } catch (error) {
-        console.error('Error fetching dynamic table list:', error);
-        res.status(500).json({ error: 'Failed to fetch table list dynamically.' });
+        console.error('Error altering table:', error);
+        res.status(error.status || 400).json({ error: 'Failed to alter table: ' + error.message });
     }
 });
 
-// 2. Fetch table columns and rows dynamically (FULL RAW SQL)
-app.get('/api/data/:tableName', async (req, res) => {
-    const tableName = req.params.tableName;
-    
+// 10. Drop a table
+app.delete('/api/schema/:tableName', async (req, res) => {
     try {
-        sanitizeTableName(tableName); // Use the format check
-        
-        // 1. Fetch Columns (Schema Information) using SQLite PRAGMA
-        const columnInfo = await prisma.$queryRawUnsafe(`PRAGMA table_info(\`${tableName}\`);`);
-
-        const columns = columnInfo.map(col => ({
-            field: col.name,
-            type: col.type, // SQLite types like INTEGER, TEXT, REAL, DATETIME
-            pk: col.pk > 0
-        }));
-        
-        // 2. Fetch Data (Rows) using a raw SELECT query
-        const data = await prisma.$queryRawUnsafe(`SELECT * FROM \`${tableName}\`;`);
-        
-        // Handle BigInts and ensure serializability
-        const processedData = data.map(row => {
-            const newRow = {};
-            for (const key in row) {
-                newRow[key] = (typeof row[key] === 'bigint') ? Number(row[key]) : row[key];
-            }
-            return newRow;
-        });
+        const tableName = sanitizeTableName(req.params.tableName);
+        authorize(req, tableName, 'ddl');
+        await describeTable(req.db, tableName); // 404 for unknown tables
+        const statement = `DROP TABLE ${identifier(tableName, 'table')};`;
+        await autoSnapshot(req, `Before dropping table ${tableName}`);
+        await req.db.$executeRawUnsafe(statement);
+        broadcast(req, { type: 'schema', statement });
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error dropping table:', error);
+        res.status(error.status || 400).json({ error: 'Failed to drop table: ' + error.message });
+    }
+});
 
-        res.json({ columns, data: processedData });
+// 11. Create an index. Body: { name?, columns: [col], unique }
+app.post('/api/schema/:tableName/indexes', async (req, res) => {
+    try {
+        const tableName = sanitizeTableName(req.params.tableName);
+        authorize(req, tableName, 'ddl');
+        const statement = buildCreateIndex(tableName, req.body || {});
+        await autoSnapshot(req, `Before creating an index on ${tableName}`);
+        await req.db.$executeRawUnsafe(statement);
+        broadcast(req, { type: 'schema', statement });
+        res.status(201).json({ statements: [statement] });
     } catch (error) {
-        console.error(`Error fetching dynamic table data for ${tableName}:`, error);
-        res.status(500).json({ error: `Failed to fetch data for table ${tableName}. Error: ${error.message}` });
+        console.error('Error creating index:', error);
+        res.status(error.status || 400).json({ error: 'Failed to create index: ' + error.message });
     }
 });
 
-// 3. Insert new row (FULL RAW SQL)
-app.post('/api/data/:tableName', async (req, res) => {
+// 12. Drop an index. Indexes behind UNIQUE/PRIMARY KEY constraints can't be dropped this way.
+app.delete('/api/schema/:tableName/indexes/:indexName', async (req, res) => {
     try {
         const tableName = sanitizeTableName(req.params.tableName);
-        const newData = req.body;
-        
-        // Remove PK, as it's auto-incremented
-        delete newData[getPrimaryKey(tableName)]; 
-        
-        const columns = [];
-        const values = [];
-        
-        // Safely prepare column names and values for SQL
-        for (const key in newData) {
-            columns.push(sanitizeColumnName(key));
-            values.push(newData[key]);
-        }
-        
-        const columnList = columns.join(', ');
-        // Generate placeholders ($1, $2, etc.) for parameterized query safety
-        // NOTE: SQLite uses '?' instead of $1, $2, but Prisma handles the transformation.
-        const placeholders = values.map(() => '?').join(', ');
-
-        // Use RETURNING * to get the newly created row, including the auto-generated ID
-        const sql = `INSERT INTO \`${tableName}\` (${columnList}) VALUES (${placeholders}) RETURNING *;`;
-        
-        // Execute the raw query with values passed as parameters for safety
-        const createdRow = await prisma.$queryRawUnsafe(sql, ...values);
-        
-        // The result is an array, return the first item (the new row)
-        res.status(201).json(createdRow[0] || {});
-        
+        authorize(req, tableName, 'ddl');
+        const { indexes } = await describeTable(req.db, tableName);
+        const index = indexes.find(idx => idx.name === req.params.indexName);
+        if (!index) throw httpError(404, `Index not found: ${req.params.indexName}`);
+        if (index.origin !== 'c') {
+            throw badRequest(`Index ${index.name} belongs to a ${index.origin === 'pk' ? 'PRIMARY KEY' : 'UNIQUE'} constraint; change the column instead.`);
+        }
+        const statement = `DROP INDEX ${identifier(index.name, 'index')};`;
+        await autoSnapshot(req, `Before dropping index ${index.name}`);
+        await req.db.$executeRawUnsafe(statement);
+        broadcast(req, { type: 'schema', statement });
+        res.status(204).send();
     } catch (error) {
-        console.error('Error inserting row:', error);
-        res.status(500).json({ error: 'Failed to insert row: ' + error.message });
+        console.error('Error dropping index:', error);
+        res.status(error.status || 400).json({ error: 'Failed to drop index: ' + error.message });
     }
 });
 
-// 4. Update specific cells by ID (FULL RAW SQL)
-app.put('/api/data/:tableName/:id', async (req, res) => {
+
+// --- Import ---
+
+// 13. Import rows into a table in ONE transaction, optionally creating the table first.
+// Body: { columns: [col], rows: [[value]], mode: 'insert' | 'upsert', onError: 'abort' | 'skip',
+//         emptyAsNull?, create?: { columns: [column], foreignKeys: [fk] } }
+// Values are coerced to the column types. With onError 'abort' any failing row rolls the
+// whole import back; with 'skip' the other rows are kept. Either way the response lists
+// the failing rows: { imported, failed, errors: [{ index, error }] }.
+app.post('/api/import/:tableName', async (req, res) => {
     try {
         const tableName = sanitizeTableName(req.params.tableName);
-        const pkName = getPrimaryKey(tableName); // e.g., 'ID'
-        const id = parseInt(req.params.id); 
-        const updateData = req.body; 
+        const { columns, rows, mode = 'insert', onError = 'abort', emptyAsNull = true, create } = req.body || {};
+        authorize(req, tableName, create ? 'ddl' : 'write');
+        if (!Array.isArray(columns) || columns.length === 0) throw badRequest('columns must list the target columns.');
+        if (!Array.isArray(rows)) throw badRequest('rows must be an array of value arrays.');
+        if (!['insert', 'upsert'].includes(mode)) throw badRequest('mode must be insert or upsert.');
+        if (!['abort', 'skip'].includes(onError)) throw badRequest('onError must be abort or skip.');
+        columns.forEach(sanitizeColumnName);
+        const plan = create ? planCreateTable(tableName, create) : null;
+
+        const result = await req.db.$transaction(async (tx) => {
+            if (plan) {
+                for (const statement of plan.statements) await tx.$executeRawUnsafe(statement);
+            }
 
-        // Extract the key (column name) and value
-        const [key, value] = Object.entries(updateData)[0];
-        const columnName = sanitizeColumnName(key);
-        
-        // Build the raw SQL UPDATE query
-        // Safely set the column with placeholder ?, and WHERE clause with ?
-        const sql = `UPDATE \`${tableName}\` SET \`${columnName}\` = ? WHERE \`${pkName}\` = ? RETURNING *;`;
+            const columnInfo = await tx.$queryRawUnsafe(`PRAGMA table_info(\`${tableName}\`);`);
+            if (columnInfo.length === 0) throw badRequest(`Table not found: ${tableName}`);
+            const types = Object.fromEntries(columnInfo.map(col => [col.name, col.type]));
+            const unknown = columns.filter(col => !(col in types));
+            if (unknown.length > 0) throw badRequest(`Unknown column(s): ${unknown.join(', ')}`);
 
-        // Execute the raw query with values [value, id]
-        const updatedRow = await prisma.$queryRawUnsafe(sql, value, id);
+            let conflictKey = null;
+            if (mode === 'upsert') {
+                conflictKey = primaryKeyFromColumnInfo(columnInfo);
+                if (conflictKey[0] === 'rowid') throw badRequest('Upserts need a table with a declared primary key.');
+                const missing = conflictKey.filter(col => !columns.includes(col));
+                if (missing.length > 0) throw badRequest(`Upserts need the key column(s) mapped: ${missing.join(', ')}`);
+            }
+
+            // Coerce every value up front; rows that don't fit are reported, not written
+            const errors = [];
+            const coerced = [];
+            rows.forEach((row, index) => {
+                try {
+                    if (!Array.isArray(row) || row.length !== columns.length) {
+                        throw new Error(`expected ${columns.length} value(s)`);
+                    }
+                    const values = row.map((value, i) => {
+                        try {
+                            return coerceValue(value, types[columns[i]], { emptyAsNull });
+                        } catch (error) {
+                            throw new Error(`${columns[i]}: ${error.message}`);
+                        }
+                    });
+                    coerced.push({ index, values });
+                } catch (error) {
+                    errors.push({ index, error: error.message });
+                }
+            });
+
+            const written = await importRows(tx, tableName, columns, coerced, conflictKey);
+            if (written.imported > 0) {
+                // Imports can be large, so they are logged as one entry without row values
+                const audit = auditContext(req, 'import', `${mode} of ${written.imported} row(s) into ${tableName}`);
+                await recordAudit(tx, audit, { table: tableName, action: 'statement' });
+            }
+            errors.push(...written.errors);
+            errors.sort((a, b) => a.index - b.index);
 
-        res.json(updatedRow[0] || {});
+            const report = { imported: written.imported, failed: errors.length, errors, created: Boolean(plan) };
+            if (errors.length > 0 && onError === 'abort') {
+                const error = badRequest(`${errors.length} row(s) could not be imported; nothing was written.`);
+                error.details = { ...report, imported: 0 };
+                throw error;
+            }
+            return report;
+        }, { timeout: 120000 });
+
+        if (plan) broadcast(req, { type: 'schema', statement: plan.statements[0] });
+        broadcast(req, { type: 'data', table: tableName });
+        res.status(201).json(result);
     } catch (error) {
-        console.error('Error updating cell:', error);
-        res.status(500).json({ error: 'Failed to update cell: ' + error.message });
+        console.error('Error importing rows:', error);
+        res.status(error.status || 500).json({ error: 'Import failed: ' + error.message, ...error.details });
     }
 });
 
-// 5. Delete rows by ID (FULL RAW SQL)
-app.delete('/api/data/:tableName/:id', async (req, res) => {
+
+// --- Audit Log ---
+
+// 14. Browse the audit log, newest first.
+// Query parameters: table, key (JSON array of key values, needs table), limit,
+// before (an entry id; returns older entries for paging). Only admins may leave out table.
+// Returns { entries, nextBefore }.
+app.get('/api/audit', async (req, res) => {
     try {
-        const tableName = sanitizeTableName(req.params.tableName);
-        const pkName = getPrimaryKey(tableName); // e.g., 'ID'
-        const id = parseInt(req.params.id); 
+        const conditions = [];
+        const params = [];
+        if (req.query.table) {
+            conditions.push('table_name = ?');
+            params.push(sanitizeTableName(req.query.table));
+            authorize(req, req.query.table, 'read');
+        } else {
+            requireAdmin(req.user);
+        }
+        if (req.query.key !== undefined) {
+            if (!req.query.table) throw badRequest('The key parameter needs a table.');
+            const key = parseRowKey(req.query.key, await getPrimaryKey(req.query.table, req.db));
+            conditions.push('row_key = ?');
+            params.push(JSON.stringify(key));
+        }
+        if (req.query.before !== undefined) {
+            conditions.push('id < ?');
+            params.push(parsePositiveInt(req.query.before, null, 'before'));
+        }
+        const limit = Math.min(parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE, 'limit'), MAX_PAGE_SIZE);
+        const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+        const rows = await req.db.$queryRawUnsafe(
+            `SELECT * FROM \`${AUDIT_TABLE}\`${where} ORDER BY id DESC LIMIT ?;`, ...params, limit
+        );
+        const entries = rows.map(auditEntryFromRow);
+        res.json({ entries, nextBefore: entries.length === limit ? entries[entries.length - 1].id : null });
+    } catch (error) {
+        console.error('Error reading the audit log:', error);
+        res.status(error.status || 500).json({ error: 'Failed to read the audit log: ' + error.message });
+    }
+});
 
-        // Build the raw SQL DELETE query
-        const sql = `DELETE FROM \`${tableName}\` WHERE \`${pkName}\` = ?;`;
+// 15. Revert audit entries (undo). Body: { ids: [entryId] }
+// The inverse operations run newest first in ONE transaction and are audited
+// themselves, so reverting the returned entries again is a redo. Rows changed since
+// the entry was written are refused with 409 (see revertEntries).
+app.post('/api/audit/revert', async (req, res) => {
+    try {
+        const { ids } = req.body || {};
+        if (!Array.isArray(ids) || ids.length === 0 || !ids.every(Number.isInteger)) {
+            throw badRequest('ids must be a non-empty array of audit entry ids.');
+        }
 
-        // Execute the raw query. $executeRawUnsafe returns count.
-        await prisma.$executeRawUnsafe(sql, id);
+        const audit = auditContext(req, 'revert');
+        const tables = await req.db.$transaction(
+            (tx) => revertEntries(tx, ids, audit, { user: req.user, readOnly: READ_ONLY }), { timeout: 30000 }
+        );
 
-        res.status(204).send(); 
+        tables.forEach(table => broadcast(req, { type: 'data', table }));
+        setAuditHeader(res, audit);
+        res.json({ ids: audit.ids });
     } catch (error) {
-        console.error('Error deleting row:', error);
-        res.status(500).json({ error: 'Failed to delete row: ' + error.message });
+        console.error('Error reverting audit entries:', error);
+        res.status(error.status || 500).json({ error: 'Failed to revert: ' + error.message, ...error.details });
     }
 });
 
-// 6. Execute raw SQL queries
-// Since the frontend now sends ONE query per request, this logic is correct.
-app.post('/api/query', async (req, res) => {
-    const { sql: query } = req.body;
-    if (!query) {
-        return res.status(400).json({ error: "SQL query is required." });
+
+// --- Users & Sessions ---
+
+// 16. Log in. Body: { username, password }
+// Returns { token, user, defaultLevel, grants }; send the token as `Authorization: Bearer <token>`.
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        if (!username || !password) throw badRequest('Username and password are required.');
+        const { token, user } = await logIn(prisma, username, password);
+        res.json({ token, ...describeSession(user) });
+    } catch (error) {
+        if (!error.status) console.error('Error logging in:', error);
+        res.status(error.status || 500).json({ error: error.message });
     }
-    
-    // Check if it's a DDL/DML query (CUD operations)
-    // Trim and convert to uppercase for robust checking
-    const upperQuery = query.trim().toUpperCase();
-    const isExecute = upperQuery.startsWith('CREATE') ||
-                      upperQuery.startsWith('ALTER') ||
-                      upperQuery.startsWith('DROP') ||
-                      upperQuery.startsWith('INSERT') ||
-                      upperQuery.startsWith('UPDATE') ||
-                      upperQuery.startsWith('DELETE') ||
-                      upperQuery.startsWith('TRUNCATE');
-
-    try {
-        if (isExecute) {
-            // Use $executeRawUnsafe for DDL/DML - returns the number of affected rows
-            const rowCount = await prisma.$executeRawUnsafe(query);
-            return res.json({ rowCount }); 
-        } else {
-            // Use $queryRawUnsafe for SELECTs - returns rows of data
-            const rows = await prisma.$queryRawUnsafe(query);
-            
-            // Extract column names for the frontend result table
-            const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
-            return res.json({ rows, columns });
+});
+
+// 17. Log out: ends the session of the token sent with the request
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await prisma.$executeRawUnsafe(`DELETE FROM \`${SESSIONS_TABLE}\` WHERE token_hash = ?;`, req.sessionId);
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ error: 'Failed to log out: ' + error.message });
+    }
+});
+
+// 18. The logged-in user and their permissions: { user, defaultLevel, grants }
+app.get('/api/auth/me', (req, res) => {
+    res.json(describeSession(req.user));
+});
+
+// 19. List users with their grants (admins only)
+app.get('/api/users', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        const rows = await prisma.$queryRawUnsafe(`SELECT id FROM \`${USERS_TABLE}\` ORDER BY username;`);
+        const users = [];
+        for (const { id } of rows) users.push(await loadUser(prisma, id));
+        res.json({ users, roles: ROLES, levels: LEVELS });
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.status(error.status || 500).json({ error: 'Failed to list users: ' + error.message });
+    }
+});
+
+// 20. Create a user (admins only). Body: { username, password, role }
+app.post('/api/users', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        const { username, password, role } = req.body || {};
+        checkUserInput({ username, password, role });
+        const [{ id }] = await prisma.$queryRawUnsafe(
+            `INSERT INTO \`${USERS_TABLE}\` (username, password_hash, role, created_at) VALUES (?, ?, ?, ?) RETURNING id;`,
+            username, hashPassword(password), role, new Date().toISOString()
+        );
+        res.status(201).json(await loadUser(prisma, id));
+    } catch (error) {
+        console.error('Error creating user:', error);
+        const status = /UNIQUE/i.test(error.message) ? 409 : error.status || 500;
+        res.status(status).json({ error: status === 409 ? 'That username is taken.' : 'Failed to create user: ' + error.message });
+    }
+});
+
+// 21. Change a user. Body: { username?, password?, currentPassword?, role? }
+// Admins change anyone; other users may only change their own password. Changing your
+// own password needs the current one. A new password ends the user's other sessions.
+app.put('/api/users/:id', async (req, res) => {
+    try {
+        const userId = parsePositiveInt(req.params.id, null, 'id');
+        const { username, password, currentPassword, role } = req.body || {};
+        if (req.user.role !== 'admin' && (userId !== req.user.id || username !== undefined || role !== undefined)) {
+            throw httpError(403, 'You can only change your own password.');
         }
+        checkUserInput({ username, password, role }, true);
+
+        const user = await prisma.$transaction(async (tx) => {
+            const current = await loadUser(tx, userId);
+            if (!current) throw httpError(404, `User not found: ${userId}`);
+            if (current.role === 'admin' && role !== undefined && role !== 'admin') await keepAnAdmin(tx, userId);
+            if (password !== undefined && userId === req.user.id) {
+                const [{ password_hash: passwordHash }] = await tx.$queryRawUnsafe(
+                    `SELECT password_hash FROM \`${USERS_TABLE}\` WHERE id = ?;`, userId
+                );
+                if (typeof currentPassword !== 'string' || !verifyPassword(currentPassword, passwordHash)) {
+                    throw httpError(403, 'Your current password is wrong.');
+                }
+            }
+
+            if (username !== undefined) {
+                await tx.$executeRawUnsafe(`UPDATE \`${USERS_TABLE}\` SET username = ? WHERE id = ?;`, username, userId);
+            }
+            if (role !== undefined) {
+                await tx.$executeRawUnsafe(`UPDATE \`${USERS_TABLE}\` SET role = ? WHERE id = ?;`, role, userId);
+            }
+            if (password !== undefined) {
+                await tx.$executeRawUnsafe(`UPDATE \`${USERS_TABLE}\` SET password_hash = ? WHERE id = ?;`, hashPassword(password), userId);
+                await tx.$executeRawUnsafe(
+                    `DELETE FROM \`${SESSIONS_TABLE}\` WHERE user_id = ? AND token_hash <> ?;`, userId, req.sessionId
+                );
+            }
+            return loadUser(tx, userId);
+        });
+        res.json(user);
+    } catch (error) {
+        console.error('Error updating user:', error);
+        const status = /UNIQUE/i.test(error.message) ? 409 : error.status || 500;
+        res.status(status).json({ error: status === 409 ? 'That username is taken.' : 'Failed to update user: ' + error.message });
+    }
+});
 
+// 22. Delete a user with their sessions and grants (admins only)
+app.delete('/api/users/:id', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        const userId = parsePositiveInt(req.params.id, null, 'id');
+        if (userId === req.user.id) throw badRequest('You cannot delete your own account.');
+        await prisma.$transaction(async (tx) => {
+            const current = await loadUser(tx, userId);
+            if (!current) throw httpError(404, `User not found: ${userId}`);
+            if (current.role === 'admin') await keepAnAdmin(tx, userId);
+            await tx.$executeRawUnsafe(`DELETE FROM \`${SESSIONS_TABLE}\` WHERE user_id = ?;`, userId);
+            await tx.$executeRawUnsafe(`DELETE FROM \`${GRANTS_TABLE}\` WHERE user_id = ?;`, userId);
+            await tx.$executeRawUnsafe(`DELETE FROM \`${HISTORY_TABLE}\` WHERE user_id = ?;`, userId);
+            await tx.$executeRawUnsafe(`DELETE FROM \`${SAVED_QUERIES_TABLE}\` WHERE user_id = ?;`, userId);
+            await tx.$executeRawUnsafe(`DELETE FROM \`${USERS_TABLE}\` WHERE id = ?;`, userId);
+        });
+        res.status(204).send();
     } catch (error) {
-        console.error('Error executing raw SQL:', error);
-        // Return the specific database error message to the frontend for display
-        res.status(400).json({ error: error.message || 'Failed to execute query.' });
+        console.error('Error deleting user:', error);
+        res.status(error.status || 500).json({ error: 'Failed to delete user: ' + error.message });
+    }
+});
+
+// 23. Replace a user's per-table grants (admins only). Body: { grants: { table: level } }
+// level is one of LEVELS; 'none' hides a table the role would otherwise show.
+app.put('/api/users/:id/grants', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        const userId = parsePositiveInt(req.params.id, null, 'id');
+        const { grants } = req.body || {};
+        if (grants === null || typeof grants !== 'object' || Array.isArray(grants)) {
+            throw badRequest('grants must be an object of table names to levels.');
+        }
+        for (const [table, level] of Object.entries(grants)) {
+            sanitizeTableName(table);
+            if (!LEVELS.includes(level)) throw badRequest(`Unknown level for ${table}: ${level} (use ${LEVELS.join(', ')})`);
+        }
+
+        const user = await prisma.$transaction(async (tx) => {
+            if (!(await loadUser(tx, userId))) throw httpError(404, `User not found: ${userId}`);
+            await tx.$executeRawUnsafe(`DELETE FROM \`${GRANTS_TABLE}\` WHERE user_id = ?;`, userId);
+            for (const [table, level] of Object.entries(grants)) {
+                await tx.$executeRawUnsafe(
+                    `INSERT INTO \`${GRANTS_TABLE}\` (user_id, table_name, level) VALUES (?, ?, ?);`, userId, table, level
+                );
+            }
+            return loadUser(tx, userId);
+        });
+        res.json(user);
+    } catch (error) {
+        console.error('Error updating grants:', error);
+        res.status(error.status || 500).json({ error: 'Failed to update grants: ' + error.message });
+    }
+});
+
+// --- Query History & Saved Queries ---
+// Every user sees only their own history and saved queries.
+
+// 24. The user's query history, newest first.
+// Query parameters: search (in the SQL), favorites=1, before (id cursor), limit
+// Returns { entries: [{ id, at, sql, params, durationMs, rowCount, success, error, favorite }], nextBefore }
+app.get('/api/queries/history', async (req, res) => {
+    try {
+        const conditions = ['user_id = ?'];
+        const params = [req.user.id];
+        if (req.query.search) {
+            conditions.push("sql LIKE ? ESCAPE '\\'");
+            params.push(likePattern(req.query.search));
+        }
+        if (req.query.favorites === '1') conditions.push('favorite = 1');
+        if (req.query.before !== undefined) {
+            conditions.push('id < ?');
+            params.push(parsePositiveInt(req.query.before, null, 'before'));
+        }
+        const limit = Math.min(parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE, 'limit'), MAX_PAGE_SIZE);
+
+        const rows = await prisma.$queryRawUnsafe(
+            `SELECT * FROM \`${HISTORY_TABLE}\` WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?;`, ...params, limit
+        );
+        const entries = rows.map(historyEntryFromRow);
+        res.json({ entries, nextBefore: entries.length === limit ? entries[entries.length - 1].id : null });
+    } catch (error) {
+        console.error('Error reading the query history:', error);
+        res.status(error.status || 500).json({ error: 'Failed to read the query history: ' + error.message });
+    }
+});
+
+// 25. Mark a history entry as favorite, or not. Body: { favorite }
+app.put('/api/queries/history/:id', async (req, res) => {
+    try {
+        const id = parsePositiveInt(req.params.id, null, 'id');
+        const changed = await prisma.$executeRawUnsafe(
+            `UPDATE \`${HISTORY_TABLE}\` SET favorite = ? WHERE id = ? AND user_id = ?;`,
+            req.body && req.body.favorite ? 1 : 0, id, req.user.id
+        );
+        if (Number(changed) === 0) throw httpError(404, `History entry not found: ${id}`);
+        const [row] = await prisma.$queryRawUnsafe(`SELECT * FROM \`${HISTORY_TABLE}\` WHERE id = ?;`, id);
+        res.json(historyEntryFromRow(row));
+    } catch (error) {
+        console.error('Error updating the query history:', error);
+        res.status(error.status || 500).json({ error: 'Failed to update the history entry: ' + error.message });
+    }
+});
+
+// 26. Clear the user's history, except favorites
+app.delete('/api/queries/history', async (req, res) => {
+    try {
+        await prisma.$executeRawUnsafe(`DELETE FROM \`${HISTORY_TABLE}\` WHERE user_id = ? AND favorite = 0;`, req.user.id);
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error clearing the query history:', error);
+        res.status(500).json({ error: 'Failed to clear the query history: ' + error.message });
+    }
+});
+
+// 27. The user's saved queries, favorites first, then by name. Query parameters: search
+// (in the name, description and SQL). Returns { queries: [{ id, name, sql, description,
+// parameters, favorite, createdAt, updatedAt }] }; `parameters` are the names of the
+// query's named parameters.
+app.get('/api/queries/saved', async (req, res) => {
+    try {
+        let where = 'user_id = ?';
+        const params = [req.user.id];
+        if (req.query.search) {
+            where += " AND (name LIKE ? ESCAPE '\\' OR description LIKE ? ESCAPE '\\' OR sql LIKE ? ESCAPE '\\')";
+            params.push(...Array(3).fill(likePattern(req.query.search)));
+        }
+        const rows = await prisma.$queryRawUnsafe(
+            `SELECT * FROM \`${SAVED_QUERIES_TABLE}\` WHERE ${where} ORDER BY favorite DESC, name;`, ...params
+        );
+        res.json({ queries: rows.map(savedQueryFromRow) });
+    } catch (error) {
+        console.error('Error reading saved queries:', error);
+        res.status(500).json({ error: 'Failed to read saved queries: ' + error.message });
+    }
+});
+
+// 28. Save a query. Body: { name, sql, description?, favorite? }. Names are unique per user.
+app.post('/api/queries/saved', async (req, res) => {
+    try {
+        checkSavedQuery(req.body);
+        const { name, sql, description = null, favorite = false } = req.body;
+        const [existing] = await prisma.$queryRawUnsafe(
+            `SELECT id FROM \`${SAVED_QUERIES_TABLE}\` WHERE user_id = ? AND name = ?;`, req.user.id, name.trim()
+        );
+        if (existing) throw httpError(409, `You already have a saved query named ${name.trim()}.`);
+
+        const now = new Date().toISOString();
+        const [row] = await prisma.$queryRawUnsafe(
+            `INSERT INTO \`${SAVED_QUERIES_TABLE}\` (user_id, name, sql, description, favorite, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING *;`,
+            req.user.id, name.trim(), sql, description, favorite ? 1 : 0, now, now
+        );
+        res.status(201).json(savedQueryFromRow(row));
+    } catch (error) {
+        console.error('Error saving query:', error);
+        res.status(error.status || 500).json({ error: 'Failed to save the query: ' + error.message });
+    }
+});
+
+// 29. Change a saved query. Body: any of { name, sql, description, favorite }
+app.put('/api/queries/saved/:id', async (req, res) => {
+    try {
+        const id = parsePositiveInt(req.params.id, null, 'id');
+        checkSavedQuery(req.body, true);
+        const current = await loadSavedQuery(req, id);
+        const { name = current.name, sql = current.sql, description = current.description } = req.body;
+        const favorite = req.body.favorite === undefined ? Number(current.favorite) === 1 : Boolean(req.body.favorite);
+
+        const [clash] = await prisma.$queryRawUnsafe(
+            `SELECT id FROM \`${SAVED_QUERIES_TABLE}\` WHERE user_id = ? AND name = ? AND id <> ?;`, req.user.id, name.trim(), id
+        );
+        if (clash) throw httpError(409, `You already have a saved query named ${name.trim()}.`);
+
+        const [row] = await prisma.$queryRawUnsafe(
+            `UPDATE \`${SAVED_QUERIES_TABLE}\` SET name = ?, sql = ?, description = ?, favorite = ?, updated_at = ?
+             WHERE id = ? RETURNING *;`,
+            name.trim(), sql, description, favorite ? 1 : 0, new Date().toISOString(), id
+        );
+        res.json(savedQueryFromRow(row));
+    } catch (error) {
+        console.error('Error updating saved query:', error);
+        res.status(error.status || 500).json({ error: 'Failed to update the saved query: ' + error.message });
+    }
+});
+
+// 30. Delete a saved query
+app.delete('/api/queries/saved/:id', async (req, res) => {
+    try {
+        const id = parsePositiveInt(req.params.id, null, 'id');
+        await loadSavedQuery(req, id);
+        await prisma.$executeRawUnsafe(`DELETE FROM \`${SAVED_QUERIES_TABLE}\` WHERE id = ?;`, id);
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error deleting saved query:', error);
+        res.status(error.status || 500).json({ error: 'Failed to delete the saved query: ' + error.message });
+    }
+});
+
+// --- Database Connections ---
+
+// 31. The registered databases: { connections: [{ id, file, main }], files }
+// `files` lists the database files in DATABASE_DIR not registered yet, apart from the main
+// database (admins only).
+app.get('/api/connections', async (req, res) => {
+    try {
+        const rows = await prisma.$queryRawUnsafe(`SELECT id, file FROM \`${CONNECTIONS_TABLE}\` ORDER BY id;`);
+        const connections = [
+            { id: MAIN_CONNECTION, file: null, main: true },
+            ...rows.map(row => ({ id: row.id, file: row.file, main: false })),
+        ];
+        const registered = new Set(rows.map(row => row.file));
+        const files = req.user.role === 'admin'
+            ? (await listDatabaseFiles()).filter(file => !registered.has(file))
+            : [];
+        res.json({ connections, files });
+    } catch (error) {
+        console.error('Error listing database connections:', error);
+        res.status(500).json({ error: 'Failed to list the database connections: ' + error.message });
+    }
+});
+
+// 32. Register a database (admins only). Body: { id, file, create? }
+// Opens an existing file in DATABASE_DIR, or with `create` makes a new, empty one.
+app.post('/api/connections', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        const { id, file, create = false } = req.body || {};
+        if (typeof id !== 'string' || !/^[\w-]{1,64}$/.test(id)) {
+            throw badRequest('Connection ids are 1-64 letters, digits, _ or -');
+        }
+        const filePath = databasePath(file);
+        if (await isMainDatabase(filePath)) throw httpError(409, `${file} is the main database.`);
+        const [clash] = await prisma.$queryRawUnsafe(
+            `SELECT id FROM \`${CONNECTIONS_TABLE}\` WHERE id = ? OR file = ?;`, id, file
+        );
+        if (id === MAIN_CONNECTION || clash) throw httpError(409, `${id} or ${file} is already registered.`);
+
+        if (create) {
+            if (READ_ONLY) throw httpError(403, 'The server is in read-only mode.');
+            // An empty file is an empty SQLite database
+            await fs.promises.writeFile(filePath, '', { flag: 'wx' }).catch((error) => {
+                throw error.code === 'EEXIST' ? httpError(409, `${file} already exists.`) : error;
+            });
+        } else if (!fs.existsSync(filePath)) {
+            throw httpError(404, `${file} does not exist in ${DATABASE_DIR}.`);
+        }
+
+        await prisma.$executeRawUnsafe(
+            `INSERT INTO \`${CONNECTIONS_TABLE}\` (id, file, created_at) VALUES (?, ?, ?);`, id, file, new Date().toISOString()
+        );
+        try {
+            await getConnection(id);
+        } catch (error) {
+            // Not a database we can work with, so don't keep it registered
+            await prisma.$executeRawUnsafe(`DELETE FROM \`${CONNECTIONS_TABLE}\` WHERE id = ?;`, id);
+            throw badRequest(`Could not open ${file}: ${error.message}`);
+        }
+        res.status(201).json({ id, file, main: false });
+    } catch (error) {
+        console.error('Error registering database connection:', error);
+        res.status(error.status || 500).json({ error: 'Failed to register the database: ' + error.message });
+    }
+});
+
+// 33. Close a database and remove it from the registry (admins only). The file stays.
+app.delete('/api/connections/:id', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        const { id } = req.params;
+        if (id === MAIN_CONNECTION) throw badRequest("The main database can't be closed.");
+        const removed = await prisma.$executeRawUnsafe(`DELETE FROM \`${CONNECTIONS_TABLE}\` WHERE id = ?;`, id);
+        if (Number(removed) === 0) throw httpError(404, `Unknown database connection: ${id}`);
+        await closeConnection(id);
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error closing database connection:', error);
+        res.status(error.status || 500).json({ error: 'Failed to close the database: ' + error.message });
+    }
+});
+
+// --- Snapshots ---
+
+// 34. Snapshots of the database, newest first (admins only): { snapshots, automatic }
+// snapshot: { id, label, automatic, createdAt, createdBy, size }; `automatic` tells
+// whether snapshots are taken before schema changes and DELETE without WHERE.
+app.get('/api/snapshots', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        res.json({ snapshots: (await listSnapshots(req)).map(describeSnapshot), automatic: AUTO_SNAPSHOT });
+    } catch (error) {
+        console.error('Error listing snapshots:', error);
+        res.status(error.status || 500).json({ error: 'Failed to list snapshots: ' + error.message });
     }
 });
 
+// 35. Take a snapshot of the database (admins only). Body: { label? }
+app.post('/api/snapshots', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        const label = checkSnapshotLabel((req.body || {}).label);
+        res.status(201).json(describeSnapshot(await takeSnapshot(req, { label })));
+    } catch (error) {
+        console.error('Error taking snapshot:', error);
+        res.status(error.status || 500).json({ error: 'Failed to take a snapshot: ' + error.message });
+    }
+});
+
+// 36. Label a snapshot (admins only). Body: { label }
+app.put('/api/snapshots/:id', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        const snapshot = await loadSnapshot(req, req.params.id);
+        const label = checkSnapshotLabel((req.body || {}).label);
+        const infoFile = snapshot.file.replace(/\.db$/, '.json');
+        const info = JSON.parse(await fs.promises.readFile(infoFile, 'utf8'));
+        await fs.promises.writeFile(infoFile, JSON.stringify({ ...info, label }, null, 2));
+        res.json(describeSnapshot({ ...snapshot, label }));
+    } catch (error) {
+        console.error('Error labelling snapshot:', error);
+        res.status(error.status || 500).json({ error: 'Failed to label the snapshot: ' + error.message });
+    }
+});
+
+// 37. Download a snapshot as an SQLite database file (admins only)
+app.get('/api/snapshots/:id/download', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        const snapshot = await loadSnapshot(req, req.params.id);
+        const stream = fs.createReadStream(snapshot.file);
+        // The download headers are only set once the file could be opened
+        stream.on('open', () => {
+            res.set('Content-Type', 'application/vnd.sqlite3');
+            res.set('Content-Disposition', `attachment; filename="${req.connectionId}-${snapshot.id}.db"`);
+            stream.pipe(res);
+        });
+        stream.on('error', (error) => {
+            console.error('Error downloading snapshot:', error);
+            if (res.headersSent) {
+                res.destroy(error);
+            } else {
+                res.status(error.code === 'ENOENT' ? 404 : 500).json({ error: 'Failed to download the snapshot: ' + error.message });
+            }
+        });
+    } catch (error) {
+        console.error('Error downloading snapshot:', error);
+        res.status(error.status || 500).json({ error: 'Failed to download the snapshot: ' + error.message });
+    }
+});
+
+// 38. Restore the database from a snapshot (admins only). The current state is
+// snapshotted first; requests for the database answer 503 while it is swapped.
+app.post('/api/snapshots/:id/restore', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        if (READ_ONLY) throw httpError(403, 'The server is in read-only mode.');
+        const snapshot = await loadSnapshot(req, req.params.id);
+        await restoreSnapshot(req, snapshot);
+        // Every open editor reloads its tables and rows
+        broadcast(req, { type: 'schema', statement: null });
+        res.json(describeSnapshot(snapshot));
+    } catch (error) {
+        console.error('Error restoring snapshot:', error);
+        res.status(error.status || 500).json({ error: 'Failed to restore the snapshot: ' + error.message });
+    }
+});
+
+// 39. Delete a snapshot (admins only)
+app.delete('/api/snapshots/:id', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        await deleteSnapshot(await loadSnapshot(req, req.params.id));
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error deleting snapshot:', error);
+        res.status(error.status || 500).json({ error: 'Failed to delete the snapshot: ' + error.message });
+    }
+});
+
+// --- Schema Drift ---
+
+// 40. Compare the database with prisma/schema.prisma or the migrations (admins only).
+// Query parameters: against ('prisma' or 'migrations', default 'prisma')
+// Returns { against, source, tables, unchanged, prisma, migration, warnings }, see
+// diffSchemas in lib/schemaDiff.js; status 'added' means only the database has it.
+app.get('/api/schema-diff', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        res.json(await schemaDrift(req, req.query.against || 'prisma'));
+    } catch (error) {
+        console.error('Error comparing schemas:', error);
+        res.status(error.status || 500).json({ error: 'Failed to compare the schemas: ' + error.message });
+    }
+});
+
+// 41. Write the migration for the drift to prisma/migrations/<timestamp>_<name>/migration.sql
+// (admins only), so the next deploy knows about it. Body: { name, against? }
+app.post('/api/schema-diff/migration', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        const { name, against = 'migrations' } = req.body || {};
+        if (typeof name !== 'string' || !/^\w{1,100}$/.test(name)) {
+            throw badRequest('The migration name may only contain letters, digits and underscores.');
+        }
+        const { migration } = await schemaDrift(req, against);
+        if (!migration) throw badRequest('The database matches, there is nothing to migrate.');
+
+        // Prisma names migrations YYYYMMDDHHMMSS_name
+        const stamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+        const folder = `${stamp}_${name}`;
+        await fs.promises.mkdir(path.join(PRISMA_DIR, 'migrations', folder));
+        await fs.promises.writeFile(path.join(PRISMA_DIR, 'migrations', folder, 'migration.sql'), migration);
+        res.status(201).json({ migration: `prisma/migrations/${folder}/migration.sql` });
+    } catch (error) {
+        console.error('Error writing migration:', error);
+        res.status(error.status || 500).json({ error: 'Failed to write the migration: ' + error.message });
+    }
+});
+
+// --- Full-Text Search ---
+
+// 42. Search every text column of the tables the user may read. Uses the search index
+// when the database has one (see syncSearchIndex); in read-only mode nothing changes
+// through the server and the index is used as it is.
+// Query parameters:
+//   q      - the text to search for
+//   limit  - matching rows returned per table (default 10)
+//   mode   - 'scan' scans the tables even when there is an index
+// Returns { query, mode: 'index' | 'scan', searched, tables }: the number of tables
+// searched and, for those with matches, what searchTable returns.
+app.get('/api/search', async (req, res) => {
+    try {
+        const text = String(req.query.q || '').trim();
+        if (text === '') throw badRequest('Enter the text to search for.');
+        if (text.length > MAX_SEARCH_LENGTH) throw badRequest(`The search text is limited to ${MAX_SEARCH_LENGTH} characters.`);
+        if (req.query.mode !== undefined && req.query.mode !== 'scan') throw badRequest('The mode parameter can only be scan.');
+        const limit = Math.min(parsePositiveInt(req.query.limit, SEARCH_LIMIT, 'limit'), MAX_SEARCH_LIMIT);
+
+        const indexed = req.query.mode !== 'scan' && await hasSearchIndex(req.db);
+        if (indexed && !READ_ONLY) await syncSearchIndex(req);
+        const tableNames = (await listTableNames(req.db)).filter(table => hasLevel(tableLevel(req.user, table), 'read'));
+        const tables = [];
+        for (const tableName of tableNames) {
+            const match = await searchTable(req.db, tableName, text, { limit, indexed });
+            if (match) tables.push(match);
+        }
+        res.json({ query: text, mode: indexed ? 'index' : 'scan', searched: tableNames.length, tables });
+    } catch (error) {
+        console.error('Error searching:', error);
+        res.status(error.status || 500).json({ error: 'Failed to search: ' + error.message });
+    }
+});
+
+// 43. Whether the database has a search index: { indexed, entries }
+app.get('/api/search/index', async (req, res) => {
+    try {
+        res.json(await searchIndexStatus(req));
+    } catch (error) {
+        console.error('Error reading the search index status:', error);
+        res.status(error.status || 500).json({ error: 'Failed to read the search index status: ' + error.message });
+    }
+});
+
+// 44. Build the search index, or rebuild it from scratch (admins only). Needs SQLite's
+// FTS5 extension. Returns the status as in route 43.
+app.post('/api/search/index', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        if (READ_ONLY) throw httpError(403, 'The server is in read-only mode.');
+        await req.db.$executeRawUnsafe(
+            `CREATE VIRTUAL TABLE IF NOT EXISTS \`${SEARCH_TABLE}\` USING fts5(tbl UNINDEXED, rowkey UNINDEXED, content);`
+        ).catch((error) => {
+            throw badRequest(`The search index needs SQLite's FTS5 extension: ${error.message}`);
+        });
+        searchBacklogs.delete(req.connectionId);
+        await syncSearchIndex(req);
+        res.json(await searchIndexStatus(req));
+    } catch (error) {
+        console.error('Error building the search index:', error);
+        res.status(error.status || 500).json({ error: 'Failed to build the search index: ' + error.message });
+    }
+});
+
+// 45. Drop the search index (admins only); searches scan the tables again
+app.delete('/api/search/index', async (req, res) => {
+    try {
+        requireAdmin(req.user);
+        if (READ_ONLY) throw httpError(403, 'The server is in read-only mode.');
+        await req.db.$executeRawUnsafe(`DROP TABLE IF EXISTS \`${SEARCH_TABLE}\`;`);
+        searchBacklogs.delete(req.connectionId);
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error dropping the search index:', error);
+        res.status(error.status || 500).json({ error: 'Failed to drop the search index: ' + error.message });
+    }
+});
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`);
-    console.log('Server is now fully configured for dynamic tables.');
+// Start the server once the audit log, the user, query history and connection tables exist
+Promise.all([ensureAuditLog(prisma), ensureAuthTables(), ensureQueryLibrary(), ensureConnectionsTable()]).then(() => {
+    app.listen(PORT, () => {
+        console.log(`Server is running on http://localhost:${PORT}`);
+        console.log('Server is now fully configured for dynamic tables.');
+    });
+}).catch((error) => {
+    console.error('Could not create the audit log, user, query history or connection tables:', error);
+    process.exit(1);
 });
\ No newline at end of file
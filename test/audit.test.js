@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ensureAuditLog, executeAudited, revertEntries, auditEntryFromRow, AUDIT_TABLE } = require('../lib/audit');
+const { openDatabase, prismaClient } = require('./support/sqlite');
+
+const admin = { id: 1, username: 'admin', role: 'admin', grants: {} };
+const auditFor = (source, statement = null) => ({ actor: 'admin', clientId: null, source, statement, ids: [] });
+
+// A database with the audit log and a table of three items
+async function withItems(work) {
+    const db = await openDatabase();
+    try {
+        const client = prismaClient(db);
+        await ensureAuditLog(client);
+        await db.exec("CREATE TABLE item (id INTEGER PRIMARY KEY, name TEXT); INSERT INTO item (name) VALUES ('a'), ('b'), ('c')");
+        await work(client, db);
+    } finally {
+        await db.close();
+    }
+}
+
+const names = async (db) => (await db.all('SELECT id, name FROM item ORDER BY id')).map(row => `${row.id}:${row.name}`);
+
+test('records what a statement changed row by row', () => withItems(async (client, db) => {
+    const sql = "UPDATE item SET name = name || '!' WHERE id < 3";
+    const audit = auditFor('query', sql);
+    const rowCount = await client.$transaction(tx => executeAudited(tx, 'item', sql, audit));
+    assert.equal(rowCount, 2);
+
+    const entries = (await db.all(`SELECT * FROM ${AUDIT_TABLE} ORDER BY id`)).map(auditEntryFromRow);
+    assert.deepEqual(entries.map(entry => [entry.action, entry.key, entry.before.name, entry.after.name, entry.statement]), [
+        ['update', [1], 'a', 'a!', sql],
+        ['update', [2], 'b', 'b!', sql],
+    ]);
+    assert.deepEqual(audit.ids, entries.map(entry => entry.id));
+}));
+
+test('undoes a statement and redoes it by reverting the undo', () => withItems(async (client, db) => {
+    const sql = "DELETE FROM item WHERE id = 2; INSERT INTO item (name) VALUES ('d'); UPDATE item SET name = 'A' WHERE id = 1";
+    const audit = auditFor('query', sql);
+    await client.$transaction(async (tx) => {
+        for (const statement of sql.split('; ')) await executeAudited(tx, 'item', statement, audit);
+    });
+    assert.deepEqual(await names(db), ['1:A', '3:c', '4:d']);
+
+    const undo = auditFor('revert');
+    const tables = await client.$transaction(tx => revertEntries(tx, audit.ids, undo, { user: admin, readOnly: false }));
+    assert.deepEqual(tables, ['item']);
+    assert.deepEqual(await names(db), ['1:a', '2:b', '3:c']);
+
+    const redo = auditFor('revert');
+    await client.$transaction(tx => revertEntries(tx, undo.ids, redo, { user: admin, readOnly: false }));
+    assert.deepEqual(await names(db), ['1:A', '3:c', '4:d']);
+}));
+
+test('refuses to undo rows changed since, or by users who may not write the table', () => withItems(async (client, db) => {
+    const audit = auditFor('query');
+    await client.$transaction(tx => executeAudited(tx, 'item', "UPDATE item SET name = 'x' WHERE id = 1", audit));
+    await db.run("UPDATE item SET name = 'y' WHERE id = 1");
+
+    const revert = ids => client.$transaction(tx => revertEntries(tx, ids, auditFor('revert'), { user: admin, readOnly: false }));
+    await assert.rejects(revert(audit.ids), { status: 409, message: 'Row [1] was changed by someone else (name).' });
+    await assert.rejects(revert([999]), { status: 404 });
+
+    await db.run("UPDATE item SET name = 'x' WHERE id = 1");
+    const viewer = { id: 2, username: 'viewer', role: 'viewer', grants: {} };
+    await assert.rejects(
+        client.$transaction(tx => revertEntries(tx, audit.ids, auditFor('revert'), { user: viewer, readOnly: false })),
+        { status: 403 }
+    );
+    assert.deepEqual(await names(db), ['1:x', '2:b', '3:c']);
+}));
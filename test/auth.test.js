@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    USERS_TABLE, SESSIONS_TABLE, GRANTS_TABLE, hashPassword, hashToken, tableLevel,
+    createAuthTables, logIn, findSession, authorizeTable, requireAdmin, authorizeStatement,
+} = require('../lib/auth');
+const { classifyStatement, explainTarget } = require('../lib/statements');
+const { openDatabase, prismaClient } = require('./support/sqlite');
+
+const user = (role, grants = {}) => ({ id: 1, username: role, role, grants });
+
+// Creates the auth tables with the user `ann` (password "correct horse") and `grants` for them
+async function withUsers(work, { role = 'viewer', grants = [] } = {}) {
+    const db = await openDatabase();
+    try {
+        const client = prismaClient(db);
+        await createAuthTables(client);
+        await db.run(
+            `INSERT INTO ${USERS_TABLE} (username, password_hash, role, created_at) VALUES ('ann', ?, ?, '2026-01-01')`,
+            [hashPassword('correct horse'), role]
+        );
+        for (const [table, level] of grants) {
+            await db.run(`INSERT INTO ${GRANTS_TABLE} (user_id, table_name, level) VALUES (1, ?, ?)`, [table, level]);
+        }
+        await work(client, db);
+    } finally {
+        await db.close();
+    }
+}
+
+test('logs in with the right password and finds the session by its token', () => withUsers(async (client) => {
+    const { token, user: ann } = await logIn(client, 'ANN', 'correct horse');
+    assert.equal(ann.username, 'ann');
+    assert.deepEqual(ann.grants, { orders: 'write' });
+
+    const session = await findSession(client, token);
+    assert.equal(session.sessionId, hashToken(token));
+    assert.equal(session.user.id, ann.id);
+    assert.equal(await findSession(client, 'not a token'), null);
+}, { grants: [['Orders', 'write']] }));
+
+test('refuses a wrong password or unknown user, and expired sessions', () => withUsers(async (client, db) => {
+    await assert.rejects(logIn(client, 'ann', 'wrong'), { status: 401, message: 'Wrong username or password.' });
+    await assert.rejects(logIn(client, 'bob', 'correct horse'), { status: 401 });
+
+    const { token } = await logIn(client, 'ann', 'correct horse');
+    await db.run(`UPDATE ${SESSIONS_TABLE} SET expires_at = ?`, [Date.now() - 1]);
+    assert.equal(await findSession(client, token), null);
+}));
+
+test('gives each role its default level on tables without a grant', () => {
+    assert.equal(tableLevel(user('viewer'), 'orders'), 'read');
+    assert.equal(tableLevel(user('editor'), 'orders'), 'write');
+    assert.equal(tableLevel(user('admin'), 'orders'), 'ddl');
+
+    authorizeTable(user('viewer'), 'orders', 'read', false);
+    assert.throws(() => authorizeTable(user('viewer'), 'orders', 'write', false), {
+        status: 403, message: "You don't have write permission on orders.",
+    });
+    authorizeTable(user('editor'), 'orders', 'write', false);
+    assert.throws(() => authorizeTable(user('editor'), 'orders', 'ddl', false), { status: 403 });
+    assert.throws(() => requireAdmin(user('editor')), { status: 403 });
+    requireAdmin(user('admin'));
+});
+
+test('lets per-table grants raise or lower the role default', () => {
+    const viewer = user('viewer', { orders: 'write' });
+    authorizeTable(viewer, 'Orders', 'write', false);
+    assert.throws(() => authorizeTable(viewer, 'customers', 'write', false), { status: 403 });
+
+    const editor = user('editor', { salaries: 'none' });
+    assert.throws(() => authorizeTable(editor, 'salaries', 'read', false), { status: 403 });
+});
+
+test("denies everyone but admins the server's own _ldb_ tables, whatever their grants", () => {
+    assert.equal(tableLevel(user('editor', { _ldb_users: 'ddl' }), '_ldb_users'), 'none');
+    assert.throws(() => authorizeTable(user('viewer'), '_LDB_sessions', 'read', false), { status: 403 });
+    authorizeTable(user('admin'), '_ldb_users', 'write', false);
+});
+
+test('refuses every change in read-only mode, even to admins', () => {
+    assert.throws(() => authorizeTable(user('admin'), 'orders', 'write', true), {
+        status: 403, message: 'The server is in read-only mode.',
+    });
+    authorizeTable(user('viewer'), 'orders', 'read', true);
+});
+
+test('refuses statements by role, the tables they touch and read-only mode', async () => {
+    const db = await openDatabase();
+    try {
+        await db.exec(`
+            CREATE TABLE orders (id INTEGER PRIMARY KEY, total REAL);
+            CREATE TABLE audit (id INTEGER PRIMARY KEY, note TEXT);
+            CREATE TRIGGER orders_audit AFTER DELETE ON orders BEGIN INSERT INTO audit (note) VALUES ('gone'); END;
+            CREATE VIRTUAL TABLE notes USING fts5(body);
+            CREATE VIEW all_notes AS SELECT * FROM notes;
+        `);
+        const inspect = async (sql) => classifyStatement(
+            sql, await db.all(`EXPLAIN ${explainTarget(sql)}`), await db.all('SELECT tbl_name, rootpage, sql FROM sqlite_master')
+        );
+        const refused = async (who, sql, readOnly = false) => {
+            try {
+                authorizeStatement(who, await inspect(sql), readOnly);
+                return null;
+            } catch (error) {
+                assert.equal(error.status, 403);
+                return error.message;
+            }
+        };
+
+        const viewer = user('viewer');
+        assert.equal(await refused(viewer, 'SELECT * FROM orders'), null);
+        assert.equal(await refused(viewer, 'UPDATE orders SET total = 0 WHERE id = 1'), "You don't have write permission on orders.");
+        assert.equal(await refused(viewer, 'SELECT * FROM notes'), null);
+        assert.equal(await refused(viewer, 'SELECT * FROM all_notes'), 'Only admins can use virtual tables through views or triggers.');
+
+        // Editors can't reach tables through triggers that they can't write themselves
+        const editor = user('editor', { audit: 'read' });
+        assert.equal(await refused(editor, 'UPDATE orders SET total = 0 WHERE id = 1'), null);
+        assert.equal(await refused(editor, 'DELETE FROM orders WHERE id = 1'), "You don't have write permission on audit.");
+        assert.equal(await refused(editor, "INSERT INTO notes (body) VALUES ('x')"), 'Only admins can write to virtual tables.');
+        assert.equal(await refused(editor, 'CREATE TABLE t (a)'), 'Only admins can run statements other than SELECT, INSERT, UPDATE and DELETE.');
+        assert.equal(await refused(editor, 'PRAGMA table_info(orders)'), 'Only admins can run statements other than SELECT, INSERT, UPDATE and DELETE.');
+        assert.equal(await refused(editor, "ATTACH ':memory:' AS other"), 'Only admins can run statements other than SELECT, INSERT, UPDATE and DELETE.');
+
+        const admin = user('admin');
+        assert.equal(await refused(admin, 'DROP TABLE orders'), null);
+        assert.equal(await refused(admin, "INSERT INTO notes (body) VALUES ('x')"), null);
+        assert.equal(await refused(admin, 'DELETE FROM orders WHERE id = 1', true), 'The server is in read-only mode; only queries can run.');
+        assert.equal(await refused(admin, 'SELECT * FROM orders', true), null);
+    } finally {
+        await db.close();
+    }
+});
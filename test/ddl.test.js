@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planCreateTable, planAlterTable, buildCreateIndex } = require('../lib/ddl');
+const { openDatabase } = require('./support/sqlite');
+
+// Runs a plan the way server.js's applySchemaPlan does
+async function apply(db, plan) {
+    await db.exec('PRAGMA foreign_keys = OFF');
+    await db.exec('BEGIN');
+    // Like applySchemaPlan, with legacy_alter_table on for the rebuild only
+    const rebuilt = plan.rebuildStatements ?? 0;
+    await db.exec('PRAGMA legacy_alter_table = ON');
+    for (const statement of plan.statements.slice(0, rebuilt)) await db.exec(statement);
+    await db.exec('PRAGMA legacy_alter_table = OFF');
+    for (const statement of plan.statements.slice(rebuilt)) await db.exec(statement);
+    await db.exec('COMMIT');
+    await db.exec('PRAGMA foreign_keys = ON');
+}
+
+const column = (name, type, extra = {}) => ({
+    name, type, notNull: false, defaultValue: null, primaryKey: false, autoIncrement: false, unique: false, ...extra,
+});
+
+test('plans a new table with an inline INTEGER key and unique indexes', () => {
+    const plan = planCreateTable('item', {
+        columns: [
+            { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+            { name: 'code', type: 'TEXT', notNull: true, unique: true, defaultValue: "'x'" },
+        ],
+    });
+    assert.deepEqual(plan.statements, [
+        "CREATE TABLE `item` (\n    `id` INTEGER PRIMARY KEY AUTOINCREMENT,\n    `code` TEXT NOT NULL DEFAULT 'x'\n);",
+        'CREATE UNIQUE INDEX `item_code_key` ON `item` (`code`);',
+    ]);
+});
+
+test('rejects defaults that would end the column definition', () => {
+    const plan = (defaultValue) => planCreateTable('t', { columns: [{ name: 'a', type: 'TEXT', defaultValue }] });
+    assert.throws(() => plan('(1), injected TEXT DEFAULT (2)'), /Invalid default for column a/);
+    assert.throws(() => plan('(1); DROP TABLE t'), /Invalid default/);
+    assert.throws(() => plan('(1 -- comment)'), /Invalid default/);
+    assert.throws(() => plan('(1'), /Invalid default/);
+    assert.doesNotThrow(() => plan("(coalesce(NULL, 'a)b'))"));
+    assert.doesNotThrow(() => plan('CURRENT_TIMESTAMP'));
+});
+
+test('renames columns with ALTER TABLE when no rebuild is needed', () => {
+    const current = { name: 't', columns: [column('id', 'INTEGER', { primaryKey: true }), column('a', 'TEXT')], foreignKeys: [], indexes: [], triggers: [] };
+    const plan = planAlterTable(current, {
+        name: 'u',
+        columns: [{ ...current.columns[0], previousName: 'id' }, { ...current.columns[1], name: 'b', previousName: 'a' }],
+    });
+    assert.equal(plan.mode, 'alter');
+    assert.deepEqual(plan.statements, [
+        'ALTER TABLE `t` RENAME TO `u`;',
+        'ALTER TABLE `u` RENAME COLUMN `a` TO `b`;',
+    ]);
+});
+
+test('renames a table in the same change as a rebuild, keeping its indexes and triggers', async () => {
+    const db = await openDatabase();
+    try {
+        await db.exec(`
+            CREATE TABLE t (id INTEGER PRIMARY KEY, a TEXT, b INTEGER);
+            CREATE INDEX t_a_idx ON t (a) WHERE a IS NOT NULL;
+            CREATE TABLE log (message TEXT);
+            CREATE TABLE child (id INTEGER PRIMARY KEY, t_id INTEGER REFERENCES t (id));
+            CREATE TRIGGER t_insert AFTER INSERT ON t BEGIN INSERT INTO log VALUES (NEW.a); END;
+            INSERT INTO t (a, b) VALUES ('x', 1);
+        `);
+        const current = {
+            name: 't',
+            columns: [column('id', 'INTEGER', { primaryKey: true }), column('a', 'TEXT'), column('b', 'INTEGER')],
+            foreignKeys: [],
+            indexes: [{ name: 't_a_idx', unique: false, origin: 'c', partial: true, columns: ['a'], sql: 'CREATE INDEX t_a_idx ON t (a) WHERE a IS NOT NULL' }],
+            triggers: ['CREATE TRIGGER t_insert AFTER INSERT ON t BEGIN INSERT INTO log VALUES (NEW.a); END'],
+        };
+        const plan = planAlterTable(current, {
+            name: 'u',
+            columns: [
+                { ...current.columns[0], previousName: 'id' },
+                { ...current.columns[1], previousName: 'a' },
+                { ...current.columns[2], type: 'TEXT', unique: true, previousName: 'b' }, // Needs a rebuild
+            ],
+        });
+        assert.equal(plan.mode, 'rebuild');
+        assert.equal(plan.statements.some(statement => statement.startsWith('PRAGMA')), false);
+        assert.equal(plan.statements[plan.rebuildStatements], 'ALTER TABLE `t` RENAME TO `u`;');
+        await apply(db, plan);
+
+        const objects = await db.all("SELECT type, name, tbl_name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY name");
+        assert.deepEqual(objects.map(object => `${object.type} ${object.name} ON ${object.tbl_name}`), [
+            'table child ON child',
+            'table log ON log',
+            'index t_a_idx ON u',
+            'trigger t_insert ON u',
+            'table u ON u',
+            'index u_b_key ON u',
+        ]);
+        assert.deepEqual(await db.all('SELECT id, a, b FROM u'), [{ id: 1, a: 'x', b: '1' }]);
+
+        // References in other tables follow the rename, and the trigger still fires
+        const [{ sql }] = await db.all("SELECT sql FROM sqlite_master WHERE name = 'child'");
+        assert.match(sql, /REFERENCES "u"/);
+        await db.run("INSERT INTO u (a, b) VALUES ('y', '2')");
+        assert.deepEqual(await db.all('SELECT message FROM log'), [{ message: 'x' }, { message: 'y' }]);
+    } finally {
+        await db.close();
+    }
+});
+
+test('builds index statements with generated names', () => {
+    assert.equal(buildCreateIndex('t', { columns: ['a', 'b'] }), 'CREATE INDEX `t_a_b_idx` ON `t` (`a`, `b`);');
+    assert.throws(() => buildCreateIndex('t', { columns: [] }), /at least one column/);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createExportWriter, sqlLiteral } = require('../lib/export');
+const { openDatabase } = require('./support/sqlite');
+
+// Writes `batches` of rows with a writer the way server.js's streamExport does
+function exportRows(format, columns, batches, tableName = 't') {
+    const writer = createExportWriter(format, columns, tableName);
+    return writer.start() + batches.map((rows, index) => writer.rows(rows, index === 0)).join('') + writer.end();
+}
+
+test('writes CSV with quoted fields where needed', () => {
+    const rows = [{ id: 1, note: 'a, "b"' }, { id: 2, note: 'line\nbreak' }, { id: 3, note: null }];
+    assert.equal(
+        exportRows('csv', ['id', 'note'], [rows]),
+        'id,note\r\n1,"a, ""b"""\r\n2,"line\nbreak"\r\n3,\r\n',
+    );
+});
+
+test('writes a JSON array across batches', () => {
+    const text = exportRows('json', ['id', 'big'], [[{ id: 1, big: 2n }], [{ id: 2, big: null }]]);
+    assert.deepEqual(JSON.parse(text), [{ id: 1, big: 2 }, { id: 2, big: null }]);
+});
+
+test('writes one JSON object per line for NDJSON', () => {
+    const text = exportRows('ndjson', ['id', 'data'], [[{ id: 1, data: Buffer.from('hi') }]]);
+    assert.equal(text, '{"id":1,"data":"aGk="}\n');
+});
+
+test('formats SQL literals', () => {
+    assert.equal(sqlLiteral(null), 'NULL');
+    assert.equal(sqlLiteral(true), '1');
+    assert.equal(sqlLiteral("it's"), "'it''s'");
+    assert.equal(sqlLiteral(Buffer.from([1, 255])), "X'01ff'");
+});
+
+test('writes an SQL dump that SQLite loads back', async () => {
+    const rows = [{ id: 1, 'the "name"': "it's" }, { id: 2, 'the "name"': null }];
+    const dump = exportRows('sql', ['id', 'the "name"'], [rows], 'my table');
+
+    const db = await openDatabase();
+    try {
+        await db.exec('CREATE TABLE "my table" (id INTEGER PRIMARY KEY, "the ""name""" TEXT)');
+        await db.exec(dump);
+        assert.deepEqual(await db.all('SELECT * FROM "my table" ORDER BY id'), rows);
+    } finally {
+        await db.close();
+    }
+});
+
+test('refuses unknown formats with a 400', () => {
+    assert.throws(() => createExportWriter('xml', ['id'], 't'), (error) => error.status === 400 && /Unknown export format: xml/.test(error.message));
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { valueKind, coerceValue, rowsPerStatement, buildImportStatement } = require('../lib/import');
+const { openDatabase } = require('./support/sqlite');
+
+test('maps declared types to the kind of value imported', () => {
+    assert.equal(valueKind('BOOLEAN'), 'boolean');
+    assert.equal(valueKind('BIGINT'), 'integer');
+    assert.equal(valueKind('unsigned big int'), 'integer');
+    assert.equal(valueKind('INT8'), 'integer');
+    assert.equal(valueKind('POINT'), 'text');
+    assert.equal(valueKind('DATETIME'), 'datetime');
+    assert.equal(valueKind('DECIMAL(10, 2)'), 'number');
+    assert.equal(valueKind('BLOB'), 'blob');
+    assert.equal(valueKind('VARCHAR(20)'), 'text');
+    assert.equal(valueKind(''), 'text');
+});
+
+test('coerces imported text to the column type', () => {
+    assert.equal(coerceValue(' yes ', 'BOOLEAN'), 1);
+    assert.equal(coerceValue('F', 'BOOLEAN'), 0);
+    assert.equal(coerceValue('-42', 'INTEGER'), -42);
+    assert.equal(coerceValue('(1, 2)', 'POINT'), '(1, 2)');
+    assert.equal(coerceValue('9007199254740993', 'INTEGER'), '9007199254740993');
+    assert.equal(coerceValue('1.5e3', 'REAL'), 1500);
+    assert.equal(coerceValue('2024-02-29', 'DATE'), '2024-02-29');
+    assert.equal(coerceValue({ a: 1 }, 'TEXT'), '{"a":1}');
+    assert.equal(coerceValue(7, 'TEXT'), '7');
+});
+
+test('turns empty values into NULL unless asked not to', () => {
+    assert.equal(coerceValue('  ', 'INTEGER'), null);
+    assert.equal(coerceValue(undefined, 'TEXT'), null);
+    assert.equal(coerceValue('', 'TEXT', { emptyAsNull: false }), '');
+});
+
+test('describes values that do not fit the column', () => {
+    assert.throws(() => coerceValue('maybe', 'BOOLEAN'), /expected a boolean, got "maybe"/);
+    assert.throws(() => coerceValue('1.5', 'INTEGER'), /expected an integer/);
+    assert.throws(() => coerceValue('abc', 'REAL'), /expected a number/);
+    assert.throws(() => coerceValue('not a date', 'DATETIME'), /expected a date/);
+});
+
+test('keeps statements below the parameter limit', () => {
+    assert.equal(rowsPerStatement(1), 999);
+    assert.equal(rowsPerStatement(10), 99);
+    assert.equal(rowsPerStatement(2000), 1);
+});
+
+test('builds inserts and upserts that SQLite runs', async () => {
+    assert.equal(
+        buildImportStatement('t', ['id', 'name'], 2),
+        'INSERT INTO `t` (`id`, `name`) VALUES (?, ?), (?, ?);',
+    );
+    assert.throws(() => buildImportStatement('t;', ['id'], 1), /Invalid table name/);
+
+    const db = await openDatabase();
+    try {
+        await db.exec('CREATE TABLE t (id INTEGER PRIMARY KEY, name TEXT)');
+        await db.run(buildImportStatement('t', ['id', 'name'], 2), [1, 'a', 2, 'b']);
+        await db.run(buildImportStatement('t', ['id', 'name'], 2, ['id']), [2, 'B', 3, 'c']);
+        await db.run(buildImportStatement('t', ['id'], 1, ['id']), [3]);
+        assert.deepEqual(await db.all('SELECT id, name FROM t ORDER BY id'), [
+            { id: 1, name: 'a' },
+            { id: 2, name: 'B' },
+            { id: 3, name: 'c' },
+        ]);
+    } finally {
+        await db.close();
+    }
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrismaSchema, prismaModel, prismaType } = require('../lib/prismaSchema');
+const { diffSchemas, migrationSql } = require('../lib/schemaDiff');
+const { planCreateTable } = require('../lib/ddl');
+const { openDatabase } = require('./support/sqlite');
+
+const REFERENCE = `
+// The schema the migrations know about
+model User {
+  id    Int     @id @default(autoincrement())
+  email String  @unique
+  name  String?
+}
+
+model Old {
+  id Int @id
+}
+`;
+
+const LIVE = `
+model User {
+  id    Int    @id @default(autoincrement())
+  email String @unique
+  name  String
+  age   Int    @default(0)
+}
+
+model Post {
+  id       Int  @id
+  authorId Int
+  author   User @relation(fields: [authorId], references: [id], onDelete: Cascade)
+
+  @@index([authorId])
+}
+`;
+
+test('parses Prisma models into table descriptions', () => {
+    const [user] = parsePrismaSchema(REFERENCE);
+    assert.equal(user.name, 'User');
+    assert.deepEqual(user.primaryKey, ['id']);
+    assert.deepEqual(
+        user.columns.map(({ name, type, notNull, autoIncrement, unique }) => ({ name, type, notNull, autoIncrement, unique })),
+        [
+            { name: 'id', type: 'INTEGER', notNull: true, autoIncrement: true, unique: false },
+            { name: 'email', type: 'TEXT', notNull: true, autoIncrement: false, unique: true },
+            { name: 'name', type: 'TEXT', notNull: false, autoIncrement: false, unique: false },
+        ],
+    );
+    assert.deepEqual(user.indexes.map(index => index.name), ['User_email_key']);
+
+    const post = parsePrismaSchema(LIVE)[1];
+    assert.deepEqual(post.foreignKeys, [{ from: ['authorId'], table: 'User', to: ['id'], onDelete: 'CASCADE', onUpdate: 'CASCADE' }]);
+});
+
+test('writes Prisma models for tables', () => {
+    assert.equal(prismaType('VARCHAR(20)'), 'String');
+    assert.equal(prismaType('BIGINT'), 'BigInt');
+    const model = prismaModel(parsePrismaSchema(LIVE)[0]);
+    assert.match(model, /^model User \{/);
+    assert.match(model, /id\s+Int\s+@id @default\(autoincrement\(\)\)/);
+    assert.match(model, /age\s+Int\s+@default\(0\)/);
+});
+
+test('lists added, removed and changed tables and columns', () => {
+    const diff = diffSchemas(parsePrismaSchema(LIVE), parsePrismaSchema(REFERENCE));
+    assert.deepEqual(diff.tables.map(table => `${table.status} ${table.name}`), ['changed User', 'added Post', 'removed Old']);
+    assert.deepEqual(diff.tables[0].columns, [
+        { name: 'name', status: 'changed', changes: [{ field: 'notNull', live: true, expected: false }] },
+        { name: 'age', status: 'added', changes: [] },
+    ]);
+    assert.deepEqual(diffSchemas(parsePrismaSchema(REFERENCE), parsePrismaSchema(REFERENCE)), { tables: [], unchanged: ['User', 'Old'] });
+});
+
+test('writes a migration that turns the reference schema into the live one', async () => {
+    const reference = parsePrismaSchema(REFERENCE);
+    const live = parsePrismaSchema(LIVE);
+    // Tables only the live database has are created from their stored SQL
+    live[1].sql = 'CREATE TABLE "Post" ("id" INTEGER NOT NULL PRIMARY KEY, "authorId" INTEGER NOT NULL, '
+        + 'FOREIGN KEY ("authorId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE)';
+    live[1].indexes[0].sql = 'CREATE INDEX "Post_authorId_idx" ON "Post"("authorId")';
+
+    const { sql, warnings } = migrationSql(diffSchemas(live, reference), live, reference);
+    assert.deepEqual(warnings, ['User: Rebuilding the table because of: NOT NULL on name.']);
+
+    const db = await openDatabase();
+    try {
+        for (const table of reference) {
+            for (const statement of planCreateTable(table.name, table).statements) await db.exec(statement);
+        }
+        await db.run("INSERT INTO User (email, name) VALUES ('a@example.com', 'A')");
+        await db.exec(sql);
+
+        const objects = await db.all("SELECT type, name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY name");
+        assert.deepEqual(objects.map(object => `${object.type} ${object.name}`), [
+            'table Post', 'index Post_authorId_idx', 'table User', 'index User_email_key',
+        ]);
+        assert.deepEqual(await db.all('SELECT * FROM User'), [{ id: 1, email: 'a@example.com', name: 'A', age: 0 }]);
+    } finally {
+        await db.close();
+    }
+});
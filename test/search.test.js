@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isTextColumn, searchWords, ftsQuery, highlight } = require('../lib/search');
+const { openDatabase } = require('./support/sqlite');
+
+test('searches text, JSON and typeless columns', () => {
+    assert.equal(isTextColumn('VARCHAR(255)'), true);
+    assert.equal(isTextColumn('json'), true);
+    assert.equal(isTextColumn(''), true);
+    assert.equal(isTextColumn('INTEGER'), false);
+    assert.equal(isTextColumn('CHARINT'), false);
+    assert.equal(isTextColumn('REAL'), false);
+});
+
+test('splits the search text into words', () => {
+    assert.deepEqual(searchWords('  ada   lovelace '), ['ada', 'lovelace']);
+});
+
+test('builds FTS5 queries that match word beginnings literally', async () => {
+    assert.equal(ftsQuery('ada "x" OR'), '"ada"* """x"""* "OR"*');
+
+    const db = await openDatabase();
+    try {
+        await db.exec(`
+            CREATE VIRTUAL TABLE docs USING fts5(body);
+            INSERT INTO docs (body) VALUES ('Ada Lovelace'), ('ada@example.com'), ('OR NOT');
+        `);
+        const match = async (text) => (await db.all('SELECT body FROM docs WHERE docs MATCH ? ORDER BY rowid', [ftsQuery(text)]))
+            .map(row => row.body);
+        assert.deepEqual(await match('love ada'), ['Ada Lovelace']);
+        assert.deepEqual(await match('ada@example'), ['ada@example.com']);
+        assert.deepEqual(await match('or'), ['OR NOT']);
+    } finally {
+        await db.close();
+    }
+});
+
+test('highlights the matches around the first one', () => {
+    assert.deepEqual(highlight('Ada Lovelace and ada', ['ada']), [
+        { text: 'Ada', match: true },
+        { text: ' Lovelace and ', match: false },
+        { text: 'ada', match: true },
+    ]);
+    assert.deepEqual(highlight('xxxxxABCxxxxx', ['abc'], 2), [
+        { text: '…', match: false },
+        { text: 'xx', match: false },
+        { text: 'ABC', match: true },
+        { text: 'xx', match: false },
+        { text: '…', match: false },
+    ]);
+    assert.equal(highlight('nothing here', ['ada']), null);
+    assert.equal(highlight(null, ['ada']), null);
+});
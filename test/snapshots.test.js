@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuthTables, hashPassword, USERS_TABLE, SESSIONS_TABLE } = require('../lib/auth');
+const { readKeptTables, writeKeptTables } = require('../lib/snapshots');
+const { openDatabase, prismaClient } = require('./support/sqlite');
+
+const HISTORY_TABLE = '_ldb_query_history';
+
+test("restoring a snapshot brings the data back but keeps the server's own tables", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ldb-snapshots-'));
+    const file = path.join(dir, 'dev.db');
+    const snapshotFile = path.join(dir, 'snapshot.db');
+    let db = await openDatabase(file);
+    try {
+        await createAuthTables(prismaClient(db));
+        await db.exec(`
+            CREATE TABLE ${HISTORY_TABLE} (id INTEGER PRIMARY KEY, sql TEXT);
+            CREATE TABLE item (id INTEGER PRIMARY KEY, name TEXT);
+            INSERT INTO item (name) VALUES ('a');
+        `);
+        const addUser = (name) => db.run(
+            `INSERT INTO ${USERS_TABLE} (username, password_hash, role, created_at) VALUES (?, ?, 'viewer', '2026-01-01')`,
+            [name, hashPassword('password')]
+        );
+        await addUser('ann');
+        await db.run('VACUUM INTO ?', [snapshotFile]);
+
+        // Changes after the snapshot: to the data, and to users, sessions and history
+        await db.run("UPDATE item SET name = 'b'");
+        await addUser('bob');
+        await db.run(`INSERT INTO ${SESSIONS_TABLE} (token_hash, user_id, created_at, expires_at) VALUES ('t', 2, 'now', 1)`);
+        await db.run(`INSERT INTO ${HISTORY_TABLE} (sql) VALUES ('UPDATE item')`);
+
+        // What restoreSnapshot does: read the kept tables, swap the file, write them back
+        const kept = await readKeptTables(prismaClient(db), [USERS_TABLE, SESSIONS_TABLE, HISTORY_TABLE, '_ldb_connections']);
+        assert.deepEqual(kept.map(table => table.name).sort(), [HISTORY_TABLE, USERS_TABLE, SESSIONS_TABLE].sort());
+        await db.close();
+        fs.copyFileSync(snapshotFile, file);
+        db = await openDatabase(file);
+        const client = prismaClient(db);
+        await client.$transaction(tx => writeKeptTables(tx, kept));
+
+        assert.deepEqual(await db.all('SELECT name FROM item'), [{ name: 'a' }]);
+        assert.deepEqual(await db.all(`SELECT id, username FROM ${USERS_TABLE} ORDER BY id`), [
+            { id: 1, username: 'ann' },
+            { id: 2, username: 'bob' },
+        ]);
+        assert.deepEqual(await db.all(`SELECT token_hash, user_id FROM ${SESSIONS_TABLE}`), [{ token_hash: 't', user_id: 2 }]);
+        assert.deepEqual(await db.all(`SELECT sql FROM ${HISTORY_TABLE}`), [{ sql: 'UPDATE item' }]);
+    } finally {
+        await db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
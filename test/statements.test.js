@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    splitStatements, statementRanges, hasSeveralStatements, mainVerb, bindParameters, targetTable, pagedQuery,
+    classifyStatement, explainTarget,
+} = require('../lib/statements');
+const { openDatabase } = require('./support/sqlite');
+
+// Classifies `sql` the way server.js does, from its program on `db`
+async function classify(db, sql) {
+    const program = await db.all(`EXPLAIN ${explainTarget(sql)}`);
+    const objects = await db.all('SELECT tbl_name, rootpage, sql FROM sqlite_master');
+    return classifyStatement(sql, program, objects);
+}
+
+test('splits a script on semicolons outside comments, strings and quoted names', () => {
+    const script = "SELECT 'a;b'; -- c;d\nSELECT \"x;y\" FROM [t;u] /* ; */;\n-- only a comment;\n";
+    assert.deepEqual(splitStatements(script), [
+        "SELECT 'a;b'",
+        '-- c;d\nSELECT "x;y" FROM [t;u] /* ; */',
+    ]);
+});
+
+test('reports where each statement starts', () => {
+    assert.deepEqual(statementRanges('SELECT 1;\n  SELECT 2'), [
+        { sql: 'SELECT 1', start: 0 },
+        { sql: 'SELECT 2', start: 12 },
+    ]);
+});
+
+test('keeps a trigger body together until the END of the trigger', () => {
+    const script = 'CREATE TEMP TRIGGER t AFTER INSERT ON a BEGIN SELECT 1; SELECT 2; END; DELETE FROM a;';
+    assert.deepEqual(splitStatements(script), [
+        'CREATE TEMP TRIGGER t AFTER INSERT ON a BEGIN SELECT 1; SELECT 2; END',
+        'DELETE FROM a',
+    ]);
+});
+
+test('does not end a trigger at the END of a CASE expression', async () => {
+    const script = "CREATE TABLE a (y TEXT); CREATE TABLE secret (y TEXT);\n"
+        + "CREATE TRIGGER z AFTER UPDATE ON a BEGIN UPDATE secret SET y = CASE WHEN 1 THEN 'a' END; END; SELECT 1;";
+    const statements = splitStatements(script);
+    assert.equal(statements.length, 4);
+    assert.match(statements[2], /^CREATE TRIGGER z .* END; END$/);
+
+    // Each statement runs on its own
+    const db = await openDatabase();
+    try {
+        for (const statement of statements) await db.all(statement);
+        const triggers = await db.all("SELECT name FROM sqlite_master WHERE type = 'trigger'");
+        assert.deepEqual(triggers, [{ name: 'z' }]);
+    } finally {
+        await db.close();
+    }
+});
+
+test('finds the main verb behind common table expressions', () => {
+    assert.equal(mainVerb('/* c */ select 1'), 'SELECT');
+    assert.equal(mainVerb('WITH x AS (SELECT 1) DELETE FROM t WHERE id IN x'), 'DELETE');
+});
+
+test('finds the table a data change names', () => {
+    assert.equal(targetTable('INSERT OR REPLACE INTO main."my ""t""" (a) VALUES (1)'), 'my "t"');
+    assert.equal(targetTable("WITH x AS (SELECT 1) UPDATE [order] SET a = 'DELETE FROM b'"), 'order');
+    assert.equal(targetTable('DELETE FROM `t` WHERE id IN (SELECT id FROM u)'), 't');
+    assert.equal(targetTable('SELECT * FROM t'), null);
+});
+
+test('binds named parameters as literals', () => {
+    assert.equal(
+        bindParameters("SELECT * FROM t WHERE a = :a AND b = ':a' AND c = :c", { a: "it's", c: 2 }),
+        "SELECT * FROM t WHERE a = 'it''s' AND b = ':a' AND c = 2",
+    );
+    assert.throws(() => bindParameters('SELECT :missing'), /Missing a value for :missing/);
+});
+
+test('classifies statements from their programs', async () => {
+    const db = await openDatabase();
+    try {
+        await db.exec('CREATE TABLE a (id INTEGER PRIMARY KEY, y TEXT); CREATE TABLE b (id INTEGER PRIMARY KEY)');
+
+        const query = await classify(db, 'WITH x AS (SELECT id FROM a) SELECT * FROM x JOIN b USING (id)');
+        assert.equal(query.kind, 'query');
+        assert.equal(query.readOnly, true);
+        assert.deepEqual(query.reads.sort(), ['a', 'b']);
+
+        const update = await classify(db, "UPDATE a SET y = 'z' WHERE id = 1");
+        assert.equal(update.kind, 'dml');
+        assert.deepEqual(update.writes, ['a']);
+        assert.equal(update.destructive, null);
+
+        const drop = await classify(db, 'DROP TABLE b');
+        assert.equal(drop.kind, 'ddl');
+        assert.deepEqual(drop.dropped, ['b']);
+        assert.match(drop.destructive, /DROP TABLE can't be undone/);
+    } finally {
+        await db.close();
+    }
+});
+
+test('asks to confirm a DELETE without a WHERE clause', async () => {
+    const db = await openDatabase();
+    try {
+        await db.exec('CREATE TABLE a (id INTEGER PRIMARY KEY)');
+        const result = await classify(db, 'DELETE FROM a');
+        assert.equal(result.destructive, 'DELETE without a WHERE clause removes every row of a.');
+    } finally {
+        await db.close();
+    }
+});
+
+test('names the target of a destructive statement that also writes through triggers', async () => {
+    const db = await openDatabase();
+    try {
+        await db.exec(`
+            CREATE TABLE a (id INTEGER PRIMARY KEY, y TEXT);
+            CREATE TABLE secret (y TEXT);
+            CREATE TRIGGER z AFTER UPDATE ON a BEGIN UPDATE secret SET y = NEW.y; END;
+        `);
+        const result = await classify(db, "UPDATE A SET y = 'b'");
+        assert.deepEqual(result.writes.sort(), ['a', 'secret']);
+        assert.equal(result.target, 'a');
+        assert.equal(result.destructive, 'UPDATE without a WHERE clause changes every row of a and also writes to secret.');
+    } finally {
+        await db.close();
+    }
+});
+
+test('counts a trigger with several body statements as one statement', () => {
+    assert.equal(hasSeveralStatements('CREATE TRIGGER z AFTER UPDATE ON a BEGIN SELECT 1; SELECT 2; END;'), false);
+    assert.equal(hasSeveralStatements('SELECT 1; -- done'), false);
+    assert.equal(hasSeveralStatements('SELECT 1; SELECT 2'), true);
+});
+
+test('pages a query that ends in a comment', async () => {
+    const db = await openDatabase();
+    try {
+        await db.exec('CREATE TABLE a (id INTEGER PRIMARY KEY); INSERT INTO a VALUES (1), (2), (3)');
+        const rows = await db.all(pagedQuery('SELECT id FROM a ORDER BY id; -- all of them'), [2, 1]);
+        assert.deepEqual(rows, [{ id: 2 }, { id: 3 }]);
+        assert.deepEqual(await db.all(pagedQuery('SELECT id FROM a -- the ids'), [1, 0]), [{ id: 1 }]);
+    } finally {
+        await db.close();
+    }
+});
+
+test('maps writes to virtual tables to the table the statement names', async () => {
+    const db = await openDatabase();
+    try {
+        await db.exec(`
+            CREATE VIRTUAL TABLE notes USING fts5(body);
+            CREATE VIEW all_notes AS SELECT * FROM notes;
+            CREATE TABLE a (id INTEGER PRIMARY KEY);
+        `);
+        const insert = await classify(db, "INSERT INTO \"Notes\" (body) VALUES ('x')");
+        assert.deepEqual(insert.writes, ['notes']);
+        assert.deepEqual(insert.virtualTables, ['notes']);
+        assert.equal(insert.hiddenVirtualTables, false);
+
+        const through = await classify(db, 'SELECT * FROM all_notes');
+        assert.equal(through.hiddenVirtualTables, true);
+
+        const plain = await classify(db, 'SELECT * FROM a');
+        assert.deepEqual(plain.virtualTables, []);
+        assert.equal(plain.hiddenVirtualTables, false);
+    } finally {
+        await db.close();
+    }
+});
+
+test('counts reads of virtual tables, so the search index is read like other tables', async () => {
+    const db = await openDatabase();
+    try {
+        await db.exec('CREATE VIRTUAL TABLE _ldb_search USING fts5(tbl, rowkey, content)');
+        const search = await classify(db, "SELECT * FROM _ldb_search WHERE _ldb_search MATCH 'x'");
+        assert.equal(search.kind, 'query');
+        assert.deepEqual(search.reads, ['_ldb_search']);
+        assert.equal(search.hiddenVirtualTables, false);
+
+        const remove = await classify(db, "DELETE FROM _ldb_search WHERE tbl = 'a'");
+        assert.deepEqual(remove.reads, ['_ldb_search']);
+        assert.deepEqual(remove.writes, ['_ldb_search']);
+    } finally {
+        await db.close();
+    }
+});
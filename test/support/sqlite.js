@@ -0,0 +1,48 @@
+// SQLite databases for the tests, with the callback API of sqlite3 wrapped in promises.
+const sqlite3 = require('sqlite3');
+
+/**
+ * Opens a database file, by default a new in-memory database. Returns { run, all, exec,
+ * close }; `run` resolves to { changes, lastID }.
+ */
+function openDatabase(file = ':memory:') {
+    const db = new sqlite3.Database(file);
+    const call = (method, ...args) => new Promise((resolve, reject) => {
+        db[method](...args, function done(error, result) {
+            if (error) reject(error);
+            else resolve(method === 'run' ? { changes: this.changes, lastID: this.lastID } : result);
+        });
+    });
+    return {
+        run: (sql, params = []) => call('run', sql, params),
+        all: (sql, params = []) => call('all', sql, params),
+        exec: (sql) => call('exec', sql),
+        close: () => call('close'),
+    };
+}
+
+/**
+ * The raw SQL part of PrismaClient that the lib modules take as `client`, over a
+ * database from openDatabase: $queryRawUnsafe, $executeRawUnsafe and $transaction(work),
+ * which hands `work` the same client.
+ */
+function prismaClient(db) {
+    const client = {
+        $queryRawUnsafe: (sql, ...params) => db.all(sql, params),
+        $executeRawUnsafe: async (sql, ...params) => (await db.run(sql, params)).changes,
+        $transaction: async (work) => {
+            await db.exec('BEGIN');
+            try {
+                const result = await work(client);
+                await db.exec('COMMIT');
+                return result;
+            } catch (error) {
+                await db.exec('ROLLBACK');
+                throw error;
+            }
+        },
+    };
+    return client;
+}
+
+module.exports = { openDatabase, prismaClient };